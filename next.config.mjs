@@ -3,6 +3,8 @@ const nextConfig = {
   poweredByHeader: false,
   experimental: {
     esmExternals: 'loose',
+    // esbuild ships a native binary; load it from node_modules at runtime
+    serverComponentsExternalPackages: ['esbuild'],
   },
   webpack: (config) => {
     config.resolve.fallback = {
@@ -0,0 +1,154 @@
+/**
+ * Custom Server
+ *
+ * Runs the Next.js app and forwards websocket upgrades for
+ * /preview-proxy/<jobId>/... (preview dev servers' HMR) to the job's running
+ * dev server. Route handlers can't upgrade connections; HTTP preview traffic
+ * is proxied by src/app/preview-proxy/[jobId]/[[...path]]/route.ts.
+ *
+ * Preview servers live inside the app, so the port is looked up (and websocket
+ * traffic reported, postponing idle shutdown) through the loopback-only
+ * /api/preview/[jobId]/server route. Sessions are verified with the same
+ * module the app uses (src/lib/livepreview/previewSession.js).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const next = require('next');
+const {
+  verifyPreviewSession,
+  PREVIEW_SESSION_COOKIE,
+  PREVIEW_PROXY_SECRET_HEADER,
+} = require('./src/lib/livepreview/previewSession');
+
+const dev = process.env.NODE_ENV !== 'production';
+const port = parseInt(process.env.PORT || '3000', 10);
+
+const PREVIEW_PROXY_PATH = /^\/preview-proxy\/([^/?#]+)\//;
+const PREVIEW_LOOKUP_TIMEOUT = 5000;
+const PREVIEW_ACTIVITY_INTERVAL = 60000; // Report websocket traffic at most once a minute
+
+// Shared with the app through the environment (see getPreviewProxySecret)
+if (!process.env.PREVIEW_PROXY_SECRET) {
+  process.env.PREVIEW_PROXY_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+const app = next({ dev, port });
+const handle = app.getRequestHandler();
+
+function getCookie(header, name) {
+  for (const part of (header || '').split(/;\s*/)) {
+    if (part.startsWith(`${name}=`)) return part.slice(name.length + 1);
+  }
+  return undefined;
+}
+
+/**
+ * Port of the job's running dev server, or null if it isn't running
+ * Also counts as preview traffic for the server's idle shutdown.
+ */
+function lookupPreviewPort(jobId) {
+  return new Promise((resolve) => {
+    const req = http.get({
+      host: '127.0.0.1',
+      port,
+      path: `/api/preview/${encodeURIComponent(jobId)}/server`,
+      headers: { [PREVIEW_PROXY_SECRET_HEADER]: process.env.PREVIEW_PROXY_SECRET },
+      timeout: PREVIEW_LOOKUP_TIMEOUT,
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve(res.statusCode === 200 ? JSON.parse(body).port || null : null);
+        } catch {
+          resolve(null);
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Preview server lookup timed out')));
+    req.on('error', (error) => {
+      console.warn(`[Server] Preview server lookup for ${jobId} failed:`, error.message);
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Pipe an authorized preview websocket to its dev server
+ * The path is forwarded unchanged (the dev server's basePath is the proxy path).
+ * The websocket is closed if its dev server stops or moves to another port.
+ */
+async function proxyPreviewUpgrade(req, socket, head, jobId) {
+  const session = verifyPreviewSession(getCookie(req.headers.cookie, PREVIEW_SESSION_COOKIE), jobId);
+  if (!session) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  const previewPort = await lookupPreviewPort(jobId);
+  if (!previewPort) {
+    socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+    return;
+  }
+
+  const upstream = net.connect(previewPort, '127.0.0.1', () => {
+    const headers = Object.entries(req.headers)
+      .filter(([key]) => key !== 'cookie' && key !== 'host')
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    headers.push(`host: 127.0.0.1:${previewPort}`);
+
+    upstream.write(`${req.method} ${req.url} HTTP/1.1\r\n${headers.join('\r\n')}\r\n\r\n`);
+    if (head && head.length > 0) upstream.write(head);
+
+    socket.pipe(upstream).pipe(socket);
+    socket.on('data', reportActivity);
+    upstream.on('data', reportActivity);
+  });
+
+  // HMR messages are preview traffic too: keep the dev server from idling out
+  let lastReportedAt = Date.now();
+  const reportActivity = () => {
+    if (Date.now() - lastReportedAt < PREVIEW_ACTIVITY_INTERVAL) return;
+    lastReportedAt = Date.now();
+
+    lookupPreviewPort(jobId).then((currentPort) => {
+      if (currentPort !== previewPort) socket.destroy();
+    });
+  };
+
+  upstream.on('error', (error) => {
+    console.warn(`[Server] Preview websocket for ${jobId} failed:`, error.message);
+    socket.destroy();
+  });
+  upstream.on('close', () => socket.destroy());
+  socket.on('error', () => upstream.destroy());
+  socket.on('close', () => upstream.destroy());
+}
+
+app.prepare().then(() => {
+  const server = http.createServer((req, res) => handle(req, res));
+  const nextUpgrade = typeof app.getUpgradeHandler === 'function' ? app.getUpgradeHandler() : null;
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = (req.url || '').match(PREVIEW_PROXY_PATH);
+    if (match) {
+      proxyPreviewUpgrade(req, socket, head, match[1]).catch((error) => {
+        console.warn(`[Server] Preview websocket for ${match[1]} failed:`, error.message);
+        socket.destroy();
+      });
+    } else if (nextUpgrade) {
+      // Next's own HMR websocket in development
+      nextUpgrade(req, socket, head);
+    } else {
+      socket.destroy();
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`> Ready on http://localhost:${port}${dev ? ' (dev)' : ''}`);
+  });
+});
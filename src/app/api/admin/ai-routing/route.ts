@@ -0,0 +1,99 @@
+/**
+ * Admin AI Routing API - Runtime provider/model selection
+ *
+ * GET /api/admin/ai-routing
+ * Response:
+ * {
+ *   settings: RoutingSettings,  // The persisted document (see src/lib/ai/routing.js)
+ *   effective: {                // Resolved chains without plan/per-build overrides
+ *     [operationType]: { provider, model, source, fallbacks }
+ *   }
+ * }
+ *
+ * PUT /api/admin/ai-routing
+ * Body: {
+ *   operations?: { [operationType]: { provider, model?, fallbacks?: [{ provider, model? }] } },
+ *   plans?: { [plan]: { [operationType]: { provider, model? } } }
+ * }
+ * Response: { success: true, settings: RoutingSettings }
+ *
+ * Changes apply to new AI calls without a restart.
+ * Requires an admin (custom claim `admin` or ADMIN_UIDS)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyAdmin } from '@/lib/verifyUser';
+import {
+  OPERATION_TYPES,
+  resolveRoute,
+  loadRoutingSettings,
+  saveRoutingSettings,
+} from '@/lib/ai';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const AUTH_STATUS: Record<string, number> = {
+  AUTH_MISSING: 401,
+  AUTH_INVALID: 401,
+  FORBIDDEN: 403,
+};
+
+export async function GET(request: NextRequest) {
+  try {
+    await verifyAdmin(request);
+
+    const settings = await loadRoutingSettings({ force: true });
+    const effective = Object.fromEntries(
+      OPERATION_TYPES.map((operationType) => [operationType, resolveRoute(operationType)])
+    );
+
+    return NextResponse.json({ settings, effective });
+
+  } catch (error: any) {
+    console.error('[Admin AI Routing] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to read AI routing settings',
+        code: error.code || 'AI_ROUTING_ERROR',
+      },
+      { status: AUTH_STATUS[error.code] || 500 }
+    );
+  }
+}
+
+export async function PUT(request: NextRequest) {
+  try {
+    const admin = await verifyAdmin(request);
+
+    const body = await request.json();
+
+    let settings;
+    try {
+      settings = await saveRoutingSettings(body, admin.uid);
+    } catch (error: any) {
+      // Validation errors from saveRoutingSettings
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+
+    console.log(`[Admin AI Routing] ${admin.uid} updated AI routing settings`);
+
+    return NextResponse.json({
+      success: true,
+      settings,
+    });
+
+  } catch (error: any) {
+    console.error('[Admin AI Routing] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to save AI routing settings',
+        code: error.code || 'AI_ROUTING_ERROR',
+      },
+      { status: AUTH_STATUS[error.code] || 500 }
+    );
+  }
+}
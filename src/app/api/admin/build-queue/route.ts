@@ -0,0 +1,92 @@
+/**
+ * Admin Build Queue API - Inspect and drain the build queue
+ *
+ * GET /api/admin/build-queue
+ * Response:
+ * {
+ *   maxConcurrentBuilds: number,
+ *   running: ScheduledBuild[],
+ *   pending: ScheduledBuild[]  // In start order, with position + effectivePriority
+ * }
+ *
+ * POST /api/admin/build-queue
+ * Body: { action: "drain", userId?: string }  // userId limits the drain to one user
+ * Response: { success: true, drained: string[] }  // Cancelled job IDs
+ *
+ * Requires an admin (custom claim `admin` or ADMIN_UIDS)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyAdmin } from '@/lib/verifyUser';
+import { drainQueuedBuilds } from '@/lib/builder/BuildOrchestrator';
+import { getQueueSnapshot } from '@/lib/builder/BuildScheduler';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const AUTH_STATUS: Record<string, number> = {
+  AUTH_MISSING: 401,
+  AUTH_INVALID: 401,
+  FORBIDDEN: 403,
+};
+
+export async function GET(request: NextRequest) {
+  try {
+    await verifyAdmin(request);
+
+    return NextResponse.json(getQueueSnapshot());
+
+  } catch (error: any) {
+    console.error('[Admin Build Queue] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to read build queue',
+        code: error.code || 'BUILD_QUEUE_ERROR',
+      },
+      { status: AUTH_STATUS[error.code] || 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const admin = await verifyAdmin(request);
+
+    const body = await request.json();
+    const { action, userId } = body;
+
+    if (action !== 'drain') {
+      return NextResponse.json(
+        { error: 'Unknown action. Supported: drain' },
+        { status: 400 }
+      );
+    }
+
+    if (userId !== undefined && typeof userId !== 'string') {
+      return NextResponse.json(
+        { error: 'userId must be a string' },
+        { status: 400 }
+      );
+    }
+
+    const drained = drainQueuedBuilds(userId);
+    console.log(
+      `[Admin Build Queue] ${admin.uid} drained ${drained.length} queued build(s)${userId ? ` for user ${userId}` : ''}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      drained,
+    });
+
+  } catch (error: any) {
+    console.error('[Admin Build Queue] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to drain build queue',
+        code: error.code || 'BUILD_QUEUE_ERROR',
+      },
+      { status: AUTH_STATUS[error.code] || 500 }
+    );
+  }
+}
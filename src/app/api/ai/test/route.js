@@ -5,7 +5,7 @@
  *
  * Usage:
  *   GET /api/ai/test - Check configuration and validate keys
- *   POST /api/ai/test - Test code generation with current provider
+ *   POST /api/ai/test - Test code generation (reports which provider served it and its token usage)
  */
 
 import { validateAllKeys, getConfigInfo, generateCode } from '@/lib/ai';
@@ -43,21 +43,29 @@ export async function POST(req) {
     const startTime = Date.now();
 
     // Generate code using the configured provider
+    let usage = null;
     const code = await generateCode({
       prompt,
       language: 'javascript',
+      onUsage: (callUsage) => {
+        usage = callUsage;
+      },
     });
 
     const duration = Date.now() - startTime;
 
-    const config = getConfigInfo();
+    // The provider that actually served the call (may be a fallback)
+    const served = getConfigInfo().servedBy.CODE_GENERATION;
 
     return Response.json({
       success: true,
       timestamp: new Date().toISOString(),
       duration: `${duration}ms`,
-      provider: config.codeGeneration.provider,
-      model: config.codeGeneration.model,
+      provider: served.provider,
+      model: served.model,
+      fallback: served.fallback,
+      attempts: served.attempts,
+      usage, // { promptTokens, completionTokens, estimated, costUsd, ... }
       prompt,
       generatedCode: code,
       message: 'Code generation successful',
@@ -0,0 +1,85 @@
+/**
+ * Build Cancel API - Stop a Queued or Running Build
+ * POST /api/build/cancel
+ *
+ * A queued build is removed from the queue. A running build is aborted:
+ * in-flight LLM calls and file writes stop and the partial output is removed.
+ *
+ * Request body:
+ * {
+ *   jobId: string
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   jobId: string,
+ *   status: "cancelled"
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob, cancelBuild } from '@/lib/builder/BuildOrchestrator';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function POST(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Parse request body
+    const body = await request.json();
+    const { jobId } = body;
+
+    // Validation
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId is required' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (!cancelBuild(jobId)) {
+      return NextResponse.json(
+        { error: `Build can't be cancelled (current status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      jobId,
+      status: 'cancelled',
+    });
+
+  } catch (error: any) {
+    console.error('[Build Cancel] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to cancel build',
+        code: 'BUILD_CANCEL_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Build Export API - Static Site Export
+ * POST /api/build/export
+ *
+ * Runs the generated app's production build as a static export
+ * (HTML/CSS/JS + assets, no server needed) and stores it as a ZIP.
+ * Build output streams through the same SSE channel as the original build;
+ * once it completes, download the ZIP from /api/download/[jobId]?format=static.
+ *
+ * Request body:
+ * {
+ *   jobId: string
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   jobId: string,
+ *   operation: "export",
+ *   logOffset: number  // pass as ?from= to /api/build/logs to skip earlier logs
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob, getJobLogs, isJobBusy, exportBuild } from '@/lib/builder/BuildOrchestrator';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function POST(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Parse request body
+    const body = await request.json();
+    const { jobId } = body;
+
+    // Validation
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId is required' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (job.status !== 'complete' || !job.outputPath) {
+      return NextResponse.json(
+        { error: `Build must be complete before it can be exported (current status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    // One change at a time: a second request would only fail once started
+    if (isJobBusy(job)) {
+      return NextResponse.json(
+        { error: `Build is busy (${job.operation || job.status}). Try again when it finishes.`, code: 'BUILD_EXPORT_ERROR' },
+        { status: 409 }
+      );
+    }
+
+    const logOffset = getJobLogs(jobId).length;
+
+    // Start export asynchronously (don't await) - the job turns busy synchronously
+    exportBuild(jobId).catch((error) => {
+      console.error(`[Build Export] Export of ${jobId} failed:`, error);
+    });
+
+    return NextResponse.json({
+      success: true,
+      jobId,
+      operation: 'export',
+      logOffset,
+    });
+
+  } catch (error: any) {
+    console.error('[Build Export] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to export build',
+        code: 'BUILD_EXPORT_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
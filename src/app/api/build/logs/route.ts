@@ -1,9 +1,10 @@
 /**
  * Build Logs API - Real-time Log Streaming via SSE
- * GET /api/build/logs?jobId=XYZ
+ * GET /api/build/logs?jobId=XYZ[&from=N]
  *
  * Streams build logs in real-time using Server-Sent Events.
  * Frontend subscribes to this endpoint to receive live updates.
+ * Pass `from` (a log index, e.g. logOffset from /api/build/refine) to skip earlier logs.
  *
  * SSE Message Format:
  * {
@@ -13,11 +14,26 @@
  *   detail: string,
  *   progress?: number  // 0-100
  * }
+ *
+ * While the build waits for a slot, `queue` events report its place in line:
+ * { position: number | null, total: number, message: string }  // position null = started
+ *
+ * While the blueprint streams in, its outline is sent as it grows:
+ * - `blueprint_app`:    { appName }
+ * - `blueprint_page`:   { page: { id, title, route?, layout?, sectionCount }, index }  // again when it changes
+ * - `blueprint_entity`: { entity: { name, fields: string[] }, index }              // again when it changes
+ * - `blueprint_reset`:  {}  // the stream broke off and starts over on another provider - drop the outline so far
+ * Once the blueprint is final (and after each refinement), `blueprint_ready` sends
+ * the whole outline: { outline: { appName, pages, entities } }
+ *
+ * The final `done` event carries the job's AI usage so far:
+ * { success, status, error?, usage?: { calls, promptTokens, completionTokens, costUsd, estimatedCalls, byModel } }
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { verifyUser } from '@/lib/verifyUser';
-import { getJob, getJobLogs, getGeneratedFiles, onUIReady } from '@/lib/builder/BuildOrchestrator';
+import { getJob, getJobLogs, getGeneratedFiles, getBlueprintOutline, onUIReady } from '@/lib/builder/BuildOrchestrator';
+import { getQueuePosition } from '@/lib/builder/BuildScheduler';
 
 export const dynamic = 'force-dynamic';
 export const runtime = 'nodejs';
@@ -28,6 +44,7 @@ export async function GET(request: NextRequest) {
     const { searchParams } = new URL(request.url);
     const jobId = searchParams.get('jobId');
     const token = searchParams.get('token'); // EventSource can't send headers, so accept token in query
+    const fromLog = Math.max(0, parseInt(searchParams.get('from') || '0', 10) || 0);
 
     if (!jobId) {
       return NextResponse.json(
@@ -56,7 +73,7 @@ export async function GET(request: NextRequest) {
     }
 
     // Get job and verify ownership
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       return NextResponse.json(
@@ -75,7 +92,7 @@ export async function GET(request: NextRequest) {
     console.log(`[Build Logs] Starting SSE stream for job ${jobId}, user ${authUser.uid}`);
 
     // Create SSE stream
-    const stream = createLogStream(jobId);
+    const stream = createLogStream(jobId, fromLog);
 
     // Return SSE response
     return new Response(stream, {
@@ -106,16 +123,21 @@ export async function GET(request: NextRequest) {
 /**
  * Create SSE stream for job logs
  */
-function createLogStream(jobId: string): ReadableStream {
+function createLogStream(jobId: string, fromLog: number = 0): ReadableStream {
   const encoder = new TextEncoder();
   let intervalId: NodeJS.Timeout | null = null;
   let lastLogIndex = 0;
   let fileTreeSent = false;
   let previewUrlSent = false;
   let uiReadySent = false;
+  let lastQueuePosition: number | null = null;
+  let sentAppName: string | undefined;
+  const sentOutlineItems = new Map<string, string>(); // "page:<id>" / "entity:<name>" -> last sent JSON
+  let sentFinalOutline: string | null = null;
+  let sentOutlineGeneration = 0;
 
   const stream = new ReadableStream({
-    start(controller) {
+    async start(controller) {
       // Helper to send SSE message with named event
       const sendEvent = (eventName: string, data: any) => {
         try {
@@ -126,6 +148,63 @@ function createLogStream(jobId: string): ReadableStream {
         }
       };
 
+      // Report queue position changes ("you are #4 in line")
+      const sendQueuePosition = () => {
+        const queue = getQueuePosition(jobId);
+        const position = queue?.position ?? null;
+        if (position === lastQueuePosition) return;
+
+        lastQueuePosition = position;
+        sendEvent('queue', {
+          position,
+          total: queue?.total ?? 0,
+          message: position === null ? 'Your build is starting' : `You are #${position} in line`,
+          timestamp: Date.now(),
+        });
+      };
+
+      // Report the blueprint outline as pages and entities appear
+      const sendBlueprintOutline = () => {
+        const current = getBlueprintOutline(jobId);
+        if (!current) return;
+
+        const { outline, final, generation } = current;
+        if (!final && generation !== sentOutlineGeneration) {
+          sentOutlineGeneration = generation;
+          sentAppName = undefined;
+          sentOutlineItems.clear();
+          sendEvent('blueprint_reset', { timestamp: Date.now() });
+        }
+
+        if (final) {
+          const outlineJson = JSON.stringify(outline);
+          if (outlineJson !== sentFinalOutline) {
+            sentFinalOutline = outlineJson;
+            sendEvent('blueprint_ready', { outline, timestamp: Date.now() });
+          }
+          return;
+        }
+
+        if (outline.appName && outline.appName !== sentAppName) {
+          sentAppName = outline.appName;
+          sendEvent('blueprint_app', { appName: outline.appName, timestamp: Date.now() });
+        }
+
+        outline.pages.forEach((page, index) => {
+          const pageJson = JSON.stringify(page);
+          if (sentOutlineItems.get(`page:${page.id}`) === pageJson) return;
+          sentOutlineItems.set(`page:${page.id}`, pageJson);
+          sendEvent('blueprint_page', { page, index, timestamp: Date.now() });
+        });
+
+        outline.entities.forEach((entity, index) => {
+          const entityJson = JSON.stringify(entity);
+          if (sentOutlineItems.get(`entity:${entity.name}`) === entityJson) return;
+          sentOutlineItems.set(`entity:${entity.name}`, entityJson);
+          sendEvent('blueprint_entity', { entity, index, timestamp: Date.now() });
+        });
+      };
+
       // Register callback for UI Ready event
       onUIReady(jobId, (previewUrl: string) => {
         if (!uiReadySent) {
@@ -146,7 +225,7 @@ function createLogStream(jobId: string): ReadableStream {
       });
 
       // Get job
-      const job = getJob(jobId);
+      const job = await getJob(jobId);
       if (!job) {
         sendEvent('error', { error: 'Job not found' });
         controller.close();
@@ -161,7 +240,7 @@ function createLogStream(jobId: string): ReadableStream {
 
       // Send existing logs
       const existingLogs = getJobLogs(jobId);
-      existingLogs.forEach((log) => {
+      existingLogs.slice(fromLog).forEach((log) => {
         sendEvent('message', {
           log: log.detail || 'Build log',
           step: log.step,
@@ -171,10 +250,12 @@ function createLogStream(jobId: string): ReadableStream {
       });
 
       lastLogIndex = existingLogs.length;
+      sendQueuePosition();
+      sendBlueprintOutline();
 
       // Poll for new logs every 500ms
       intervalId = setInterval(async () => {
-        const currentJob = getJob(jobId);
+        const currentJob = await getJob(jobId);
         if (!currentJob) {
           sendEvent('error', { error: 'Job not found' });
           if (intervalId) clearInterval(intervalId);
@@ -196,6 +277,8 @@ function createLogStream(jobId: string): ReadableStream {
         });
 
         lastLogIndex = allLogs.length;
+        sendQueuePosition();
+        sendBlueprintOutline();
 
         // Send file tree if job has output and we haven't sent it yet
         if (currentJob.outputPath && !fileTreeSent) {
@@ -211,9 +294,9 @@ function createLogStream(jobId: string): ReadableStream {
           }
         }
 
-        // If job is complete, failed, or cancelled, close stream
+        // If job is complete (and no refine/rollback/repair/export is running), failed, or cancelled, close stream
         if (
-          currentJob.status === 'complete' ||
+          (currentJob.status === 'complete' && !currentJob.operation) ||
           currentJob.status === 'failed' ||
           currentJob.status === 'cancelled'
         ) {
@@ -256,6 +339,7 @@ function createLogStream(jobId: string): ReadableStream {
             success: currentJob.status === 'complete',
             status: currentJob.status,
             error: currentJob.error,
+            usage: currentJob.usage,
             timestamp: Date.now(),
           });
 
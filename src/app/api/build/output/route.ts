@@ -39,7 +39,7 @@ export async function GET(request: NextRequest) {
     }
 
     // Get job and verify ownership
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       return NextResponse.json(
@@ -42,7 +42,7 @@ export async function POST(request: NextRequest) {
     }
 
     // Get job and verify ownership
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       return NextResponse.json(
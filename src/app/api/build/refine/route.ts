@@ -0,0 +1,120 @@
+/**
+ * Build Refine API - Follow-up Edits on an Existing Build
+ * POST /api/build/refine
+ *
+ * Applies an instruction ("add a pricing page", "make the navbar sticky")
+ * to a finished build and saves the result as a new revision.
+ * Progress streams through the same SSE channel as the original build.
+ *
+ * Request body:
+ * {
+ *   jobId: string,
+ *   instruction: string
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   jobId: string,
+ *   operation: "refine",
+ *   logOffset: number  // pass as ?from= to /api/build/logs to skip earlier logs
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob, getJobLogs, isJobBusy, refineBuild } from '@/lib/builder/BuildOrchestrator';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const MAX_INSTRUCTION_LENGTH = 2000;
+
+export async function POST(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Parse request body
+    const body = await request.json();
+    const { jobId, instruction } = body;
+
+    // Validation
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!instruction || typeof instruction !== 'string' || !instruction.trim()) {
+      return NextResponse.json(
+        { error: 'Instruction is required' },
+        { status: 400 }
+      );
+    }
+
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return NextResponse.json(
+        { error: `Instruction must be under ${MAX_INSTRUCTION_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (job.status !== 'complete' || !job.blueprint) {
+      return NextResponse.json(
+        { error: `Build must be complete before it can be edited (current status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    // One change at a time: a second request would only fail once started
+    if (isJobBusy(job)) {
+      return NextResponse.json(
+        { error: `Build is busy (${job.operation || job.status}). Try again when it finishes.`, code: 'BUILD_REFINE_ERROR' },
+        { status: 409 }
+      );
+    }
+
+    const logOffset = getJobLogs(jobId).length;
+
+    // Start refinement asynchronously (don't await) - the job turns busy synchronously
+    refineBuild(jobId, instruction.trim()).catch((error) => {
+      console.error(`[Build Refine] Refinement of ${jobId} failed:`, error);
+    });
+
+    return NextResponse.json({
+      success: true,
+      jobId,
+      operation: 'refine',
+      logOffset,
+    });
+
+  } catch (error: any) {
+    console.error('[Build Refine] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to refine build',
+        code: 'BUILD_REFINE_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Build Repair API - Fix a Preview Error with AI
+ * POST /api/build/repair
+ *
+ * Sends an error reported by the live preview (uncaught exception or compile
+ * error) to the CODE_GENERATION provider and saves the fix as a new revision.
+ * Progress streams through the same SSE channel as the original build.
+ *
+ * Request body:
+ * {
+ *   jobId: string,
+ *   error: {
+ *     kind?: "runtime" | "compile",
+ *     message: string,
+ *     stack?: string,
+ *     file?: string,
+ *     line?: number,
+ *     column?: number,
+ *     route?: string  // in-app path the preview was showing
+ *   }
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   jobId: string,
+ *   operation: "repair",
+ *   logOffset: number  // pass as ?from= to /api/build/logs to skip earlier logs
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob, getJobLogs, isJobBusy, repairBuild } from '@/lib/builder/BuildOrchestrator';
+import { isRepairAvailable, ErrorReport } from '@/lib/builder/RepairEngine';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_STACK_LENGTH = 10000;
+
+export async function POST(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Parse request body
+    const body = await request.json();
+    const { jobId, error } = body;
+
+    // Validation
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!error || typeof error.message !== 'string' || !error.message.trim()) {
+      return NextResponse.json(
+        { error: 'error.message is required' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (job.status !== 'complete') {
+      return NextResponse.json(
+        { error: `Build must be complete before it can be repaired (current status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    if (!isRepairAvailable()) {
+      return NextResponse.json(
+        { error: 'Auto-repair needs a configured CODE_GENERATION provider' },
+        { status: 503 }
+      );
+    }
+
+    const report: ErrorReport = {
+      kind: error.kind === 'compile' ? 'compile' : 'runtime',
+      message: error.message.slice(0, MAX_MESSAGE_LENGTH),
+      stack: typeof error.stack === 'string' ? error.stack.slice(0, MAX_STACK_LENGTH) : undefined,
+      file: typeof error.file === 'string' ? error.file : undefined,
+      line: typeof error.line === 'number' ? error.line : undefined,
+      column: typeof error.column === 'number' ? error.column : undefined,
+      route: typeof error.route === 'string' ? error.route : undefined,
+    };
+
+    // One change at a time: a second request would only fail once started
+    if (isJobBusy(job)) {
+      return NextResponse.json(
+        { error: `Build is busy (${job.operation || job.status}). Try again when it finishes.`, code: 'BUILD_REPAIR_ERROR' },
+        { status: 409 }
+      );
+    }
+
+    const logOffset = getJobLogs(jobId).length;
+
+    // Start repair asynchronously (don't await) - the job turns busy synchronously
+    repairBuild(jobId, report).catch((error) => {
+      console.error(`[Build Repair] Repair of ${jobId} failed:`, error);
+    });
+
+    return NextResponse.json({
+      success: true,
+      jobId,
+      operation: 'repair',
+      logOffset,
+    });
+
+  } catch (error: any) {
+    console.error('[Build Repair] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to repair build',
+        code: 'BUILD_REPAIR_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Build Revision Diff API
+ * GET /api/build/revisions/diff?jobId=XYZ&from=1&to=2
+ *
+ * Returns a unified diff between two revisions of a build.
+ * `from` defaults to the parent of `to`.
+ *
+ * Response:
+ * {
+ *   jobId: string,
+ *   from: number,
+ *   to: number,
+ *   changes: Array<{ path, type: "added" | "modified" | "deleted" }>,
+ *   diff: string  // unified diff
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { getRevision, diffRevisions } from '@/lib/builder/Revisions';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Get params
+    const { searchParams } = new URL(request.url);
+    const jobId = searchParams.get('jobId');
+    const toParam = searchParams.get('to');
+    const fromParam = searchParams.get('from');
+
+    if (!jobId || toParam === null) {
+      return NextResponse.json(
+        { error: 'jobId and to query parameters are required' },
+        { status: 400 }
+      );
+    }
+
+    const to = Number(toParam);
+    if (!Number.isInteger(to) || (fromParam !== null && !Number.isInteger(Number(fromParam)))) {
+      return NextResponse.json(
+        { error: 'from and to must be revision numbers' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    const target = await getRevision(jobId, to);
+    if (!target) {
+      return NextResponse.json(
+        { error: `Revision ${to} not found` },
+        { status: 404 }
+      );
+    }
+
+    const from = fromParam !== null ? Number(fromParam) : target.parent;
+    if (from === null) {
+      // The original build has nothing to diff against
+      return NextResponse.json({ jobId, from: null, to, changes: target.changes, diff: '' });
+    }
+
+    if (!(await getRevision(jobId, from))) {
+      return NextResponse.json(
+        { error: `Revision ${from} not found` },
+        { status: 404 }
+      );
+    }
+
+    const { changes, diff } = await diffRevisions(jobId, from, to);
+
+    return NextResponse.json({ jobId, from, to, changes, diff });
+
+  } catch (error: any) {
+    console.error('[Revision Diff] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to diff revisions',
+        code: 'REVISION_DIFF_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
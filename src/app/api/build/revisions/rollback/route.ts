@@ -0,0 +1,106 @@
+/**
+ * Build Rollback API
+ * POST /api/build/revisions/rollback
+ *
+ * Restores the generated output of a build to an earlier revision.
+ * The rollback itself is stored as a new revision.
+ *
+ * Request body:
+ * {
+ *   jobId: string,
+ *   revision: number
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   revision: number,   // the new revision created by the rollback
+ *   restored: number,   // the revision that was restored
+ *   changes: Array<{ path, type }>
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob, isJobBusy, rollbackBuild } from '@/lib/builder/BuildOrchestrator';
+import { getRevision } from '@/lib/builder/Revisions';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function POST(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Parse request body
+    const body = await request.json();
+    const { jobId, revision } = body;
+
+    // Validation
+    if (!jobId || !Number.isInteger(revision)) {
+      return NextResponse.json(
+        { error: 'jobId and revision (number) are required' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (job.status !== 'complete') {
+      return NextResponse.json(
+        { error: `Build must be complete before rolling back (current status: ${job.status})` },
+        { status: 409 }
+      );
+    }
+
+    if (!(await getRevision(jobId, revision))) {
+      return NextResponse.json(
+        { error: `Revision ${revision} not found` },
+        { status: 404 }
+      );
+    }
+
+    // Checked right before starting: the rollback marks the job busy synchronously
+    if (isJobBusy(job)) {
+      return NextResponse.json(
+        { error: `Build is busy (${job.operation || job.status}). Try again when it finishes.`, code: 'ROLLBACK_ERROR' },
+        { status: 409 }
+      );
+    }
+
+    const created = await rollbackBuild(jobId, revision);
+
+    return NextResponse.json({
+      success: true,
+      revision: created.revision,
+      restored: revision,
+      changes: created.changes,
+    });
+
+  } catch (error: any) {
+    console.error('[Build Rollback] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to roll back build',
+        code: 'ROLLBACK_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Build Revisions API - Revision History
+ * GET /api/build/revisions?jobId=XYZ
+ *
+ * Lists every stored revision of a build, oldest first.
+ *
+ * Response:
+ * {
+ *   jobId: string,
+ *   currentRevision: number | null,
+ *   revisions: Array<{ revision, kind, prompt, summary, createdAt, parent, rolledBackTo?, changes, fileCount }>
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { listRevisions } from '@/lib/builder/Revisions';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    // Get jobId from query params
+    const { searchParams } = new URL(request.url);
+    const jobId = searchParams.get('jobId');
+
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    const revisions = await listRevisions(jobId);
+
+    // Blueprints and hashes stay server-side; the panel only needs the summary
+    return NextResponse.json({
+      jobId,
+      currentRevision: job.revision ?? null,
+      revisions: revisions.map(({ blueprint, hashes, ...revision }) => ({
+        ...revision,
+        fileCount: Object.keys(hashes).length,
+      })),
+    });
+
+  } catch (error: any) {
+    console.error('[Build Revisions] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to list revisions',
+        code: 'REVISIONS_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
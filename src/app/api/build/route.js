@@ -2,18 +2,22 @@
  * Build API - Create New Build
  * POST /api/build
  *
- * Creates a new build document and starts LLM generation workflow
- * Returns immediately while build runs in background
- * Logs streamed to Firestore in real-time
+ * Thin adapter over the build engine (src/lib/builder/BuildOrchestrator.ts)
+ * for clients that follow builds through Firestore: the job is mirrored to
+ * the builds/<buildId> document and its logs to the buildLogs collection.
+ * Returns immediately while the build runs in the background.
  */
 
 import { NextResponse } from 'next/server';
 import { nanoid } from 'nanoid';
 import { verifyAuthWithFallback } from '@/lib/authMiddleware';
-import { db } from '@/lib/firebaseAdmin';
-import admin from '@/lib/firebaseAdmin';
-import { appendLog, updateBuildStatus, markBuildFailed, markBuildComplete } from '@/lib/logWriter';
-import { generateAppBlueprint } from '@/lib/modelClient';
+import {
+  createBuildJob,
+  enqueueBuild,
+  getJob,
+  isValidJobId,
+  validateBuildRequest,
+} from '@/lib/builder/BuildOrchestrator';
 
 export const dynamic = 'force-dynamic';
 export const runtime = 'nodejs';
@@ -36,82 +40,56 @@ export async function POST(request) {
 
     // 2. Parse request body
     const body = await request.json();
-    const { prompt, target = 'web', buildId } = body;
+    const { prompt, target = 'web', buildId, publish = false } = body;
 
-    // 3. Validate required fields
-    if (!prompt) {
+    // 3. Validate (same limits as every other build entry point)
+    const validationError = validateBuildRequest(prompt, target);
+    if (validationError) {
       return NextResponse.json(
-        { error: 'Missing required field: prompt' },
+        { error: validationError },
         { status: 400 }
       );
     }
 
-    // Validate prompt length
-    if (prompt.length < 10) {
+    if (buildId && !isValidJobId(buildId)) {
       return NextResponse.json(
-        { error: 'Prompt must be at least 10 characters' },
+        { error: 'Invalid buildId: use up to 64 letters, digits, "-" or "_"', code: 'INVALID_BUILD_ID' },
         { status: 400 }
       );
     }
 
-    if (prompt.length > 5000) {
-      return NextResponse.json(
-        { error: 'Prompt must not exceed 5000 characters' },
-        { status: 400 }
-      );
-    }
+    // 4. Generate build ID
+    const finalBuildId = buildId || `build_${nanoid(16)}`;
+    const userId = user.uid;
 
-    // Validate target
-    const validTargets = ['web', 'ios', 'android', 'multi'];
-    if (!validTargets.includes(target)) {
+    if (buildId && await getJob(buildId)) {
       return NextResponse.json(
-        { error: `Invalid target. Must be one of: ${validTargets.join(', ')}` },
-        { status: 400 }
+        { error: 'Build already exists', code: 'BUILD_EXISTS' },
+        { status: 409 }
       );
     }
 
-    // 4. Generate build ID
-    const finalBuildId = buildId || `build_${nanoid(16)}`;
-    const userId = user.uid;
-
     console.log(`[Build API] Creating build ${finalBuildId} for user ${userId}`);
 
-    // 5. Create build document in Firestore
-    const buildRef = db.collection('builds').doc(finalBuildId);
-    await buildRef.set({
-      userId,
-      prompt: prompt.trim(),
-      target,
-      status: 'queued',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    // 5. Create the job (also creates the Firestore build document)
+    const job = await createBuildJob(userId, prompt.trim(), target, {
+      jobId: finalBuildId,
+      publish: publish === true,
+      logSinks: ['firestore'],
     });
 
-    // 6. Write initial log
-    await appendLog(
-      finalBuildId,
-      userId,
-      '🎯 Build request received. Starting generation...',
-      'info'
-    );
-
-    // 7. Start build execution in background (don't await)
-    executeBuildPipeline({
-      buildId: finalBuildId,
-      userId,
-      prompt: prompt.trim(),
-      target,
-    }).catch((error) => {
+    // 6. Start build execution in background (don't await)
+    enqueueBuild(job.jobId).catch((error) => {
       console.error(`[Build ${finalBuildId}] Pipeline error:`, error);
     });
 
     console.log(`[Build API] Build ${finalBuildId} queued successfully`);
 
-    // 8. Return success response immediately (JSON only)
+    // 7. Return success response immediately (JSON only)
     return NextResponse.json({
       success: true,
       buildId: finalBuildId,
-      status: 'queued',
+      status: job.status,
       message: 'Build started successfully',
     }, {
       status: 200,
@@ -138,67 +116,3 @@ export async function POST(request) {
     );
   }
 }
-
-/**
- * Execute build pipeline asynchronously
- * Runs in background, updates Firestore in real-time
- */
-async function executeBuildPipeline({ buildId, userId, prompt, target }) {
-  const buildRef = db.collection('builds').doc(buildId);
-
-  try {
-    // Step 1: Update status to running
-    await updateBuildStatus(buildId, 'running');
-    await appendLog(buildId, userId, '🚀 Starting VibeCode AI build pipeline...');
-
-    // Step 2: Generate app blueprint with AI
-    await appendLog(buildId, userId, '🧠 Analyzing your idea with AI...');
-
-    const blueprint = await generateAppBlueprint(
-      prompt,
-      target,
-      (message, level) => {
-        // Log callback from model client
-        appendLog(buildId, userId, message, level || 'info').catch(err => {
-          console.error('[Build] Failed to write log:', err);
-        });
-      }
-    );
-
-    await appendLog(buildId, userId, `✨ Generated ${blueprint.appName} (${target} app)`);
-
-    // Step 3: Store blueprint in Firestore
-    await buildRef.update({
-      appName: blueprint.appName,
-      description: blueprint.description,
-      blueprint: blueprint.structure,
-      files: blueprint.files,
-      techStack: blueprint.techStack,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    await appendLog(buildId, userId, `📦 Saved ${Object.keys(blueprint.files).length} files`);
-
-    // Step 4: Prepare output
-    const output = {
-      appName: blueprint.appName,
-      description: blueprint.description,
-      target,
-      fileCount: Object.keys(blueprint.files).length,
-      files: blueprint.files,
-      techStack: blueprint.techStack,
-      createdAt: blueprint.createdAt,
-    };
-
-    // Step 5: Mark build as complete
-    await markBuildComplete(buildId, userId, { output });
-
-    console.log(`[Build ${buildId}] ✅ Build completed successfully`);
-
-  } catch (error) {
-    console.error(`[Build ${buildId}] ❌ Build failed:`, error);
-
-    // Mark build as failed
-    await markBuildFailed(buildId, userId, error);
-  }
-}
@@ -8,7 +8,12 @@
  * Request body:
  * {
  *   prompt: string,
- *   target?: "web" | "ios" | "android" | "multi"
+ *   target?: "web" | "ios" | "android" | "multi",
+ *   templateId?: string,  // e.g. "landing", "ecommerce", "dashboard"
+ *   publish?: boolean,    // Push to GitHub when GITHUB_TOKEN/GITHUB_OWNER are set
+ *   models?: {            // Per-build provider/model (paid plans, see MODEL_OVERRIDE_LIMITS), e.g. { CODE_GENERATION: { provider: "anthropic" } }
+ *     [operationType: "CODE_GENERATION" | "TEXT_GENERATION" | "FAST_OPERATIONS"]: { provider: string, model?: string }
+ *   }
  * }
  *
  * Response:
@@ -21,7 +26,10 @@
 
 import { NextRequest, NextResponse } from 'next/server';
 import { verifyUser } from '@/lib/verifyUser';
-import { createBuildJob, executeBuild } from '@/lib/builder/BuildOrchestrator';
+import { createBuildJob, enqueueBuild, validateBuildRequest } from '@/lib/builder/BuildOrchestrator';
+import { getTemplate } from '@/lib/builder/TemplateLoader';
+import { validateModelOverrides } from '@/lib/ai';
+import { getUserPlan } from '@/lib/user/userPlan';
 
 export const dynamic = 'force-dynamic';
 export const runtime = 'nodejs';
@@ -33,28 +41,44 @@ export async function POST(request: NextRequest) {
 
     // Parse request body
     const body = await request.json();
-    const { prompt, target = 'web' } = body;
+    const { prompt, target = 'web', templateId, publish = false, models } = body;
 
     // Validation
-    if (!prompt || !prompt.trim()) {
+    const validationError = validateBuildRequest(prompt, target);
+    if (validationError) {
       return NextResponse.json(
-        { error: 'Prompt is required' },
+        { error: validationError },
         { status: 400 }
       );
     }
 
-    if (!['web', 'ios', 'android', 'multi'].includes(target)) {
+    if (templateId !== undefined && (typeof templateId !== 'string' || !(await getTemplate(templateId)))) {
       return NextResponse.json(
-        { error: 'Invalid target. Must be: web, ios, android, or multi' },
+        { error: `Unknown template: ${templateId}` },
+        { status: 400 }
+      );
+    }
+
+    // Which models a build may pick depends on the caller's plan
+    const modelsError = models === undefined
+      ? null
+      : validateModelOverrides(models, (await getUserPlan(authUser.uid))?.plan || 'free');
+    if (modelsError) {
+      return NextResponse.json(
+        { error: modelsError },
         { status: 400 }
       );
     }
 
     // Create build job
-    const job = await createBuildJob(authUser.uid, prompt.trim(), target);
+    const job = await createBuildJob(authUser.uid, prompt.trim(), target, {
+      templateId,
+      publish: publish === true,
+      models,
+    });
 
     // Start build asynchronously (don't await)
-    executeBuild(job.jobId).catch((error) => {
+    enqueueBuild(job.jobId).catch((error) => {
       console.error(`[Build Start] Build ${job.jobId} failed:`, error);
     });
 
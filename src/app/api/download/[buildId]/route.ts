@@ -3,6 +3,8 @@
  * Returns generated code as a ZIP file
  *
  * Supports both old buildId (Firestore) and new jobId (filesystem) formats
+ * ?format=static returns the job's latest static site export instead
+ * (created by POST /api/build/export)
  */
 
 import { NextRequest, NextResponse } from 'next/server';
@@ -10,7 +12,9 @@ import { verifyUser } from '@/lib/verifyUser';
 import { db } from '@/lib/firebaseAdmin';
 import { generateProjectFromBlueprint } from '@/lib/codegen';
 import { getJob, getGeneratedFiles, getFileContent } from '@/lib/builder/BuildOrchestrator';
+import { getStaticExportPath } from '@/lib/builder/StaticExporter';
 import archiver from 'archiver';
+import * as fs from 'fs/promises';
 
 export const dynamic = 'force-dynamic';
 
@@ -21,8 +25,8 @@ interface RouteParams {
 }
 
 /**
- * GET /api/download/[buildId]
- * Returns generated project as a ZIP file
+ * GET /api/download/[buildId][?format=static]
+ * Returns generated project (or its static export) as a ZIP file
  */
 export async function GET(
   request: NextRequest,
@@ -41,7 +45,7 @@ export async function GET(
     }
 
     // Try new job system first
-    const job = getJob(buildId);
+    const job = await getJob(buildId);
 
     let files: Record<string, string> = {};
     let appName = 'generated-app';
@@ -64,6 +68,10 @@ export async function GET(
 
       appName = job.blueprint?.appName || 'generated-app';
 
+      if (new URL(request.url).searchParams.get('format') === 'static') {
+        return await staticExportResponse(buildId, appName, !!job.staticExport);
+      }
+
       // Get all files from filesystem
       const fileList = await getGeneratedFiles(buildId);
       for (const filePath of fileList) {
@@ -162,3 +170,34 @@ export async function GET(
     );
   }
 }
+
+/**
+ * Serve the stored static site export of a job
+ */
+async function staticExportResponse(jobId: string, appName: string, exported: boolean) {
+  let zipBuffer: Buffer | null = null;
+  if (exported) {
+    try {
+      zipBuffer = await fs.readFile(getStaticExportPath(jobId));
+    } catch {
+      // Export was cleaned up with the cache
+    }
+  }
+
+  if (!zipBuffer) {
+    return NextResponse.json(
+      { error: 'No static export found - export the site first' },
+      { status: 404 }
+    );
+  }
+
+  const fileName = `${appName.toLowerCase().replace(/\s+/g, '-')}-${jobId.substring(0, 8)}-static`;
+
+  return new NextResponse(new Uint8Array(zipBuffer), {
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}.zip"`,
+      'Content-Length': zipBuffer.length.toString(),
+    },
+  });
+}
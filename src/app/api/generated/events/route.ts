@@ -0,0 +1,129 @@
+/**
+ * Generated File Events - Change Notifications via SSE
+ * GET /api/generated/events?jobId=XYZ
+ *
+ * Streams a `change` event whenever a file in the job's generated app is
+ * written, renamed or deleted (file editor, refine, repair, rollback).
+ * The preview panel hot-reloads on these: the serverless preview rebundles
+ * and reloads, a preview dev server picks the change up through Next HMR.
+ *
+ * Query params:
+ * - token: Firebase ID token (EventSource can't send headers)
+ *
+ * SSE Message Format (event: change):
+ * {
+ *   jobId: string,
+ *   changes: [{ path: string, type: "added" | "modified" | "deleted" }],
+ *   source: "editor" | "refine" | "repair" | "rollback",
+ *   timestamp: number
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { onFileChanges } from '@/lib/builder/FileEvents';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const KEEPALIVE_INTERVAL = 25000; // Below common proxy idle timeouts
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const jobId = searchParams.get('jobId');
+    const token = searchParams.get('token');
+
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    // Verify authentication - try header first, then query param
+    let authUser;
+    try {
+      authUser = await verifyUser(request);
+    } catch (headerError) {
+      if (token) {
+        const mockRequest = new Request(request.url, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        authUser = await verifyUser(mockRequest);
+      } else {
+        throw headerError;
+      }
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    const encoder = new TextEncoder();
+    let unsubscribe: (() => void) | null = null;
+    let keepalive: NodeJS.Timeout | null = null;
+
+    const stream = new ReadableStream({
+      start(controller) {
+        const send = (text: string) => {
+          try {
+            controller.enqueue(encoder.encode(text));
+          } catch (error) {
+            console.error('[File Events] Failed to send message:', error);
+          }
+        };
+
+        send(`event: connected\ndata: ${JSON.stringify({ jobId, timestamp: Date.now() })}\n\n`);
+
+        unsubscribe = onFileChanges(jobId, (event) => {
+          send(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+
+        keepalive = setInterval(() => send(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+      },
+
+      cancel() {
+        // Cleanup when client disconnects
+        unsubscribe?.();
+        if (keepalive) clearInterval(keepalive);
+      },
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Critical for Render.com/Nginx
+      },
+    });
+
+  } catch (error: any) {
+    console.error('[File Events] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to stream file events',
+        code: 'FILE_EVENTS_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
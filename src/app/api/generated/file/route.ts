@@ -11,15 +11,33 @@
  *   content: string,
  *   language: string  // For syntax highlighting
  * }
+ *
+ * Editing (build must be complete and idle; every edit is saved as a revision and
+ * the preview hot-reloads via /api/generated/events):
+ * PUT    { jobId, path, content }   - write (or create) a file
+ * PATCH  { jobId, path, newPath }   - rename a file
+ * DELETE ?jobId=XYZ&path=...        - delete a file
+ *
+ * Response: { success: true, jobId, changes: [{ path, type: "added" | "modified" | "deleted" }] }
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { verifyUser } from '@/lib/verifyUser';
-import { getJob, getFileContent } from '@/lib/builder/BuildOrchestrator';
+import {
+  getJob,
+  getFileContent,
+  isJobBusy,
+  isEditableFilePath,
+  writeGeneratedFile,
+  renameGeneratedFile,
+  deleteGeneratedFile,
+} from '@/lib/builder/BuildOrchestrator';
 
 export const dynamic = 'force-dynamic';
 export const runtime = 'nodejs';
 
+const MAX_FILE_SIZE = 1024 * 1024; // Characters per written file
+
 export async function GET(request: NextRequest) {
   try {
     // Verify authentication
@@ -45,7 +63,7 @@ export async function GET(request: NextRequest) {
     }
 
     // Get job and verify ownership
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       return NextResponse.json(
@@ -116,3 +134,166 @@ function detectLanguage(filePath: string): string {
 
   return languageMap[ext] || 'plaintext';
 }
+
+/**
+ * Ownership and status checks shared by the editing methods
+ * Returns an error response, or null if the job's files may be edited.
+ */
+async function checkEditableJob(jobId: unknown, uid: string): Promise<NextResponse | null> {
+  if (!jobId || typeof jobId !== 'string') {
+    return NextResponse.json(
+      { error: 'jobId is required' },
+      { status: 400 }
+    );
+  }
+
+  const job = await getJob(jobId);
+
+  if (!job) {
+    return NextResponse.json(
+      { error: 'Job not found' },
+      { status: 404 }
+    );
+  }
+
+  if (job.userId !== uid) {
+    return NextResponse.json(
+      { error: 'Unauthorized: You do not own this job' },
+      { status: 403 }
+    );
+  }
+
+  if (job.status !== 'complete') {
+    return NextResponse.json(
+      { error: `Build must be complete before its files can be edited (current status: ${job.status})` },
+      { status: 409 }
+    );
+  }
+
+  if (isJobBusy(job)) {
+    return NextResponse.json(
+      { error: `Build is busy (${job.operation}). Try again when it finishes.`, code: 'FILE_ERROR' },
+      { status: 409 }
+    );
+  }
+
+  return null;
+}
+
+function invalidPathResponse(filePath: unknown) {
+  return NextResponse.json(
+    { error: `Invalid file path: ${String(filePath)}` },
+    { status: 400 }
+  );
+}
+
+function editErrorResponse(error: any, fallback: string) {
+  if (error.code === 'ENOENT') {
+    return NextResponse.json(
+      { error: 'File not found', code: 'FILE_ERROR' },
+      { status: 404 }
+    );
+  }
+
+  // Target taken, or another change started since checkEditableJob
+  if (/already exists$| is busy \(/.test(error.message || '')) {
+    return NextResponse.json(
+      { error: error.message, code: 'FILE_ERROR' },
+      { status: 409 }
+    );
+  }
+
+  return NextResponse.json(
+    {
+      error: error.message || fallback,
+      code: 'FILE_ERROR',
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * Write (or create) a generated file
+ */
+export async function PUT(request: NextRequest) {
+  try {
+    const authUser = await verifyUser(request);
+    const { jobId, path: filePath, content } = await request.json();
+
+    const jobError = await checkEditableJob(jobId, authUser.uid);
+    if (jobError) return jobError;
+
+    if (!isEditableFilePath(filePath)) return invalidPathResponse(filePath);
+
+    if (typeof content !== 'string') {
+      return NextResponse.json(
+        { error: 'content must be a string' },
+        { status: 400 }
+      );
+    }
+
+    if (content.length > MAX_FILE_SIZE) {
+      return NextResponse.json(
+        { error: `Files must be under ${MAX_FILE_SIZE} characters` },
+        { status: 413 }
+      );
+    }
+
+    const changes = await writeGeneratedFile(jobId, filePath, content);
+
+    return NextResponse.json({ success: true, jobId, changes });
+
+  } catch (error: any) {
+    console.error('[Generated File] Write error:', error);
+    return editErrorResponse(error, 'Failed to write file');
+  }
+}
+
+/**
+ * Rename a generated file
+ */
+export async function PATCH(request: NextRequest) {
+  try {
+    const authUser = await verifyUser(request);
+    const { jobId, path: filePath, newPath } = await request.json();
+
+    const jobError = await checkEditableJob(jobId, authUser.uid);
+    if (jobError) return jobError;
+
+    if (!isEditableFilePath(filePath)) return invalidPathResponse(filePath);
+    if (!isEditableFilePath(newPath)) return invalidPathResponse(newPath);
+
+    const changes = await renameGeneratedFile(jobId, filePath, newPath);
+
+    return NextResponse.json({ success: true, jobId, changes });
+
+  } catch (error: any) {
+    console.error('[Generated File] Rename error:', error);
+    return editErrorResponse(error, 'Failed to rename file');
+  }
+}
+
+/**
+ * Delete a generated file
+ */
+export async function DELETE(request: NextRequest) {
+  try {
+    const authUser = await verifyUser(request);
+    const { searchParams } = new URL(request.url);
+    const jobId = searchParams.get('jobId');
+    const filePath = searchParams.get('path');
+
+    const jobError = await checkEditableJob(jobId, authUser.uid);
+    if (jobError) return jobError;
+
+    if (!isEditableFilePath(filePath)) return invalidPathResponse(filePath);
+
+    const changes = await deleteGeneratedFile(jobId as string, filePath);
+
+    return NextResponse.json({ success: true, jobId, changes });
+
+  } catch (error: any) {
+    console.error('[Generated File] Delete error:', error);
+    return editErrorResponse(error, 'Failed to delete file');
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Generated File Search API
+ * GET /api/generated/search?jobId=XYZ&q=Button[&caseSensitive=1]
+ *
+ * Finds a literal string across the generated project's source files
+ * (saved content; node_modules and build output excluded).
+ *
+ * Response:
+ * {
+ *   jobId: string,
+ *   query: string,
+ *   matches: [{ path: string, line: number, column: number, preview: string }],  // 1-based
+ *   truncated: boolean  // More than MAX_MATCHES matches
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { readProjectFiles } from '@/lib/builder/Revisions';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const MAX_MATCHES = 500;
+const MAX_QUERY_LENGTH = 200;
+const MAX_PREVIEW_LENGTH = 200;
+const TEXT_FILE = /\.(tsx?|jsx?|mjs|cjs|css|scss|json|md|mdx|html|txt|ya?ml|svg|gitignore)$/i;
+
+interface SearchMatch {
+  path: string;
+  line: number;
+  column: number;
+  preview: string;
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    // Verify authentication
+    const authUser = await verifyUser(request);
+
+    const { searchParams } = new URL(request.url);
+    const jobId = searchParams.get('jobId');
+    const query = searchParams.get('q') || '';
+    const caseSensitive = searchParams.get('caseSensitive') === '1';
+
+    if (!jobId) {
+      return NextResponse.json(
+        { error: 'jobId query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      return NextResponse.json(
+        { error: `q must be 1-${MAX_QUERY_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    if (!job.outputPath) {
+      return NextResponse.json(
+        { error: 'Build is not complete yet', status: job.status },
+        { status: 400 }
+      );
+    }
+
+    const files = await readProjectFiles(job.outputPath);
+    const needle = caseSensitive ? query : query.toLowerCase();
+    const matches: SearchMatch[] = [];
+    let truncated = false;
+
+    for (const filePath of Object.keys(files).sort()) {
+      if (!TEXT_FILE.test(filePath)) continue;
+
+      const lines = files[filePath].split('\n');
+      for (let i = 0; i < lines.length && !truncated; i++) {
+        const haystack = caseSensitive ? lines[i] : lines[i].toLowerCase();
+        let index = haystack.indexOf(needle);
+
+        while (index !== -1) {
+          if (matches.length === MAX_MATCHES) {
+            truncated = true;
+            break;
+          }
+
+          matches.push({
+            path: filePath,
+            line: i + 1,
+            column: index + 1,
+            preview: lines[i].trim().slice(0, MAX_PREVIEW_LENGTH),
+          });
+          index = haystack.indexOf(needle, index + needle.length);
+        }
+      }
+
+      if (truncated) break;
+    }
+
+    return NextResponse.json({
+      jobId,
+      query,
+      matches,
+      truncated,
+    });
+
+  } catch (error: any) {
+    console.error('[Generated Search] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to search files',
+        code: 'FILE_SEARCH_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
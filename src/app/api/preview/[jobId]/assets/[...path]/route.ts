@@ -0,0 +1,129 @@
+/**
+ * Serverless Preview Assets API
+ * GET /api/preview/[jobId]/assets/[...path]
+ *
+ * Serves files from the generated app's public/ directory to the preview
+ * bundle (images, fonts, favicons referenced as "/file.ext").
+ *
+ * Query params:
+ * - token: Firebase ID token (iframes can't send an Authorization header)
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf',
+};
+
+interface RouteParams {
+  params: {
+    jobId: string;
+    path: string[];
+  };
+}
+
+export async function GET(request: NextRequest, { params }: RouteParams) {
+  try {
+    const { jobId } = params;
+    const token = request.nextUrl.searchParams.get('token');
+
+    // Verify authentication - try header first, then query param
+    let authUser;
+    try {
+      authUser = await verifyUser(request);
+    } catch (headerError) {
+      if (token) {
+        const mockRequest = new Request(request.url, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        authUser = await verifyUser(mockRequest);
+      } else {
+        throw headerError;
+      }
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    // Resolve inside public/ only
+    const publicDir = path.join(process.cwd(), '.cache', 'vibecode', jobId, 'generated', 'public');
+    const filePath = path.resolve(publicDir, ...(params.path || []));
+
+    if (!filePath.startsWith(publicDir + path.sep)) {
+      return NextResponse.json(
+        { error: 'Invalid asset path' },
+        { status: 400 }
+      );
+    }
+
+    let content: Buffer;
+    try {
+      content = await fs.readFile(filePath);
+    } catch {
+      return NextResponse.json(
+        { error: 'Asset not found' },
+        { status: 404 }
+      );
+    }
+
+    return new Response(new Uint8Array(content), {
+      status: 200,
+      headers: {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'private, max-age=60',
+      },
+    });
+
+  } catch (error: any) {
+    console.error('[Preview Assets] Error:', error);
+    return NextResponse.json(
+      {
+        error: error.message || 'Failed to load asset',
+        code: 'PREVIEW_ASSET_ERROR',
+      },
+      { status: 500 }
+    );
+  }
+}
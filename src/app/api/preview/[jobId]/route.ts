@@ -3,7 +3,13 @@
  * GET /api/preview/[jobId]
  *
  * Serves generated app preview from .cache directory
- * Bundles HTML/CSS/JS and serves as a complete document
+ * Next.js apps are bundled with esbuild (see lib/livepreview/previewBundler)
+ * and run client-side; the iframe navigates between pages with a hash router.
+ * Every document gets the preview bridge, which forwards console output and
+ * runtime errors to the builder.
+ *
+ * Query params:
+ * - token: Firebase ID token (iframes can't send an Authorization header)
  *
  * This replaces the Express preview server with a serverless-compatible approach
  */
@@ -11,6 +17,14 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { verifyUser } from '@/lib/verifyUser';
 import { getJob } from '@/lib/builder/BuildOrchestrator';
+import {
+  findAppDir,
+  getPreviewBundle,
+  renderPreviewDocument,
+  renderBundleErrorDocument,
+  PreviewBundleFailure,
+} from '@/lib/livepreview/previewBundler';
+import { injectPreviewBridge } from '@/lib/livepreview/previewBridge';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import { existsSync } from 'fs';
@@ -27,9 +41,27 @@ interface RouteParams {
 
 export async function GET(request: NextRequest, { params }: RouteParams) {
   try {
-    // Verify authentication
-    const authUser = await verifyUser(request);
     const { jobId } = params;
+    const token = request.nextUrl.searchParams.get('token');
+
+    // Verify authentication - try header first, then query param
+    let authUser;
+    try {
+      authUser = await verifyUser(request);
+    } catch (headerError) {
+      // If header auth fails, try token from query param
+      if (token) {
+        // Create a mock request with the token in the header
+        const mockRequest = new Request(request.url, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        authUser = await verifyUser(mockRequest);
+      } else {
+        throw headerError;
+      }
+    }
 
     if (!jobId) {
       return NextResponse.json(
@@ -39,7 +71,7 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
     }
 
     // Get job and verify ownership
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       return NextResponse.json(
@@ -75,8 +107,7 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
 
     // Find index.html or main entry point
     const indexPath = path.join(cacheDir, 'index.html');
-    const appPath = path.join(cacheDir, 'app', 'page.tsx');
-    const srcPath = path.join(cacheDir, 'src');
+    const appDir = await findAppDir(cacheDir);
 
     let htmlContent = '';
 
@@ -88,8 +119,8 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
       htmlContent = injectBaseTag(htmlContent, jobId);
     }
     // Strategy 2: Next.js app (needs bundling)
-    else if (existsSync(appPath) || existsSync(srcPath)) {
-      htmlContent = await bundleNextJsApp(cacheDir, jobId);
+    else if (appDir) {
+      htmlContent = await bundleNextJsApp(cacheDir, jobId, token);
     }
     // Strategy 3: React app
     else {
@@ -97,7 +128,7 @@ export async function GET(request: NextRequest, { params }: RouteParams) {
     }
 
     // Serve the bundled HTML
-    return new Response(htmlContent, {
+    return new Response(injectPreviewBridge(htmlContent), {
       status: 200,
       headers: {
         'Content-Type': 'text/html; charset=utf-8',
@@ -134,64 +165,25 @@ function injectBaseTag(html: string, jobId: string): string {
 
 /**
  * Bundle Next.js app into single HTML
+ * Compile errors are rendered as a page instead of failing the request,
+ * so the preview iframe shows what to fix.
  */
-async function bundleNextJsApp(cacheDir: string, jobId: string): Promise<string> {
-  // Read app/page.tsx or src/app/page.tsx
-  const possiblePaths = [
-    path.join(cacheDir, 'app', 'page.tsx'),
-    path.join(cacheDir, 'src', 'app', 'page.tsx'),
-    path.join(cacheDir, 'app', 'page.jsx'),
-    path.join(cacheDir, 'src', 'app', 'page.jsx'),
-  ];
+async function bundleNextJsApp(cacheDir: string, jobId: string, token: string | null): Promise<string> {
+  try {
+    const bundle = await getPreviewBundle(jobId, cacheDir);
 
-  let pageContent = '';
-  for (const pagePath of possiblePaths) {
-    if (existsSync(pagePath)) {
-      pageContent = await fs.readFile(pagePath, 'utf-8');
-      break;
+    return renderPreviewDocument(bundle, {
+      title: `Preview - ${jobId}`,
+      assetBase: `/api/preview/${jobId}/assets`,
+      assetQuery: token ? `?token=${encodeURIComponent(token)}` : '',
+    });
+  } catch (error) {
+    if (error instanceof PreviewBundleFailure) {
+      console.warn(`[Preview API] Bundle failed for ${jobId}:`, error.errors[0]?.message);
+      return renderBundleErrorDocument(error.errors);
     }
+    throw error;
   }
-
-  if (!pageContent) {
-    throw new Error('No page component found in generated app');
-  }
-
-  // Extract JSX content and create a simple preview
-  // This is a simplified approach - for production, you'd want proper bundling
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Preview - ${jobId}</title>
-  <script src="https://cdn.tailwindcss.com"></script>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    body {
-      font-family: system-ui, -apple-system, sans-serif;
-    }
-  </style>
-</head>
-<body>
-  <div id="preview-root">
-    <div class="p-8">
-      <div class="bg-blue-50 border border-blue-200 rounded-lg p-6 mb-4">
-        <h2 class="text-xl font-bold text-blue-900 mb-2">🎨 Preview Mode</h2>
-        <p class="text-blue-700">Your Next.js app is being rendered. For full functionality, download the code and run it locally.</p>
-      </div>
-      <div class="prose max-w-none">
-        <pre class="bg-gray-100 p-4 rounded overflow-auto"><code>${escapeHtml(pageContent)}</code></pre>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-  `.trim();
 }
 
 /**
@@ -0,0 +1,78 @@
+/**
+ * Preview Routes API
+ * GET /api/preview/[jobId]/routes
+ *
+ * Pages of a completed build's Next.js app, as found by the preview bundler
+ * (the same routes the serverless preview serves). Feeds the preview's route picker.
+ *
+ * Response:
+ * {
+ *   routes: string[] // Next.js style route paths, e.g. /tasks/[id]
+ * }
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { findAppDir, getPreviewBundle, PreviewBundleFailure } from '@/lib/livepreview/previewBundler';
+import * as path from 'path';
+import { existsSync } from 'fs';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const maxDuration = 60; // Bundles the app if it isn't cached yet
+
+interface RouteParams {
+  params: {
+    jobId: string;
+  };
+}
+
+export async function GET(request: NextRequest, { params }: RouteParams) {
+  try {
+    const authUser = await verifyUser(request);
+    const { jobId } = params;
+
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found', code: 'PREVIEW_ROUTES_ERROR' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job', code: 'PREVIEW_ROUTES_ERROR' },
+        { status: 403 }
+      );
+    }
+
+    if (job.status !== 'complete') {
+      return NextResponse.json(
+        { error: `Build is ${job.status}. Wait for completion before previewing.`, code: 'PREVIEW_ROUTES_ERROR' },
+        { status: 400 }
+      );
+    }
+
+    const cacheDir = path.join(process.cwd(), '.cache', 'vibecode', jobId, 'generated');
+    if (!existsSync(cacheDir) || !(await findAppDir(cacheDir))) {
+      return NextResponse.json({ routes: [] });
+    }
+
+    const bundle = await getPreviewBundle(jobId, cacheDir);
+    return NextResponse.json({ routes: bundle.routes });
+  } catch (error: any) {
+    if (error instanceof PreviewBundleFailure) {
+      // The preview shows the compile errors; there are no pages to pick until they're fixed
+      return NextResponse.json({ routes: [] });
+    }
+
+    console.error('[Preview Routes API] Error:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to load preview routes', code: 'PREVIEW_ROUTES_ERROR' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Preview Server Lookup (internal)
+ * GET /api/preview/[jobId]/server
+ *
+ * Used by server.js, which proxies preview HMR websockets outside of Next:
+ * - On upgrade, to find the port of the job's running dev server
+ * - While a websocket carries traffic, to postpone the server's idle shutdown
+ *
+ * Only accepts loopback requests carrying PREVIEW_PROXY_SECRET in the
+ * PREVIEW_PROXY_SECRET_HEADER header. Every call counts as preview traffic.
+ *
+ * Response: { port } of the ready dev server, or 404 if none is running
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { getPreviewServer, touchPreviewServer } from '@/lib/builder/PreviewServerManager';
+import { verifyPreviewProxySecret, PREVIEW_PROXY_SECRET_HEADER } from '@/lib/livepreview/previewProxy';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+interface RouteParams {
+  params: {
+    jobId: string;
+  };
+}
+
+export async function GET(request: NextRequest, { params }: RouteParams) {
+  if (!verifyPreviewProxySecret(request.headers.get(PREVIEW_PROXY_SECRET_HEADER))) {
+    return NextResponse.json(
+      { error: 'Unauthorized', code: 'PREVIEW_SERVER_ERROR' },
+      { status: 401 }
+    );
+  }
+
+  const server = getPreviewServer(params.jobId);
+  if (!server || server.status !== 'ready') {
+    return NextResponse.json(
+      { error: 'Preview server is not running', code: 'PREVIEW_SERVER_ERROR' },
+      { status: 404 }
+    );
+  }
+
+  touchPreviewServer(params.jobId);
+  return NextResponse.json({ port: server.port });
+}
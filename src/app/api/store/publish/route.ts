@@ -103,7 +103,7 @@ export async function POST(request: NextRequest) {
     // Step 5: Verify build exists and is complete
     console.log('[Store Publish API] ✅ Step 5/5: Verifying build status...');
 
-    const job = getJob(jobId);
+    const job = await getJob(jobId);
 
     if (!job) {
       console.error('[Store Publish API] ❌ Build not found:', jobId);
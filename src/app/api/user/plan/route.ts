@@ -2,12 +2,15 @@
  * User Plan API
  * GET /api/user/plan
  *
- * Returns the current user's subscription plan and metadata.
+ * Returns the current user's subscription plan and metadata,
+ * including this month's AI usage:
+ * usageThisMonth: { month, calls, promptTokens, completionTokens, costUsd, estimatedCalls,
+ *                   byModel: { "provider:model": { calls, promptTokens, completionTokens, costUsd } } }
  */
 
 import { NextRequest, NextResponse } from 'next/server';
 import { verifyUser } from '@/lib/verifyUser';
-import { getUserPlan } from '@/lib/user/userPlan';
+import { getUserPlan, emptyMonthlyUsage } from '@/lib/user/userPlan';
 
 export const dynamic = 'force-dynamic';
 export const runtime = 'nodejs';
@@ -25,7 +28,8 @@ export async function GET(request: NextRequest) {
         plan: 'free',
         buildsThisMonth: 0,
         buildLimit: 0,
-        subscriptionStatus: null
+        subscriptionStatus: null,
+        usageThisMonth: emptyMonthlyUsage()
       });
     }
 
@@ -35,7 +39,8 @@ export async function GET(request: NextRequest) {
       buildsThisMonth: planData.buildsThisMonth || 0,
       buildLimit: planData.buildLimit || 0,
       subscriptionStatus: planData.subscriptionStatus,
-      stripeCustomerId: planData.stripeCustomerId
+      stripeCustomerId: planData.stripeCustomerId,
+      usageThisMonth: planData.usageThisMonth
     });
 
   } catch (error: any) {
@@ -0,0 +1,134 @@
+/**
+ * Code Editor Component
+ * Plain textarea over a syntax-highlighted copy of its text: native editing,
+ * selection and undo, colored output. Both layers share font metrics and
+ * grow with the content inside one scroll container, so they never drift.
+ *
+ * Keys: Tab indents (2 spaces), Ctrl/Cmd+S saves.
+ */
+
+'use client';
+
+import { useEffect, useMemo, useRef, KeyboardEvent } from 'react';
+import { tokenize, EditorLanguage, TokenType } from './syntaxHighlight';
+
+const LINE_HEIGHT = 20; // px - must match the leading of both layers
+const INDENT = '  ';
+
+const TOKEN_CLASSES: Record<TokenType, string> = {
+  comment: 'text-white/40 italic',
+  string: 'text-green-400',
+  keyword: 'text-purple-400',
+  number: 'text-orange-300',
+  tag: 'text-blue-400',
+  property: 'text-sky-300',
+  function: 'text-yellow-200',
+  type: 'text-teal-300',
+  punctuation: 'text-white/60',
+  plain: 'text-white/85',
+};
+
+interface CodeEditorProps {
+  value: string;
+  language: EditorLanguage;
+  onChange: (value: string) => void;
+  onSave?: () => void;
+  reveal?: { line: number; column: number } | null; // Scroll to and select this position
+  onRevealed?: () => void;
+  readOnly?: boolean;
+}
+
+export function CodeEditor({
+  value,
+  language,
+  onChange,
+  onSave,
+  reveal,
+  onRevealed,
+  readOnly = false,
+}: CodeEditorProps) {
+  const scrollRef = useRef<HTMLDivElement>(null);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+
+  const tokens = useMemo(() => tokenize(value, language), [value, language]);
+  const lineCount = useMemo(() => value.split('\n').length, [value]);
+
+  // Jump to a position (search results)
+  useEffect(() => {
+    if (!reveal || !textareaRef.current || !scrollRef.current) return;
+
+    const lines = value.split('\n');
+    const line = Math.min(Math.max(reveal.line, 1), lines.length);
+    const offset = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0) + reveal.column - 1;
+
+    textareaRef.current.focus({ preventScroll: true });
+    textareaRef.current.setSelectionRange(offset, offset);
+    scrollRef.current.scrollTop = Math.max(0, (line - 1) * LINE_HEIGHT - scrollRef.current.clientHeight / 3);
+    onRevealed?.();
+  }, [reveal, value]);
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLTextAreaElement>) => {
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 's') {
+      event.preventDefault();
+      onSave?.();
+      return;
+    }
+
+    if (event.key === 'Tab' && !event.shiftKey && !readOnly) {
+      event.preventDefault();
+      // insertText keeps the browser's undo history; fall back to a manual edit
+      if (!document.execCommand('insertText', false, INDENT)) {
+        const textarea = event.currentTarget;
+        const { selectionStart, selectionEnd } = textarea;
+        onChange(value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd));
+        requestAnimationFrame(() => {
+          textarea.setSelectionRange(selectionStart + INDENT.length, selectionStart + INDENT.length);
+        });
+      }
+    }
+  };
+
+  const layerStyle = { lineHeight: `${LINE_HEIGHT}px`, tabSize: 2 };
+
+  return (
+    <div ref={scrollRef} className="h-full overflow-auto custom-scrollbar font-mono text-xs bg-[#0d1117]">
+      <div className="flex min-w-max min-h-full">
+        {/* Line numbers */}
+        <div
+          className="sticky left-0 z-10 flex-shrink-0 py-3 pl-3 pr-2 text-right text-white/25 bg-[#0d1117] border-r border-white/5 select-none"
+          style={layerStyle}
+          aria-hidden
+        >
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index}>{index + 1}</div>
+          ))}
+        </div>
+
+        {/* Highlighted text, with the textarea on top */}
+        <div className="relative flex-1">
+          <pre className="m-0 py-3 px-3 whitespace-pre" style={layerStyle} aria-hidden>
+            {tokens.map((token, index) => (
+              <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+            ))}
+            {/* Keeps a trailing empty line visible */}
+            {'\n'}
+          </pre>
+          <textarea
+            ref={textareaRef}
+            value={value}
+            onChange={(event) => onChange(event.target.value)}
+            onKeyDown={handleKeyDown}
+            readOnly={readOnly}
+            spellCheck={false}
+            autoCapitalize="off"
+            autoComplete="off"
+            autoCorrect="off"
+            wrap="off"
+            className="absolute inset-0 w-full h-full m-0 py-3 px-3 resize-none overflow-hidden whitespace-pre bg-transparent text-transparent caret-white outline-none selection:bg-purple-500/40"
+            style={layerStyle}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
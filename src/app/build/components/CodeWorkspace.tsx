@@ -0,0 +1,274 @@
+/**
+ * Code Workspace Component
+ * The Code Viewer tab: open-file tabs, the editor, and find/replace across
+ * the generated project. Saves go through /api/generated/file (the preview
+ * hot-reloads from there).
+ */
+
+'use client';
+
+import { useState, FormEvent } from 'react';
+import { authFetch } from '@/lib/authFetch';
+import { CodeEditor } from './CodeEditor';
+import { useEditorStore, isDirty } from './useEditorStore';
+
+interface SearchMatch {
+  path: string;
+  line: number;
+  column: number;
+  preview: string;
+}
+
+interface CodeWorkspaceProps {
+  jobId: string;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function CodeWorkspace({ jobId }: CodeWorkspaceProps) {
+  const {
+    openFiles,
+    activePath,
+    reveal,
+    openFile,
+    closeFile,
+    setActivePath,
+    updateContent,
+    saveFile,
+    saveAll,
+    replaceInFiles,
+    clearReveal,
+  } = useEditorStore();
+
+  // Find / replace
+  const [showSearch, setShowSearch] = useState(false);
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [matches, setMatches] = useState<SearchMatch[]>([]);
+  const [searchInfo, setSearchInfo] = useState<string | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const activeFile = openFiles.find((file) => file.path === activePath) || null;
+  const dirtyCount = openFiles.filter(isDirty).length;
+
+  const handleClose = (path: string) => {
+    const file = openFiles.find((openFile) => openFile.path === path);
+    if (file && isDirty(file) && !window.confirm(`Discard unsaved changes to ${path}?`)) return;
+    closeFile(path);
+  };
+
+  const handleSearch = async (event?: FormEvent) => {
+    event?.preventDefault();
+    if (!query) return;
+
+    setIsSearching(true);
+    setSearchInfo(null);
+    try {
+      const response = await authFetch(
+        `/api/generated/search?jobId=${jobId}&q=${encodeURIComponent(query)}${caseSensitive ? '&caseSensitive=1' : ''}`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Search failed');
+      }
+
+      setMatches(data.matches);
+      const fileCount = new Set(data.matches.map((match: SearchMatch) => match.path)).size;
+      setSearchInfo(
+        `${data.matches.length}${data.truncated ? '+' : ''} matches in ${fileCount} files` +
+          (dirtyCount > 0 ? ' (saved content)' : '')
+      );
+    } catch (error: any) {
+      console.error('[CodeWorkspace] Search failed:', error);
+      setMatches([]);
+      setSearchInfo(error.message || 'Search failed');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleReplaceAll = async () => {
+    if (!query || matches.length === 0) return;
+
+    const pattern = new RegExp(escapeRegExp(query), caseSensitive ? 'g' : 'gi');
+    const paths = Array.from(new Set(matches.map((match) => match.path)));
+    const changed = await replaceInFiles(paths, (content) => content.replace(pattern, () => replacement));
+
+    setMatches([]);
+    setSearchInfo(`Replaced in ${changed} files - review and save`);
+  };
+
+  // Matches grouped by file
+  const groupedMatches = matches.reduce<Record<string, SearchMatch[]>>((groups, match) => {
+    (groups[match.path] = groups[match.path] || []).push(match);
+    return groups;
+  }, {});
+
+  return (
+    <div className="h-full flex flex-col bg-[#0d1117]">
+      {/* Tabs + actions */}
+      <div className="flex items-stretch border-b border-white/10 bg-white/5">
+        <div className="flex-1 flex overflow-x-auto custom-scrollbar">
+          {openFiles.map((file) => {
+            const isActive = file.path === activePath;
+            return (
+              <div
+                key={file.path}
+                onClick={() => setActivePath(file.path)}
+                title={file.path}
+                className={`group flex items-center gap-1.5 px-3 py-2 text-xs font-mono cursor-pointer border-r border-white/10 whitespace-nowrap ${
+                  isActive ? 'bg-[#0d1117] text-white' : 'text-white/60 hover:text-white/80 hover:bg-white/5'
+                }`}
+              >
+                <span>{file.path.split('/').pop()}</span>
+                {isDirty(file) ? (
+                  <span className="text-yellow-300" title="Unsaved changes">●</span>
+                ) : file.isSaving ? (
+                  <span className="text-white/40 animate-pulse">…</span>
+                ) : null}
+                <button
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    handleClose(file.path);
+                  }}
+                  className="text-white/30 hover:text-white/80 opacity-60 group-hover:opacity-100"
+                  title="Close"
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-1.5 px-2 flex-shrink-0">
+          <button
+            onClick={() => setShowSearch(!showSearch)}
+            className={`px-2 py-1 rounded-md text-xs font-semibold transition-all ${
+              showSearch ? 'bg-purple-500/30 text-white' : 'bg-white/5 text-white/60 hover:bg-white/10 hover:text-white/80'
+            }`}
+            title="Find / replace in project"
+          >
+            🔍
+          </button>
+          <button
+            onClick={() => activeFile && saveFile(activeFile.path)}
+            disabled={!activeFile || !isDirty(activeFile) || activeFile.isSaving}
+            className="px-2.5 py-1 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-md text-xs font-semibold transition-all disabled:opacity-30"
+            title="Save (Ctrl+S)"
+          >
+            Save
+          </button>
+          {dirtyCount > 1 && (
+            <button
+              onClick={() => saveAll()}
+              className="px-2.5 py-1 bg-white/10 hover:bg-white/20 text-white rounded-md text-xs font-semibold transition-all"
+            >
+              Save all ({dirtyCount})
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Find / replace across the project */}
+      {showSearch && (
+        <div className="border-b border-white/10 bg-white/5 p-2 space-y-2 max-h-[40%] flex flex-col">
+          <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-1.5">
+            <input
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Find in project"
+              className="flex-1 min-w-[120px] px-2 py-1 bg-black/30 border border-white/10 rounded text-xs font-mono text-white placeholder-white/30 outline-none focus:border-purple-400/60"
+            />
+            <input
+              value={replacement}
+              onChange={(event) => setReplacement(event.target.value)}
+              placeholder="Replace with"
+              className="flex-1 min-w-[120px] px-2 py-1 bg-black/30 border border-white/10 rounded text-xs font-mono text-white placeholder-white/30 outline-none focus:border-purple-400/60"
+            />
+            <button
+              type="button"
+              onClick={() => setCaseSensitive(!caseSensitive)}
+              className={`px-2 py-1 rounded text-xs font-mono ${caseSensitive ? 'bg-purple-500/30 text-white' : 'bg-white/5 text-white/50'}`}
+              title="Match case"
+            >
+              Aa
+            </button>
+            <button
+              type="submit"
+              disabled={!query || isSearching}
+              className="px-2.5 py-1 bg-white/10 hover:bg-white/20 text-white rounded text-xs font-semibold disabled:opacity-30"
+            >
+              {isSearching ? 'Searching…' : 'Find'}
+            </button>
+            <button
+              type="button"
+              onClick={handleReplaceAll}
+              disabled={matches.length === 0}
+              className="px-2.5 py-1 bg-white/10 hover:bg-white/20 text-white rounded text-xs font-semibold disabled:opacity-30"
+            >
+              Replace all
+            </button>
+          </form>
+
+          {searchInfo && <div className="text-[11px] text-white/50">{searchInfo}</div>}
+
+          {matches.length > 0 && (
+            <div className="overflow-y-auto custom-scrollbar text-xs font-mono">
+              {Object.entries(groupedMatches).map(([path, fileMatches]) => (
+                <div key={path} className="mb-1">
+                  <div className="text-white/70 font-semibold py-0.5">{path}</div>
+                  {fileMatches.map((match) => (
+                    <button
+                      key={`${match.line}:${match.column}`}
+                      onClick={() => openFile(jobId, match.path, { line: match.line, column: match.column })}
+                      className="w-full text-left flex gap-2 pl-3 py-0.5 rounded text-white/60 hover:bg-white/10 hover:text-white"
+                    >
+                      <span className="text-white/30 flex-shrink-0">{match.line}</span>
+                      <span className="truncate">{match.preview}</span>
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Editor */}
+      <div className="flex-1 min-h-0">
+        {!activeFile ? (
+          <div className="flex items-center justify-center h-full text-white/50 text-sm">
+            Select a file from the File Tree tab
+          </div>
+        ) : activeFile.isLoading ? (
+          <div className="flex items-center justify-center h-full">
+            <div className="text-white/50 text-xs animate-pulse">Loading...</div>
+          </div>
+        ) : (
+          <div className="h-full flex flex-col">
+            {activeFile.error && (
+              <div className="px-3 py-1.5 text-xs text-red-300 bg-red-500/10 border-b border-red-500/20">
+                {activeFile.error}
+              </div>
+            )}
+            <div className="flex-1 min-h-0">
+              <CodeEditor
+                key={activeFile.path}
+                value={activeFile.content}
+                language={activeFile.language}
+                onChange={(content) => updateContent(activeFile.path, content)}
+                onSave={() => saveFile(activeFile.path)}
+                reveal={reveal?.path === activeFile.path ? reveal : null}
+                onRevealed={clearReveal}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 /**
  * File Tree Component - Fixed Version
  * Displays hierarchical file/folder structure with expand/collapse
+ * Files with unsaved edits (and their folders) are marked
  */
 
 'use client';
@@ -18,10 +19,11 @@ interface FileTreeProps {
   node: FileNode;
   selectedFile: string | null;
   onSelectFile: (path: string) => void;
+  modifiedFiles?: Set<string>; // Paths with unsaved edits
   depth?: number;
 }
 
-export function FileTree({ node, selectedFile, onSelectFile, depth = 0 }: FileTreeProps) {
+export function FileTree({ node, selectedFile, onSelectFile, modifiedFiles, depth = 0 }: FileTreeProps) {
   const [isExpanded, setIsExpanded] = useState(true);
 
   const handleClick = () => {
@@ -33,6 +35,9 @@ export function FileTree({ node, selectedFile, onSelectFile, depth = 0 }: FileTr
   };
 
   const isSelected = node.type === 'file' && selectedFile === node.path;
+  const isModified = !!modifiedFiles && (node.type === 'file'
+    ? modifiedFiles.has(node.path)
+    : Array.from(modifiedFiles).some((filePath) => filePath.startsWith(`${node.path}/`)));
   const paddingLeft = depth * 12 + 8;
 
   // Get file icon based on extension
@@ -83,6 +88,9 @@ export function FileTree({ node, selectedFile, onSelectFile, depth = 0 }: FileTr
       >
         <span className="text-sm">{getFileIcon(node.name)}</span>
         <span className="truncate flex-1">{node.name}</span>
+        {isModified && (
+          <span className="text-yellow-300 text-[10px]" title="Unsaved changes">●</span>
+        )}
         {node.type === 'folder' && node.children && node.children.length > 0 && (
           <span className="text-white/40 text-[10px]">
             {isExpanded ? '▼' : '▶'}
@@ -99,6 +107,7 @@ export function FileTree({ node, selectedFile, onSelectFile, depth = 0 }: FileTr
               node={child}
               selectedFile={selectedFile}
               onSelectFile={onSelectFile}
+              modifiedFiles={modifiedFiles}
               depth={depth + 1}
             />
           ))}
@@ -115,10 +124,11 @@ interface FileTreeRootProps {
   tree: FileNode | null;
   selectedFile: string | null;
   onSelectFile: (path: string) => void;
+  modifiedFiles?: Set<string>;
   isLoading?: boolean;
 }
 
-export function FileTreeRoot({ tree, selectedFile, onSelectFile, isLoading }: FileTreeRootProps) {
+export function FileTreeRoot({ tree, selectedFile, onSelectFile, modifiedFiles, isLoading }: FileTreeRootProps) {
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-full py-8">
@@ -149,6 +159,7 @@ export function FileTreeRoot({ tree, selectedFile, onSelectFile, isLoading }: Fi
           node={child}
           selectedFile={selectedFile}
           onSelectFile={onSelectFile}
+          modifiedFiles={modifiedFiles}
           depth={0}
         />
       ))}
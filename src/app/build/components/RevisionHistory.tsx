@@ -0,0 +1,191 @@
+/**
+ * Revision History Component
+ * Lists build revisions with per-revision diffs and rollback
+ */
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import { authFetch } from '@/lib/authFetch';
+
+interface RevisionSummary {
+  revision: number;
+  kind: 'build' | 'refine' | 'rollback' | 'repair' | 'edit';
+  prompt: string;
+  summary: string;
+  createdAt: number;
+  parent: number | null;
+  rolledBackTo?: number;
+  changes: Array<{ path: string; type: 'added' | 'modified' | 'deleted' }>;
+  fileCount: number;
+}
+
+interface RevisionHistoryProps {
+  jobId: string;
+  onRolledBack?: () => void;
+}
+
+const KIND_ICONS: Record<RevisionSummary['kind'], string> = {
+  build: '🚀',
+  refine: '✏️',
+  rollback: '⏪',
+  repair: '🔧',
+  edit: '📝',
+};
+
+export function RevisionHistory({ jobId, onRolledBack }: RevisionHistoryProps) {
+  const [revisions, setRevisions] = useState<RevisionSummary[]>([]);
+  const [currentRevision, setCurrentRevision] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [openDiff, setOpenDiff] = useState<number | null>(null);
+  const [diffText, setDiffText] = useState<string>('');
+  const [isLoadingDiff, setIsLoadingDiff] = useState(false);
+  const [rollingBack, setRollingBack] = useState<number | null>(null);
+
+  const loadRevisions = async () => {
+    setIsLoading(true);
+    try {
+      const response = await authFetch(`/api/build/revisions?jobId=${jobId}`);
+      const data = await response.json();
+      setRevisions((data.revisions || []).slice().reverse()); // Newest first
+      setCurrentRevision(data.currentRevision ?? null);
+    } catch (error) {
+      console.error('[RevisionHistory] Failed to load revisions:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setOpenDiff(null);
+    loadRevisions();
+  }, [jobId]);
+
+  const toggleDiff = async (revision: RevisionSummary) => {
+    if (openDiff === revision.revision) {
+      setOpenDiff(null);
+      return;
+    }
+
+    setOpenDiff(revision.revision);
+    setIsLoadingDiff(true);
+    try {
+      const response = await authFetch(
+        `/api/build/revisions/diff?jobId=${jobId}&to=${revision.revision}`
+      );
+      const data = await response.json();
+      setDiffText(data.diff || (data.from === null ? '// Initial build - no earlier revision' : '// No changes'));
+    } catch (error) {
+      console.error('[RevisionHistory] Failed to load diff:', error);
+      setDiffText('// Error loading diff');
+    } finally {
+      setIsLoadingDiff(false);
+    }
+  };
+
+  const rollback = async (revision: number) => {
+    if (!confirm(`Restore revision ${revision}? Your current version stays in history.`)) {
+      return;
+    }
+
+    setRollingBack(revision);
+    try {
+      const response = await authFetch('/api/build/revisions/rollback', {
+        method: 'POST',
+        body: JSON.stringify({ jobId, revision }),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Rollback failed');
+      }
+
+      await loadRevisions();
+      onRolledBack?.();
+    } catch (error: any) {
+      console.error('[RevisionHistory] Rollback failed:', error);
+      alert(error.message || 'Rollback failed');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  if (isLoading && revisions.length === 0) {
+    return <div className="text-white/50 text-xs animate-pulse py-4 text-center">Loading history...</div>;
+  }
+
+  if (revisions.length === 0) {
+    return <p className="text-white/40 text-xs py-4 text-center">No revisions yet</p>;
+  }
+
+  return (
+    <div className="space-y-1.5">
+      {revisions.map((revision) => {
+        const isCurrent = revision.revision === currentRevision;
+
+        return (
+          <div
+            key={revision.revision}
+            className={`rounded border text-xs ${isCurrent ? 'border-purple-500/50 bg-purple-500/10' : 'border-white/10 bg-white/5'}`}
+          >
+            <div className="px-2 py-1.5 flex items-start gap-2">
+              <span>{KIND_ICONS[revision.kind]}</span>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 text-white/80">
+                  <span className="font-mono font-semibold">r{revision.revision}</span>
+                  {isCurrent && <span className="text-purple-300 text-[10px]">current</span>}
+                  <span className="text-white/40 text-[10px] ml-auto">
+                    {new Date(revision.createdAt).toLocaleTimeString()}
+                  </span>
+                </div>
+                <p className="text-white/60 truncate" title={revision.prompt}>{revision.summary}</p>
+                <p className="text-white/40 text-[10px]">
+                  {revision.kind === 'build' ? `${revision.fileCount} files` : `${revision.changes.length} file(s) changed`}
+                </p>
+              </div>
+            </div>
+
+            <div className="flex gap-2 px-2 pb-1.5">
+              <button
+                onClick={() => toggleDiff(revision)}
+                className="text-[10px] text-white/60 hover:text-white"
+              >
+                {openDiff === revision.revision ? 'Hide diff' : 'View diff'}
+              </button>
+              {!isCurrent && (
+                <button
+                  onClick={() => rollback(revision.revision)}
+                  disabled={rollingBack !== null}
+                  className="text-[10px] text-purple-300 hover:text-purple-200 disabled:opacity-50"
+                >
+                  {rollingBack === revision.revision ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+            </div>
+
+            {openDiff === revision.revision && (
+              <pre className="max-h-64 overflow-auto custom-scrollbar border-t border-white/10 p-2 text-[10px] font-mono leading-relaxed">
+                {isLoadingDiff ? (
+                  <span className="text-white/50 animate-pulse">Loading diff...</span>
+                ) : (
+                  diffText.split('\n').map((line, index) => (
+                    <div
+                      key={index}
+                      className={
+                        line.startsWith('+') ? 'text-green-400'
+                          : line.startsWith('-') ? 'text-red-400'
+                          : line.startsWith('@@') ? 'text-blue-300'
+                          : 'text-white/50'
+                      }
+                    >
+                      {line || ' '}
+                    </div>
+                  ))
+                )}
+              </pre>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * Syntax Highlighting - Lightweight tokenizer for the code editor
+ * Covers the languages generated apps are made of: tsx/ts/js, css, json, md.
+ * Good enough for coloring; not a parser.
+ */
+
+export type EditorLanguage = 'typescript' | 'css' | 'json' | 'markdown' | 'plaintext';
+
+export type TokenType =
+  | 'comment'
+  | 'string'
+  | 'keyword'
+  | 'number'
+  | 'tag'
+  | 'property'
+  | 'function'
+  | 'type'
+  | 'punctuation'
+  | 'plain';
+
+export interface Token {
+  type: TokenType;
+  text: string;
+}
+
+// Tried in order at each position; all sticky
+const RULES: Record<Exclude<EditorLanguage, 'plaintext'>, Array<[TokenType, RegExp]>> = {
+  typescript: [
+    ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\[\s\S])*`?/y],
+    ['tag', /<\/?[A-Za-z][\w.]*/y],
+    ['keyword', /\b(?:import|export|from|default|const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|implements|interface|type|enum|async|await|try|catch|finally|throw|typeof|instanceof|keyof|in|of|as|null|undefined|true|false|this|void|yield|static|public|private|protected|readonly|declare)\b/y],
+    ['number', /\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y],
+    ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+    ['type', /[A-Z][\w$]*/y],
+    ['plain', /[A-Za-z_$][\w$]*|\s+/y],
+    ['punctuation', /[{}()[\];,.:?=<>+\-*/%!&|^~]/y],
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y],
+    ['keyword', /@[\w-]+|!important\b/y],
+    ['property', /[\w-]+(?=\s*:[^:{]*;)/y],
+    ['number', /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:px|rem|em|%|vh|vw|s|ms|deg|fr)?/y],
+    ['tag', /[.#][\w-]+/y],
+    ['function', /[\w-]+(?=\()/y],
+    ['plain', /[\w-]+|\s+/y],
+    ['punctuation', /[{}()[\];,:>+~*=]+/y],
+  ],
+  json: [
+    ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+    ['string', /"(?:[^"\\\n]|\\.)*"?/y],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ['keyword', /\b(?:true|false|null)\b/y],
+    ['punctuation', /[{}[\],:]+/y],
+    ['plain', /\s+/y],
+  ],
+  markdown: [
+    ['keyword', /^#{1,6} [^\n]*/my],
+    ['string', /```[\s\S]*?(?:```|$)|`[^`\n]*`/y],
+    ['type', /\*\*[^*\n]+\*\*|__[^_\n]+__/y],
+    ['tag', /!?\[[^\]\n]*\]\([^)\n]*\)/y],
+    ['punctuation', /^\s*(?:[-*+]|\d+\.)(?= )/my],
+    ['plain', /[^\n`*_![]+|\s+/y],
+  ],
+};
+
+/**
+ * Editor language for a file path
+ */
+export function getEditorLanguage(filePath: string): EditorLanguage {
+  const ext = filePath.split('.').pop()?.toLowerCase() || '';
+
+  switch (ext) {
+    case 'ts':
+    case 'tsx':
+    case 'js':
+    case 'jsx':
+    case 'mjs':
+    case 'cjs':
+      return 'typescript';
+    case 'css':
+    case 'scss':
+      return 'css';
+    case 'json':
+      return 'json';
+    case 'md':
+    case 'mdx':
+      return 'markdown';
+    default:
+      return 'plaintext';
+  }
+}
+
+/**
+ * Split code into colored tokens
+ * Unmatched characters become plain text, merged with their neighbours.
+ */
+export function tokenize(code: string, language: EditorLanguage): Token[] {
+  if (language === 'plaintext') return [{ type: 'plain', text: code }];
+
+  const rules = RULES[language];
+  const tokens: Token[] = [];
+  let position = 0;
+
+  const push = (type: TokenType, text: string) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  while (position < code.length) {
+    let matched = false;
+
+    for (const [type, pattern] of rules) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        push(type, match[0]);
+        position += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      push('plain', code[position]);
+      position += 1;
+    }
+  }
+
+  return tokens;
+}
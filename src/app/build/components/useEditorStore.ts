@@ -0,0 +1,210 @@
+/**
+ * Editor Store - State management for the Code Viewer's editor
+ * Handles open-file tabs, unsaved (dirty) buffers, saving through
+ * /api/generated/file and project-wide replace.
+ */
+
+import { create } from 'zustand';
+import { authFetch } from '@/lib/authFetch';
+import { getEditorLanguage, EditorLanguage } from './syntaxHighlight';
+
+export interface OpenFile {
+  path: string;
+  language: EditorLanguage;
+  content: string; // Editor buffer
+  savedContent: string; // Content on disk as of the last load/save
+  isLoading: boolean;
+  isSaving: boolean;
+  error?: string;
+}
+
+export interface RevealTarget {
+  path: string;
+  line: number; // 1-based
+  column: number; // 1-based
+}
+
+export interface EditorState {
+  jobId: string | null;
+  openFiles: OpenFile[];
+  activePath: string | null;
+  reveal: RevealTarget | null; // Position to scroll to once the file is shown
+
+  // Actions
+  openFile: (jobId: string, path: string, reveal?: Omit<RevealTarget, 'path'>) => Promise<void>;
+  closeFile: (path: string) => void;
+  setActivePath: (path: string) => void;
+  updateContent: (path: string, content: string) => void;
+  saveFile: (path: string) => Promise<boolean>;
+  saveAll: () => Promise<void>;
+  reloadFile: (path: string) => Promise<void>;
+  fileDeleted: (path: string) => void;
+  replaceInFiles: (paths: string[], replace: (content: string) => string) => Promise<number>;
+  clearReveal: () => void;
+  reset: (jobId?: string | null) => void;
+}
+
+/**
+ * Whether an open file has unsaved changes
+ */
+export function isDirty(file: OpenFile): boolean {
+  return !file.isLoading && file.content !== file.savedContent;
+}
+
+async function fetchFileContent(jobId: string, path: string): Promise<string> {
+  const response = await authFetch(`/api/generated/file?jobId=${jobId}&path=${encodeURIComponent(path)}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load file');
+  }
+  return data.content ?? '';
+}
+
+export const useEditorStore = create<EditorState>((set, get) => {
+  const updateFile = (path: string, changes: Partial<OpenFile>) =>
+    set((state) => ({
+      openFiles: state.openFiles.map((file) => (file.path === path ? { ...file, ...changes } : file)),
+    }));
+
+  return {
+    jobId: null,
+    openFiles: [],
+    activePath: null,
+    reveal: null,
+
+    openFile: async (jobId, path, reveal) => {
+      if (get().jobId !== jobId) get().reset(jobId);
+
+      set({ activePath: path, reveal: reveal ? { path, ...reveal } : null });
+      if (get().openFiles.some((file) => file.path === path)) return;
+
+      set((state) => ({
+        openFiles: [
+          ...state.openFiles,
+          { path, language: getEditorLanguage(path), content: '', savedContent: '', isLoading: true, isSaving: false },
+        ],
+      }));
+
+      try {
+        const content = await fetchFileContent(jobId, path);
+        updateFile(path, { content, savedContent: content, isLoading: false });
+      } catch (error: any) {
+        console.error('[Editor] Failed to load file:', error);
+        updateFile(path, { isLoading: false, error: error.message || 'Failed to load file' });
+      }
+    },
+
+    closeFile: (path) =>
+      set((state) => {
+        const index = state.openFiles.findIndex((file) => file.path === path);
+        const openFiles = state.openFiles.filter((file) => file.path !== path);
+        const activePath = state.activePath === path
+          ? (openFiles[Math.min(index, openFiles.length - 1)]?.path ?? null)
+          : state.activePath;
+        return { openFiles, activePath };
+      }),
+
+    setActivePath: (path) => set({ activePath: path }),
+
+    updateContent: (path, content) => updateFile(path, { content }),
+
+    saveFile: async (path) => {
+      const { jobId, openFiles } = get();
+      const file = openFiles.find((openFile) => openFile.path === path);
+      if (!jobId || !file || file.isLoading || file.isSaving) return false;
+
+      const content = file.content;
+      updateFile(path, { isSaving: true, error: undefined });
+
+      try {
+        const response = await authFetch('/api/generated/file', {
+          method: 'PUT',
+          body: JSON.stringify({ jobId, path, content }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to save file');
+        }
+
+        // Edits made while saving stay dirty
+        updateFile(path, { savedContent: content, isSaving: false });
+        return true;
+      } catch (error: any) {
+        console.error('[Editor] Failed to save file:', error);
+        updateFile(path, { isSaving: false, error: error.message || 'Failed to save file' });
+        return false;
+      }
+    },
+
+    saveAll: async () => {
+      for (const file of get().openFiles.filter(isDirty)) {
+        await get().saveFile(file.path);
+      }
+    },
+
+    // File changed on disk (refine, repair, another tab): take it unless there are unsaved edits
+    reloadFile: async (path) => {
+      const { jobId, openFiles } = get();
+      const file = openFiles.find((openFile) => openFile.path === path);
+      if (!jobId || !file || isDirty(file) || file.isSaving) return;
+
+      try {
+        const content = await fetchFileContent(jobId, path);
+        const current = get().openFiles.find((openFile) => openFile.path === path);
+        if (current && !isDirty(current)) {
+          updateFile(path, { content, savedContent: content, error: undefined });
+        }
+      } catch (error) {
+        console.error('[Editor] Failed to reload file:', error);
+      }
+    },
+
+    // File deleted on disk: close it, unless there are unsaved edits (saving recreates it)
+    fileDeleted: (path) => {
+      const file = get().openFiles.find((openFile) => openFile.path === path);
+      if (!file) return;
+
+      if (isDirty(file)) {
+        updateFile(path, { savedContent: '' });
+      } else {
+        get().closeFile(path);
+      }
+    },
+
+    // Apply a replacement to files' buffers (opening them as needed); returns how many changed
+    // Nothing is written until the files are saved.
+    replaceInFiles: async (paths, replace) => {
+      const { jobId } = get();
+      if (!jobId) return 0;
+
+      const previousActivePath = get().activePath;
+      let changed = 0;
+      for (const path of paths) {
+        let file = get().openFiles.find((openFile) => openFile.path === path);
+        if (!file) {
+          await get().openFile(jobId, path);
+          file = get().openFiles.find((openFile) => openFile.path === path);
+        }
+        if (!file || file.isLoading || file.error) continue;
+
+        const content = replace(file.content);
+        if (content !== file.content) {
+          updateFile(path, { content });
+          changed += 1;
+        }
+      }
+
+      if (previousActivePath) set({ activePath: previousActivePath });
+      return changed;
+    },
+
+    clearReveal: () => set({ reveal: null }),
+
+    reset: (jobId = null) => set({
+      jobId,
+      openFiles: [],
+      activePath: null,
+      reveal: null,
+    }),
+  };
+});
@@ -3,21 +3,30 @@
  *
  * Features:
  * - Tab 1: UI Preview (iframe with IframePreview component)
- * - Tab 2: Code Viewer (syntax-highlighted code)
- * - Tab 3: File Tree (file navigator)
+ * - Tab 2: Code Viewer (editor with tabs, find/replace and save)
+ * - Tab 3: File Tree (file navigator) + revision history
  * - Listens for "ui_ready" SSE event
  * - Auto-switches to preview tab when ui_ready fires
+ * - Hot reload: follows file changes (/api/generated/events) in the preview,
+ *   file tree and code viewer
  * - Smooth transitions and loading states
  */
 
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { FileTreeRoot } from './components/FileTree';
+import { CodeWorkspace } from './components/CodeWorkspace';
+import { useEditorStore, isDirty } from './components/useEditorStore';
+import { RevisionHistory } from './components/RevisionHistory';
 import { IframePreview as LocalIframePreview } from './components/IframePreview';
-import { IframePreview } from '@/components/IframePreview';
+import { IframePreview, PreviewRouteOption } from '@/components/IframePreview';
 import { PreviewTabs, PreviewTab } from '@/components/PreviewTabs';
-import { authFetch } from '@/lib/authFetch';
+import { PreviewConsole, isErrorEntry } from '@/components/PreviewConsole';
+import type { PreviewErrorMessage, PreviewLogMessage } from '@/lib/livepreview/previewMessages';
+import type { FileChangeEvent } from '@/lib/builder/FileEvents';
+import { DeviceFrame, DeviceToolbar, DeviceSettings, getDefaultDevice, getViewportSize } from '@/components/DeviceFrame';
+import { authFetch, getIdToken } from '@/lib/authFetch';
 
 interface FileNode {
   name: string;
@@ -32,41 +41,67 @@ interface LivePreviewPanelProps {
   user?: any;
   fileTreeFromSSE?: string[] | null;
   previewUrlFromSSE?: string | null;
+  target?: 'web' | 'ios' | 'android' | 'multi'; // Picks the default device frame
   uiReadyUrl?: string | null; // NEW: Listen for ui_ready event
+  onRepairError?: (error: PreviewErrorMessage & { route: string }) => void; // "Fix this error" in the preview
 }
 
 // Use PreviewTab type from the component
 
+const MAX_CONSOLE_ENTRIES = 500;
+const HOT_RELOAD_DEBOUNCE = 300; // ms - one reload for a burst of file changes
+
 export function LivePreviewPanel({
   jobId,
   buildComplete,
   user,
   fileTreeFromSSE,
   previewUrlFromSSE,
+  target,
   uiReadyUrl,
+  onRepairError,
 }: LivePreviewPanelProps) {
   // Tab state
   const [activeTab, setActiveTab] = useState<PreviewTab>('preview');
 
   // Preview state
   const [previewUrl, setPreviewUrl] = useState<string | null>(null);
+  const [iframeUrl, setIframeUrl] = useState<string | null>(null);
+  const [previewRoutes, setPreviewRoutes] = useState<PreviewRouteOption[]>([]);
+  const [routesVersion, setRoutesVersion] = useState(0); // Bumped when files are added or deleted
+  const [consoleEntries, setConsoleEntries] = useState<PreviewLogMessage[]>([]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Device frames
+  const [device, setDevice] = useState<DeviceSettings>(() => getDefaultDevice(target));
+  const [sideBySide, setSideBySide] = useState(false);
+  const [secondaryDevice, setSecondaryDevice] = useState<DeviceSettings>(() => getDefaultDevice('web'));
   const [uiReady, setUiReady] = useState(false);
 
   // File tree state
   const [fileTree, setFileTree] = useState<FileNode | null>(null);
-  const [selectedFile, setSelectedFile] = useState<string | null>(null);
-  const [fileContent, setFileContent] = useState<string | null>(null);
   const [isLoadingTree, setIsLoadingTree] = useState(false);
-  const [isLoadingContent, setIsLoadingContent] = useState(false);
+
+  // Editor (Code Viewer tab)
+  const openFiles = useEditorStore((state) => state.openFiles);
+  const activePath = useEditorStore((state) => state.activePath);
+  const openFile = useEditorStore((state) => state.openFile);
+  const modifiedFiles = new Set<string>(openFiles.filter(isDirty).map((file) => file.path));
+
+  // Latest value for the file change listener
+  const iframeUrlRef = useRef<string | null>(null);
+  iframeUrlRef.current = iframeUrl;
 
   // Reset when jobId changes
   useEffect(() => {
     setFileTree(null);
-    setSelectedFile(null);
-    setFileContent(null);
+    useEditorStore.getState().reset(jobId);
     setPreviewUrl(null);
+    setPreviewRoutes([]);
+    setConsoleEntries([]);
     setUiReady(false);
     setActiveTab('preview');
+    setDevice(getDefaultDevice(target));
   }, [jobId]);
 
   // Update preview URL from SSE (preview_ready event)
@@ -77,6 +112,97 @@ export function LivePreviewPanel({
     }
   }, [previewUrlFromSSE]);
 
+  // The serverless preview route and the preview server proxy need auth, but an iframe can't send headers: pass the token in the URL
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!previewUrl || !(previewUrl.startsWith('/api/') || previewUrl.startsWith('/preview-proxy/'))) {
+      setIframeUrl(previewUrl);
+      return;
+    }
+
+    getIdToken().then((token) => {
+      if (cancelled) return;
+      const separator = previewUrl.includes('?') ? '&' : '?';
+      setIframeUrl(token ? `${previewUrl}${separator}token=${encodeURIComponent(token)}` : previewUrl);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [previewUrl]);
+
+  // Route picker options from the pages the preview bundler found
+  useEffect(() => {
+    if (!buildComplete || !jobId) return;
+
+    let cancelled = false;
+    authFetch(`/api/preview/${jobId}/routes`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (cancelled || !Array.isArray(data.routes)) return;
+        setPreviewRoutes(
+          data.routes
+            // Dynamic routes need a parameter: reach them through the address bar
+            .filter((route: string) => !route.includes('['))
+            .map((route: string) => ({ path: route, title: getRouteTitle(route) }))
+        );
+      })
+      .catch((error) => {
+        console.error('[LivePreview] Failed to load preview routes:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [buildComplete, jobId, routesVersion]);
+
+  // Hot reload: follow changes to the generated files
+  useEffect(() => {
+    if (!buildComplete || !jobId) return;
+
+    let eventSource: EventSource | null = null;
+    let reloadTimer: ReturnType<typeof setTimeout> | null = null;
+    let cancelled = false;
+
+    getIdToken().then((token) => {
+      if (cancelled || !token) return;
+
+      eventSource = new EventSource(`/api/generated/events?jobId=${jobId}&token=${encodeURIComponent(token)}`);
+      eventSource.addEventListener('change', (event) => {
+        const { changes }: FileChangeEvent = JSON.parse((event as MessageEvent).data);
+        console.log('[LivePreview] ♻️ Files changed:', changes.map((change) => change.path).join(', '));
+
+        // Serverless preview: reload to rebundle. A preview dev server updates itself through Next HMR
+        if (!iframeUrlRef.current?.startsWith('/preview-proxy/')) {
+          if (reloadTimer) clearTimeout(reloadTimer);
+          reloadTimer = setTimeout(() => setReloadKey((key) => key + 1), HOT_RELOAD_DEBOUNCE);
+        }
+
+        if (changes.some((change) => change.type !== 'modified')) {
+          refreshFileTree(jobId);
+          setRoutesVersion((version) => version + 1);
+        }
+
+        // Open editor tabs follow the disk unless they have unsaved edits
+        const editor = useEditorStore.getState();
+        changes.forEach((change) => {
+          if (change.type === 'deleted') {
+            editor.fileDeleted(change.path);
+          } else {
+            editor.reloadFile(change.path);
+          }
+        });
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      eventSource?.close();
+      if (reloadTimer) clearTimeout(reloadTimer);
+    };
+  }, [buildComplete, jobId]);
+
   // PHASE 3: Listen for ui_ready event
   useEffect(() => {
     if (uiReadyUrl) {
@@ -97,7 +223,7 @@ export function LivePreviewPanel({
       setFileTree(tree);
 
       // Auto-select first code file if nothing is selected
-      if (!selectedFile && fileTreeFromSSE.length > 0) {
+      if (!useEditorStore.getState().activePath && fileTreeFromSSE.length > 0) {
         const firstCodeFile =
           fileTreeFromSSE.find(
             (f: string) =>
@@ -108,7 +234,7 @@ export function LivePreviewPanel({
           ) || fileTreeFromSSE[0];
 
         if (jobId) {
-          loadFileContent(jobId, firstCodeFile);
+          openFile(jobId, firstCodeFile);
         }
       }
     }
@@ -121,6 +247,11 @@ export function LivePreviewPanel({
     }
   }, [buildComplete, jobId, fileTree, fileTreeFromSSE]);
 
+  // Console tab: keep the newest entries only
+  const addConsoleEntry = (entry: PreviewLogMessage) => {
+    setConsoleEntries((prev) => [...prev.slice(-(MAX_CONSOLE_ENTRIES - 1)), entry]);
+  };
+
   // Load file tree from API
   const loadFileTree = async (jobId: string) => {
     setIsLoadingTree(true);
@@ -142,7 +273,9 @@ export function LivePreviewPanel({
               f.endsWith('.js')
           ) || fileList[0];
 
-        loadFileContent(jobId, firstCodeFile);
+        if (!useEditorStore.getState().activePath) {
+          openFile(jobId, firstCodeFile);
+        }
       }
     } catch (error) {
       console.error('[LivePreview] Failed to load file tree:', error);
@@ -151,29 +284,14 @@ export function LivePreviewPanel({
     }
   };
 
-  // Load file content from API
-  const loadFileContent = async (jobId: string, filePath: string) => {
-    setIsLoadingContent(true);
-    setSelectedFile(filePath);
-
+  // Reload the file tree without changing the open file
+  const refreshFileTree = async (jobId: string) => {
     try {
-      const response = await authFetch(
-        `/api/generated/file?jobId=${jobId}&path=${encodeURIComponent(filePath)}`
-      );
+      const response = await authFetch(`/api/generated/files?jobId=${jobId}`);
       const data = await response.json();
-      setFileContent(data.content || '// File is empty');
+      setFileTree(buildFileTree(data.files || data.structure || []));
     } catch (error) {
-      console.error('[LivePreview] Failed to load file content:', error);
-      setFileContent('// Error loading file');
-    } finally {
-      setIsLoadingContent(false);
-    }
-  };
-
-  // Handle file selection
-  const handleSelectFile = (path: string) => {
-    if (jobId) {
-      loadFileContent(jobId, path);
+      console.error('[LivePreview] Failed to refresh file tree:', error);
     }
   };
 
@@ -240,58 +358,47 @@ export function LivePreviewPanel({
         activeTab={activeTab}
         onTabChange={setActiveTab}
         uiReady={uiReady}
+        errorCount={consoleEntries.filter(isErrorEntry).length}
       />
 
       {/* Tab Content */}
       <div className="flex-1 overflow-hidden">
         {/* Tab 1: UI Preview (iframe) - Using new IframePreview component */}
-        {activeTab === 'preview' && (
-          <IframePreview
-            previewUrl={previewUrl}
-            buildId={jobId}
-            onRefresh={() => {
-              console.log('[LivePreview] Refresh requested');
-              // Could implement reload logic here
-            }}
-            className="h-full"
+        {/* Kept mounted so the app keeps running (and logging) behind the other tabs */}
+        <div className={activeTab === 'preview' ? 'h-full flex flex-col' : 'hidden'}>
+          <DeviceToolbar
+            device={device}
+            onDeviceChange={setDevice}
+            sideBySide={sideBySide}
+            onSideBySideChange={setSideBySide}
+            secondaryDevice={secondaryDevice}
+            onSecondaryDeviceChange={setSecondaryDevice}
           />
-        )}
+          <div className={`flex-1 min-h-0 ${sideBySide ? 'grid grid-cols-2 divide-x divide-white/10' : ''}`}>
+            {(sideBySide ? [device, secondaryDevice] : [device]).map((frameDevice, index) => (
+              <DeviceFrame key={index} settings={frameDevice}>
+                <IframePreview
+                  previewUrl={iframeUrl}
+                  buildId={jobId}
+                  routes={previewRoutes}
+                  compactControls={getViewportSize(frameDevice).width < 640}
+                  onRefresh={() => {
+                    console.log('[LivePreview] Refresh requested');
+                    // Could implement reload logic here
+                  }}
+                  reloadKey={reloadKey}
+                  onPreviewLog={addConsoleEntry}
+                  onShowConsole={() => setActiveTab('console')}
+                  onRepair={onRepairError}
+                  className="h-full"
+                />
+              </DeviceFrame>
+            ))}
+          </div>
+        </div>
 
         {/* Tab 2: Code Viewer */}
-        {activeTab === 'code' && (
-          <div className="h-full flex flex-col bg-[#0d1117]">
-            {selectedFile ? (
-              <>
-                {/* File header */}
-                <div className="px-3 py-2 border-b border-white/10 bg-white/5">
-                  <div className="text-xs text-white/70 font-mono truncate flex items-center gap-2">
-                    <span className="text-purple-400">📄</span>
-                    <span>{selectedFile}</span>
-                  </div>
-                </div>
-
-                {/* Code content */}
-                <div className="flex-1 overflow-y-auto custom-scrollbar">
-                  {isLoadingContent ? (
-                    <div className="flex items-center justify-center h-full">
-                      <div className="text-white/50 text-xs animate-pulse">
-                        Loading...
-                      </div>
-                    </div>
-                  ) : (
-                    <pre className="text-xs font-mono text-green-400 p-4 leading-relaxed">
-                      <code>{fileContent || '// Empty file'}</code>
-                    </pre>
-                  )}
-                </div>
-              </>
-            ) : (
-              <div className="flex items-center justify-center h-full text-white/50 text-sm">
-                Select a file from the File Tree tab
-              </div>
-            )}
-          </div>
-        )}
+        {activeTab === 'code' && <CodeWorkspace jobId={jobId} />}
 
         {/* Tab 3: File Tree */}
         {activeTab === 'files' && (
@@ -302,20 +409,54 @@ export function LivePreviewPanel({
             </div>
             <FileTreeRoot
               tree={fileTree}
-              selectedFile={selectedFile}
+              selectedFile={activePath}
+              modifiedFiles={modifiedFiles}
               onSelectFile={(path) => {
-                handleSelectFile(path);
+                openFile(jobId, path);
                 setActiveTab('code'); // Auto-switch to code viewer
               }}
               isLoading={isLoadingTree}
             />
+
+            {/* Revision history */}
+            <div className="mt-4 pt-3 border-t border-white/10">
+              <div className="text-xs font-semibold text-white/70 mb-2 flex items-center gap-2">
+                <span>🕘</span>
+                <span>History</span>
+              </div>
+              <RevisionHistory
+                jobId={jobId}
+                onRolledBack={() => {
+                  // Files on disk changed - reload the tree (open tabs follow the file change events)
+                  refreshFileTree(jobId);
+                }}
+              />
+            </div>
           </div>
         )}
+
+        {/* Tab 4: Console */}
+        {activeTab === 'console' && (
+          <PreviewConsole
+            entries={consoleEntries}
+            onClear={() => setConsoleEntries([])}
+          />
+        )}
       </div>
     </div>
   );
 }
 
+/**
+ * Route picker label from a route path, e.g. /team-members -> Team members
+ */
+function getRouteTitle(route: string): string {
+  const segment = route.split('/').filter(Boolean).pop();
+  if (!segment) return 'Home';
+  const words = segment.replace(/[-_]+/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
 /**
  * Build file tree from flat file list
  */
@@ -49,9 +49,15 @@ export default function Build() {
   const [isPaywallOpen, setIsPaywallOpen] = useState(false);
   const [paywallFeature, setPaywallFeature] = useState('');
   const [deletingBuildId, setDeletingBuildId] = useState(null);
+  const [editInstruction, setEditInstruction] = useState("");
+  const [isRefining, setIsRefining] = useState(false);
+  const [queuePosition, setQueuePosition] = useState(null); // Place in the build queue while waiting
+  const [blueprintOutline, setBlueprintOutline] = useState(null); // { appName, pages, entities, final } as the blueprint streams in
+  const [isCancelling, setIsCancelling] = useState(false);
   const logsEndRef = useRef(null);
   const promptRef = useRef(null);
   const buildDebounceRef = useRef(null);
+  const pendingStaticExportRef = useRef(null); // Job whose static export ZIP downloads when its logs finish
 
   // Zustand state
   const {
@@ -196,6 +202,8 @@ export default function Build() {
 
     setIsBuilding(true);
     setBuildLogs([]); // Clear previous logs
+    setQueuePosition(null);
+    setBlueprintOutline(null);
     setBuildComplete(false);
     setFileTree(null);
     setPreviewUrl(null); // Clear previous preview URL
@@ -248,11 +256,135 @@ export default function Build() {
     }
   };
 
+  // Follow-up edit on the selected (finished) build
+  const refineApp = async () => {
+    if (!selectedBuildId || !editInstruction.trim()) return;
+
+    setIsRefining(true);
+    setBuildComplete(false);
+
+    try {
+      const r = await authFetch("/api/build/refine", {
+        method: "POST",
+        body: JSON.stringify({
+          jobId: selectedBuildId,
+          instruction: editInstruction.trim()
+        })
+      });
+
+      const data = await r.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Edit failed to start');
+      }
+
+      setEditInstruction("");
+      showToast("Applying your changes... Watch the logs below.");
+
+      // Reuse the same log channel, skipping logs we already have
+      startLogStream(selectedBuildId, data.logOffset);
+    } catch (error) {
+      console.error("Refine error:", error);
+      showToast(error.message || "Edit failed", "error");
+      setBuildComplete(true);
+      setIsRefining(false);
+    }
+  };
+
+  // Ask AI to fix an error reported by the preview; the fix arrives as a new revision
+  const repairPreviewError = async (previewError) => {
+    if (!selectedBuildId) return;
+
+    setIsRefining(true);
+    setBuildComplete(false);
+
+    try {
+      const r = await authFetch("/api/build/repair", {
+        method: "POST",
+        body: JSON.stringify({
+          jobId: selectedBuildId,
+          error: previewError
+        })
+      });
+
+      const data = await r.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Repair failed to start');
+      }
+
+      showToast("Fixing the error... Watch the logs below.");
+
+      // Reuse the same log channel, skipping logs we already have
+      startLogStream(selectedBuildId, data.logOffset);
+    } catch (error) {
+      console.error("Repair error:", error);
+      showToast(error.message || "Repair failed", "error");
+      setBuildComplete(true);
+      setIsRefining(false);
+    }
+  };
+
+  // Build a static site export of a finished build; the ZIP downloads when it completes
+  const exportStaticSite = async (jobId) => {
+    setSelectedBuildId(jobId);
+    setIsRefining(true);
+    setBuildComplete(false);
+
+    try {
+      const r = await authFetch("/api/build/export", {
+        method: "POST",
+        body: JSON.stringify({ jobId })
+      });
+
+      const data = await r.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Export failed to start');
+      }
+
+      showToast("Building static site... Watch the logs below.");
+
+      pendingStaticExportRef.current = jobId;
+      startLogStream(jobId, data.logOffset);
+    } catch (error) {
+      console.error("Export error:", error);
+      showToast(error.message || "Export failed", "error");
+      setBuildComplete(true);
+      setIsRefining(false);
+    }
+  };
+
+  // Stop the selected build; the log stream's "done" event updates the UI
+  const cancelSelectedBuild = async () => {
+    if (!selectedBuildId) return;
+
+    setIsCancelling(true);
+
+    try {
+      const r = await authFetch("/api/build/cancel", {
+        method: "POST",
+        body: JSON.stringify({ jobId: selectedBuildId })
+      });
+
+      const data = await r.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to cancel build');
+      }
+    } catch (error) {
+      console.error("Cancel error:", error);
+      showToast(error.message || "Failed to cancel build", "error");
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   // SSE Log Streaming
-  const startLogStream = async (jobId) => {
+  const startLogStream = async (jobId, fromLog = 0) => {
     try {
       const token = await user.getIdToken();
-      const url = `/api/build/logs?jobId=${jobId}&token=${encodeURIComponent(token)}`;
+      const url = `/api/build/logs?jobId=${jobId}&token=${encodeURIComponent(token)}&from=${fromLog}`;
 
       const eventSource = new EventSource(url);
 
@@ -275,6 +407,71 @@ export default function Build() {
         }
       });
 
+      // Listen to "queue" event for place in line while the build waits for a slot
+      eventSource.addEventListener('queue', (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          setQueuePosition(data.position ?? null);
+        } catch (err) {
+          console.error('Failed to parse queue event:', err);
+        }
+      });
+
+      // Listen to "blueprint_*" events to draw the app outline while the blueprint streams in
+      const upsertOutlineItem = (list, item, index, key) => {
+        const next = list.filter((other) => other[key] !== item[key]);
+        next.splice(Math.min(index, next.length), 0, item);
+        return next;
+      };
+      const emptyOutline = { appName: null, pages: [], entities: [], final: false };
+
+      eventSource.addEventListener('blueprint_app', (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          setBlueprintOutline(prev => ({ ...(prev || emptyOutline), appName: data.appName }));
+        } catch (err) {
+          console.error('Failed to parse blueprint_app event:', err);
+        }
+      });
+
+      eventSource.addEventListener('blueprint_page', (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          setBlueprintOutline(prev => {
+            const outline = prev || emptyOutline;
+            return { ...outline, pages: upsertOutlineItem(outline.pages, data.page, data.index, 'id') };
+          });
+        } catch (err) {
+          console.error('Failed to parse blueprint_page event:', err);
+        }
+      });
+
+      eventSource.addEventListener('blueprint_entity', (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          setBlueprintOutline(prev => {
+            const outline = prev || emptyOutline;
+            return { ...outline, entities: upsertOutlineItem(outline.entities, data.entity, data.index, 'name') };
+          });
+        } catch (err) {
+          console.error('Failed to parse blueprint_entity event:', err);
+        }
+      });
+
+      // The blueprint stream started over on another provider: drop what was drawn so far
+      eventSource.addEventListener('blueprint_reset', () => {
+        setBlueprintOutline(emptyOutline);
+      });
+
+      eventSource.addEventListener('blueprint_ready', (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          setBlueprintOutline({ ...emptyOutline, ...data.outline, final: true });
+        } catch (err) {
+          console.error('Failed to parse blueprint_ready event:', err);
+        }
+      });
+
       // Listen to "fileTree" event for real-time file tree updates
       eventSource.addEventListener('fileTree', (event) => {
         try {
@@ -340,17 +537,28 @@ export default function Build() {
           const data = JSON.parse(event.data);
           console.log('Build complete:', data);
           eventSource.close();
+          setQueuePosition(null);
 
           // Update build status in list
           setBuilds(prev => prev.map(b =>
             b.id === jobId
-              ? { ...b, status: data.success ? 'complete' : 'failed' }
+              ? { ...b, status: data.success ? 'complete' : data.status === 'cancelled' ? 'cancelled' : 'failed' }
               : b
           ));
 
-          if (data.success) {
+          setIsRefining(false);
+
+          const isStaticExport = pendingStaticExportRef.current === jobId;
+          if (isStaticExport) pendingStaticExportRef.current = null;
+
+          if (data.success && isStaticExport) {
             setBuildComplete(true);
-            showToast("Build complete! Preview and download ready.");
+            handleDownload(jobId, 'static');
+          } else if (data.success) {
+            setBuildComplete(true);
+            showToast(fromLog > 0 ? "Changes applied! Preview updated." : "Build complete! Preview and download ready.");
+          } else if (data.status === 'cancelled') {
+            showToast("Build cancelled.", "info");
           } else {
             showToast(data.error || "Build failed. Check logs for details.", "error");
           }
@@ -439,26 +647,28 @@ export default function Build() {
     }
   };
 
-  const handleDownload = async (jobId) => {
+  // format: 'static' downloads the latest static site export instead of the source
+  const handleDownload = async (jobId, format = null) => {
     try {
       showToast("Preparing download...");
       const token = await user.getIdToken();
 
-      const response = await fetch(`/api/download/${jobId}`, {
+      const response = await fetch(`/api/download/${jobId}${format ? `?format=${format}` : ''}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
         },
       });
 
       if (!response.ok) {
-        throw new Error('Download failed');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
       }
 
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `app-${jobId}.zip`;
+      a.download = format ? `app-${jobId}-${format}.zip` : `app-${jobId}.zip`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -476,13 +686,15 @@ export default function Build() {
       queued: "bg-yellow-500/20 text-yellow-300 border border-yellow-500/40",
       running: "bg-blue-500/20 text-blue-300 border border-blue-500/40 animate-pulse",
       complete: "bg-green-500/20 text-green-300 border border-green-500/40",
-      failed: "bg-red-500/20 text-red-300 border border-red-500/40"
+      failed: "bg-red-500/20 text-red-300 border border-red-500/40",
+      cancelled: "bg-white/10 text-white/60 border border-white/20"
     };
     const labels = {
       queued: "⏳ Queued",
       running: "⚙️ Building",
       complete: "✓ Complete",
-      failed: "✗ Failed"
+      failed: "✗ Failed",
+      cancelled: "⏹ Cancelled"
     };
     return (
       <span className={`px-3 py-1 rounded-full text-xs font-semibold ${styles[status] || ""}`}>
@@ -652,6 +864,30 @@ export default function Build() {
                   )}
                 </button>
 
+                {/* Edit an existing build */}
+                {buildComplete && selectedBuildId && (
+                  <div className="pt-4 border-t border-white/10 space-y-2">
+                    <label className="block text-white/90 text-sm font-semibold">
+                      ✏️ Edit Your App
+                    </label>
+                    <textarea
+                      value={editInstruction}
+                      onChange={(e) => setEditInstruction(e.target.value)}
+                      placeholder="Add a pricing page, make the navbar sticky..."
+                      className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-purple-500/50 focus:border-purple-500/50 resize-none custom-scrollbar"
+                      rows="2"
+                      disabled={isRefining}
+                    />
+                    <button
+                      onClick={refineApp}
+                      disabled={isRefining || !editInstruction.trim()}
+                      className="w-full px-6 py-3 bg-white/10 hover:bg-white/20 text-white font-semibold rounded-full transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed border border-white/10"
+                    >
+                      {isRefining ? "Applying changes..." : "Apply Changes"}
+                    </button>
+                  </div>
+                )}
+
                 {/* Tips */}
                 <div className="text-white/50 text-xs space-y-1 pt-2">
                   <p className="font-semibold text-white/60">💡 Tips for better prompts:</p>
@@ -729,6 +965,19 @@ export default function Build() {
                             </button>
                           )}
                         </div>
+                        {build.status === "complete" && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              exportStaticSite(build.id);
+                            }}
+                            disabled={isRefining}
+                            className="w-full px-3 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-xs font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Production build as plain HTML/CSS/JS for any static host"
+                          >
+                            🌐 Static site
+                          </button>
+                        )}
                         <button
                           onClick={(e) => {
                             e.stopPropagation();
@@ -750,7 +999,67 @@ export default function Build() {
           {/* MIDDLE - Build Logs */}
           <div className="lg:col-span-1">
             <div className="glass-card p-6 h-full animate-fade-in" style={{animationDelay: '200ms'}}>
-              <h2 className="h3 mb-4">Build Logs</h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="h3">Build Logs</h2>
+                {selectedBuild?.status === 'running' && !buildComplete && !isRefining && (
+                  <button
+                    onClick={cancelSelectedBuild}
+                    disabled={isCancelling}
+                    className="px-3 py-1 text-xs rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 hover:bg-red-500/20 transition disabled:opacity-50"
+                  >
+                    {isCancelling ? "Cancelling..." : "Cancel Build"}
+                  </button>
+                )}
+              </div>
+
+              {queuePosition !== null && (
+                <div className="mb-3 px-3 py-2 bg-yellow-500/10 border border-yellow-500/30 rounded-lg text-yellow-200 text-xs">
+                  ⏳ You are #{queuePosition} in line. Your build will start shortly.
+                </div>
+              )}
+
+              {blueprintOutline && (
+                <div className="mb-3 px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-xs max-h-48 overflow-y-auto custom-scrollbar">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="font-semibold text-white">
+                      🧠 {blueprintOutline.appName || "Your app"}
+                    </span>
+                    {!blueprintOutline.final && (
+                      <span className="text-white/40 animate-pulse">Outlining...</span>
+                    )}
+                  </div>
+
+                  {blueprintOutline.pages.length > 0 && (
+                    <div className="mb-2">
+                      <p className="text-white/50 mb-1">Pages</p>
+                      <ul className="space-y-0.5">
+                        {blueprintOutline.pages.map((page) => (
+                          <li key={page.id} className="flex items-center justify-between text-white/80 animate-fade-in">
+                            <span>📄 {page.title}</span>
+                            {page.route && <span className="font-mono text-white/40">{page.route}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {blueprintOutline.entities.length > 0 && (
+                    <div>
+                      <p className="text-white/50 mb-1">Data model</p>
+                      <ul className="space-y-0.5">
+                        {blueprintOutline.entities.map((entity) => (
+                          <li key={entity.name} className="text-white/80 animate-fade-in">
+                            🗂️ {entity.name}
+                            {entity.fields.length > 0 && (
+                              <span className="text-white/40"> ({entity.fields.join(", ")})</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
 
               <div className="glass-panel p-4 h-[calc(100%-4rem)] overflow-y-auto custom-scrollbar">
                 {buildLogs.length === 0 ? (
@@ -814,7 +1123,9 @@ export default function Build() {
                   user={user}
                   fileTreeFromSSE={fileTree}
                   previewUrlFromSSE={previewUrl}
+                  target={selectedBuild?.target}
                   uiReadyUrl={uiReadyUrl}
+                  onRepairError={repairPreviewError}
                 />
               </div>
             </div>
@@ -0,0 +1,188 @@
+/**
+ * Preview Proxy
+ * ALL /preview-proxy/[jobId]/...
+ *
+ * Forwards HTTP traffic to the build's preview dev server (started on demand),
+ * so previews work without exposing localhost ports. The dev server runs with
+ * basePath /preview-proxy/<jobId>, so paths are forwarded unchanged.
+ * HMR websocket upgrades are forwarded by server.js.
+ *
+ * Auth (job owner only):
+ * - Authorization header or token query param (iframes can't send headers),
+ *   exchanged for a session cookie scoped to this job's proxy path
+ * - Session cookie, for the iframe's subresource and websocket requests
+ */
+
+import { NextRequest, NextResponse } from 'next/server';
+import { verifyUser } from '@/lib/verifyUser';
+import { getJob } from '@/lib/builder/BuildOrchestrator';
+import { getPreviewServer, startPreviewServer, touchPreviewServer } from '@/lib/builder/PreviewServerManager';
+import {
+  createPreviewSession,
+  getPreviewProxyPath,
+  verifyPreviewSession,
+  PREVIEW_SESSION_COOKIE,
+  PREVIEW_SESSION_TTL,
+} from '@/lib/livepreview/previewProxy';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// Not forwarded in either direction (hop-by-hop, or recomputed by fetch)
+const SKIPPED_HEADERS = new Set([
+  'host',
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'upgrade',
+  'authorization',
+  'content-length',
+  'content-encoding',
+  'set-cookie',
+]);
+
+interface RouteParams {
+  params: {
+    jobId: string;
+    path?: string[];
+  };
+}
+
+async function handleProxy(request: NextRequest, { params }: RouteParams) {
+  const { jobId } = params;
+  const token = request.nextUrl.searchParams.get('token');
+
+  // Authenticate - session cookie, then header or token query param
+  let uid: string;
+  const session = token ? null : verifyPreviewSession(request.cookies.get(PREVIEW_SESSION_COOKIE)?.value, jobId);
+
+  if (session) {
+    uid = session.uid;
+  } else {
+    let authUser;
+    try {
+      try {
+        authUser = await verifyUser(request);
+      } catch (headerError) {
+        if (token) {
+          const mockRequest = new Request(request.url, {
+            headers: {
+              'Authorization': `Bearer ${token}`
+            }
+          });
+          authUser = await verifyUser(mockRequest);
+        } else {
+          throw headerError;
+        }
+      }
+    } catch (error: any) {
+      return NextResponse.json(
+        { error: error.message || 'Authentication required', code: 'PREVIEW_PROXY_ERROR' },
+        { status: 401 }
+      );
+    }
+
+    // Get job and verify ownership
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.userId !== authUser.uid) {
+      return NextResponse.json(
+        { error: 'Unauthorized: You do not own this job' },
+        { status: 403 }
+      );
+    }
+
+    uid = authUser.uid;
+  }
+
+  // Find (or start) the dev server
+  let port: number;
+  try {
+    const server = getPreviewServer(jobId);
+    port = server?.status === 'ready' ? server.port : (await startPreviewServer(jobId)).port;
+  } catch (error: any) {
+    console.error(`[Preview Proxy] Could not start preview server for ${jobId}:`, error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to start preview server', code: 'PREVIEW_PROXY_ERROR' },
+      { status: 502 }
+    );
+  }
+
+  touchPreviewServer(jobId);
+
+  // Forward the request (without our token and session cookie)
+  const search = new URLSearchParams(request.nextUrl.searchParams);
+  search.delete('token');
+  const query = search.toString();
+  const upstreamOrigin = `http://127.0.0.1:${port}`;
+  const upstreamUrl = `${upstreamOrigin}${request.nextUrl.pathname}${query ? `?${query}` : ''}`;
+
+  const headers = new Headers();
+  request.headers.forEach((value, key) => {
+    if (!SKIPPED_HEADERS.has(key) && key !== 'cookie') headers.set(key, value);
+  });
+  const cookies = (request.headers.get('cookie') || '')
+    .split(/;\s*/)
+    .filter((cookie) => cookie && !cookie.startsWith(`${PREVIEW_SESSION_COOKIE}=`));
+  if (cookies.length > 0) {
+    headers.set('cookie', cookies.join('; '));
+  }
+
+  let upstream: Response;
+  try {
+    const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+    upstream = await fetch(upstreamUrl, {
+      method: request.method,
+      headers,
+      body: hasBody ? request.body : undefined,
+      redirect: 'manual',
+      cache: 'no-store',
+      // Required by Node's fetch to stream a request body
+      ...(hasBody ? { duplex: 'half' } : {}),
+    } as RequestInit);
+  } catch (error: any) {
+    console.error(`[Preview Proxy] Request to preview server for ${jobId} failed:`, error);
+    return NextResponse.json(
+      { error: 'Preview server is not responding', code: 'PREVIEW_PROXY_ERROR' },
+      { status: 502 }
+    );
+  }
+
+  const responseHeaders = new Headers();
+  upstream.headers.forEach((value, key) => {
+    if (SKIPPED_HEADERS.has(key)) return;
+    // Redirects may name the dev server's own origin
+    responseHeaders.set(key, key === 'location' ? value.replace(upstreamOrigin, '') : value);
+  });
+  for (const cookie of upstream.headers.getSetCookie?.() || []) {
+    responseHeaders.append('set-cookie', cookie);
+  }
+
+  // (Re)issue the session, for later requests and the HMR websocket
+  const secure = request.nextUrl.protocol === 'https:' ? '; Secure' : '';
+  responseHeaders.append(
+    'set-cookie',
+    `${PREVIEW_SESSION_COOKIE}=${createPreviewSession({ jobId, uid })}; Path=${getPreviewProxyPath(jobId)}; Max-Age=${PREVIEW_SESSION_TTL}; HttpOnly; SameSite=Lax${secure}`
+  );
+
+  return new Response(upstream.body, {
+    status: upstream.status,
+    statusText: upstream.statusText,
+    headers: responseHeaders,
+  });
+}
+
+export const GET = handleProxy;
+export const HEAD = handleProxy;
+export const POST = handleProxy;
+export const PUT = handleProxy;
+export const PATCH = handleProxy;
+export const DELETE = handleProxy;
+export const OPTIONS = handleProxy;
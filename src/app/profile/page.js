@@ -5,11 +5,16 @@ import TopNav from "@/components/TopNav";
 import BetaRibbon from "@/components/BetaRibbon";
 import { onAuthChange, signOutUser } from "@/lib/firebase";
 import { getUserBuilds } from "@/lib/firestore";
+import { authFetch } from "@/lib/authFetch";
+
+const formatTokens = (count) => count.toLocaleString("en-US");
+const formatCost = (usd) => `$${usd < 0.01 && usd > 0 ? usd.toFixed(4) : usd.toFixed(2)}`;
 
 export default function Profile() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [buildCount, setBuildCount] = useState(0);
+  const [usage, setUsage] = useState(null);
   const router = useRouter();
 
   useEffect(() => {
@@ -25,6 +30,15 @@ export default function Profile() {
           console.error('Error getting builds:', error);
           setBuildCount(0);
         });
+
+        // Get this month's AI usage
+        authFetch("/api/user/plan")
+          .then(response => response.json())
+          .then(data => setUsage(data.usageThisMonth || null))
+          .catch(error => {
+            console.error('Error getting AI usage:', error);
+            setUsage(null);
+          });
       }
     });
 
@@ -142,6 +156,67 @@ export default function Profile() {
             </div>
           </div>
 
+          {/* AI Usage */}
+          {usage && (
+            <div className="mb-8 pb-6 border-b border-white/10">
+              <h3 className="text-lg font-semibold mb-4">AI Usage This Month</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+                <div className="bg-white/5 rounded-lg p-4">
+                  <p className="text-white/60 text-sm mb-1">Tokens</p>
+                  <p className="text-2xl font-bold">
+                    {formatTokens(usage.promptTokens + usage.completionTokens)}
+                  </p>
+                  <p className="text-white/40 text-xs mt-1">
+                    {formatTokens(usage.promptTokens)} in · {formatTokens(usage.completionTokens)} out
+                  </p>
+                </div>
+                <div className="bg-white/5 rounded-lg p-4">
+                  <p className="text-white/60 text-sm mb-1">Estimated Cost</p>
+                  <p className="text-2xl font-bold">{formatCost(usage.costUsd)}</p>
+                </div>
+                <div className="bg-white/5 rounded-lg p-4">
+                  <p className="text-white/60 text-sm mb-1">AI Calls</p>
+                  <p className="text-2xl font-bold">{usage.calls}</p>
+                </div>
+              </div>
+
+              {Object.keys(usage.byModel).length > 0 && (
+                <div className="bg-white/5 rounded-lg overflow-hidden">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-white/60 text-left">
+                        <th className="px-4 py-2 font-medium">Model</th>
+                        <th className="px-4 py-2 font-medium text-right">Calls</th>
+                        <th className="px-4 py-2 font-medium text-right">Tokens</th>
+                        <th className="px-4 py-2 font-medium text-right">Cost</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(usage.byModel)
+                        .sort(([, a], [, b]) => b.costUsd - a.costUsd)
+                        .map(([model, modelUsage]) => (
+                          <tr key={model} className="border-t border-white/10">
+                            <td className="px-4 py-2 font-mono text-xs">{model}</td>
+                            <td className="px-4 py-2 text-right">{modelUsage.calls}</td>
+                            <td className="px-4 py-2 text-right">
+                              {formatTokens(modelUsage.promptTokens + modelUsage.completionTokens)}
+                            </td>
+                            <td className="px-4 py-2 text-right">{formatCost(modelUsage.costUsd)}</td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {usage.estimatedCalls > 0 && (
+                <p className="text-white/40 text-xs mt-2">
+                  Token counts of {usage.estimatedCalls} call(s) were estimated because the provider didn&apos;t report them.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Quick Actions */}
           <div className="mb-6">
             <h3 className="text-lg font-semibold mb-4">Quick Actions</h3>
@@ -0,0 +1,261 @@
+/**
+ * DeviceFrame Component
+ *
+ * Renders the live preview at a real device viewport:
+ * - Phone / tablet / desktop presets and a custom width
+ * - Portrait / landscape rotation
+ * - Matching frame (bezel or browser window)
+ * - Scales down to fit the panel, keeping the viewport width the app sees
+ *
+ * DeviceToolbar is the matching device switcher.
+ */
+
+'use client';
+
+import { useState, useEffect, useRef, ReactNode } from 'react';
+
+export type DeviceKind = 'phone' | 'tablet' | 'desktop' | 'custom';
+
+export interface DeviceSettings {
+  kind: DeviceKind;
+  customWidth: number; // Used by 'custom'
+  rotated: boolean; // Landscape (phone/tablet only)
+}
+
+export const DEVICE_PRESETS: Record<Exclude<DeviceKind, 'custom'>, { label: string; icon: string; width: number; height: number }> = {
+  phone: { label: 'Phone', icon: '📱', width: 390, height: 844 },
+  tablet: { label: 'Tablet', icon: '📲', width: 820, height: 1180 },
+  desktop: { label: 'Desktop', icon: '🖥️', width: 1440, height: 900 },
+};
+
+const MIN_CUSTOM_WIDTH = 280;
+const MAX_CUSTOM_WIDTH = 2560;
+
+// Frame chrome around the viewport, in px
+const BEZEL: Record<DeviceKind, number> = { phone: 12, tablet: 16, desktop: 0, custom: 0 };
+const TITLE_BAR_HEIGHT = 28; // Desktop browser window
+
+/**
+ * Starting device for a build target: phone frame for mobile apps
+ */
+export function getDefaultDevice(target?: string | null): DeviceSettings {
+  return {
+    kind: target === 'ios' || target === 'android' || target === 'multi' ? 'phone' : 'desktop',
+    customWidth: 1024,
+    rotated: false,
+  };
+}
+
+/**
+ * Viewport size of a device (height null = fill the panel)
+ */
+export function getViewportSize(settings: DeviceSettings): { width: number; height: number | null } {
+  if (settings.kind === 'custom') {
+    return { width: clampWidth(settings.customWidth), height: null };
+  }
+
+  const { width, height } = DEVICE_PRESETS[settings.kind];
+  return settings.rotated && settings.kind !== 'desktop' ? { width: height, height: width } : { width, height };
+}
+
+function clampWidth(width: number): number {
+  return Math.min(MAX_CUSTOM_WIDTH, Math.max(MIN_CUSTOM_WIDTH, Math.round(width) || MIN_CUSTOM_WIDTH));
+}
+
+interface DeviceFrameProps {
+  settings: DeviceSettings;
+  children: ReactNode;
+  className?: string;
+}
+
+export function DeviceFrame({ settings, children, className = '' }: DeviceFrameProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [available, setAvailable] = useState({ width: 0, height: 0 });
+
+  // Track the space the panel gives us
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setAvailable({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const viewport = getViewportSize(settings);
+  const bezel = BEZEL[settings.kind];
+  const titleBar = settings.kind === 'desktop' ? TITLE_BAR_HEIGHT : 0;
+  const outerWidth = viewport.width + bezel * 2;
+
+  const widthScale = available.width ? available.width / outerWidth : 1;
+  const scale = Math.min(
+    1,
+    widthScale,
+    viewport.height && available.height ? available.height / (viewport.height + bezel * 2 + titleBar) : 1
+  );
+
+  // Custom width fills the panel height
+  const viewportHeight = viewport.height ?? Math.max(0, available.height / scale - bezel * 2 - titleBar);
+  const outerHeight = viewportHeight + bezel * 2 + titleBar;
+
+  const frameClass = {
+    phone: 'rounded-[2.5rem] bg-black shadow-2xl shadow-purple-500/20',
+    tablet: 'rounded-[2rem] bg-black shadow-2xl shadow-purple-500/20',
+    desktop: 'rounded-lg bg-[#1f2937] shadow-2xl shadow-purple-500/20 overflow-hidden',
+    custom: 'border border-dashed border-white/30',
+  }[settings.kind];
+
+  const screenClass = {
+    phone: 'rounded-[1.75rem]',
+    tablet: 'rounded-[1.25rem]',
+    desktop: '',
+    custom: '',
+  }[settings.kind];
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative h-full w-full flex items-start justify-center overflow-hidden p-4 pb-8 bg-gradient-to-br from-purple-500/5 via-blue-500/5 to-pink-500/5 ${className}`}
+    >
+      {/* Reserves the scaled size so the frame stays centered */}
+      <div style={{ width: outerWidth * scale, height: outerHeight * scale }}>
+        <div
+          className={`relative ${frameClass}`}
+          style={{
+            width: outerWidth,
+            height: outerHeight,
+            padding: bezel,
+            transform: `scale(${scale})`,
+            transformOrigin: 'top left',
+          }}
+        >
+          {settings.kind === 'desktop' && (
+            <div className="flex items-center gap-1.5 px-3" style={{ height: TITLE_BAR_HEIGHT }}>
+              <span className="w-3 h-3 rounded-full bg-red-400/80"></span>
+              <span className="w-3 h-3 rounded-full bg-yellow-400/80"></span>
+              <span className="w-3 h-3 rounded-full bg-green-400/80"></span>
+            </div>
+          )}
+          <div
+            className={`relative overflow-hidden bg-white ${screenClass}`}
+            style={{ width: viewport.width, height: viewportHeight }}
+          >
+            {children}
+          </div>
+        </div>
+      </div>
+
+      {/* Viewport size label */}
+      <div className="absolute bottom-2 left-0 right-0 text-center text-[10px] font-mono text-white/50 pointer-events-none">
+        {viewport.width} × {Math.round(viewportHeight)}
+        {scale < 1 && ` · ${Math.round(scale * 100)}%`}
+      </div>
+    </div>
+  );
+}
+
+interface DeviceToolbarProps {
+  device: DeviceSettings;
+  onDeviceChange: (device: DeviceSettings) => void;
+  sideBySide: boolean;
+  onSideBySideChange: (sideBySide: boolean) => void;
+  secondaryDevice: DeviceSettings;
+  onSecondaryDeviceChange: (device: DeviceSettings) => void;
+  className?: string;
+}
+
+export function DeviceToolbar({
+  device,
+  onDeviceChange,
+  sideBySide,
+  onSideBySideChange,
+  secondaryDevice,
+  onSecondaryDeviceChange,
+  className = ''
+}: DeviceToolbarProps) {
+  const [widthInput, setWidthInput] = useState(String(device.customWidth));
+
+  useEffect(() => {
+    setWidthInput(String(device.customWidth));
+  }, [device.customWidth]);
+
+  const kinds: DeviceKind[] = ['phone', 'tablet', 'desktop', 'custom'];
+  const canRotate = device.kind === 'phone' || device.kind === 'tablet';
+
+  const applyWidth = () => {
+    onDeviceChange({ ...device, customWidth: clampWidth(Number(widthInput)) });
+  };
+
+  const buttonClass = (active: boolean) => `
+    px-2.5 py-1 rounded-md text-xs font-semibold transition-all
+    ${active
+      ? 'bg-gradient-to-r from-purple-500 to-blue-500 text-white shadow-lg shadow-purple-500/30'
+      : 'bg-white/5 text-white/60 hover:bg-white/10 hover:text-white/80'}
+  `;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 border-b border-white/10 bg-white/5 backdrop-blur-md px-3 py-2 ${className}`}>
+      {kinds.map((kind) => (
+        <button
+          key={kind}
+          onClick={() => onDeviceChange({ ...device, kind })}
+          className={buttonClass(device.kind === kind)}
+          title={kind === 'custom' ? 'Custom width' : DEVICE_PRESETS[kind].label}
+        >
+          <span>{kind === 'custom' ? '↔️' : DEVICE_PRESETS[kind].icon}</span>
+          <span className="hidden md:inline ml-1">{kind === 'custom' ? 'Custom' : DEVICE_PRESETS[kind].label}</span>
+        </button>
+      ))}
+
+      {device.kind === 'custom' && (
+        <input
+          type="number"
+          min={MIN_CUSTOM_WIDTH}
+          max={MAX_CUSTOM_WIDTH}
+          value={widthInput}
+          onChange={(e) => setWidthInput(e.target.value)}
+          onBlur={applyWidth}
+          onKeyDown={(e) => e.key === 'Enter' && applyWidth()}
+          className="w-20 px-2 py-1 bg-black/20 border border-white/20 rounded-md text-white text-xs font-mono focus:outline-none focus:border-white/60"
+          aria-label="Viewport width in px"
+        />
+      )}
+
+      <button
+        onClick={() => onDeviceChange({ ...device, rotated: !device.rotated })}
+        disabled={!canRotate}
+        className={`${buttonClass(canRotate && device.rotated)} disabled:opacity-30 disabled:cursor-not-allowed`}
+        title="Rotate"
+      >
+        🔄
+      </button>
+
+      <div className="flex items-center gap-2 ml-auto">
+        <button
+          onClick={() => onSideBySideChange(!sideBySide)}
+          className={buttonClass(sideBySide)}
+          title="Compare two breakpoints side by side"
+        >
+          <span>⧉</span>
+          <span className="hidden md:inline ml-1">Side by side</span>
+        </button>
+
+        {sideBySide && (
+          <select
+            value={secondaryDevice.kind}
+            onChange={(e) => onSecondaryDeviceChange({ ...secondaryDevice, kind: e.target.value as DeviceKind })}
+            className="px-2 py-1 bg-black/20 border border-white/20 rounded-md text-white text-xs focus:outline-none"
+            title="Second frame"
+          >
+            {(Object.keys(DEVICE_PRESETS) as Array<keyof typeof DEVICE_PRESETS>).map((kind) => (
+              <option key={kind} value={kind} className="text-black">
+                vs {DEVICE_PRESETS[kind].label}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+}
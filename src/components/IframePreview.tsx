@@ -3,6 +3,9 @@
  *
  * Fully interactive iframe preview with:
  * - Auto-resize script injection
+ * - Route picker, back/forward and an address bar for the in-app path
+ *   (synced with the preview runtime over postMessage)
+ * - Runtime error overlay with one-click repair; console output is passed on via onPreviewLog
  * - Loading states
  * - Error fallback screen
  * - Proper sandbox attributes
@@ -12,26 +15,56 @@
 
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, FormEvent } from 'react';
+import {
+  HOST_SOURCE,
+  HostMessage,
+  isPreviewMessage,
+  PreviewErrorMessage,
+  PreviewLogMessage,
+} from '@/lib/livepreview/previewMessages';
+
+export interface PreviewRouteOption {
+  path: string;
+  title: string;
+}
 
 interface IframePreviewProps {
   previewUrl: string | null;
   buildId: string;
+  routes?: PreviewRouteOption[]; // Pages for the route picker
+  compactControls?: boolean; // Use the small controls bar (e.g. inside a phone frame)
   onRefresh?: () => void;
+  reloadKey?: number; // Changing it reloads the preview in place (hot reload after file edits)
+  onPreviewLog?: (message: PreviewLogMessage) => void; // Console output, errors, failed requests
+  onShowConsole?: () => void; // "View in Console" on the error overlay
+  onRepair?: (error: PreviewErrorMessage & { route: string }) => void; // "Fix this error" on the error overlay
   className?: string;
 }
 
 export function IframePreview({
   previewUrl,
   buildId,
+  routes = [],
+  compactControls = false,
   onRefresh,
+  reloadKey = 0,
+  onPreviewLog,
+  onShowConsole,
+  onRepair,
   className = ''
 }: IframePreviewProps) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [retryCount, setRetryCount] = useState(0);
   const [iframeHeight, setIframeHeight] = useState('100%');
+  const [currentPath, setCurrentPath] = useState('/');
+  const [addressInput, setAddressInput] = useState('/');
+  const [routerReady, setRouterReady] = useState(false); // Preview runtime reported a route
+  const [runtimeError, setRuntimeError] = useState<PreviewErrorMessage | null>(null);
   const iframeRef = useRef<HTMLIFrameElement>(null);
+  const onPreviewLogRef = useRef(onPreviewLog);
+  onPreviewLogRef.current = onPreviewLog;
 
   // Reset loading state when previewUrl changes
   useEffect(() => {
@@ -39,26 +72,40 @@ export function IframePreview({
       setLoading(true);
       setError(null);
     }
-  }, [previewUrl]);
+    setCurrentPath('/');
+    setAddressInput('/');
+    setRouterReady(false);
+    setRuntimeError(null);
+  }, [previewUrl, buildId]);
 
-  // Auto-resize iframe based on content (optional)
+  // Messages from the preview document: route changes, logs and auto-resize
   useEffect(() => {
-    if (!iframeRef.current || !previewUrl) return;
+    if (!previewUrl) return;
 
     const handleMessage = (event: MessageEvent) => {
-      // Only accept messages from our preview URL origin
-      try {
-        const previewOrigin = new URL(previewUrl).origin;
-        if (event.origin !== previewOrigin) return;
-
-        if (event.data && event.data.type === 'resize') {
-          const height = event.data.height;
-          if (height && typeof height === 'number') {
-            setIframeHeight(`${height}px`);
-          }
+      // Only accept messages from our iframe
+      if (!iframeRef.current || event.source !== iframeRef.current.contentWindow) return;
+
+      if (isPreviewMessage(event.data)) {
+        if (event.data.type === 'route') {
+          setRouterReady(true);
+          setCurrentPath(event.data.path);
+          setAddressInput(event.data.path);
+          return;
+        }
+
+        if (event.data.type === 'error') {
+          setRuntimeError(event.data);
+        }
+        onPreviewLogRef.current?.(event.data);
+        return;
+      }
+
+      if (event.data && event.data.type === 'resize') {
+        const height = event.data.height;
+        if (height && typeof height === 'number') {
+          setIframeHeight(`${height}px`);
         }
-      } catch (err) {
-        // Ignore invalid origins
       }
     };
 
@@ -66,6 +113,47 @@ export function IframePreview({
     return () => window.removeEventListener('message', handleMessage);
   }, [previewUrl]);
 
+  const sendToPreview = (message: HostMessage) => {
+    iframeRef.current?.contentWindow?.postMessage(message, '*');
+  };
+
+  const navigateTo = (path: string) => {
+    const target = path.startsWith('/') ? path : `/${path}`;
+
+    if (routerReady) {
+      sendToPreview({ source: HOST_SOURCE, type: 'navigate', path: target });
+    } else if (iframeRef.current && previewUrl?.startsWith('/preview-proxy/')) {
+      // Proxied preview server without the runtime: pages live under the proxy path
+      const base = previewUrl.split('?')[0];
+      iframeRef.current.src = target === '/' ? base : `${base}${target}`;
+      setCurrentPath(target);
+      setAddressInput(target);
+    } else if (iframeRef.current && previewUrl && /^https?:\/\//.test(previewUrl)) {
+      // Preview server without the runtime: load the page directly
+      iframeRef.current.src = new URL(target, previewUrl).toString();
+      setCurrentPath(target);
+      setAddressInput(target);
+    }
+  };
+
+  const handleHistory = (type: 'back' | 'forward') => {
+    if (routerReady) {
+      sendToPreview({ source: HOST_SOURCE, type });
+      return;
+    }
+
+    try {
+      iframeRef.current?.contentWindow?.history[type]();
+    } catch (err) {
+      console.log('[IframePreview] Could not navigate history (cross-origin)');
+    }
+  };
+
+  const handleAddressSubmit = (e: FormEvent) => {
+    e.preventDefault();
+    navigateTo(addressInput.trim() || '/');
+  };
+
   const handleLoad = () => {
     console.log('[IframePreview] ✅ iframe loaded successfully');
     setLoading(false);
@@ -108,20 +196,27 @@ export function IframePreview({
     setError('Failed to load preview. The server may still be starting up.');
   };
 
-  const handleRefresh = () => {
+  const reloadPreview = () => {
     if (iframeRef.current && previewUrl) {
       console.log('[IframePreview] 🔄 Refreshing iframe');
       setLoading(true);
       setError(null);
+      setRuntimeError(null);
 
-      // Force reload by changing src
+      // Force reload by changing src (keeping the in-app route)
       const current = iframeRef.current;
-      const url = current.src;
+      const url = routerReady ? `${previewUrl}#${currentPath}` : current.src;
       current.src = '';
       setTimeout(() => {
         current.src = url;
         setRetryCount(prev => prev + 1);
       }, 100);
+    }
+  };
+
+  const handleRefresh = () => {
+    if (iframeRef.current && previewUrl) {
+      reloadPreview();
 
       if (onRefresh) {
         onRefresh();
@@ -129,9 +224,14 @@ export function IframePreview({
     }
   };
 
+  // Hot reload requested by the parent
+  useEffect(() => {
+    if (reloadKey > 0) reloadPreview();
+  }, [reloadKey]);
+
   const handleOpenInNewTab = () => {
     if (previewUrl) {
-      window.open(previewUrl, '_blank');
+      window.open(routerReady ? `${previewUrl}#${currentPath}` : previewUrl, '_blank');
     }
   };
 
@@ -236,16 +336,115 @@ export function IframePreview({
         </div>
       )}
 
+      {/* Runtime Error Overlay */}
+      {runtimeError && !loading && !error && (
+        <div className="absolute inset-x-0 top-10 bottom-0 bg-black/60 backdrop-blur-sm flex items-start justify-center z-30 p-4 overflow-auto">
+          <div className="w-full max-w-2xl bg-[#1a1020] border border-red-500/40 rounded-xl shadow-2xl shadow-red-500/20 p-5">
+            <div className="flex items-start justify-between gap-4 mb-3">
+              <div>
+                <p className="text-red-300 text-xs font-semibold uppercase tracking-wide mb-1">
+                  {runtimeError.kind === 'compile' ? 'Compile Error' : 'Runtime Error'}
+                </p>
+                <p className="text-white font-semibold break-words whitespace-pre-wrap">{runtimeError.message}</p>
+                {runtimeError.file && (
+                  <p className="text-white/50 text-xs font-mono mt-1 break-all">
+                    {runtimeError.file}
+                    {runtimeError.line ? `:${runtimeError.line}:${runtimeError.column ?? 0}` : ''}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => setRuntimeError(null)}
+                className="text-white/60 hover:text-white text-lg leading-none"
+                title="Dismiss"
+              >
+                ✕
+              </button>
+            </div>
+            {runtimeError.stack && (
+              <pre className="text-red-200/80 text-xs font-mono bg-black/40 rounded-lg p-3 overflow-auto max-h-64 whitespace-pre-wrap">
+                {runtimeError.stack}
+              </pre>
+            )}
+            <div className="flex gap-2 mt-4">
+              {onRepair && (
+                <button
+                  onClick={() => {
+                    onRepair({ ...runtimeError, route: currentPath });
+                    setRuntimeError(null);
+                  }}
+                  className="px-3 py-1.5 bg-gradient-to-r from-pink-500 to-purple-500 text-white rounded-md text-xs font-semibold"
+                >
+                  🔧 Fix this error
+                </button>
+              )}
+              <button
+                onClick={handleRefresh}
+                className="px-3 py-1.5 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-md text-xs font-semibold"
+              >
+                🔄 Reload
+              </button>
+              {onShowConsole && (
+                <button
+                  onClick={onShowConsole}
+                  className="px-3 py-1.5 bg-white/10 hover:bg-white/20 text-white rounded-md text-xs font-semibold"
+                >
+                  🖥️ View in Console
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Controls Bar - Desktop */}
       {!loading && !error && (
-        <div className="hidden sm:flex absolute top-0 left-0 right-0 bg-gradient-to-r from-purple-500/90 via-blue-500/90 to-pink-500/90 backdrop-blur-md px-4 py-2 z-20 items-center justify-between">
-          <div className="flex items-center gap-3 text-white text-xs font-mono">
-            <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>
-            <span className="font-semibold">Live Preview</span>
-            <span className="text-white/60">•</span>
-            <span className="text-white/80 truncate max-w-[200px] lg:max-w-none">{previewUrl}</span>
+        <div className={`${compactControls ? 'hidden' : 'hidden sm:flex'} absolute top-0 left-0 right-0 bg-gradient-to-r from-purple-500/90 via-blue-500/90 to-pink-500/90 backdrop-blur-md px-4 py-2 z-20 items-center justify-between`}>
+          <div className="flex items-center gap-2 flex-1 min-w-0 text-white text-xs font-mono">
+            <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse flex-shrink-0"></span>
+            <span className="font-semibold flex-shrink-0">Live Preview</span>
+            <button
+              onClick={() => handleHistory('back')}
+              className="px-2 py-1 bg-white/20 hover:bg-white/30 rounded-md transition-all"
+              title="Back"
+            >
+              ◀
+            </button>
+            <button
+              onClick={() => handleHistory('forward')}
+              className="px-2 py-1 bg-white/20 hover:bg-white/30 rounded-md transition-all"
+              title="Forward"
+            >
+              ▶
+            </button>
+            <form onSubmit={handleAddressSubmit} className="flex-1 min-w-0">
+              <input
+                value={addressInput}
+                onChange={(e) => setAddressInput(e.target.value)}
+                onBlur={() => setAddressInput(currentPath)}
+                className="w-full px-2 py-1 bg-black/20 border border-white/20 rounded-md text-white placeholder-white/50 focus:outline-none focus:border-white/60"
+                placeholder="/"
+                spellCheck={false}
+                aria-label="Preview address"
+              />
+            </form>
+            {routes.length > 0 && (
+              <select
+                value={routes.some((route) => route.path === currentPath) ? currentPath : ''}
+                onChange={(e) => e.target.value && navigateTo(e.target.value)}
+                className="px-2 py-1 bg-black/20 border border-white/20 rounded-md text-white max-w-[160px] focus:outline-none"
+                title="Go to page"
+              >
+                <option value="" className="text-black">Pages…</option>
+                {routes.map((route) => (
+                  <option key={route.path} value={route.path} className="text-black">
+                    {route.title} ({route.path})
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
-          <div className="flex items-center gap-2">
+          <div className="flex items-center gap-2 ml-3">
             <button
               onClick={handleOpenInNewTab}
               className="px-3 py-1 bg-white/20 hover:bg-white/30 text-white rounded-md text-xs font-semibold transition-all"
@@ -266,12 +465,35 @@ export function IframePreview({
 
       {/* Controls Bar - Mobile */}
       {!loading && !error && (
-        <div className="flex sm:hidden absolute top-0 left-0 right-0 bg-gradient-to-r from-purple-500/90 to-blue-500/90 backdrop-blur-md px-3 py-2 z-20 items-center justify-between">
-          <div className="flex items-center gap-2 text-white text-xs">
-            <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>
-            <span className="font-semibold">Live</span>
+        <div className={`${compactControls ? 'flex' : 'flex sm:hidden'} absolute top-0 left-0 right-0 bg-gradient-to-r from-purple-500/90 to-blue-500/90 backdrop-blur-md px-3 py-2 z-20 items-center justify-between`}>
+          <div className="flex items-center gap-2 flex-1 min-w-0 text-white text-xs">
+            <span className="w-2 h-2 bg-green-400 rounded-full animate-pulse flex-shrink-0"></span>
+            <button
+              onClick={() => handleHistory('back')}
+              className="px-2 py-1 bg-white/20 rounded"
+              title="Back"
+            >
+              ◀
+            </button>
+            {routes.length > 0 ? (
+              <select
+                value={routes.some((route) => route.path === currentPath) ? currentPath : ''}
+                onChange={(e) => e.target.value && navigateTo(e.target.value)}
+                className="flex-1 min-w-0 px-1 py-1 bg-black/20 border border-white/20 rounded text-white"
+                title="Go to page"
+              >
+                <option value="" className="text-black">{currentPath}</option>
+                {routes.map((route) => (
+                  <option key={route.path} value={route.path} className="text-black">
+                    {route.title}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <span className="font-mono truncate">{currentPath}</span>
+            )}
           </div>
-          <div className="flex items-center gap-2">
+          <div className="flex items-center gap-2 ml-2">
             <button
               onClick={handleOpenInNewTab}
               className="px-2 py-1 bg-white/20 text-white rounded text-xs"
@@ -0,0 +1,162 @@
+/**
+ * PreviewConsole Component
+ *
+ * Console tab of the live preview: console output, uncaught errors and
+ * failed network requests forwarded from the preview iframe.
+ * Features:
+ * - Level filters (all / errors / warnings / network)
+ * - Stack traces for runtime errors
+ * - Auto-scroll to the newest entry
+ */
+
+'use client';
+
+import { useState, useEffect, useRef, ReactNode } from 'react';
+import type { PreviewLogMessage } from '@/lib/livepreview/previewMessages';
+
+type ConsoleFilter = 'all' | 'errors' | 'warnings' | 'network';
+
+interface PreviewConsoleProps {
+  entries: PreviewLogMessage[];
+  onClear: () => void;
+  className?: string;
+}
+
+/**
+ * Whether an entry counts as an error (tab badge, "Errors" filter)
+ */
+export function isErrorEntry(entry: PreviewLogMessage): boolean {
+  return entry.type === 'error' || entry.type === 'network' || (entry.type === 'console' && entry.level === 'error');
+}
+
+function matchesFilter(entry: PreviewLogMessage, filter: ConsoleFilter): boolean {
+  switch (filter) {
+    case 'errors':
+      return isErrorEntry(entry);
+    case 'warnings':
+      return entry.type === 'console' && entry.level === 'warn';
+    case 'network':
+      return entry.type === 'network';
+    default:
+      return true;
+  }
+}
+
+function formatTime(timestamp: number): string {
+  return new Date(timestamp).toLocaleTimeString([], { hour12: false });
+}
+
+export function PreviewConsole({ entries, onClear, className = '' }: PreviewConsoleProps) {
+  const [filter, setFilter] = useState<ConsoleFilter>('all');
+  const endRef = useRef<HTMLDivElement>(null);
+
+  const visible = entries.filter((entry) => matchesFilter(entry, filter));
+
+  // Auto-scroll to the newest entry
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'end' });
+  }, [visible.length]);
+
+  const filters: Array<{ id: ConsoleFilter; label: string }> = [
+    { id: 'all', label: 'All' },
+    { id: 'errors', label: 'Errors' },
+    { id: 'warnings', label: 'Warnings' },
+    { id: 'network', label: 'Network' },
+  ];
+
+  return (
+    <div className={`h-full flex flex-col bg-[#0d1117] ${className}`}>
+      {/* Toolbar */}
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-white/10 bg-white/5">
+        {filters.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setFilter(id)}
+            className={`px-2.5 py-1 rounded-md text-xs font-semibold transition-all ${
+              filter === id
+                ? 'bg-gradient-to-r from-purple-500 to-blue-500 text-white'
+                : 'bg-white/5 text-white/60 hover:bg-white/10 hover:text-white/80'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={onClear}
+          disabled={entries.length === 0}
+          className="ml-auto px-2.5 py-1 bg-white/5 hover:bg-white/10 text-white/60 hover:text-white/80 rounded-md text-xs font-semibold transition-all disabled:opacity-30"
+        >
+          🧹 Clear
+        </button>
+      </div>
+
+      {/* Entries */}
+      <div className="flex-1 overflow-y-auto custom-scrollbar font-mono text-xs">
+        {visible.length === 0 ? (
+          <div className="flex items-center justify-center h-full text-white/40">
+            {entries.length === 0 ? 'No console output from the preview yet' : 'No entries match this filter'}
+          </div>
+        ) : (
+          visible.map((entry, index) => <ConsoleEntry key={index} entry={entry} />)
+        )}
+        <div ref={endRef} />
+      </div>
+    </div>
+  );
+}
+
+function ConsoleEntry({ entry }: { entry: PreviewLogMessage }) {
+  let icon = '›';
+  let rowClass = 'text-white/80';
+  let body: ReactNode;
+
+  if (entry.type === 'console') {
+    if (entry.level === 'error') {
+      icon = '✖';
+      rowClass = 'text-red-300 bg-red-500/10';
+    } else if (entry.level === 'warn') {
+      icon = '⚠';
+      rowClass = 'text-yellow-200 bg-yellow-500/10';
+    } else if (entry.level === 'info') {
+      icon = 'ℹ';
+      rowClass = 'text-blue-200';
+    } else if (entry.level === 'debug') {
+      rowClass = 'text-white/50';
+    }
+    body = <span className="whitespace-pre-wrap break-words">{entry.args.join(' ')}</span>;
+  } else if (entry.type === 'error') {
+    icon = '✖';
+    rowClass = 'text-red-300 bg-red-500/10';
+    body = (
+      <div className="min-w-0">
+        <div className="font-semibold break-words">{entry.message}</div>
+        {entry.file && (
+          <div className="text-red-200/60 break-all">
+            {entry.file}
+            {entry.line ? `:${entry.line}:${entry.column ?? 0}` : ''}
+          </div>
+        )}
+        {entry.stack && <pre className="mt-1 text-red-200/70 whitespace-pre-wrap">{entry.stack}</pre>}
+      </div>
+    );
+  } else {
+    icon = '⇄';
+    rowClass = 'text-orange-200 bg-orange-500/10';
+    body = (
+      <span className="break-all">
+        <span className="font-semibold">{entry.method}</span> {entry.url}{' '}
+        <span className="text-orange-300">
+          {entry.status ? `${entry.status} ${entry.statusText || ''}` : entry.error || 'Request failed'}
+        </span>
+      </span>
+    );
+  }
+
+  return (
+    <div className={`flex items-start gap-2 px-3 py-1.5 border-b border-white/5 ${rowClass}`}>
+      <span className="w-3 flex-shrink-0 text-center">{icon}</span>
+      <div className="flex-1 min-w-0">{body}</div>
+      <span className="flex-shrink-0 text-white/30">{formatTime(entry.timestamp)}</span>
+    </div>
+  );
+}
@@ -1,11 +1,12 @@
 /**
  * PreviewTabs Component
  *
- * Glassmorphism tab switcher for UI Preview / Code Viewer / File Tree
+ * Glassmorphism tab switcher for UI Preview / Code Viewer / File Tree / Console
  * Features:
  * - Smooth tab transitions
  * - Active state indicator
  * - UI Ready badge animation
+ * - Console error count
  * - Responsive design for mobile/tablet
  */
 
@@ -13,12 +14,13 @@
 
 import { useState } from 'react';
 
-export type PreviewTab = 'preview' | 'code' | 'files';
+export type PreviewTab = 'preview' | 'code' | 'files' | 'console';
 
 interface PreviewTabsProps {
   activeTab: PreviewTab;
   onTabChange: (tab: PreviewTab) => void;
   uiReady?: boolean;
+  errorCount?: number; // Runtime errors and failed requests in the Console tab
   className?: string;
 }
 
@@ -26,6 +28,7 @@ export function PreviewTabs({
   activeTab,
   onTabChange,
   uiReady = false,
+  errorCount = 0,
   className = ''
 }: PreviewTabsProps) {
   const tabs = [
@@ -47,6 +50,12 @@ export function PreviewTabs({
       icon: '📁',
       badge: false,
     },
+    {
+      id: 'console' as PreviewTab,
+      label: 'Console',
+      icon: '🖥️',
+      badge: false,
+    },
   ];
 
   return (
@@ -75,6 +84,11 @@ export function PreviewTabs({
                   title="Preview is ready"
                 />
               )}
+              {tab.id === 'console' && errorCount > 0 && (
+                <span className="px-1.5 py-0.5 bg-red-500 text-white text-[10px] leading-none rounded-full" title="Errors">
+                  {errorCount > 99 ? '99+' : errorCount}
+                </span>
+              )}
             </span>
 
             {/* Active indicator */}
@@ -105,6 +119,9 @@ export function PreviewTabs({
               {tab.badge && (
                 <span className="absolute -top-1 -right-1 w-2 h-2 bg-green-400 rounded-full animate-pulse" />
               )}
+              {tab.id === 'console' && errorCount > 0 && (
+                <span className="absolute -top-1 -right-1 w-2 h-2 bg-red-500 rounded-full" />
+              )}
             </span>
           </button>
         ))}
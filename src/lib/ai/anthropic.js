@@ -4,6 +4,7 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import { reportUsage } from './usage.js';
 
 let anthropicClient = null;
 
@@ -27,7 +28,7 @@ function getClient() {
 /**
  * Generate text completion
  */
-export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
 
   const response = await client.messages.create({
@@ -41,15 +42,21 @@ export async function generateText({ prompt, systemPrompt, model, temperature =
         content: prompt,
       },
     ],
+  }, { signal });
+
+  const text = response.content[0].text;
+  reportUsage(onUsage, { prompt, systemPrompt }, text, {
+    promptTokens: response.usage?.input_tokens,
+    completionTokens: response.usage?.output_tokens,
   });
 
-  return response.content[0].text;
+  return text;
 }
 
 /**
  * Generate streaming text completion
  */
-export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
 
   const stream = await client.messages.create({
@@ -64,19 +71,30 @@ export async function* generateStreamingText({ prompt, systemPrompt, model, temp
       },
     ],
     stream: true,
-  });
+  }, { signal });
+
+  let output = '';
+  let promptTokens;
+  let completionTokens;
 
   for await (const event of stream) {
-    if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+    if (event.type === 'message_start') {
+      promptTokens = event.message.usage?.input_tokens;
+    } else if (event.type === 'message_delta') {
+      completionTokens = event.usage?.output_tokens; // Cumulative
+    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      output += event.delta.text;
       yield event.delta.text;
     }
   }
+
+  reportUsage(onUsage, { prompt, systemPrompt }, output, { promptTokens, completionTokens });
 }
 
 /**
  * Generate code with specific formatting
  */
-export async function generateCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function generateCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -93,13 +111,15 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3, // Lower temperature for more consistent code
+    signal,
+    onUsage,
   });
 }
 
 /**
  * Generate streaming code
  */
-export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -116,6 +136,8 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3,
+    signal,
+    onUsage,
   });
 }
 
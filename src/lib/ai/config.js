@@ -1,18 +1,24 @@
 /**
  * AI Configuration
  *
- * SINGLE SOURCE OF TRUTH for AI model selection
- * Change the provider and model here to switch across entire app
+ * Built-in defaults for AI model selection. At runtime they can be overridden
+ * without editing this file - by env vars, the persisted routing settings,
+ * the user's plan and per-build overrides (see routing.js).
  */
 
+// Offline providers (see local.js and fixture.js)
+const LOCAL_FALLBACK = { provider: 'local', model: process.env.LOCAL_LLM_MODEL || 'llama3.1' };
+const FIXTURE_FALLBACK = { provider: 'fixture', model: 'recorded' };
+
 export const AI_CONFIG = {
   // ============================================
-  // 🎯 CHANGE THESE TO SWITCH AI PROVIDERS
+  // 🎯 Default provider per operation type
+  // (env: AI_<OPERATION>_PROVIDER / AI_<OPERATION>_MODEL)
   // ============================================
 
   // Primary provider for code generation
   CODE_GENERATION: {
-    provider: 'openai',        // Options: 'openai', 'anthropic', 'gemini', 'groq'
+    provider: 'openai',        // Options: 'openai', 'anthropic', 'gemini', 'groq', 'local', 'fixture'
     model: 'gpt-4-turbo',      // Model name for the selected provider
   },
 
@@ -28,6 +34,56 @@ export const AI_CONFIG = {
     model: 'llama-3.1-70b-versatile',
   },
 
+  // ============================================
+  // Failover
+  // ============================================
+
+  // Tried in order when the primary provider fails or isn't configured
+  // (env: AI_<OPERATION>_FALLBACKS=provider:model,provider:model)
+  // local and fixture only join once LOCAL_LLM_BASE_URL / AI_FIXTURES_DIR are set,
+  // so a machine without cloud keys runs fully offline
+  FALLBACKS: {
+    CODE_GENERATION: [
+      { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+      { provider: 'groq', model: 'llama-3.1-70b-versatile' },
+      LOCAL_FALLBACK,
+      FIXTURE_FALLBACK,
+    ],
+    TEXT_GENERATION: [
+      { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+      { provider: 'groq', model: 'llama-3.1-70b-versatile' },
+      LOCAL_FALLBACK,
+      FIXTURE_FALLBACK,
+    ],
+    FAST_OPERATIONS: [
+      { provider: 'openai', model: 'gpt-3.5-turbo' },
+      { provider: 'anthropic', model: 'claude-3-haiku-20240307' },
+      LOCAL_FALLBACK,
+      FIXTURE_FALLBACK,
+    ],
+  },
+
+  // Per-plan overrides, e.g. pro: { CODE_GENERATION: { provider: 'openai', model: 'gpt-4o' } }
+  // (env: AI_PLAN_<PLAN>_<OPERATION>=provider:model; the routing settings take precedence)
+  PLAN_MODELS: {},
+
+  // Most expensive model each plan may pick as a per-build override (the `models`
+  // option of /api/build/start), by output price in USD per 1M tokens (see PRICING).
+  // Plans not listed can't override models; unpriced models need an unlimited plan.
+  MODEL_OVERRIDE_LIMITS: {
+    starter: 2,
+    pro: 15,
+    enterprise: Infinity,
+  },
+
+  FAILOVER: {
+    maxRetries: 2,              // Retries per provider on 429/5xx/network errors
+    baseDelay: 1000,            // First retry delay (ms), doubled each retry, with jitter
+    maxDelay: 10000,            // Retry delay cap (ms)
+    circuitThreshold: 3,        // Consecutive failed calls (after retries) before a provider is skipped
+    circuitCooldown: 60000,     // How long a tripped provider is skipped (ms)
+  },
+
   // ============================================
   // Provider-Specific Model Options
   // ============================================
@@ -55,6 +111,46 @@ export const AI_CONFIG = {
       'llama-3.1-8b-instant',
       'mixtral-8x7b-32768',
     ],
+    // Whatever the local server has loaded (LOCAL_LLM_MODEL)
+    local: [
+      'llama3.1',
+      'qwen2.5-coder',
+      'mistral',
+    ],
+    fixture: [
+      'recorded',
+    ],
+  },
+
+  // ============================================
+  // Pricing (USD per 1M tokens)
+  // ============================================
+
+  // Used to cost each call (see usage.js). local and fixture are free;
+  // a model missing here is counted as $0 with a warning.
+  PRICING: {
+    openai: {
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'gpt-4-turbo-preview': { input: 10, output: 30 },
+    },
+    anthropic: {
+      'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+      'claude-3-opus-20240229': { input: 15, output: 75 },
+      'claude-3-sonnet-20240229': { input: 3, output: 15 },
+      'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    },
+    gemini: {
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      'gemini-pro': { input: 0.5, output: 1.5 },
+    },
+    groq: {
+      'llama-3.1-70b-versatile': { input: 0.59, output: 0.79 },
+      'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+      'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+    },
   },
 
   // ============================================
@@ -99,13 +195,6 @@ Do not include explanations unless asked. Only output code.`,
   },
 };
 
-/**
- * Get the current provider configuration
- */
-export function getCurrentProvider(operationType = 'CODE_GENERATION') {
-  return AI_CONFIG[operationType];
-}
-
 /**
  * Validate that a provider is configured
  */
@@ -115,6 +204,8 @@ export function isProviderConfigured(provider) {
     anthropic: 'ANTHROPIC_API_KEY',
     gemini: 'GOOGLE_API_KEY',
     groq: 'GROQ_API_KEY',
+    local: 'LOCAL_LLM_BASE_URL',
+    fixture: 'AI_FIXTURES_DIR',
   };
 
   const envVar = envVars[provider];
@@ -0,0 +1,169 @@
+/**
+ * AI Failover - Retry Policy and Circuit Breaker
+ *
+ * Used by the AI router (index.js) to walk each operation's provider chain:
+ * - Rate limits (429), server errors (5xx) and network errors are retried
+ *   with jittered exponential backoff
+ * - Any other error moves straight on to the next provider
+ * - A provider that keeps failing is skipped (circuit open) for a cooldown,
+ *   then gets one trial call before it's used normally again. Only failures
+ *   on the provider's side count: a bad request (400, prompt too long) is the
+ *   caller's problem and leaves the circuit alone
+ *
+ * Settings: AI_CONFIG.FAILOVER (config.js)
+ */
+
+import { AI_CONFIG } from './config.js';
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+// provider -> { failures, openedUntil, probeUntil, lastError }
+const circuits = new Map();
+
+/**
+ * HTTP status of a provider SDK error, if it has one
+ */
+function getErrorStatus(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (typeof status === 'number') return status;
+
+  // Gemini reports the status in the message: "[429 Too Many Requests] ..."
+  const match = /\[(\d{3})[ \]]/.exec(error?.message || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Whether an error is worth retrying on the same provider
+ */
+export function isRetryableError(error) {
+  if (isAbortError(error)) return false;
+
+  const status = getErrorStatus(error);
+  if (status !== undefined) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_NETWORK_CODES.has(code) || /rate limit|overloaded|timed? ?out/i.test(error?.message || '');
+}
+
+/**
+ * Whether an error says something about the provider's health
+ * Transient errors, plus rejected credentials (every call would fail the same way)
+ */
+function isProviderFailure(error) {
+  const status = getErrorStatus(error);
+  return isRetryableError(error) || status === 401 || status === 403;
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'APIUserAbortError';
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential with full jitter
+ */
+export function getBackoffDelay(attempt) {
+  const { baseDelay, maxDelay } = AI_CONFIG.FAILOVER;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wait for `ms`, rejecting early if the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether a provider is currently being skipped
+ */
+export function isCircuitOpen(provider) {
+  const circuit = circuits.get(provider);
+  return !!circuit && circuit.openedUntil > Date.now();
+}
+
+/**
+ * Claim a call on a provider right before making it
+ * Once the cooldown is over, the first caller gets the trial call; everyone
+ * else keeps skipping the provider until it reports back (or the trial call
+ * has been out for a whole cooldown).
+ */
+export function acquireCircuit(provider) {
+  const circuit = circuits.get(provider);
+  if (!circuit || circuit.failures < AI_CONFIG.FAILOVER.circuitThreshold) return true;
+
+  const now = Date.now();
+  if (circuit.openedUntil > now || circuit.probeUntil > now) return false;
+
+  circuit.probeUntil = now + AI_CONFIG.FAILOVER.circuitCooldown;
+  return true;
+}
+
+export function recordSuccess(provider) {
+  circuits.delete(provider);
+}
+
+export function recordFailure(provider, error) {
+  const existing = circuits.get(provider);
+
+  if (!isProviderFailure(error)) {
+    // The provider answered: a trial call that ended this way lets the next caller try
+    if (existing) existing.probeUntil = 0;
+    return;
+  }
+
+  const circuit = existing || { failures: 0, openedUntil: 0, probeUntil: 0, lastError: null };
+  circuit.failures += 1;
+  circuit.lastError = error?.message || String(error);
+  circuit.probeUntil = 0;
+
+  // Past the threshold every failure (including the trial call after a cooldown) reopens it
+  if (circuit.failures >= AI_CONFIG.FAILOVER.circuitThreshold) {
+    circuit.openedUntil = Date.now() + AI_CONFIG.FAILOVER.circuitCooldown;
+    console.warn(`[AI] Circuit open for ${provider} after ${circuit.failures} consecutive failures: ${circuit.lastError}`);
+  }
+
+  circuits.set(provider, circuit);
+}
+
+/**
+ * Circuit state of every provider that has failed recently
+ */
+export function getCircuitStates() {
+  const states = {};
+  for (const [provider, circuit] of circuits) {
+    states[provider] = {
+      failures: circuit.failures,
+      open: circuit.openedUntil > Date.now(),
+      probing: circuit.probeUntil > Date.now(),
+      openUntil: circuit.openedUntil > Date.now() ? new Date(circuit.openedUntil).toISOString() : null,
+      lastError: circuit.lastError,
+    };
+  }
+  return states;
+}
+
+/**
+ * Reset all circuits (e.g. after changing API keys)
+ */
+export function resetCircuits() {
+  circuits.clear();
+}
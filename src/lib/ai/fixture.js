@@ -0,0 +1,266 @@
+/**
+ * Fixture Adapter
+ * Replays recorded responses for fully offline, deterministic builds
+ *
+ * A response is looked up by a hash of its system prompt + prompt, so the same
+ * build replays the same output every time. Each fixture is one JSON file in
+ * AI_FIXTURES_DIR: { key, provider, model, promptPreview, response, recordedAt }.
+ *
+ * Recording: set AI_FIXTURE_RECORD_FROM to a provider (e.g. 'openai' or 'local');
+ * calls without a fixture are then sent there and the response is saved.
+ * Without it, a missing fixture is an error (the router falls over to the next provider).
+ * Replayed calls report estimated token counts (free); recorded ones are billed to the recording provider.
+ *
+ * Env:
+ *   AI_FIXTURES_DIR        - Fixture directory (enables the adapter)
+ *   AI_FIXTURE_RECORD_FROM - Provider to record missing responses from
+ */
+
+import crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import * as openai from './openai.js';
+import * as anthropic from './anthropic.js';
+import * as gemini from './gemini.js';
+import * as groq from './groq.js';
+import * as local from './local.js';
+import { reportUsage } from './usage.js';
+
+const RECORDERS = { openai, anthropic, gemini, groq, local };
+const STREAM_CHUNK_SIZE = 64; // Characters per replayed stream chunk
+const PROMPT_PREVIEW_LENGTH = 300;
+
+function getFixturesDir() {
+  if (!process.env.AI_FIXTURES_DIR) {
+    throw new Error('AI_FIXTURES_DIR is not configured in environment variables');
+  }
+
+  return path.resolve(process.env.AI_FIXTURES_DIR);
+}
+
+/**
+ * The adapter missing responses are recorded from, if recording is on
+ */
+function getRecorder() {
+  const provider = process.env.AI_FIXTURE_RECORD_FROM;
+  if (!provider) return null;
+
+  const adapter = RECORDERS[provider];
+  if (!adapter) {
+    throw new Error(`AI_FIXTURE_RECORD_FROM: unknown provider "${provider}"`);
+  }
+
+  return { provider, adapter };
+}
+
+/**
+ * Fixture key: the prompts only, so model or temperature changes still replay
+ */
+export function getFixtureKey({ prompt, systemPrompt }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([systemPrompt || '', prompt]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+async function readFixture(key) {
+  try {
+    const fixture = JSON.parse(await fs.readFile(path.join(getFixturesDir(), `${key}.json`), 'utf-8'));
+    return fixture.response;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeFixture(key, { prompt, model }, provider, response) {
+  const dir = getFixturesDir();
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${key}.json`),
+    JSON.stringify({
+      key,
+      provider,
+      model: model || null,
+      promptPreview: prompt.slice(0, PROMPT_PREVIEW_LENGTH),
+      response,
+      recordedAt: new Date().toISOString(),
+    }, null, 2),
+    'utf-8'
+  );
+  console.log(`[AI Fixture] Recorded ${key} from ${provider}`);
+}
+
+/**
+ * Recording spends real tokens, so they're billed to the recording provider
+ */
+function billedToRecorder(onUsage, recorder, model) {
+  if (!onUsage) return undefined;
+  return (usage) => onUsage({ ...usage, provider: recorder.provider, model });
+}
+
+function missingFixtureError(key, prompt) {
+  const error = new Error(
+    `No recorded response for fixture ${key} (prompt: "${prompt.slice(0, 80)}..."). ` +
+      'Set AI_FIXTURE_RECORD_FROM to record it.'
+  );
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Generate text completion
+ */
+export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
+  const key = getFixtureKey({ prompt, systemPrompt });
+  const recorded = await readFixture(key);
+  if (recorded !== null) {
+    reportUsage(onUsage, { prompt, systemPrompt }, recorded);
+    return recorded;
+  }
+
+  const recorder = getRecorder();
+  if (!recorder) throw missingFixtureError(key, prompt);
+
+  // The fixture's placeholder model means "the recording provider's default"
+  const recordModel = model === 'recorded' ? undefined : model;
+  const response = await recorder.adapter.generateText({
+    prompt,
+    systemPrompt,
+    model: recordModel,
+    temperature,
+    maxTokens,
+    signal,
+    onUsage: billedToRecorder(onUsage, recorder, recordModel),
+  });
+  await writeFixture(key, { prompt, model: recordModel }, recorder.provider, response);
+  return response;
+}
+
+/**
+ * Generate streaming text completion
+ * Replays the recorded response in fixed-size chunks.
+ */
+export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
+  const key = getFixtureKey({ prompt, systemPrompt });
+  const recorded = await readFixture(key);
+
+  if (recorded !== null) {
+    for (let i = 0; i < recorded.length; i += STREAM_CHUNK_SIZE) {
+      if (signal?.aborted) throw signal.reason ?? new DOMException('Aborted', 'AbortError');
+      yield recorded.slice(i, i + STREAM_CHUNK_SIZE);
+    }
+    reportUsage(onUsage, { prompt, systemPrompt }, recorded);
+    return;
+  }
+
+  const recorder = getRecorder();
+  if (!recorder) throw missingFixtureError(key, prompt);
+
+  const recordModel = model === 'recorded' ? undefined : model;
+  let response = '';
+  for await (const chunk of recorder.adapter.generateStreamingText({
+    prompt,
+    systemPrompt,
+    model: recordModel,
+    temperature,
+    maxTokens,
+    signal,
+    onUsage: billedToRecorder(onUsage, recorder, recordModel),
+  })) {
+    response += chunk;
+    yield chunk;
+  }
+  await writeFixture(key, { prompt, model: recordModel }, recorder.provider, response);
+}
+
+/**
+ * Generate code with specific formatting
+ */
+export async function generateCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
+  const enhancedPrompt = `Generate ${language} code for: ${prompt}
+
+Requirements:
+- Production-ready code
+- Proper error handling
+- Modern best practices
+- Include necessary imports
+- Add helpful comments
+
+Return only the code, no explanations.`;
+
+  return generateText({
+    prompt: enhancedPrompt,
+    systemPrompt,
+    model,
+    temperature: 0.3, // Lower temperature for more consistent code
+    signal,
+    onUsage,
+  });
+}
+
+/**
+ * Generate streaming code
+ */
+export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
+  const enhancedPrompt = `Generate ${language} code for: ${prompt}
+
+Requirements:
+- Production-ready code
+- Proper error handling
+- Modern best practices
+- Include necessary imports
+- Add helpful comments
+
+Return only the code, no explanations.`;
+
+  yield* generateStreamingText({
+    prompt: enhancedPrompt,
+    systemPrompt,
+    model,
+    temperature: 0.3,
+    signal,
+    onUsage,
+  });
+}
+
+/**
+ * Validate the fixture directory (and the recording provider, if set)
+ */
+export async function validateApiKey() {
+  try {
+    const dir = getFixturesDir();
+    const recorder = getRecorder();
+
+    let fixtureCount = 0;
+    try {
+      fixtureCount = (await fs.readdir(dir)).filter((name) => name.endsWith('.json')).length;
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !recorder) throw error;
+    }
+
+    if (recorder) {
+      const result = await recorder.adapter.validateApiKey();
+      if (!result.valid) {
+        throw new Error(`Recording provider ${recorder.provider}: ${result.error}`);
+      }
+    }
+
+    return { valid: true, provider: 'fixture', fixtures: fixtureCount, recordingFrom: recorder?.provider || null };
+  } catch (error) {
+    return {
+      valid: false,
+      provider: 'fixture',
+      error: error.message,
+    };
+  }
+}
+
+export default {
+  generateText,
+  generateStreamingText,
+  generateCode,
+  generateStreamingCode,
+  validateApiKey,
+};
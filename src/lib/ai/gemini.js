@@ -4,6 +4,7 @@
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { reportUsage } from './usage.js';
 
 let genAI = null;
 
@@ -25,7 +26,7 @@ function getClient() {
 /**
  * Generate text completion
  */
-export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
   const generativeModel = client.getGenerativeModel({
     model: model || 'gemini-1.5-pro',
@@ -40,15 +41,21 @@ export async function generateText({ prompt, systemPrompt, model, temperature =
       temperature,
       maxOutputTokens: maxTokens,
     },
+  }, { signal });
+
+  const text = result.response.text();
+  reportUsage(onUsage, { prompt, systemPrompt }, text, {
+    promptTokens: result.response.usageMetadata?.promptTokenCount,
+    completionTokens: result.response.usageMetadata?.candidatesTokenCount,
   });
 
-  return result.response.text();
+  return text;
 }
 
 /**
  * Generate streaming text completion
  */
-export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
   const generativeModel = client.getGenerativeModel({
     model: model || 'gemini-1.5-pro',
@@ -63,20 +70,30 @@ export async function* generateStreamingText({ prompt, systemPrompt, model, temp
       temperature,
       maxOutputTokens: maxTokens,
     },
-  });
+  }, { signal });
+
+  let output = '';
 
   for await (const chunk of result.stream) {
     const text = chunk.text();
     if (text) {
+      output += text;
       yield text;
     }
   }
+
+  // The aggregated response carries the token counts once the stream ends
+  const { usageMetadata } = await result.response;
+  reportUsage(onUsage, { prompt, systemPrompt }, output, {
+    promptTokens: usageMetadata?.promptTokenCount,
+    completionTokens: usageMetadata?.candidatesTokenCount,
+  });
 }
 
 /**
  * Generate code with specific formatting
  */
-export async function generateCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function generateCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -93,13 +110,15 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3, // Lower temperature for more consistent code
+    signal,
+    onUsage,
   });
 }
 
 /**
  * Generate streaming code
  */
-export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -116,6 +135,8 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3,
+    signal,
+    onUsage,
   });
 }
 
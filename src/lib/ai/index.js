@@ -2,18 +2,41 @@
  * AI Router - Master Interface
  *
  * This is the ONLY file you need to import in your application.
- * It automatically routes to the correct AI provider based on config.js
+ * It automatically routes to the correct AI provider (config.js + routing.js)
+ *
+ * Each operation type has an ordered provider chain, resolved at runtime from
+ * config, env, the routing settings, the user's plan and per-build overrides
+ * (see routing.js). Pass `route: { plan, overrides }` to apply the last two.
+ * Calls retry transient errors and fall over to the next configured provider;
+ * see failover.js for the retry policy and circuit breaker.
+ *
+ * Pass `onUsage` to receive each call's token counts and cost (see usage.js).
  *
  * Usage:
  *   import { generateCode, generateText } from '@/lib/ai';
  *   const code = await generateCode({ prompt: 'Create a login form' });
  */
 
-import { AI_CONFIG, getCurrentProvider, isProviderConfigured } from './config.js';
+import { AI_CONFIG, isProviderConfigured } from './config.js';
+import { getCurrentProvider, getProviderChain, loadRoutingSettings, getRoutingSettings, getSettingsStore } from './routing.js';
+import {
+  isRetryableError,
+  isAbortError,
+  getBackoffDelay,
+  sleep,
+  isCircuitOpen,
+  acquireCircuit,
+  recordSuccess,
+  recordFailure,
+  getCircuitStates,
+} from './failover.js';
+import { getCallCost } from './usage.js';
 import * as openai from './openai.js';
 import * as anthropic from './anthropic.js';
 import * as gemini from './gemini.js';
 import * as groq from './groq.js';
+import * as local from './local.js';
+import * as fixture from './fixture.js';
 
 // Map provider names to their adapters
 const ADAPTERS = {
@@ -21,28 +44,211 @@ const ADAPTERS = {
   anthropic,
   gemini,
   groq,
+  local,
+  fixture,
 };
 
+const MAX_RECENT_CALLS = 50;
+
+// Which provider actually served each call (see getConfigInfo)
+const servedBy = {};
+const recentCalls = [];
+
+/**
+ * Providers to try for an operation type, in order
+ * Unconfigured providers and providers with an open circuit are skipped.
+ */
+function getCandidates(operationType, route) {
+  const candidates = [];
+  const skipped = [];
+
+  for (const { provider, model } of getProviderChain(operationType, route)) {
+    const adapter = ADAPTERS[provider];
+    if (!adapter) {
+      skipped.push(`${provider}: unknown provider`);
+    } else if (!isProviderConfigured(provider)) {
+      skipped.push(`${provider}: API key not configured`);
+    } else if (isCircuitOpen(provider)) {
+      skipped.push(`${provider}: temporarily disabled after repeated failures`);
+    } else {
+      candidates.push({ provider, model, adapter });
+    }
+  }
+
+  return { candidates, skipped };
+}
+
+/**
+ * Usage callback handed to the adapter for one attempt
+ * Prices the reported tokens and passes them on to the caller's onUsage.
+ * The fixture adapter bills recordings to the provider it recorded from.
+ */
+function createUsageTracker(operationType, candidate, onUsage, tracked) {
+  return (usage) => {
+    const provider = usage.provider || candidate.provider;
+    const model = usage.provider ? usage.model || AI_CONFIG.AVAILABLE_MODELS[provider]?.[0] : candidate.model;
+
+    tracked.usage = {
+      operationType,
+      provider,
+      model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimated: usage.estimated,
+      costUsd: getCallCost(provider, model, usage),
+    };
+
+    if (onUsage) {
+      try {
+        onUsage(tracked.usage);
+      } catch (error) {
+        console.error('[AI] onUsage callback failed:', error);
+      }
+    }
+  };
+}
+
+function recordServed(operationType, route, candidate, attempts, startedAt, usage) {
+  const call = {
+    operationType,
+    plan: route?.plan || null,
+    provider: candidate.provider,
+    model: candidate.model,
+    fallback: candidate.provider !== getCurrentProvider(operationType, route).provider,
+    attempts,
+    durationMs: Date.now() - startedAt,
+    promptTokens: usage?.promptTokens ?? null,
+    completionTokens: usage?.completionTokens ?? null,
+    costUsd: usage?.costUsd ?? null,
+    timestamp: Date.now(),
+  };
+
+  if (call.fallback) {
+    console.warn(`[AI] ${operationType} served by fallback provider ${call.provider} (${call.model})`);
+  }
+
+  servedBy[operationType] = call;
+  recentCalls.push(call);
+  if (recentCalls.length > MAX_RECENT_CALLS) recentCalls.shift();
+}
+
+function chainFailedError(operationType, failures, lastError) {
+  const error = new Error(
+    lastError
+      ? `All providers failed for ${operationType} (${failures.join('; ')})`
+      : `No provider available for ${operationType} (${failures.join('; ')}). Please set the required API key in your .env file.`
+  );
+  error.cause = lastError;
+  if (lastError?.status) error.status = lastError.status;
+  return error;
+}
+
 /**
- * Get the adapter for a specific operation type
+ * Run a call against the operation's provider chain
+ * Retries transient errors on each provider, then falls over to the next one.
+ * `call(candidate, trackUsage)` must pass trackUsage to the adapter as onUsage.
  */
-function getAdapter(operationType = 'CODE_GENERATION') {
-  const config = getCurrentProvider(operationType);
-  const { provider, model } = config;
-
-  // Validate provider is configured
-  if (!isProviderConfigured(provider)) {
-    throw new Error(
-      `Provider "${provider}" is not configured. Please set the required API key in your .env file.`
-    );
+async function callWithFailover(operationType, { route, signal, onUsage }, call) {
+  await loadRoutingSettings();
+  const { candidates, skipped } = getCandidates(operationType, route);
+  const failures = [...skipped];
+  const startedAt = Date.now();
+  let attempts = 0;
+  let lastError = null;
+
+  for (const candidate of candidates) {
+    // Another caller may be making the trial call after a cooldown
+    if (!acquireCircuit(candidate.provider)) {
+      failures.push(`${candidate.provider}: temporarily disabled after repeated failures`);
+      continue;
+    }
+
+    for (let retry = 0; retry <= AI_CONFIG.FAILOVER.maxRetries; retry++) {
+      if (retry > 0) await sleep(getBackoffDelay(retry), signal);
+      attempts += 1;
+
+      try {
+        const tracked = {};
+        const result = await call(candidate, createUsageTracker(operationType, candidate, onUsage, tracked));
+        recordSuccess(candidate.provider);
+        recordServed(operationType, route, candidate, attempts, startedAt, tracked.usage);
+        return result;
+      } catch (error) {
+        if (isAbortError(error) || signal?.aborted) throw error;
+
+        lastError = error;
+        console.warn(`[AI] ${operationType} via ${candidate.provider} failed (attempt ${retry + 1}): ${error.message}`);
+        if (!isRetryableError(error)) break;
+      }
+    }
+
+    // One failure per exhausted provider, however many retries it took
+    recordFailure(candidate.provider, lastError);
+    failures.push(`${candidate.provider}: ${lastError.message}`);
   }
 
-  const adapter = ADAPTERS[provider];
-  if (!adapter) {
-    throw new Error(`Unknown AI provider: ${provider}`);
+  throw chainFailedError(operationType, failures, lastError);
+}
+
+/**
+ * Streaming version of callWithFailover
+ * Only falls over before the first chunk - once output has been yielded,
+ * an error is passed on to the caller. Callers that pass `onRestart` can take
+ * a restart instead: onRestart(error) is called so they can drop what they
+ * received, and the output starts over on the next provider.
+ */
+async function* streamWithFailover(operationType, { route, signal, onUsage, onRestart }, stream) {
+  await loadRoutingSettings();
+  const { candidates, skipped } = getCandidates(operationType, route);
+  const failures = [...skipped];
+  const startedAt = Date.now();
+  let attempts = 0;
+  let lastError = null;
+
+  for (const candidate of candidates) {
+    // Another caller may be making the trial call after a cooldown
+    if (!acquireCircuit(candidate.provider)) {
+      failures.push(`${candidate.provider}: temporarily disabled after repeated failures`);
+      continue;
+    }
+
+    for (let retry = 0; retry <= AI_CONFIG.FAILOVER.maxRetries; retry++) {
+      if (retry > 0) await sleep(getBackoffDelay(retry), signal);
+      attempts += 1;
+      let yielded = false;
+
+      try {
+        const tracked = {};
+        for await (const chunk of stream(candidate, createUsageTracker(operationType, candidate, onUsage, tracked))) {
+          yielded = true;
+          yield chunk;
+        }
+        recordSuccess(candidate.provider);
+        recordServed(operationType, route, candidate, attempts, startedAt, tracked.usage);
+        return;
+      } catch (error) {
+        if (isAbortError(error) || signal?.aborted) throw error;
+
+        lastError = error;
+        console.warn(`[AI] ${operationType} stream via ${candidate.provider} failed (attempt ${retry + 1}): ${error.message}`);
+        if (yielded) {
+          if (!onRestart) {
+            recordFailure(candidate.provider, error);
+            throw error;
+          }
+          onRestart(error);
+          break;
+        }
+        if (!isRetryableError(error)) break;
+      }
+    }
+
+    // One failure per exhausted provider, however many retries it took
+    recordFailure(candidate.provider, lastError);
+    failures.push(`${candidate.provider}: ${lastError.message}`);
   }
 
-  return { adapter, model };
+  throw chainFailedError(operationType, failures, lastError);
 }
 
 /**
@@ -54,6 +260,9 @@ function getAdapter(operationType = 'CODE_GENERATION') {
  * @param {string} [options.operationType='TEXT_GENERATION'] - Type of operation (determines which provider to use)
  * @param {number} [options.temperature] - Override default temperature
  * @param {number} [options.maxTokens] - Override default max tokens
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight request
+ * @param {Object} [options.route] - { plan, overrides } for plan/per-build model routing
+ * @param {Function} [options.onUsage] - Receives { operationType, provider, model, promptTokens, completionTokens, estimated, costUsd }
  * @returns {Promise<string>} Generated text
  */
 export async function generateText({
@@ -62,22 +271,28 @@ export async function generateText({
   operationType = 'TEXT_GENERATION',
   temperature,
   maxTokens,
+  signal,
+  route,
+  onUsage,
 }) {
-  const { adapter, model } = getAdapter(operationType);
-
-  return adapter.generateText({
+  return callWithFailover(operationType, { route, signal, onUsage }, ({ adapter, model }, trackUsage) => adapter.generateText({
     prompt,
     systemPrompt: systemPrompt || AI_CONFIG.SYSTEM_PROMPTS.CODE_BUILDER,
     model,
     temperature: temperature ?? AI_CONFIG.SETTINGS.temperature,
     maxTokens: maxTokens ?? AI_CONFIG.SETTINGS.maxTokens,
-  });
+    signal,
+    onUsage: trackUsage,
+  }));
 }
 
 /**
  * Generate streaming text using the configured provider
+ * Pass `onRestart` to let a stream that breaks off part-way start over on the
+ * next provider; it is called with the error first, so the caller can discard
+ * the chunks received so far.
  *
- * @param {Object} options - Same as generateText
+ * @param {Object} options - Same as generateText, plus onRestart
  * @returns {AsyncGenerator<string>} Streaming text chunks
  */
 export async function* generateStreamingText({
@@ -86,16 +301,20 @@ export async function* generateStreamingText({
   operationType = 'TEXT_GENERATION',
   temperature,
   maxTokens,
+  signal,
+  route,
+  onUsage,
+  onRestart,
 }) {
-  const { adapter, model } = getAdapter(operationType);
-
-  yield* adapter.generateStreamingText({
+  yield* streamWithFailover(operationType, { route, signal, onUsage, onRestart }, ({ adapter, model }, trackUsage) => adapter.generateStreamingText({
     prompt,
     systemPrompt: systemPrompt || AI_CONFIG.SYSTEM_PROMPTS.CODE_BUILDER,
     model,
     temperature: temperature ?? AI_CONFIG.SETTINGS.temperature,
     maxTokens: maxTokens ?? AI_CONFIG.SETTINGS.maxTokens,
-  });
+    signal,
+    onUsage: trackUsage,
+  }));
 }
 
 /**
@@ -106,6 +325,9 @@ export async function* generateStreamingText({
  * @param {string} [options.language='javascript'] - Programming language
  * @param {string} [options.systemPrompt] - Optional system prompt
  * @param {string} [options.operationType='CODE_GENERATION'] - Type of operation
+ * @param {AbortSignal} [options.signal] - Aborts the in-flight request
+ * @param {Object} [options.route] - { plan, overrides } for plan/per-build model routing
+ * @param {Function} [options.onUsage] - Receives each call's token counts and cost (see generateText)
  * @returns {Promise<string>} Generated code
  */
 export async function generateCode({
@@ -113,15 +335,18 @@ export async function generateCode({
   language = 'javascript',
   systemPrompt,
   operationType = 'CODE_GENERATION',
+  signal,
+  route,
+  onUsage,
 }) {
-  const { adapter, model } = getAdapter(operationType);
-
-  return adapter.generateCode({
+  return callWithFailover(operationType, { route, signal, onUsage }, ({ adapter, model }, trackUsage) => adapter.generateCode({
     prompt,
     language,
     systemPrompt: systemPrompt || AI_CONFIG.SYSTEM_PROMPTS.CODE_BUILDER,
     model,
-  });
+    signal,
+    onUsage: trackUsage,
+  }));
 }
 
 /**
@@ -135,36 +360,45 @@ export async function* generateStreamingCode({
   language = 'javascript',
   systemPrompt,
   operationType = 'CODE_GENERATION',
+  signal,
+  route,
+  onUsage,
 }) {
-  const { adapter, model } = getAdapter(operationType);
-
-  yield* adapter.generateStreamingCode({
+  yield* streamWithFailover(operationType, { route, signal, onUsage }, ({ adapter, model }, trackUsage) => adapter.generateStreamingCode({
     prompt,
     language,
     systemPrompt: systemPrompt || AI_CONFIG.SYSTEM_PROMPTS.CODE_BUILDER,
     model,
-  });
+    signal,
+    onUsage: trackUsage,
+  }));
 }
 
 /**
  * Generate app architecture plan
  */
-export async function generateAppPlan({ prompt, operationType = 'FAST_OPERATIONS' }) {
+export async function generateAppPlan({ prompt, operationType = 'FAST_OPERATIONS', signal, route, onUsage }) {
   return generateText({
     prompt,
     systemPrompt: AI_CONFIG.SYSTEM_PROMPTS.APP_PLANNER,
     operationType,
+    signal,
+    route,
+    onUsage,
   });
 }
 
 /**
  * Review code for issues
  */
-export async function reviewCode({ code, operationType = 'FAST_OPERATIONS' }) {
+export async function reviewCode({ code, operationType = 'FAST_OPERATIONS', signal, route, onUsage }) {
   return generateText({
     prompt: `Review this code:\n\n${code}`,
     systemPrompt: AI_CONFIG.SYSTEM_PROMPTS.CODE_REVIEWER,
     operationType,
+    signal,
+    route,
+    onUsage,
   });
 }
 
@@ -173,9 +407,7 @@ export async function reviewCode({ code, operationType = 'FAST_OPERATIONS' }) {
  *
  * This is the main function for the build system
  */
-export async function* generateApp({ prompt, onStep }) {
-  const { adapter, model } = getAdapter('CODE_GENERATION');
-
+export async function* generateApp({ prompt, onStep, signal, route, onUsage }) {
   const buildPrompt = `You are building a complete full-stack application based on this description:
 
 ${prompt}
@@ -196,13 +428,15 @@ Be thorough and production-ready.`;
 
   let currentStep = '';
 
-  for await (const chunk of adapter.generateStreamingText({
+  for await (const chunk of streamWithFailover('CODE_GENERATION', { route, signal, onUsage }, ({ adapter, model }, trackUsage) => adapter.generateStreamingText({
     prompt: buildPrompt,
     systemPrompt: AI_CONFIG.SYSTEM_PROMPTS.CODE_BUILDER,
     model,
     temperature: 0.4,
     maxTokens: 8000,
-  })) {
+    signal,
+    onUsage: trackUsage,
+  }))) {
     // Check if chunk contains a step marker (emoji at start)
     if (/^[🔧📦🧱🧪⚙️🖼️✅🚀💾🔐🎨📝]/.test(chunk)) {
       currentStep = chunk;
@@ -246,6 +480,7 @@ export async function validateAllKeys() {
 
 /**
  * Get current configuration info
+ * Includes the provider chains, circuit states and which provider served recent calls.
  */
 export function getConfigInfo() {
   return {
@@ -253,12 +488,41 @@ export function getConfigInfo() {
     textGeneration: getCurrentProvider('TEXT_GENERATION'),
     fastOperations: getCurrentProvider('FAST_OPERATIONS'),
     settings: AI_CONFIG.SETTINGS,
+    failover: {
+      ...AI_CONFIG.FAILOVER,
+      chains: {
+        codeGeneration: getProviderChain('CODE_GENERATION'),
+        textGeneration: getProviderChain('TEXT_GENERATION'),
+        fastOperations: getProviderChain('FAST_OPERATIONS'),
+      },
+      circuits: getCircuitStates(),
+    },
+    routing: {
+      settings: getRoutingSettings(),
+      store: getSettingsStore(),
+    },
+    servedBy: { ...servedBy }, // Last call per operation type
+    recentCalls: [...recentCalls],
   };
 }
 
 // Export everything for advanced usage
-export { AI_CONFIG, getCurrentProvider, isProviderConfigured } from './config.js';
+export { AI_CONFIG, isProviderConfigured } from './config.js';
+export {
+  OPERATION_TYPES,
+  getCurrentProvider,
+  getProviderChain,
+  isOperationAvailable,
+  resolveRoute,
+  validateModelOverrides,
+  loadRoutingSettings,
+  saveRoutingSettings,
+} from './routing.js';
+export { getCircuitStates, resetCircuits } from './failover.js';
+export { estimateTokens, getCallCost } from './usage.js';
 export * as openai from './openai.js';
 export * as anthropic from './anthropic.js';
 export * as gemini from './gemini.js';
 export * as groq from './groq.js';
+export * as local from './local.js';
+export * as fixture from './fixture.js';
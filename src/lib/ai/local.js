@@ -0,0 +1,217 @@
+/**
+ * Local LLM Adapter
+ * Talks the OpenAI-compatible chat/completions protocol to a local server
+ * (llama.cpp server, Ollama, vLLM, LM Studio) - no cloud key needed
+ *
+ * Env:
+ *   LOCAL_LLM_BASE_URL - e.g. http://localhost:11434/v1 (Ollama), http://localhost:8080/v1 (llama.cpp)
+ *   LOCAL_LLM_API_KEY  - Optional bearer token (vLLM --api-key)
+ *   LOCAL_LLM_MODEL    - Default model name on that server
+ */
+
+import { reportUsage } from './usage.js';
+
+const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * Base URL of the local server, without a trailing slash
+ */
+function getBaseUrl() {
+  if (!process.env.LOCAL_LLM_BASE_URL) {
+    throw new Error('LOCAL_LLM_BASE_URL is not configured in environment variables');
+  }
+
+  return process.env.LOCAL_LLM_BASE_URL.replace(/\/+$/, '');
+}
+
+function getHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LOCAL_LLM_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.LOCAL_LLM_API_KEY}`;
+  }
+  return headers;
+}
+
+/**
+ * POST to chat/completions; errors keep the HTTP status so the router can retry
+ */
+async function requestCompletion({ prompt, systemPrompt, model, temperature, maxTokens, stream, signal }) {
+  const messages = [];
+
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+
+  messages.push({ role: 'user', content: prompt });
+
+  const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+    method: 'POST',
+    headers: getHeaders(),
+    body: JSON.stringify({
+      model: model || process.env.LOCAL_LLM_MODEL || DEFAULT_MODEL,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+      // Servers that support it add a final chunk with the token counts
+      ...(stream ? { stream_options: { include_usage: true } } : {}),
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    let message = body;
+    try {
+      message = JSON.parse(body).error?.message || body;
+    } catch {
+      // Plain-text error body
+    }
+
+    const error = new Error(`Local LLM error (${response.status}): ${message || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Generate text completion
+ */
+export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
+  const response = await requestCompletion({ prompt, systemPrompt, model, temperature, maxTokens, stream: false, signal });
+  const data = await response.json();
+
+  const content = data.choices?.[0]?.message?.content ?? '';
+  reportUsage(onUsage, { prompt, systemPrompt }, content, {
+    promptTokens: data.usage?.prompt_tokens,
+    completionTokens: data.usage?.completion_tokens,
+  });
+
+  return content;
+}
+
+/**
+ * Generate streaming text completion
+ * Parses the server-sent "data:" lines of the OpenAI streaming format.
+ */
+export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
+  const response = await requestCompletion({ prompt, systemPrompt, model, temperature, maxTokens, stream: true, signal });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let output = '';
+  let usage = null;
+
+  try {
+    read: while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || !data) continue;
+        if (data === '[DONE]') break read;
+
+        const parsed = JSON.parse(data);
+        if (parsed.usage) usage = parsed.usage;
+
+        const content = parsed.choices?.[0]?.delta?.content || '';
+        if (content) {
+          output += content;
+          yield content;
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  reportUsage(onUsage, { prompt, systemPrompt }, output, {
+    promptTokens: usage?.prompt_tokens,
+    completionTokens: usage?.completion_tokens,
+  });
+}
+
+/**
+ * Generate code with specific formatting
+ */
+export async function generateCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
+  const enhancedPrompt = `Generate ${language} code for: ${prompt}
+
+Requirements:
+- Production-ready code
+- Proper error handling
+- Modern best practices
+- Include necessary imports
+- Add helpful comments
+
+Return only the code, no explanations.`;
+
+  return generateText({
+    prompt: enhancedPrompt,
+    systemPrompt,
+    model,
+    temperature: 0.3, // Lower temperature for more consistent code
+    signal,
+    onUsage,
+  });
+}
+
+/**
+ * Generate streaming code
+ */
+export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
+  const enhancedPrompt = `Generate ${language} code for: ${prompt}
+
+Requirements:
+- Production-ready code
+- Proper error handling
+- Modern best practices
+- Include necessary imports
+- Add helpful comments
+
+Return only the code, no explanations.`;
+
+  yield* generateStreamingText({
+    prompt: enhancedPrompt,
+    systemPrompt,
+    model,
+    temperature: 0.3,
+    signal,
+    onUsage,
+  });
+}
+
+/**
+ * Validate the server is reachable (lists its models)
+ */
+export async function validateApiKey() {
+  try {
+    const response = await fetch(`${getBaseUrl()}/models`, { headers: getHeaders() });
+    if (!response.ok) {
+      throw new Error(`Local LLM server responded with ${response.status}`);
+    }
+    return { valid: true, provider: 'local' };
+  } catch (error) {
+    return {
+      valid: false,
+      provider: 'local',
+      error: error.message,
+    };
+  }
+}
+
+export default {
+  generateText,
+  generateStreamingText,
+  generateCode,
+  generateStreamingCode,
+  validateApiKey,
+};
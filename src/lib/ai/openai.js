@@ -4,6 +4,7 @@
  */
 
 import OpenAI from 'openai';
+import { reportUsage } from './usage.js';
 
 let openaiClient = null;
 
@@ -27,7 +28,7 @@ function getClient() {
 /**
  * Generate text completion
  */
-export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function generateText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
 
   const messages = [];
@@ -43,15 +44,21 @@ export async function generateText({ prompt, systemPrompt, model, temperature =
     messages,
     temperature,
     max_tokens: maxTokens,
+  }, { signal });
+
+  const content = response.choices[0].message.content;
+  reportUsage(onUsage, { prompt, systemPrompt }, content, {
+    promptTokens: response.usage?.prompt_tokens,
+    completionTokens: response.usage?.completion_tokens,
   });
 
-  return response.choices[0].message.content;
+  return content;
 }
 
 /**
  * Generate streaming text completion
  */
-export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096 }) {
+export async function* generateStreamingText({ prompt, systemPrompt, model, temperature = 0.7, maxTokens = 4096, signal, onUsage }) {
   const client = getClient();
 
   const messages = [];
@@ -68,20 +75,32 @@ export async function* generateStreamingText({ prompt, systemPrompt, model, temp
     temperature,
     max_tokens: maxTokens,
     stream: true,
-  });
+    stream_options: { include_usage: true }, // Adds a final chunk with the token counts
+  }, { signal });
+
+  let output = '';
+  let usage = null;
 
   for await (const chunk of stream) {
+    if (chunk.usage) usage = chunk.usage;
+
     const content = chunk.choices[0]?.delta?.content || '';
     if (content) {
+      output += content;
       yield content;
     }
   }
+
+  reportUsage(onUsage, { prompt, systemPrompt }, output, {
+    promptTokens: usage?.prompt_tokens,
+    completionTokens: usage?.completion_tokens,
+  });
 }
 
 /**
  * Generate code with specific formatting
  */
-export async function generateCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function generateCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -98,13 +117,15 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3, // Lower temperature for more consistent code
+    signal,
+    onUsage,
   });
 }
 
 /**
  * Generate streaming code
  */
-export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model }) {
+export async function* generateStreamingCode({ prompt, language = 'javascript', systemPrompt, model, signal, onUsage }) {
   const enhancedPrompt = `Generate ${language} code for: ${prompt}
 
 Requirements:
@@ -121,6 +142,8 @@ Return only the code, no explanations.`;
     systemPrompt,
     model,
     temperature: 0.3,
+    signal,
+    onUsage,
   });
 }
 
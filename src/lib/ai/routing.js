@@ -0,0 +1,328 @@
+/**
+ * AI Routing - Runtime Provider/Model Selection
+ *
+ * Resolves which provider and model serve an operation type. Layers, lowest first:
+ * 1. Built-in defaults (AI_CONFIG in config.js)
+ * 2. Env: AI_<OPERATION>_PROVIDER, AI_<OPERATION>_MODEL, AI_<OPERATION>_FALLBACKS
+ * 3. Routing settings document (edited at runtime via /api/admin/ai-routing)
+ * 4. The user's plan: settings.plans[plan], env AI_PLAN_<PLAN>_<OPERATION>, AI_CONFIG.PLAN_MODELS
+ * 5. Per-build overrides (the `models` option of /api/build/start)
+ *
+ * A plan or per-build override that replaces the primary keeps the replaced
+ * provider at the front of the fallback chain.
+ *
+ * Settings document shape:
+ * {
+ *   operations: { CODE_GENERATION: { provider, model?, fallbacks?: [{ provider, model? }] } },
+ *   plans: { pro: { CODE_GENERATION: { provider, model? } } },
+ *   updatedAt, updatedBy
+ * }
+ *
+ * Stored in .cache/vibecode/ai-routing.json or Firestore settings/ai_routing
+ * (AI_SETTINGS_STORE=file|firestore, defaults to BUILD_JOB_STORE).
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { AI_CONFIG, isProviderConfigured } from './config.js';
+import { getModelPrice } from './usage.js';
+
+export const OPERATION_TYPES = ['CODE_GENERATION', 'TEXT_GENERATION', 'FAST_OPERATIONS'];
+export const PROVIDERS = Object.keys(AI_CONFIG.AVAILABLE_MODELS);
+const PLANS = ['free', 'starter', 'pro', 'enterprise'];
+
+const SETTINGS_FILE = path.join(process.cwd(), '.cache', 'vibecode', 'ai-routing.json');
+const SETTINGS_COLLECTION = 'settings';
+const SETTINGS_DOC = 'ai_routing';
+const SETTINGS_TTL = 30000; // Re-read the settings document at most every 30s
+
+let settings = { operations: {}, plans: {} };
+let settingsLoadedAt = 0;
+let settingsLoading = null;
+
+export function getSettingsStore() {
+  return (process.env.AI_SETTINGS_STORE || process.env.BUILD_JOB_STORE || 'file') === 'firestore' ? 'firestore' : 'file';
+}
+
+/**
+ * Model used when an entry names only a provider
+ */
+function getDefaultModel(provider) {
+  if (provider === 'local') return process.env.LOCAL_LLM_MODEL || AI_CONFIG.AVAILABLE_MODELS.local[0];
+  return AI_CONFIG.AVAILABLE_MODELS[provider]?.[0];
+}
+
+/**
+ * Parse "provider" or "provider:model" (env var format)
+ */
+function parseModelSpec(spec) {
+  const [provider, ...model] = spec.trim().split(':');
+  if (!provider) return null;
+  return { provider, model: model.join(':') || undefined };
+}
+
+function withModel(entry) {
+  return { provider: entry.provider, model: entry.model || getDefaultModel(entry.provider) };
+}
+
+function getEnvEntry(operationType) {
+  const provider = process.env[`AI_${operationType}_PROVIDER`];
+  return provider ? { provider, model: process.env[`AI_${operationType}_MODEL`] } : null;
+}
+
+function getEnvFallbacks(operationType) {
+  const value = process.env[`AI_${operationType}_FALLBACKS`];
+  return value ? value.split(',').map(parseModelSpec).filter(Boolean) : null;
+}
+
+function getPlanEntry(plan, operationType) {
+  if (!plan) return null;
+
+  const envSpec = process.env[`AI_PLAN_${plan.toUpperCase()}_${operationType}`];
+  return settings.plans?.[plan]?.[operationType]
+    || (envSpec ? parseModelSpec(envSpec) : null)
+    || AI_CONFIG.PLAN_MODELS?.[plan]?.[operationType]
+    || null;
+}
+
+/**
+ * Resolve the primary provider, model and fallbacks for an operation type
+ *
+ * @param {string} operationType - CODE_GENERATION, TEXT_GENERATION or FAST_OPERATIONS
+ * @param {Object} [route]
+ * @param {string} [route.plan] - The user's plan
+ * @param {Object} [route.overrides] - Per-build { [operationType]: { provider, model? } }
+ * @returns {{ provider: string, model: string, source: string, fallbacks: Array<{ provider: string, model: string }> }}
+ */
+export function resolveRoute(operationType = 'CODE_GENERATION', { plan, overrides } = {}) {
+  const layers = [
+    { source: 'config', entry: AI_CONFIG[operationType], fallbacks: AI_CONFIG.FALLBACKS[operationType] },
+    { source: 'env', entry: getEnvEntry(operationType), fallbacks: getEnvFallbacks(operationType) },
+    {
+      source: 'settings',
+      entry: settings.operations?.[operationType],
+      fallbacks: settings.operations?.[operationType]?.fallbacks,
+    },
+    { source: `plan:${plan}`, entry: getPlanEntry(plan, operationType), keepReplaced: true },
+    { source: 'request', entry: overrides?.[operationType], keepReplaced: true },
+  ];
+
+  let primary = null;
+  let fallbacks = [];
+  let source = 'config';
+
+  for (const layer of layers) {
+    if (layer.fallbacks) fallbacks = layer.fallbacks;
+    if (!layer.entry?.provider) continue;
+
+    if (layer.keepReplaced && primary) fallbacks = [primary, ...fallbacks];
+    primary = withModel(layer.entry);
+    source = layer.source;
+  }
+
+  // Drop the primary and repeated entries (layers can stack the same provider)
+  const seen = new Set([`${primary.provider}:${primary.model}`]);
+  const uniqueFallbacks = fallbacks.map(withModel).filter(({ provider, model }) => {
+    const key = `${provider}:${model}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { ...primary, source, fallbacks: uniqueFallbacks };
+}
+
+/**
+ * Get the resolved provider configuration for an operation type
+ */
+export function getCurrentProvider(operationType = 'CODE_GENERATION', route) {
+  const { provider, model, source } = resolveRoute(operationType, route);
+  return { provider, model, source };
+}
+
+/**
+ * Get the ordered provider chain for an operation: the primary, then its fallbacks
+ * A provider appears at most once.
+ */
+export function getProviderChain(operationType = 'CODE_GENERATION', route) {
+  const { provider, model, fallbacks } = resolveRoute(operationType, route);
+  const chain = [{ provider, model }, ...fallbacks];
+  return chain.filter(
+    (entry, index) => chain.findIndex((other) => other.provider === entry.provider) === index
+  );
+}
+
+/**
+ * Whether any provider in the operation's chain has its API key configured
+ */
+export function isOperationAvailable(operationType = 'CODE_GENERATION', route) {
+  return getProviderChain(operationType, route).some(({ provider }) => isProviderConfigured(provider));
+}
+
+/**
+ * Validate per-build model overrides ({ [operationType]: { provider, model? } })
+ * Only configured providers and the models listed in AI_CONFIG.AVAILABLE_MODELS are
+ * allowed, within the plan's AI_CONFIG.MODEL_OVERRIDE_LIMITS.
+ * Returns an error message, or null if valid.
+ *
+ * @param {Object} [overrides]
+ * @param {string} [plan] - The caller's plan (defaults to free)
+ */
+export function validateModelOverrides(overrides, plan = 'free') {
+  if (overrides === undefined) return null;
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'models must be an object keyed by operation type';
+  }
+
+  for (const [operationType, entry] of Object.entries(overrides)) {
+    if (!OPERATION_TYPES.includes(operationType)) {
+      return `Unknown operation type in models: ${operationType}. Must be one of: ${OPERATION_TYPES.join(', ')}`;
+    }
+    if (!entry || typeof entry.provider !== 'string' || !PROVIDERS.includes(entry.provider)) {
+      return `models.${operationType}.provider must be one of: ${PROVIDERS.join(', ')}`;
+    }
+    if (!isProviderConfigured(entry.provider)) {
+      return `Provider "${entry.provider}" is not configured on this server`;
+    }
+    if (entry.model !== undefined && !AI_CONFIG.AVAILABLE_MODELS[entry.provider].includes(entry.model)) {
+      return `Unknown model for ${entry.provider}: ${entry.model}. Available: ${AI_CONFIG.AVAILABLE_MODELS[entry.provider].join(', ')}`;
+    }
+
+    const limit = AI_CONFIG.MODEL_OVERRIDE_LIMITS?.[plan];
+    if (limit === undefined) {
+      return `Choosing models per build isn't available on the ${plan} plan`;
+    }
+
+    const model = entry.model || getDefaultModel(entry.provider);
+    const price = getModelPrice(entry.provider, model);
+    if (limit !== Infinity && (!price || price.output > limit)) {
+      return `${entry.provider}:${model} isn't available on the ${plan} plan`;
+    }
+  }
+
+  return null;
+}
+
+function validateEntry(entry, where) {
+  if (!entry || typeof entry !== 'object' || !PROVIDERS.includes(entry.provider)) {
+    return `${where}.provider must be one of: ${PROVIDERS.join(', ')}`;
+  }
+  if (entry.model !== undefined && (typeof entry.model !== 'string' || !entry.model)) {
+    return `${where}.model must be a non-empty string`;
+  }
+  return null;
+}
+
+/**
+ * Validate a routing settings document
+ * Models aren't limited to AVAILABLE_MODELS here - admins may route to newer ones.
+ * Returns an error message, or null if valid.
+ */
+export function validateRoutingSettings(value) {
+  if (!value || typeof value !== 'object') return 'Settings must be an object';
+
+  for (const [operationType, entry] of Object.entries(value.operations || {})) {
+    if (!OPERATION_TYPES.includes(operationType)) return `Unknown operation type: ${operationType}`;
+
+    const error = validateEntry(entry, `operations.${operationType}`);
+    if (error) return error;
+
+    if (entry.fallbacks !== undefined) {
+      if (!Array.isArray(entry.fallbacks)) return `operations.${operationType}.fallbacks must be an array`;
+      for (const [index, fallback] of entry.fallbacks.entries()) {
+        const fallbackError = validateEntry(fallback, `operations.${operationType}.fallbacks[${index}]`);
+        if (fallbackError) return fallbackError;
+      }
+    }
+  }
+
+  for (const [plan, operations] of Object.entries(value.plans || {})) {
+    if (!PLANS.includes(plan)) return `Unknown plan: ${plan}. Must be one of: ${PLANS.join(', ')}`;
+
+    for (const [operationType, entry] of Object.entries(operations || {})) {
+      if (!OPERATION_TYPES.includes(operationType)) return `Unknown operation type: ${operationType}`;
+
+      const error = validateEntry(entry, `plans.${plan}.${operationType}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+async function readSettingsDocument() {
+  if (getSettingsStore() === 'firestore') {
+    const { db } = await import('../firebaseAdmin.js');
+    const snap = await db.collection(SETTINGS_COLLECTION).doc(SETTINGS_DOC).get();
+    return snap.exists ? snap.data() : null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Load the routing settings document (cached for SETTINGS_TTL)
+ * A failed read keeps the last known settings.
+ */
+export async function loadRoutingSettings({ force = false } = {}) {
+  if (!force && Date.now() - settingsLoadedAt < SETTINGS_TTL) return settings;
+
+  if (!settingsLoading) {
+    settingsLoading = readSettingsDocument()
+      .then((document) => {
+        settings = { operations: {}, plans: {}, ...(document || {}) };
+      })
+      .catch((error) => {
+        console.error('[AI Routing] Failed to load routing settings:', error);
+      })
+      .finally(() => {
+        settingsLoadedAt = Date.now();
+        settingsLoading = null;
+      });
+  }
+
+  await settingsLoading;
+  return settings;
+}
+
+/**
+ * The routing settings currently in effect (as last loaded)
+ */
+export function getRoutingSettings() {
+  return settings;
+}
+
+/**
+ * Replace the routing settings document
+ */
+export async function saveRoutingSettings(value, updatedBy) {
+  const error = validateRoutingSettings(value);
+  if (error) throw new Error(error);
+
+  const document = {
+    operations: value.operations || {},
+    plans: value.plans || {},
+    updatedAt: Date.now(),
+    updatedBy: updatedBy || null,
+  };
+
+  if (getSettingsStore() === 'firestore') {
+    const { db } = await import('../firebaseAdmin.js');
+    // Firestore rejects undefined values, so strip them before writing
+    await db.collection(SETTINGS_COLLECTION).doc(SETTINGS_DOC).set(JSON.parse(JSON.stringify(document)));
+  } else {
+    await fs.mkdir(path.dirname(SETTINGS_FILE), { recursive: true });
+    const tmp = `${SETTINGS_FILE}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(document, null, 2), 'utf-8');
+    await fs.rename(tmp, SETTINGS_FILE);
+  }
+
+  settings = document;
+  settingsLoadedAt = Date.now();
+  return document;
+}
@@ -0,0 +1,76 @@
+/**
+ * AI Usage - Token Counts and Cost
+ *
+ * Adapters report every successful call's prompt/completion tokens through the
+ * `onUsage` option. When a provider doesn't return counts (or a local server
+ * leaves them out) they are estimated from the text and flagged `estimated`.
+ * The router prices each call with AI_CONFIG.PRICING (config.js) and passes it
+ * on to the caller's `onUsage`. Failed calls, including streams that break
+ * off part-way, aren't counted.
+ */
+
+import { AI_CONFIG } from './config.js';
+
+const CHARS_PER_TOKEN = 4; // Rough average for English text and code
+const FREE_PROVIDERS = new Set(['local', 'fixture']);
+
+// Models already warned about, so an unpriced model logs once
+const warnedUnpriced = new Set();
+
+/**
+ * Estimate the token count of a piece of text
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Report a call's usage to `onUsage`
+ * Uses the provider's counts when both are numbers, estimates otherwise.
+ *
+ * @param {Function} [onUsage] - Receives { promptTokens, completionTokens, estimated }
+ * @param {{ prompt: string, systemPrompt?: string }} input - What was sent
+ * @param {string} output - What came back
+ * @param {{ promptTokens?: number, completionTokens?: number }} [counts] - Provider-reported counts
+ */
+export function reportUsage(onUsage, { prompt, systemPrompt }, output, counts) {
+  if (!onUsage) return;
+
+  if (Number.isFinite(counts?.promptTokens) && Number.isFinite(counts?.completionTokens)) {
+    onUsage({ promptTokens: counts.promptTokens, completionTokens: counts.completionTokens, estimated: false });
+    return;
+  }
+
+  onUsage({
+    promptTokens: estimateTokens(systemPrompt) + estimateTokens(prompt),
+    completionTokens: estimateTokens(output),
+    estimated: true,
+  });
+}
+
+/**
+ * Price of a model in USD per 1M tokens, or null if it isn't in AI_CONFIG.PRICING
+ *
+ * @returns {{ input: number, output: number } | null}
+ */
+export function getModelPrice(provider, model) {
+  if (FREE_PROVIDERS.has(provider)) return { input: 0, output: 0 };
+  return AI_CONFIG.PRICING[provider]?.[model] || null;
+}
+
+/**
+ * Cost of a call in USD
+ */
+export function getCallCost(provider, model, { promptTokens, completionTokens }) {
+  const price = getModelPrice(provider, model);
+  if (!price) {
+    if (!warnedUnpriced.has(`${provider}:${model}`)) {
+      warnedUnpriced.add(`${provider}:${model}`);
+      console.warn(`[AI] No price for ${provider}:${model} in AI_CONFIG.PRICING - its calls are counted as $0`);
+    }
+    return 0;
+  }
+
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
@@ -0,0 +1,232 @@
+/**
+ * AppBlueprint JSON Schema + Validator
+ *
+ * The schema is sent to the model with every blueprint request and used to
+ * validate what comes back. Validation errors are reported as JSON pointers
+ * ("/pages/2/route") so they can be fed back to the model for repair.
+ *
+ * Supported keywords: type, required, properties, items, enum, pattern,
+ * minLength, maxLength, minItems, $ref (local), plus uniqueItemProperties
+ * (items must not share a value for the listed properties).
+ */
+
+export const PAGE_LAYOUTS = ["dashboard", "landing", "form", "list", "detail"] as const;
+
+// Data model field types (DataEntity.fields[].type)
+export const DATA_FIELD_TYPES = [
+  "string", "text", "number", "integer", "boolean", "timestamp",
+  "date", "json", "array", "reference", "email", "url",
+] as const;
+
+// Form input types (BlueprintPage.sections[].fields[].type)
+export const INPUT_FIELD_TYPES = [
+  "text", "email", "password", "number", "tel", "url", "date", "datetime-local",
+  "time", "textarea", "select", "checkbox", "radio", "file", "search", "color", "range",
+] as const;
+
+export const APP_BLUEPRINT_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "AppBlueprint",
+  type: "object",
+  required: ["appName", "target", "pages", "dataModel", "authRequired"],
+  properties: {
+    appName: { type: "string", minLength: 1, maxLength: 60 },
+    target: { enum: ["web", "ios", "android", "multi"] },
+    pages: {
+      type: "array",
+      minItems: 1,
+      uniqueItemProperties: ["id", "route"],
+      items: { $ref: "#/definitions/BlueprintPage" },
+    },
+    dataModel: {
+      type: "array",
+      uniqueItemProperties: ["name"],
+      items: { $ref: "#/definitions/DataEntity" },
+    },
+    authRequired: { type: "boolean" },
+    notes: { type: "string" },
+  },
+  definitions: {
+    BlueprintPage: {
+      type: "object",
+      required: ["id", "title", "route", "layout", "sections"],
+      properties: {
+        id: { type: "string", pattern: "^[a-z0-9][a-z0-9-]*$" },
+        title: { type: "string", minLength: 1 },
+        route: { type: "string", pattern: "^/([a-z0-9-]+(/[a-z0-9-]+)*)?$" },
+        layout: { enum: [...PAGE_LAYOUTS] },
+        sections: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", minLength: 1 },
+              title: { type: "string" },
+              description: { type: "string" },
+              fields: {
+                type: "array",
+                uniqueItemProperties: ["name"],
+                items: {
+                  type: "object",
+                  required: ["name", "type"],
+                  properties: {
+                    name: { type: "string", minLength: 1 },
+                    type: { enum: [...INPUT_FIELD_TYPES] },
+                    placeholder: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    DataEntity: {
+      type: "object",
+      required: ["name", "fields"],
+      properties: {
+        name: { type: "string", pattern: "^[A-Za-z][A-Za-z0-9_]*$" },
+        fields: {
+          type: "array",
+          minItems: 1,
+          uniqueItemProperties: ["name"],
+          items: {
+            type: "object",
+            required: ["name", "type"],
+            properties: {
+              name: { type: "string", pattern: "^[A-Za-z_][A-Za-z0-9_]*$" },
+              type: { enum: [...DATA_FIELD_TYPES] },
+              required: { type: "boolean" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export interface BlueprintValidationError {
+  path: string; // JSON pointer, "" for the root
+  message: string;
+}
+
+export interface BlueprintValidationResult {
+  valid: boolean;
+  errors: BlueprintValidationError[];
+}
+
+/**
+ * One validation pass during blueprint generation
+ */
+export interface BlueprintValidationReport {
+  attempt: number; // 1-based
+  maxAttempts: number;
+  valid: boolean;
+  errors: BlueprintValidationError[];
+  outcome: "accepted" | "repairing" | "fallback";
+}
+
+/**
+ * Validate a parsed blueprint against APP_BLUEPRINT_SCHEMA
+ */
+export function validateBlueprint(value: unknown): BlueprintValidationResult {
+  const errors: BlueprintValidationError[] = [];
+  validateNode(value, APP_BLUEPRINT_SCHEMA, "", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format errors as a bullet list (for logs and repair prompts)
+ */
+export function formatValidationErrors(errors: BlueprintValidationError[]): string {
+  return errors.map((error) => `- ${error.path || "(root)"}: ${error.message}`).join("\n");
+}
+
+function resolveRef(ref: string): any {
+  const name = ref.replace("#/definitions/", "");
+  const schema = (APP_BLUEPRINT_SCHEMA.definitions as Record<string, any>)[name];
+  if (!schema) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return schema;
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function validateNode(value: any, schema: any, path: string, errors: BlueprintValidationError[]): void {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref), path, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const matches = actual === schema.type || (schema.type === "number" && actual === "integer");
+    if (!matches) {
+      errors.push({ path, message: `must be ${schema.type}, got ${actual}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(value)})` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${JSON.stringify(value)} must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}/${index}`, errors));
+    }
+
+    for (const property of schema.uniqueItemProperties || []) {
+      const seen = new Map<unknown, number>();
+      value.forEach((item, index) => {
+        const key = item?.[property];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          errors.push({
+            path: `${path}/${index}/${property}`,
+            message: `duplicate ${property} ${JSON.stringify(key)} (also used by item ${seen.get(key)})`,
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}/${key}`, message: "is required" });
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        validateNode(value[key], propertySchema, `${path}/${key}`, errors);
+      }
+    }
+  }
+}
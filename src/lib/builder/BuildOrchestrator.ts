@@ -1,13 +1,23 @@
 /**
  * Build Orchestrator - Production-Ready Build System
  *
+ * The single build engine behind /api/build/start, /api/build and /api/build-app.
+ * Those routes only validate and authorize; everything else happens here.
+ *
  * Manages the complete build lifecycle:
  * - Job creation and tracking
+ * - Request validation
+ * - Queueing with per-plan limits (see BuildScheduler.ts)
  * - Real-time log streaming via SSE
  * - File system storage in .cache/
  * - Code generation
+ * - Optional GitHub publishing
  * - Error handling and timeouts
  * - Build cancellation
+ * - Auto-repair of preview errors (see RepairEngine.ts)
+ * - Static site export (see StaticExporter.ts)
+ * - Job persistence and restart recovery (see JobStore.ts)
+ * - Log fan-out to memory, file and Firestore (see LogSink.ts)
  *
  * 100% Render.com compatible - no Cloud Functions
  */
@@ -16,11 +26,68 @@ import { nanoid } from 'nanoid';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import { generateProjectFromBlueprint } from '../codegen';
-import { generateAppBlueprint, AppBlueprint } from '../llmProvider';
+import { generateProjectWithLLM, getCodegenMode } from '../llmCodegen';
+import {
+  generateAppBlueprint,
+  refineAppBlueprint,
+  outlineBlueprint,
+  AppBlueprint,
+  AppRefinement,
+  BlueprintOutline,
+  ModelRoute,
+} from '../llmProvider';
+import { BlueprintValidationReport } from '../blueprintSchema';
+import { mergeTemplateWithGenerated } from './TemplateLoader';
+import {
+  readProjectFiles,
+  diffFileMaps,
+  saveRevision,
+  getRevision,
+  getNextRevisionNumber,
+  loadRevisionFiles,
+  FileChange,
+  Revision,
+} from './Revisions';
+import {
+  ErrorReport,
+  RepairPatch,
+  REPAIR_MAX_ROUNDS,
+  collectRepairContext,
+  requestRepairPatch,
+  checkRepairedProject,
+  compileErrorReport,
+} from './RepairEngine';
 import { attachPreviewToBuild } from '../livepreview/attachPreview';
+import { publishToGitHub, deleteGitHubRepo } from '../publisher';
+import { getJobStore } from './JobStore';
+import { createMemoryLogSink, getLogSinks, LogSink, LogSinkName } from './LogSink';
+import { scheduleBuild, unscheduleBuild, drainQueue } from './BuildScheduler';
+import { emitFileChanges, FileChangeSource } from './FileEvents';
+import { exportStaticSite, StaticExportResult } from './StaticExporter';
+import { getUserPlan, recordUsage, emptyUsage, addCallUsage, UsageTotals } from '../user/userPlan';
 
 const CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode');
+// Entries revisions don't track (IGNORED_ENTRIES in Revisions.ts) - never written by the file editor
+const EDITOR_PROTECTED_ENTRIES = new Set(['node_modules', '.next', 'package-lock.json']);
 const BUILD_TIMEOUT = 300000; // 5 minutes
+const MIN_PROMPT_LENGTH = 10;
+const MAX_PROMPT_LENGTH = 5000;
+const BUILD_TARGETS = ['web', 'ios', 'android', 'multi'];
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Job IDs become directory names
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Matches cleanupOldJobs default
+const REFINE_CONTEXT_LIMIT = 60000; // Max characters of file content sent with a refinement
+const REFINE_ALWAYS_INCLUDE = ['src/app/layout.tsx', 'src/app/page.tsx', 'src/components/Navbar.tsx'];
+const MAX_LOGGED_VALIDATION_ERRORS = 10;
+
+// What to do with jobs that were running when the process died: 'fail' or 'resume'
+const RECOVERY_MODE = process.env.BUILD_RECOVERY_MODE === 'resume' ? 'resume' : 'fail';
+
+// Identifies this process as the owner of the jobs it runs. Set BUILD_INSTANCE_ID
+// to a stable value per instance so a restarted instance recovers its own jobs at once.
+const INSTANCE_ID = process.env.BUILD_INSTANCE_ID || nanoid(10);
+const JOB_HEARTBEAT_INTERVAL = 30000; // Owners refresh heartbeatAt of their busy jobs (see isJobBusy)
+const JOB_OWNER_TIMEOUT = 3 * JOB_HEARTBEAT_INTERVAL; // No heartbeat for this long = owner is gone
+const JOB_CLAIM_SETTLE = 2000; // Wait before checking that a claim on an orphaned job stuck
 
 export interface BuildJob {
   jobId: string;
@@ -34,6 +101,39 @@ export interface BuildJob {
   blueprint?: AppBlueprint;
   outputPath?: string;
   previewUrl?: string;
+  templateId?: string; // Template merged over the generated project
+  revision?: number; // Current revision (0 = original build)
+  updatedAt?: number;
+  resumable?: boolean; // Interrupted by a restart and can be resumed
+  publish?: boolean; // Push the generated project to GitHub when configured
+  repoUrl?: string;
+  deployStatus?: 'repo-created' | 'repo-error' | 'codegen-complete-no-repo';
+  logSinks?: LogSinkName[]; // Sinks on top of the configured ones (e.g. 'firestore')
+  models?: ModelRoute['overrides']; // Per-build provider/model per operation type
+  staticExport?: StaticExportInfo; // Latest static site export
+  usage?: UsageTotals; // AI tokens and cost of the build, its refinements and repairs
+  operation?: JobOperation; // Follow-up change in progress on a complete build
+  ownerId?: string; // Instance that runs the job (see INSTANCE_ID)
+  heartbeatAt?: number; // Last sign of life from the owner while busy
+}
+
+// Changes to a finished build. They run with status 'complete' (the build's
+// output stays valid), so a restart never mistakes them for an interrupted build.
+export type JobOperation = 'refine' | 'rollback' | 'repair' | 'export' | 'edit';
+
+export interface StaticExportInfo {
+  createdAt: number;
+  revision: number; // Revision the export was built from
+  fileCount: number;
+  size: number; // Bytes (zip)
+}
+
+export interface BuildJobOptions {
+  jobId?: string; // Defaults to a new nanoid
+  templateId?: string;
+  publish?: boolean;
+  logSinks?: LogSinkName[];
+  models?: ModelRoute['overrides']; // Validated by validateModelOverrides (src/lib/ai)
 }
 
 export interface BuildLog {
@@ -44,36 +144,350 @@ export interface BuildLog {
   progress?: number; // 0-100
 }
 
-// In-memory job registry (for single-instance deployments)
-// For multi-instance, use Redis or database
+// In-memory job registry, backed by the configured JobStore
+// Memory is the hot cache; the store is the source of truth across restarts
 const activeJobs = new Map<string, BuildJob>();
-const jobLogs = new Map<string, BuildLog[]>();
+const memoryLogs = createMemoryLogSink();
 const jobTimeouts = new Map<string, NodeJS.Timeout>();
+// Aborts the in-flight LLM calls and file writes of a running build
+const jobControllers = new Map<string, AbortController>();
+// AI usage not yet added to the owner's monthly totals
+const pendingUsage = new Map<string, UsageTotals>();
+// Outline of blueprints still streaming in (see getBlueprintOutline), and the
+// pages/entities already logged - a repair attempt streams the outline again.
+// `generation` counts resets, when a provider failover discards the outline.
+const blueprintOutlines = new Map<string, { outline: BlueprintOutline; logged: Set<string>; generation: number }>();
 
 // UI Ready event tracking (for SSE emission)
 const uiReadyCallbacks = new Map<string, ((url: string) => void)[]>();
 
+const jobStore = getJobStore();
+let hydration: Promise<void> | null = null;
+// Last pending write per job - writes are chained so an older snapshot never lands last
+const jobWrites = new Map<string, Promise<void>>();
+
+/**
+ * Cache a job in memory and persist it to the job store
+ * Resolves once this write (and every earlier one of the job) is stored.
+ */
+function saveJob(job: BuildJob): Promise<void> {
+  job.updatedAt = Date.now();
+  activeJobs.set(job.jobId, job);
+
+  const write: Promise<void> = (jobWrites.get(job.jobId) || Promise.resolve())
+    .then(() => jobStore.saveJob(job))
+    .catch((error) => {
+      console.error(`[BuildOrchestrator] Failed to persist job ${job.jobId}:`, error);
+    })
+    .finally(() => {
+      if (jobWrites.get(job.jobId) === write) jobWrites.delete(job.jobId);
+    });
+  jobWrites.set(job.jobId, write);
+
+  syncJobToSinks(job);
+  return write;
+}
+
+/**
+ * Persistent log sinks for a job
+ */
+function sinksFor(job: BuildJob): LogSink[] {
+  return getLogSinks(job.logSinks);
+}
+
+/**
+ * Mirror job status to sinks that keep their own copy (the Firestore builds doc)
+ */
+function syncJobToSinks(job: BuildJob): void {
+  for (const sink of sinksFor(job)) {
+    sink.syncJob?.(job).catch((error) => {
+      console.error(`[BuildOrchestrator] Failed to sync job ${job.jobId} to ${sink.name} sink:`, error);
+    });
+  }
+}
+
+/**
+ * Load a job's logs from its primary persistent sink
+ */
+async function loadPersistedLogs(job: BuildJob): Promise<BuildLog[]> {
+  return sinksFor(job)[0].load(job.jobId);
+}
+
+/**
+ * Point outputPath at this instance's cache dir (cwd may change between deploys)
+ */
+function normalizeJob(job: BuildJob): BuildJob {
+  if (job.outputPath) {
+    job.outputPath = path.join(CACHE_DIR, job.jobId, 'generated');
+  }
+  return job;
+}
+
+/**
+ * Rehydrate jobs and logs from the job store (runs once per process)
+ */
+function ensureHydrated(): Promise<void> {
+  if (!hydration) {
+    hydration = hydrateJobs().catch((error) => {
+      console.error('[BuildOrchestrator] Failed to rehydrate jobs:', error);
+    });
+  }
+  return hydration;
+}
+
+async function hydrateJobs(): Promise<void> {
+  const jobs = await jobStore.listJobs(Date.now() - JOB_RETENTION);
+  let interrupted = 0;
+
+  for (const stored of jobs) {
+    // A job created by this process wins over the stored copy
+    if (activeJobs.has(stored.jobId)) continue;
+
+    const job = normalizeJob(stored);
+    activeJobs.set(job.jobId, job);
+    memoryLogs.replace(job.jobId, await loadPersistedLogs(job));
+
+    // Jobs another live instance is running are left to it (see checkJobOwners)
+    if (isJobBusy(job) && isOwnerGone(job)) {
+      interrupted++;
+      recoverOrphanedJob(job);
+    }
+  }
+
+  console.log(
+    `[BuildOrchestrator] Rehydrated ${jobs.length} jobs from ${jobStore.name} store (${interrupted} interrupted)`
+  );
+}
+
+function isInFlight(job: BuildJob): boolean {
+  return job.status === 'running' || job.status === 'queued';
+}
+
+/**
+ * Whether a job is building or a follow-up change is running on it
+ * Refine, rollback, repair and export requests are refused while it is.
+ */
+export function isJobBusy(job: BuildJob): boolean {
+  return isInFlight(job) || !!job.operation;
+}
+
+/**
+ * Whether the instance that ran a job has stopped
+ * The file store is single-instance, so every job found at startup is orphaned.
+ */
+function isOwnerGone(job: BuildJob): boolean {
+  if (jobStore.name === 'file' || job.ownerId === INSTANCE_ID) return true;
+  return !job.heartbeatAt || Date.now() - job.heartbeatAt > JOB_OWNER_TIMEOUT;
+}
+
+/**
+ * Take over an orphaned job
+ * Several instances can notice the same orphan: each writes itself as owner,
+ * waits for the writes to settle, and only the one whose claim stuck recovers it.
+ */
+async function claimJob(job: BuildJob): Promise<boolean> {
+  if (jobStore.name === 'file') return true;
+
+  job.ownerId = INSTANCE_ID;
+  job.heartbeatAt = Date.now();
+  await saveJob(job);
+  await new Promise((resolve) => setTimeout(resolve, JOB_CLAIM_SETTLE));
+
+  const stored = await jobStore.loadJob(job.jobId);
+  return stored?.ownerId === INSTANCE_ID;
+}
+
+function recoverOrphanedJob(job: BuildJob): void {
+  claimJob(job)
+    .then((claimed) => {
+      if (!claimed) return;
+      if (isInterruptedChange(job)) {
+        return recoverInterruptedChange(job);
+      }
+      recoverInterruptedJob(job);
+    })
+    .catch((error) => {
+      console.error(`[BuildOrchestrator] Failed to claim job ${job.jobId}:`, error);
+    });
+}
+
+/**
+ * Refresh the heartbeat of the jobs this instance runs, and recover
+ * another instance's jobs once its heartbeat stops
+ */
+async function checkJobOwners(): Promise<void> {
+  for (const job of Array.from(activeJobs.values())) {
+    if (!isJobBusy(job)) continue;
+
+    if (job.ownerId === INSTANCE_ID) {
+      job.heartbeatAt = Date.now();
+      saveJob(job);
+      continue;
+    }
+
+    if (jobStore.name === 'file') continue;
+
+    const stored = await jobStore.loadJob(job.jobId);
+    if (!stored) continue;
+    Object.assign(job, normalizeJob(stored));
+
+    if (isJobBusy(job) && isOwnerGone(job)) {
+      recoverOrphanedJob(job);
+    }
+  }
+}
+
+/**
+ * Handle a job that was in flight when the previous process exited
+ */
+function recoverInterruptedJob(job: BuildJob): void {
+  if (RECOVERY_MODE === 'resume') {
+    addJobLog(job.jobId, {
+      step: 'recovery',
+      status: 'warn',
+      detail: '♻️  Server restarted during build. Resuming...',
+    });
+    resumeBuild(job.jobId).catch((error) => {
+      console.error(`[BuildOrchestrator] Failed to resume job ${job.jobId}:`, error);
+    });
+    return;
+  }
+
+  job.resumable = true;
+  addJobLog(job.jobId, {
+    step: 'recovery',
+    status: 'error',
+    detail: '❌ Build interrupted by a server restart. Please try again.',
+  });
+  updateJobStatus(job.jobId, 'failed', 'Build interrupted by server restart');
+}
+
+/**
+ * Whether an orphaned job was running a follow-up change rather than its build
+ * Jobs stored before `operation` existed ran changes with status 'running';
+ * a build that had already completed is recognised by completedAt and outputPath.
+ */
+function isInterruptedChange(job: BuildJob): boolean {
+  return !!job.operation || (job.status === 'running' && !!job.completedAt && !!job.outputPath);
+}
+
+/**
+ * Handle a refine, rollback, repair or export that was running when its owner exited
+ * The build stays complete. A change that was half written is undone by putting
+ * the output back to the latest saved revision.
+ */
+async function recoverInterruptedChange(job: BuildJob): Promise<void> {
+  const operation = job.operation;
+
+  try {
+    const latest = (await getNextRevisionNumber(job.jobId)) - 1;
+    if (job.outputPath && latest >= 0) {
+      const currentFiles = await readProjectFiles(job.outputPath);
+      const savedFiles = await loadRevisionFiles(job.jobId, latest);
+      const changes = diffFileMaps(currentFiles, savedFiles);
+      if (changes.length > 0) {
+        await writeFileChanges(job.jobId, job.outputPath, changes, savedFiles, 'rollback');
+      }
+
+      // The revision may have been saved just before the restart
+      const revision = await getRevision(job.jobId, latest);
+      if (revision?.blueprint) job.blueprint = revision.blueprint;
+      job.revision = latest;
+    }
+  } catch (error) {
+    console.error(`[BuildOrchestrator] Failed to restore the output of ${job.jobId}:`, error);
+  }
+
+  if (operation === 'export') {
+    delete job.staticExport; // The ZIP may be incomplete
+  }
+
+  addJobLog(job.jobId, {
+    step: 'recovery',
+    status: 'warn',
+    detail: `⚠️  Server restarted during ${operation || 'a change'}. Latest saved version kept, please try again.`,
+  });
+  delete job.operation;
+  job.status = 'complete';
+  saveJob(job);
+}
+
+// Start rehydrating as soon as the module loads
+ensureHydrated();
+
+setInterval(() => {
+  checkJobOwners().catch((error) => {
+    console.error('[BuildOrchestrator] Failed to check job owners:', error);
+  });
+}, JOB_HEARTBEAT_INTERVAL).unref();
+
+/**
+ * Validate a build request the same way for every entry point
+ * Returns an error message, or null if the request is valid
+ */
+export function validateBuildRequest(prompt: unknown, target: unknown = 'web'): string | null {
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return 'Prompt is required';
+  }
+
+  if (prompt.trim().length < MIN_PROMPT_LENGTH) {
+    return `Prompt must be at least ${MIN_PROMPT_LENGTH} characters`;
+  }
+
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return `Prompt must not exceed ${MAX_PROMPT_LENGTH} characters`;
+  }
+
+  if (typeof target !== 'string' || !BUILD_TARGETS.includes(target)) {
+    return `Invalid target. Must be one of: ${BUILD_TARGETS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a client-supplied job ID is usable (it becomes a directory name)
+ */
+export function isValidJobId(jobId: unknown): jobId is string {
+  return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+}
+
 /**
  * Create a new build job
  */
 export async function createBuildJob(
   userId: string,
   prompt: string,
-  target: 'web' | 'ios' | 'android' | 'multi' = 'web'
+  target: 'web' | 'ios' | 'android' | 'multi' = 'web',
+  options: BuildJobOptions = {}
 ): Promise<BuildJob> {
-  const jobId = nanoid();
+  const jobId = options.jobId || nanoid();
+
+  if (!isValidJobId(jobId)) {
+    throw new Error(`Invalid job ID: ${jobId}`);
+  }
+
+  if (await getJob(jobId)) {
+    throw new Error(`Job ${jobId} already exists`);
+  }
 
   const job: BuildJob = {
     jobId,
     userId,
     prompt,
     target,
+    templateId: options.templateId,
+    publish: options.publish,
+    logSinks: options.logSinks,
+    models: options.models,
     status: 'queued',
     startedAt: Date.now(),
+    ownerId: INSTANCE_ID,
+    heartbeatAt: Date.now(),
   };
 
   activeJobs.set(jobId, job);
-  jobLogs.set(jobId, []);
+  memoryLogs.replace(jobId, []);
 
   // Initialize job directory
   const jobDir = path.join(CACHE_DIR, jobId);
@@ -81,39 +495,97 @@ export async function createBuildJob(
   await fs.mkdir(path.join(jobDir, 'generated'), { recursive: true });
   await fs.mkdir(path.join(jobDir, 'logs'), { recursive: true });
 
+  job.updatedAt = Date.now();
+  await jobStore.saveJob(job);
+  syncJobToSinks(job);
+
   return job;
 }
 
 /**
  * Get job status
+ * Falls back to the job store for jobs created by another instance
  */
-export function getJob(jobId: string): BuildJob | undefined {
-  return activeJobs.get(jobId);
+export async function getJob(jobId: string): Promise<BuildJob | undefined> {
+  await ensureHydrated();
+
+  const cached = activeJobs.get(jobId);
+  if (cached) return cached;
+
+  try {
+    const stored = await jobStore.loadJob(jobId);
+    if (!stored) return undefined;
+
+    const job = normalizeJob(stored);
+    activeJobs.set(jobId, job);
+    memoryLogs.replace(jobId, await loadPersistedLogs(job));
+    return job;
+  } catch (error) {
+    console.error(`[BuildOrchestrator] Failed to load job ${jobId}:`, error);
+    return undefined;
+  }
 }
 
 /**
  * Get job logs
  */
 export function getJobLogs(jobId: string): BuildLog[] {
-  return jobLogs.get(jobId) || [];
+  return memoryLogs.read(jobId);
 }
 
 /**
  * Add log entry
  */
 export function addJobLog(jobId: string, log: Omit<BuildLog, 'timestamp'>): void {
-  const logs = jobLogs.get(jobId) || [];
+  const job = activeJobs.get(jobId);
+  if (!job) return;
+
   const fullLog: BuildLog = {
     ...log,
     timestamp: Date.now(),
   };
-  logs.push(fullLog);
-  jobLogs.set(jobId, logs);
+  memoryLogs.append(job, fullLog);
+
+  // Also write to the persistent sinks
+  for (const sink of sinksFor(job)) {
+    sink.append(job, fullLog).catch(console.error);
+  }
+}
+
+/**
+ * Model routing for a job's AI calls: the owner's plan plus the build's own overrides
+ * Every call's token usage is added to the job (see flushJobUsage).
+ */
+async function getModelRoute(job: BuildJob): Promise<ModelRoute> {
+  const planData = await getUserPlan(job.userId);
+  return {
+    plan: planData?.plan || 'free',
+    overrides: job.models,
+    onUsage: (call) => {
+      job.usage = addCallUsage(job.usage || emptyUsage(), call);
+      pendingUsage.set(job.jobId, addCallUsage(pendingUsage.get(job.jobId) || emptyUsage(), call));
+    },
+  };
+}
+
+/**
+ * Log the AI usage of the run that just ended and add it to the owner's monthly totals
+ */
+function flushJobUsage(job: BuildJob): void {
+  const usage = pendingUsage.get(job.jobId);
+  if (!usage) return;
+  pendingUsage.delete(job.jobId);
+
+  const tokens = usage.promptTokens + usage.completionTokens;
+  addJobLog(job.jobId, {
+    step: 'usage',
+    status: 'info',
+    detail: `💰 AI usage: ${tokens.toLocaleString('en-US')} tokens in ${usage.calls} call(s), ~$${usage.costUsd.toFixed(4)}${usage.estimatedCalls > 0 ? ' (partly estimated)' : ''}`,
+  });
 
-  // Also write to file system for persistence
-  const jobDir = path.join(CACHE_DIR, jobId, 'logs');
-  const logFile = path.join(jobDir, 'build.log');
-  fs.appendFile(logFile, JSON.stringify(fullLog) + '\n').catch(console.error);
+  recordUsage(job.userId, usage).catch((error) => {
+    console.error(`[BuildOrchestrator] Failed to record AI usage of ${job.jobId}:`, error);
+  });
 }
 
 /**
@@ -129,6 +601,11 @@ export function updateJobStatus(
 
   job.status = status;
   if (error) job.error = error;
+  if (status === 'running' || status === 'queued') {
+    // Whoever starts work on a job owns it from now on
+    job.ownerId = INSTANCE_ID;
+    job.heartbeatAt = Date.now();
+  }
   if (status === 'complete' || status === 'failed' || status === 'cancelled') {
     job.completedAt = Date.now();
 
@@ -138,13 +615,54 @@ export function updateJobStatus(
       clearTimeout(timeout);
       jobTimeouts.delete(jobId);
     }
+
+    // Builds, refinements and repairs all end here
+    flushJobUsage(job);
   }
 
-  activeJobs.set(jobId, job);
+  saveJob(job);
+}
+
+/**
+ * Queue a build and run it once the scheduler gives it a slot
+ * Every entry point starts builds through here, so the limits are shared.
+ * Resolves when the build finishes and rejects if it fails.
+ */
+export async function enqueueBuild(jobId: string): Promise<void> {
+  const job = activeJobs.get(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  await scheduleBuild(jobId, job.userId, async () => {
+    // Cancelled before it reached the queue
+    if (job.status === 'cancelled') return;
+    await executeBuild(jobId);
+  });
+}
+
+/**
+ * Cancel every queued build (or one user's) that hasn't started yet
+ * Returns the cancelled job IDs
+ */
+export function drainQueuedBuilds(userId?: string): string[] {
+  const drained = drainQueue(userId);
+
+  for (const jobId of drained) {
+    addJobLog(jobId, {
+      step: 'cancel',
+      status: 'warn',
+      detail: '⚠️  Build removed from the queue by an administrator',
+    });
+    updateJobStatus(jobId, 'cancelled', 'Removed from the build queue');
+  }
+
+  return drained;
 }
 
 /**
  * Execute build pipeline
+ * Use enqueueBuild() unless you need to bypass the concurrency limit
  */
 export async function executeBuild(jobId: string): Promise<void> {
   const job = activeJobs.get(jobId);
@@ -152,6 +670,10 @@ export async function executeBuild(jobId: string): Promise<void> {
     throw new Error(`Job ${jobId} not found`);
   }
 
+  const controller = new AbortController();
+  const { signal } = controller;
+  jobControllers.set(jobId, controller);
+
   // Set timeout
   const timeout = setTimeout(() => {
     addJobLog(jobId, {
@@ -160,6 +682,7 @@ export async function executeBuild(jobId: string): Promise<void> {
       detail: 'Build timed out after 5 minutes',
     });
     updateJobStatus(jobId, 'failed', 'Build timeout');
+    controller.abort(new Error('Build timed out after 5 minutes'));
   }, BUILD_TIMEOUT);
   jobTimeouts.set(jobId, timeout);
 
@@ -180,23 +703,37 @@ export async function executeBuild(jobId: string): Promise<void> {
       progress: 10,
     });
 
+    const modelRoute = await getModelRoute(job);
+
     let blueprint: AppBlueprint;
     try {
-      blueprint = await generateAppBlueprint({
+      // A resumed build keeps the blueprint that survived the restart
+      const resumed = !!job.blueprint;
+      blueprint = job.blueprint || await generateAppBlueprint({
         prompt: job.prompt,
         target: job.target,
+        onValidation: (report) => logBlueprintValidation(jobId, report),
+        onOutline: (outline) => trackBlueprintOutline(jobId, outline),
+        onOutlineReset: () => resetBlueprintOutline(jobId),
+        signal,
+        route: modelRoute,
       });
+      signal.throwIfAborted();
 
       job.blueprint = blueprint;
-      activeJobs.set(jobId, job);
+      saveJob(job);
 
       addJobLog(jobId, {
         step: 'blueprint',
         status: 'success',
-        detail: `✨ Generated blueprint for "${blueprint.appName}" (${job.target} app)`,
+        detail: resumed
+          ? `✨ Reusing blueprint for "${blueprint.appName}" from interrupted build`
+          : `✨ Generated blueprint for "${blueprint.appName}" (${job.target} app)`,
         progress: 30,
       });
     } catch (error: any) {
+      if (signal.aborted) throw error;
+
       addJobLog(jobId, {
         step: 'blueprint',
         status: 'warn',
@@ -222,7 +759,7 @@ export async function executeBuild(jobId: string): Promise<void> {
       };
 
       job.blueprint = blueprint;
-      activeJobs.set(jobId, job);
+      saveJob(job);
     }
 
     // Step 2: Plan architecture
@@ -234,23 +771,61 @@ export async function executeBuild(jobId: string): Promise<void> {
     });
 
     // Step 3: Generate code
+    const codegenMode = getCodegenMode();
     addJobLog(jobId, {
       step: 'codegen',
       status: 'info',
-      detail: '💻 Generating project files from blueprint...',
+      detail: codegenMode === 'llm'
+        ? `💻 Writing ${blueprint.pages.length} page(s) with AI...`
+        : '💻 Generating project files from blueprint...',
       progress: 50,
     });
 
-    const generatedProject = generateProjectFromBlueprint(jobId, blueprint);
-    const fileCount = Object.keys(generatedProject.files).length;
+    const generatedProject = codegenMode === 'llm'
+      ? await generateProjectWithLLM(jobId, blueprint, {
+          signal,
+          route: modelRoute,
+          onPage: (result) => addJobLog(jobId, {
+            step: 'codegen',
+            status: result.source === 'llm' ? 'info' : 'warn',
+            detail: result.source === 'llm'
+              ? `  • ${result.path} written by AI`
+              : `  • ${result.path} kept its template: ${result.error}`,
+          }),
+        })
+      : generateProjectFromBlueprint(jobId, blueprint);
+    signal.throwIfAborted();
+    let projectFiles = generatedProject.files;
 
     addJobLog(jobId, {
       step: 'codegen',
       status: 'success',
-      detail: `✅ Generated ${fileCount} files (Next.js app structure)`,
+      detail: `✅ Generated ${Object.keys(projectFiles).length} files (Next.js app structure)`,
       progress: 70,
     });
 
+    // Step 3b: Merge template (template components + AI pages)
+    if (job.templateId) {
+      addJobLog(jobId, {
+        step: 'template',
+        status: 'info',
+        detail: `🧩 Merging "${job.templateId}" template with generated code...`,
+        progress: 75,
+      });
+
+      projectFiles = await mergeTemplateWithGenerated(job.templateId, projectFiles, blueprint);
+      signal.throwIfAborted();
+
+      addJobLog(jobId, {
+        step: 'template',
+        status: 'success',
+        detail: `✅ Template merged (${Object.keys(projectFiles).length} files)`,
+        progress: 78,
+      });
+    }
+
+    const fileCount = Object.keys(projectFiles).length;
+
     // Step 4: Write files to disk
     addJobLog(jobId, {
       step: 'storage',
@@ -260,15 +835,22 @@ export async function executeBuild(jobId: string): Promise<void> {
     });
 
     const jobDir = path.join(CACHE_DIR, jobId, 'generated');
-    for (const [filePath, content] of Object.entries(generatedProject.files)) {
+    for (const [filePath, content] of Object.entries(projectFiles)) {
+      signal.throwIfAborted();
       const fullPath = path.join(jobDir, filePath);
       const dir = path.dirname(fullPath);
       await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(fullPath, content, 'utf-8');
+      await fs.writeFile(fullPath, content, { encoding: 'utf-8', signal });
     }
 
     job.outputPath = jobDir;
-    activeJobs.set(jobId, job);
+    saveJob(job);
+
+    try {
+      await recordInitialRevision(job, projectFiles);
+    } catch (error: any) {
+      console.error(`[BuildOrchestrator] Failed to record revision 0 for ${jobId}:`, error);
+    }
 
     addJobLog(jobId, {
       step: 'storage',
@@ -278,20 +860,28 @@ export async function executeBuild(jobId: string): Promise<void> {
     });
 
     // Step 5: Start live preview server
+    signal.throwIfAborted();
     let previewUrl: string | null = null;
     try {
       previewUrl = await attachPreviewToBuild(jobId, jobDir, job.userId);
 
       if (previewUrl) {
         job.previewUrl = previewUrl;
-        activeJobs.set(jobId, job);
+        saveJob(job);
         console.log(`[BuildOrchestrator] ✅ Preview URL: ${previewUrl}`);
       }
     } catch (error: any) {
       console.error(`[BuildOrchestrator] Preview failed for ${jobId}:`, error);
     }
 
-    // Step 6: Complete
+    // Step 6: Publish to GitHub (if requested)
+    if (job.publish) {
+      signal.throwIfAborted();
+      await publishBuild(job, projectFiles, signal);
+    }
+
+    // Step 7: Complete
+    signal.throwIfAborted();
     addJobLog(jobId, {
       step: 'complete',
       status: 'success',
@@ -302,6 +892,14 @@ export async function executeBuild(jobId: string): Promise<void> {
     updateJobStatus(jobId, 'complete');
 
   } catch (error: any) {
+    // Cancelled or timed out: the status is already set, only the partial output is left
+    if (signal.aborted) {
+      console.log(`[BuildOrchestrator] Job ${jobId} aborted: ${signal.reason?.message || 'aborted'}`);
+      await discardPartialOutput(job);
+      if (job.status === 'cancelled') return;
+      throw signal.reason;
+    }
+
     console.error(`[BuildOrchestrator] Job ${jobId} failed:`, error);
 
     addJobLog(jobId, {
@@ -312,69 +910,887 @@ export async function executeBuild(jobId: string): Promise<void> {
 
     updateJobStatus(jobId, 'failed', error.message);
     throw error;
+  } finally {
+    jobControllers.delete(jobId);
+    blueprintOutlines.delete(jobId);
   }
 }
 
 /**
- * Cancel a running build
+ * Keep the latest outline of a streaming blueprint and log pages/entities as they appear
  */
-export function cancelBuild(jobId: string): boolean {
-  const job = activeJobs.get(jobId);
-  if (!job || job.status === 'complete' || job.status === 'failed') {
-    return false;
+function trackBlueprintOutline(jobId: string, outline: BlueprintOutline): void {
+  const current = blueprintOutlines.get(jobId);
+  const logged = current?.logged || new Set<string>();
+  blueprintOutlines.set(jobId, { outline, logged, generation: current?.generation ?? 0 });
+
+  for (const page of outline.pages) {
+    if (logged.has(`page:${page.id}`)) continue;
+    logged.add(`page:${page.id}`);
+    addJobLog(jobId, {
+      step: 'blueprint',
+      status: 'info',
+      detail: `  📄 Page: ${page.title}`,
+    });
+  }
+
+  for (const entity of outline.entities) {
+    if (logged.has(`entity:${entity.name}`)) continue;
+    logged.add(`entity:${entity.name}`);
+    addJobLog(jobId, {
+      step: 'blueprint',
+      status: 'info',
+      detail: `  🗂️ Entity: ${entity.name}`,
+    });
   }
+}
+
+/**
+ * Drop the outline of a blueprint stream that broke off and starts over on another provider
+ */
+function resetBlueprintOutline(jobId: string): void {
+  const current = blueprintOutlines.get(jobId);
+  blueprintOutlines.set(jobId, {
+    outline: { pages: [], entities: [] },
+    logged: current?.logged || new Set<string>(),
+    generation: (current?.generation ?? 0) + 1,
+  });
 
-  updateJobStatus(jobId, 'cancelled');
   addJobLog(jobId, {
-    step: 'cancel',
+    step: 'blueprint',
     status: 'warn',
-    detail: '⚠️  Build cancelled by user',
+    detail: '⚠️  Blueprint stream interrupted - starting over with the next AI provider',
   });
-
-  return true;
 }
 
 /**
- * Get generated files for a job
+ * Outline of a job's blueprint: live while it streams in, final once the blueprint is set
+ * `generation` changes whenever the live outline was discarded and started over.
+ * Returns null before anything of the blueprint is known.
  */
-export async function getGeneratedFiles(jobId: string): Promise<string[]> {
+export function getBlueprintOutline(
+  jobId: string
+): { outline: BlueprintOutline; final: boolean; generation: number } | null {
   const job = activeJobs.get(jobId);
-  if (!job || !job.outputPath) {
-    return [];
-  }
+  if (!job) return null;
 
-  const files: string[] = [];
-
-  async function walkDir(dir: string, baseDir: string) {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
+  const streaming = blueprintOutlines.get(jobId);
+  if (job.blueprint) {
+    return { outline: outlineBlueprint(job.blueprint), final: true, generation: streaming?.generation ?? 0 };
+  }
 
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relativePath = path.relative(baseDir, fullPath);
+  return streaming ? { outline: streaming.outline, final: false, generation: streaming.generation } : null;
+}
 
-      if (entry.isDirectory()) {
-        await walkDir(fullPath, baseDir);
-      } else {
-        files.push(relativePath);
-      }
-    }
-  }
+/**
+ * Remove what an aborted build already wrote, so it can't be previewed or downloaded
+ */
+async function discardPartialOutput(job: BuildJob): Promise<void> {
+  const jobDir = path.join(CACHE_DIR, job.jobId);
 
   try {
-    await walkDir(job.outputPath, job.outputPath);
+    await fs.rm(path.join(jobDir, 'generated'), { recursive: true, force: true });
+    await fs.rm(path.join(jobDir, 'revisions'), { recursive: true, force: true });
   } catch (error) {
-    console.error('Error walking directory:', error);
+    console.error(`[BuildOrchestrator] ⚠️  Failed to remove partial output for ${job.jobId}:`, error);
+    return;
   }
 
-  return files;
+  // A repository pushed before the abort would outlive the build
+  if (job.repoUrl && (await deleteGitHubRepo(job.jobId))) {
+    addJobLog(job.jobId, {
+      step: 'cancel',
+      status: 'warn',
+      detail: `🗑️  GitHub repository removed: ${job.repoUrl}`,
+    });
+  }
+
+  delete job.outputPath;
+  delete job.previewUrl;
+  delete job.revision;
+  delete job.repoUrl;
+  delete job.deployStatus;
+  saveJob(job);
+
+  addJobLog(job.jobId, {
+    step: 'cancel',
+    status: 'warn',
+    detail: '🗑️  Partial build output removed',
+  });
 }
 
 /**
- * Get file content
+ * Push the generated project to a new GitHub repository
+ * Publishing failures are logged but never fail the build
  */
-export async function getFileContent(jobId: string, filePath: string): Promise<string> {
-  const job = activeJobs.get(jobId);
-  if (!job || !job.outputPath) {
+async function publishBuild(job: BuildJob, files: Record<string, string>, signal: AbortSignal): Promise<void> {
+  if (!process.env.GITHUB_TOKEN || !process.env.GITHUB_OWNER) {
+    addJobLog(job.jobId, {
+      step: 'publish',
+      status: 'warn',
+      detail: '⚠️  GitHub not configured (set GITHUB_TOKEN and GITHUB_OWNER) - files were generated but not published',
+    });
+    job.deployStatus = 'codegen-complete-no-repo';
+    saveJob(job);
+    return;
+  }
+
+  addJobLog(job.jobId, {
+    step: 'publish',
+    status: 'info',
+    detail: `📦 Pushing ${Object.keys(files).length} files to GitHub...`,
+    progress: 95,
+  });
+
+  try {
+    const result = await publishToGitHub({
+      id: job.jobId,
+      appName: job.blueprint!.appName,
+      blueprint: job.blueprint!,
+      userId: job.userId,
+      generatedFiles: Object.entries(files).map(([filePath, content]) => ({ path: filePath, content })),
+      signal,
+    });
+
+    // Cancelled mid-publish: the publisher already removed the repository
+    // (one that finished is removed with the rest of the output)
+    if (signal.aborted && !result.success) return;
+
+    if (!result.success || !result.repoUrl) {
+      throw new Error(result.error || 'Unknown publish error');
+    }
+
+    job.repoUrl = result.repoUrl;
+    job.deployStatus = 'repo-created';
+    addJobLog(job.jobId, {
+      step: 'publish',
+      status: 'success',
+      detail: `✅ Repository created: ${result.repoUrl}`,
+    });
+  } catch (error: any) {
+    console.error(`[BuildOrchestrator] GitHub publish failed for ${job.jobId}:`, error);
+    job.deployStatus = 'repo-error';
+    addJobLog(job.jobId, {
+      step: 'publish',
+      status: 'warn',
+      detail: `⚠️  GitHub publish failed: ${error.message}`,
+    });
+  }
+
+  saveJob(job);
+}
+
+/**
+ * Attach a blueprint validation report to the job logs
+ */
+function logBlueprintValidation(jobId: string, report: BlueprintValidationReport): void {
+  if (report.valid) {
+    addJobLog(jobId, {
+      step: 'validation',
+      status: 'success',
+      detail: report.attempt === 1
+        ? '✅ Blueprint passed schema validation'
+        : `✅ Blueprint repaired on attempt ${report.attempt}/${report.maxAttempts} and passed schema validation`,
+    });
+    return;
+  }
+
+  addJobLog(jobId, {
+    step: 'validation',
+    status: 'warn',
+    detail: `⚠️  Blueprint failed schema validation (attempt ${report.attempt}/${report.maxAttempts}, ${report.errors.length} error(s)) - ${
+      report.outcome === 'repairing' ? 'asking AI to repair' : 'using fallback blueprint'
+    }`,
+  });
+
+  for (const error of report.errors.slice(0, MAX_LOGGED_VALIDATION_ERRORS)) {
+    addJobLog(jobId, {
+      step: 'validation',
+      status: 'warn',
+      detail: `  • ${error.path || '(root)'}: ${error.message}`,
+    });
+  }
+
+  if (report.errors.length > MAX_LOGGED_VALIDATION_ERRORS) {
+    addJobLog(jobId, {
+      step: 'validation',
+      status: 'warn',
+      detail: `  • ...and ${report.errors.length - MAX_LOGGED_VALIDATION_ERRORS} more`,
+    });
+  }
+}
+
+/**
+ * Resume a build that was interrupted by a restart
+ */
+export async function resumeBuild(jobId: string): Promise<void> {
+  const job = await getJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  if (job.status === 'complete') {
+    return;
+  }
+
+  job.resumable = false;
+  delete job.error;
+  delete job.completedAt;
+  updateJobStatus(jobId, 'queued');
+
+  await enqueueBuild(jobId);
+}
+
+/**
+ * Apply a follow-up instruction ("add a pricing page") to a finished build
+ * Writes the result as a new revision and streams progress through the job logs
+ */
+export async function refineBuild(jobId: string, instruction: string): Promise<Revision | null> {
+  const job = activeJobs.get(jobId);
+  if (!job || !job.outputPath || !job.blueprint) {
+    throw new Error(`Job ${jobId} has no finished build to refine`);
+  }
+
+  beginJobChange(job, 'refine');
+  addJobLog(jobId, {
+    step: 'refine',
+    status: 'info',
+    detail: `✏️  Applying change: "${instruction}"`,
+    progress: 0,
+  });
+
+  try {
+    const currentFiles = await readProjectFiles(job.outputPath);
+
+    // Builds from before revision history existed get their snapshot now
+    await recordInitialRevision(job, currentFiles);
+
+    addJobLog(jobId, {
+      step: 'refine',
+      status: 'info',
+      detail: '🧠 Updating blueprint and affected files...',
+      progress: 20,
+    });
+
+    const refinement = await refineAppBlueprint({
+      blueprint: job.blueprint,
+      instruction,
+      files: selectRefinementContext(currentFiles, instruction),
+      route: await getModelRoute(job),
+    });
+
+    const nextFiles = await applyRefinement(job, currentFiles, refinement);
+    const changes = diffFileMaps(currentFiles, nextFiles);
+
+    if (changes.length === 0) {
+      addJobLog(jobId, {
+        step: 'refine',
+        status: 'warn',
+        detail: `⚠️  No file changes produced (${refinement.summary})`,
+        progress: 100,
+      });
+      endJobChange(job);
+      return null;
+    }
+
+    addJobLog(jobId, {
+      step: 'diff',
+      status: 'info',
+      detail: `📝 ${changes.length} file(s) changed`,
+      progress: 60,
+    });
+
+    const symbols = { added: '+', modified: '~', deleted: '-' };
+    for (const change of changes) {
+      addJobLog(jobId, {
+        step: 'diff',
+        status: 'info',
+        detail: `  ${symbols[change.type]} ${change.path}`,
+      });
+    }
+
+    const revision = await applyRevision(job, currentFiles, nextFiles, changes, {
+      kind: 'refine',
+      prompt: instruction,
+      summary: refinement.summary,
+      blueprint: refinement.blueprint,
+    });
+
+    job.blueprint = refinement.blueprint;
+    job.revision = revision.revision;
+    saveJob(job);
+
+    addJobLog(jobId, {
+      step: 'complete',
+      status: 'success',
+      detail: `✅ Revision ${revision.revision} saved: ${refinement.summary}`,
+      progress: 100,
+    });
+
+    endJobChange(job);
+    return revision;
+
+  } catch (error: any) {
+    console.error(`[BuildOrchestrator] Refinement of ${jobId} failed:`, error);
+
+    // The previous revision is still on disk and intact
+    addJobLog(jobId, {
+      step: 'error',
+      status: 'error',
+      detail: `❌ Refinement failed: ${error.message}. Previous version kept.`,
+    });
+
+    endJobChange(job);
+    throw error;
+  }
+}
+
+/**
+ * Roll the generated output back to an earlier revision
+ * Recorded as a new revision, so history stays append-only
+ */
+export async function rollbackBuild(jobId: string, targetRevision: number): Promise<Revision> {
+  const job = activeJobs.get(jobId);
+  if (!job || !job.outputPath) {
+    throw new Error(`Job ${jobId} has no build output`);
+  }
+
+  beginJobChange(job, 'rollback');
+  addJobLog(jobId, {
+    step: 'rollback',
+    status: 'info',
+    detail: `⏪ Rolling back to revision ${targetRevision}...`,
+    progress: 0,
+  });
+
+  try {
+    const target = await getRevision(jobId, targetRevision);
+    if (!target) {
+      throw new Error(`Revision ${targetRevision} not found`);
+    }
+
+    const currentFiles = await readProjectFiles(job.outputPath);
+    const targetFiles = await loadRevisionFiles(jobId, targetRevision);
+    const changes = diffFileMaps(currentFiles, targetFiles);
+
+    const revision = await applyRevision(job, currentFiles, targetFiles, changes, {
+      kind: 'rollback',
+      prompt: `Roll back to revision ${targetRevision}`,
+      summary: `Restored revision ${targetRevision}: ${target.summary}`,
+      rolledBackTo: targetRevision,
+      blueprint: target.blueprint,
+    });
+
+    if (target.blueprint) job.blueprint = target.blueprint;
+    job.revision = revision.revision;
+    saveJob(job);
+
+    addJobLog(jobId, {
+      step: 'complete',
+      status: 'success',
+      detail: `✅ Rolled back to revision ${targetRevision} (${changes.length} file(s) changed, saved as revision ${revision.revision})`,
+      progress: 100,
+    });
+
+    endJobChange(job);
+    return revision;
+
+  } catch (error: any) {
+    console.error(`[BuildOrchestrator] Rollback of ${jobId} failed:`, error);
+
+    addJobLog(jobId, {
+      step: 'error',
+      status: 'error',
+      detail: `❌ Rollback failed: ${error.message}`,
+    });
+
+    endJobChange(job);
+    throw error;
+  }
+}
+
+/**
+ * Fix an error reported by the preview with the CODE_GENERATION provider
+ * Each round's patch is compiled before it is applied; a patch that doesn't
+ * compile sends its errors into the next round, up to REPAIR_MAX_ROUNDS.
+ * Returns the new revision, or null if no round produced a working patch.
+ */
+export async function repairBuild(jobId: string, report: ErrorReport): Promise<Revision | null> {
+  const job = activeJobs.get(jobId);
+  if (!job || !job.outputPath) {
+    throw new Error(`Job ${jobId} has no build output to repair`);
+  }
+
+  beginJobChange(job, 'repair');
+  addJobLog(jobId, {
+    step: 'repair',
+    status: 'info',
+    detail: `🔧 Repairing ${report.kind} error: ${report.message.split('\n')[0]}`,
+    progress: 0,
+  });
+
+  try {
+    const currentFiles = await readProjectFiles(job.outputPath);
+
+    // Builds from before revision history existed get their snapshot now
+    await recordInitialRevision(job, currentFiles);
+
+    const scratchDir = path.join(CACHE_DIR, jobId, 'repair-check');
+    const modelRoute = await getModelRoute(job);
+    const previousAttempts: string[] = [];
+    let roundReport = report;
+
+    for (let round = 1; round <= REPAIR_MAX_ROUNDS; round++) {
+      const context = collectRepairContext(currentFiles, roundReport);
+
+      addJobLog(jobId, {
+        step: 'repair',
+        status: 'info',
+        detail: `🧠 Attempt ${round}/${REPAIR_MAX_ROUNDS}: asking AI for a fix (${Object.keys(context).length} file(s) as context)...`,
+        progress: Math.round(((round - 1) / REPAIR_MAX_ROUNDS) * 80) + 10,
+      });
+
+      let patch: RepairPatch;
+      try {
+        patch = await requestRepairPatch({
+          report: roundReport,
+          context,
+          blueprint: job.blueprint,
+          previousAttempts,
+          route: modelRoute,
+        });
+      } catch (error: any) {
+        addJobLog(jobId, {
+          step: 'repair',
+          status: 'warn',
+          detail: `⚠️  Attempt ${round} produced no usable patch: ${error.message}`,
+        });
+        previousAttempts.push(`Attempt ${round}: no usable patch (${error.message})`);
+        continue;
+      }
+
+      const nextFiles: Record<string, string> = { ...currentFiles };
+      for (const [filePath, content] of Object.entries(patch.files)) {
+        const safePath = sanitizeProjectPath(filePath);
+        if (safePath) nextFiles[safePath] = content;
+      }
+
+      const changes = diffFileMaps(currentFiles, nextFiles);
+      if (changes.length === 0) {
+        addJobLog(jobId, {
+          step: 'repair',
+          status: 'warn',
+          detail: `⚠️  Attempt ${round} changed no files (${patch.summary})`,
+        });
+        previousAttempts.push(`Attempt ${round}: "${patch.summary}" returned the files unchanged`);
+        continue;
+      }
+
+      const compileErrors = await checkRepairedProject(
+        scratchDir,
+        nextFiles,
+        changes.filter((change) => change.type !== 'deleted').map((change) => change.path)
+      );
+      if (compileErrors.length > 0) {
+        roundReport = compileErrorReport(compileErrors, report.route);
+        addJobLog(jobId, {
+          step: 'repair',
+          status: 'warn',
+          detail: `⚠️  Attempt ${round} doesn't compile: ${roundReport.message.split('\n')[0]}`,
+        });
+        previousAttempts.push(`Attempt ${round}: "${patch.summary}" failed to compile`);
+        continue;
+      }
+
+      const symbols = { added: '+', modified: '~', deleted: '-' };
+      for (const change of changes) {
+        addJobLog(jobId, {
+          step: 'diff',
+          status: 'info',
+          detail: `  ${symbols[change.type]} ${change.path}`,
+        });
+      }
+
+      const revision = await applyRevision(job, currentFiles, nextFiles, changes, {
+        kind: 'repair',
+        prompt: `Fix ${report.kind} error: ${report.message}`,
+        summary: patch.summary,
+        blueprint: job.blueprint,
+      });
+
+      job.revision = revision.revision;
+      saveJob(job);
+
+      addJobLog(jobId, {
+        step: 'complete',
+        status: 'success',
+        detail: `✅ Repaired in ${round} attempt(s), saved as revision ${revision.revision}: ${patch.summary}`,
+        progress: 100,
+      });
+
+      endJobChange(job);
+      return revision;
+    }
+
+    addJobLog(jobId, {
+      step: 'error',
+      status: 'error',
+      detail: `❌ Could not repair the error in ${REPAIR_MAX_ROUNDS} attempt(s). Previous version kept.`,
+      progress: 100,
+    });
+
+    endJobChange(job);
+    return null;
+
+  } catch (error: any) {
+    console.error(`[BuildOrchestrator] Repair of ${jobId} failed:`, error);
+
+    addJobLog(jobId, {
+      step: 'error',
+      status: 'error',
+      detail: `❌ Repair failed: ${error.message}. Previous version kept.`,
+    });
+
+    endJobChange(job);
+    throw error;
+  }
+}
+
+/**
+ * Build a static site export (HTML/CSS/JS + assets) of a finished build
+ * Runs the app's production build in a sandbox; output streams through the job logs.
+ * Exports wait for a slot in the build scheduler, so they count towards the
+ * same global and per-plan limits as builds.
+ * The ZIP is served by /api/download/[buildId]?format=static.
+ */
+export async function exportBuild(jobId: string): Promise<StaticExportInfo> {
+  const job = activeJobs.get(jobId);
+  if (!job || !job.outputPath) {
+    throw new Error(`Job ${jobId} has no build output`);
+  }
+  const outputPath = job.outputPath;
+
+  beginJobChange(job, 'export');
+  addJobLog(jobId, {
+    step: 'export',
+    status: 'info',
+    detail: '🌐 Exporting static site...',
+    progress: 0,
+  });
+
+  try {
+    const appName = job.blueprint?.appName || 'generated-app';
+    const folderName = `${appName.toLowerCase().replace(/\s+/g, '-')}-${jobId.substring(0, 8)}`;
+
+    // Scheduled under its own key, so cancelling builds doesn't touch it
+    let result: StaticExportResult | undefined;
+    await scheduleBuild(`${jobId}:export`, job.userId, async () => {
+      result = await exportStaticSite(jobId, outputPath, folderName, (detail, status = 'info') => {
+        addJobLog(jobId, { step: 'export', status, detail });
+      });
+    });
+    if (!result) {
+      throw new Error('Export was removed from the build queue');
+    }
+
+    job.staticExport = {
+      createdAt: Date.now(),
+      revision: job.revision ?? 0,
+      fileCount: result.fileCount,
+      size: result.size,
+    };
+    saveJob(job);
+
+    const skippedNote = result.skipped.length > 0 ? `, ${result.skipped.length} server-only path(s) skipped` : '';
+    addJobLog(jobId, {
+      step: 'complete',
+      status: 'success',
+      detail: `✅ Static site ready: ${result.fileCount} files, ${(result.size / 1024).toFixed(0)} KB${skippedNote}`,
+      progress: 100,
+    });
+
+    endJobChange(job);
+    return job.staticExport;
+
+  } catch (error: any) {
+    console.error(`[BuildOrchestrator] Static export of ${jobId} failed:`, error);
+
+    // The build itself is unaffected
+    addJobLog(jobId, {
+      step: 'error',
+      status: 'error',
+      detail: `❌ Static export failed: ${error.message}`,
+    });
+
+    delete job.staticExport; // The previous ZIP was replaced by this attempt
+    endJobChange(job);
+    throw error;
+  }
+}
+
+/**
+ * Start a refine, rollback, repair or export on a finished build
+ * Check and update happen in one synchronous step, so two concurrent
+ * requests can't both start a change.
+ */
+function beginJobChange(job: BuildJob, operation: JobOperation): void {
+  if (isJobBusy(job)) {
+    throw new Error(`Job ${job.jobId} is busy (${job.operation || job.status})`);
+  }
+
+  job.operation = operation;
+  job.ownerId = INSTANCE_ID;
+  job.heartbeatAt = Date.now();
+  saveJob(job);
+}
+
+/**
+ * Finish the change started by beginJobChange, successful or not
+ */
+function endJobChange(job: BuildJob): void {
+  delete job.operation;
+  flushJobUsage(job);
+  saveJob(job);
+}
+
+/**
+ * Write a change set to the live output and record it as the next revision
+ * If either step fails the live files are put back, so the output never
+ * holds changes that are missing from the revision history.
+ */
+async function applyRevision(
+  job: BuildJob,
+  previousFiles: Record<string, string>,
+  nextFiles: Record<string, string>,
+  changes: FileChange[],
+  details: Pick<Revision, 'prompt' | 'summary' | 'blueprint' | 'rolledBackTo'> & { kind: Exclude<Revision['kind'], 'build'> }
+): Promise<Revision> {
+  const outputDir = job.outputPath!;
+  const source: FileChangeSource = details.kind === 'edit' ? 'editor' : details.kind;
+
+  try {
+    await writeFileChanges(job.jobId, outputDir, changes, nextFiles, source);
+
+    return await saveRevision({
+      ...details,
+      revision: await getNextRevisionNumber(job.jobId),
+      jobId: job.jobId,
+      createdAt: Date.now(),
+      parent: job.revision ?? 0,
+      changes,
+    }, nextFiles);
+  } catch (error) {
+    const undo = changes.map((change) => ({
+      path: change.path,
+      type: change.type === 'added' ? 'deleted' as const : change.type === 'deleted' ? 'added' as const : 'modified' as const,
+    }));
+    await writeFileChanges(job.jobId, outputDir, undo, previousFiles, source).catch((restoreError) => {
+      console.error(`[BuildOrchestrator] Failed to restore the output of ${job.jobId}:`, restoreError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Store the original build output as revision 0 (no-op if it already exists)
+ */
+async function recordInitialRevision(job: BuildJob, files: Record<string, string>): Promise<void> {
+  if (await getRevision(job.jobId, 0)) return;
+
+  await saveRevision({
+    revision: 0,
+    jobId: job.jobId,
+    kind: 'build',
+    prompt: job.prompt,
+    summary: 'Initial build',
+    createdAt: Date.now(),
+    parent: null,
+    changes: Object.keys(files).sort().map((filePath) => ({ path: filePath, type: 'added' as const })),
+    blueprint: job.blueprint,
+  }, files);
+
+  job.revision = 0;
+  saveJob(job);
+}
+
+/**
+ * Apply a set of file changes to the live output directory
+ * and notify the preview (hot reload)
+ */
+async function writeFileChanges(
+  jobId: string,
+  outputDir: string,
+  changes: FileChange[],
+  files: Record<string, string>,
+  source: FileChangeSource
+): Promise<void> {
+  for (const change of changes) {
+    const fullPath = path.join(outputDir, change.path);
+    if (change.type === 'deleted') {
+      await fs.rm(fullPath, { force: true });
+    } else {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, files[change.path], 'utf-8');
+    }
+  }
+
+  emitFileChanges(jobId, changes, source);
+}
+
+/**
+ * Pick the files most likely affected by an instruction, within the context budget
+ */
+function selectRefinementContext(
+  files: Record<string, string>,
+  instruction: string
+): Record<string, string> {
+  const words = instruction.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length > 2);
+
+  const scored = Object.keys(files)
+    .filter((filePath) => filePath.startsWith('src/') || filePath === 'tailwind.config.js')
+    .map((filePath) => {
+      const lowerPath = filePath.toLowerCase();
+      let score = REFINE_ALWAYS_INCLUDE.includes(filePath) ? 100 : 0;
+      score += words.filter((w) => lowerPath.includes(w)).length * 10;
+      return { filePath, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const context: Record<string, string> = {};
+  let size = 0;
+
+  for (const { filePath } of scored) {
+    const content = files[filePath];
+    if (size + content.length > REFINE_CONTEXT_LIMIT) continue;
+    context[filePath] = content;
+    size += content.length;
+  }
+
+  return context;
+}
+
+/**
+ * Build the next file map from the current files and an AI refinement
+ *
+ * Files the user or AI never touched follow the blueprint: if a file still
+ * matches what codegen produced from the old blueprint, it is regenerated
+ * from the new one. Explicit AI file edits always win.
+ */
+async function applyRefinement(
+  job: BuildJob,
+  currentFiles: Record<string, string>,
+  refinement: AppRefinement
+): Promise<Record<string, string>> {
+  const generateFor = async (blueprint: AppBlueprint) => {
+    const files = generateProjectFromBlueprint(job.jobId, blueprint).files;
+    return job.templateId ? mergeTemplateWithGenerated(job.templateId, files, blueprint) : files;
+  };
+
+  const previous = await generateFor(job.blueprint!);
+  const next = await generateFor(refinement.blueprint);
+  const nextFiles: Record<string, string> = { ...currentFiles };
+
+  for (const [filePath, content] of Object.entries(next)) {
+    if (!(filePath in currentFiles) || currentFiles[filePath] === previous[filePath]) {
+      nextFiles[filePath] = content;
+    }
+  }
+
+  for (const [filePath, content] of Object.entries(refinement.files)) {
+    const safePath = sanitizeProjectPath(filePath);
+    if (safePath) nextFiles[safePath] = content;
+  }
+
+  for (const filePath of refinement.deletedFiles) {
+    const safePath = sanitizeProjectPath(filePath);
+    if (safePath) delete nextFiles[safePath];
+  }
+
+  return nextFiles;
+}
+
+/**
+ * Normalize an AI-supplied path, rejecting anything outside the project
+ */
+function sanitizeProjectPath(filePath: string): string | null {
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^\.\//, '');
+  if (!normalized || normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+    console.warn(`[BuildOrchestrator] Ignoring unsafe path from AI output: ${filePath}`);
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Cancel a queued or running build
+ * A running build is aborted: in-flight LLM calls and file writes stop and
+ * the partial output is removed. Returns false if there is nothing to cancel.
+ */
+export function cancelBuild(jobId: string): boolean {
+  const job = activeJobs.get(jobId);
+  if (!job) return false;
+
+  const controller = jobControllers.get(jobId);
+  const queued = unscheduleBuild(jobId);
+  if (!queued && !controller && job.status !== 'queued') {
+    return false;
+  }
+
+  updateJobStatus(jobId, 'cancelled', 'Build cancelled by user');
+  addJobLog(jobId, {
+    step: 'cancel',
+    status: 'warn',
+    detail: '⚠️  Build cancelled by user',
+  });
+
+  controller?.abort(new Error('Build cancelled by user'));
+  return true;
+}
+
+/**
+ * Get generated files for a job
+ */
+export async function getGeneratedFiles(jobId: string): Promise<string[]> {
+  const job = await getJob(jobId);
+  if (!job || !job.outputPath) {
+    return [];
+  }
+
+  const files: string[] = [];
+
+  async function walkDir(dir: string, baseDir: string) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(baseDir, fullPath);
+
+      // Installed dependencies (a symlink to the shared cache) and build output
+      if (dir === baseDir && EDITOR_PROTECTED_ENTRIES.has(entry.name)) continue;
+
+      if (entry.isDirectory()) {
+        await walkDir(fullPath, baseDir);
+      } else {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  try {
+    await walkDir(job.outputPath, job.outputPath);
+  } catch (error) {
+    console.error('Error walking directory:', error);
+  }
+
+  return files;
+}
+
+/**
+ * Get file content
+ */
+export async function getFileContent(jobId: string, filePath: string): Promise<string> {
+  const job = await getJob(jobId);
+  if (!job || !job.outputPath) {
     throw new Error('Job not found or not complete');
   }
 
@@ -392,6 +1808,114 @@ export async function getFileContent(jobId: string, filePath: string): Promise<s
   return content;
 }
 
+/**
+ * Whether a project-relative path may be written by the file editor
+ * Must stay inside the project and out of installed dependencies / build output.
+ */
+export function isEditableFilePath(filePath: unknown): filePath is string {
+  if (typeof filePath !== 'string' || !filePath || filePath.length > 300) return false;
+  if (filePath.startsWith('/') || filePath.includes('\\') || filePath.includes('\0')) return false;
+
+  const segments = filePath.split('/');
+  return segments.every((segment) =>
+    segment && segment !== '.' && segment !== '..' && !EDITOR_PROTECTED_ENTRIES.has(segment)
+  );
+}
+
+/**
+ * Apply a file editor change to a finished build as a new revision
+ * `edit` gets a copy of the current files and returns them changed.
+ */
+async function applyEditorChange(
+  jobId: string,
+  summary: string,
+  edit: (files: Record<string, string>) => Record<string, string>
+): Promise<FileChange[]> {
+  const job = await getJob(jobId);
+  if (!job || !job.outputPath) {
+    throw new Error('Job not found or not complete');
+  }
+
+  beginJobChange(job, 'edit');
+
+  try {
+    const currentFiles = await readProjectFiles(job.outputPath);
+
+    // Builds from before revision history existed get their snapshot now
+    await recordInitialRevision(job, currentFiles);
+
+    const nextFiles = edit({ ...currentFiles });
+    const changes = diffFileMaps(currentFiles, nextFiles);
+    if (changes.length === 0) return [];
+
+    const revision = await applyRevision(job, currentFiles, nextFiles, changes, {
+      kind: 'edit',
+      prompt: summary,
+      summary,
+      blueprint: job.blueprint,
+    });
+
+    job.revision = revision.revision;
+    saveJob(job);
+    return changes;
+  } finally {
+    endJobChange(job);
+  }
+}
+
+function fileNotFoundError(filePath: string): Error {
+  return Object.assign(new Error(`${filePath} not found`), { code: 'ENOENT' });
+}
+
+/**
+ * Write a file from the editor (creating it if needed)
+ */
+export async function writeGeneratedFile(jobId: string, filePath: string, content: string): Promise<FileChange[]> {
+  if (!isEditableFilePath(filePath)) {
+    throw new Error('Invalid file path');
+  }
+
+  return applyEditorChange(jobId, `Edited ${filePath}`, (files) => {
+    files[filePath] = content;
+    return files;
+  });
+}
+
+/**
+ * Rename (move) a file from the editor
+ * Fails if the target already exists.
+ */
+export async function renameGeneratedFile(jobId: string, fromPath: string, toPath: string): Promise<FileChange[]> {
+  if (!isEditableFilePath(fromPath) || !isEditableFilePath(toPath)) {
+    throw new Error('Invalid file path');
+  }
+
+  return applyEditorChange(jobId, `Renamed ${fromPath} to ${toPath}`, (files) => {
+    if (!(fromPath in files)) throw fileNotFoundError(fromPath);
+    if (toPath in files) throw new Error(`${toPath} already exists`);
+
+    files[toPath] = files[fromPath];
+    delete files[fromPath];
+    return files;
+  });
+}
+
+/**
+ * Delete a file from the editor
+ */
+export async function deleteGeneratedFile(jobId: string, filePath: string): Promise<FileChange[]> {
+  if (!isEditableFilePath(filePath)) {
+    throw new Error('Invalid file path');
+  }
+
+  return applyEditorChange(jobId, `Deleted ${filePath}`, (files) => {
+    if (!(filePath in files)) throw fileNotFoundError(filePath);
+
+    delete files[filePath];
+    return files;
+  });
+}
+
 /**
  * Clean up old jobs (run periodically)
  */
@@ -402,12 +1926,15 @@ export async function cleanupOldJobs(maxAgeMs: number = 24 * 60 * 60 * 1000): Pr
     if (job.completedAt && now - job.completedAt > maxAgeMs) {
       // Remove from memory
       activeJobs.delete(jobId);
-      jobLogs.delete(jobId);
+      memoryLogs.deleteLogs(jobId);
       uiReadyCallbacks.delete(jobId);
 
-      // Remove from disk
+      // Remove from disk, the job store and the configured log sinks
+      // (Firestore mirrors a job asked for stay as the user's build history)
       const jobDir = path.join(CACHE_DIR, jobId);
       try {
+        await jobStore.deleteJob(jobId);
+        await Promise.all(getLogSinks().map((sink) => sink.deleteLogs(jobId)));
         await fs.rm(jobDir, { recursive: true, force: true });
       } catch (error) {
         console.error(`Failed to delete job directory ${jobId}:`, error);
@@ -451,8 +1978,15 @@ export function emitUIReadyEvent(jobId: string, previewUrl: string): void {
  */
 export async function deleteBuildCache(jobId: string): Promise<void> {
   const jobDir = path.join(CACHE_DIR, jobId);
+  const job = activeJobs.get(jobId);
+
+  activeJobs.delete(jobId);
+  memoryLogs.deleteLogs(jobId);
+  uiReadyCallbacks.delete(jobId);
 
   try {
+    await jobStore.deleteJob(jobId);
+    await Promise.all((job ? sinksFor(job) : getLogSinks()).map((sink) => sink.deleteLogs(jobId)));
     await fs.rm(jobDir, { recursive: true, force: true });
     console.log(`[BuildOrchestrator] 🗑️  Deleted build cache for ${jobId}`);
   } catch (error) {
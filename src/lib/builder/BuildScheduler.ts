@@ -0,0 +1,172 @@
+/**
+ * Build Scheduler - Plan-aware queue for build jobs
+ *
+ * Decides which waiting build runs next:
+ * - Global cap: BUILD_MAX_CONCURRENT builds at once (default 3)
+ * - Per-user cap from the user's plan (getBuildSchedulingForPlan in userPlan.ts)
+ * - Priority lanes: paid plans start first; a waiting build moves up one lane
+ *   every PRIORITY_AGING_MS so free builds are never starved
+ * - Fairness: within a lane, users with fewer running builds go first,
+ *   so one user submitting ten builds can't hold every slot
+ */
+
+import { getUserPlan, getBuildSchedulingForPlan, UserPlan } from '../user/userPlan';
+
+const MAX_CONCURRENT_BUILDS = Number(process.env.BUILD_MAX_CONCURRENT) || 3;
+const PRIORITY_AGING_MS = 60000; // 1 minute of waiting = 1 lane
+
+export interface ScheduledBuild {
+  jobId: string;
+  userId: string;
+  plan: UserPlan;
+  priority: number; // Plan lane, before aging
+  maxConcurrentBuilds: number; // Per-user cap from the plan
+  enqueuedAt: number;
+  startedAt?: number;
+}
+
+export interface QueueSnapshot {
+  maxConcurrentBuilds: number;
+  running: ScheduledBuild[];
+  pending: Array<ScheduledBuild & { position: number; effectivePriority: number }>; // In start order
+}
+
+interface PendingEntry extends ScheduledBuild {
+  run: () => Promise<void>;
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+const pending: PendingEntry[] = [];
+const running = new Map<string, ScheduledBuild>();
+
+function runningCount(userId: string): number {
+  let count = 0;
+  for (const build of running.values()) {
+    if (build.userId === userId) count++;
+  }
+  return count;
+}
+
+function effectivePriority(entry: ScheduledBuild, now: number): number {
+  return entry.priority + Math.floor((now - entry.enqueuedAt) / PRIORITY_AGING_MS);
+}
+
+/**
+ * Pending builds in the order they would start
+ */
+function orderPending(now: number): PendingEntry[] {
+  return pending.slice().sort((a, b) =>
+    effectivePriority(b, now) - effectivePriority(a, now) ||
+    runningCount(a.userId) - runningCount(b.userId) ||
+    a.enqueuedAt - b.enqueuedAt
+  );
+}
+
+/**
+ * Start as many pending builds as the caps allow
+ */
+function pump(): void {
+  while (running.size < MAX_CONCURRENT_BUILDS) {
+    const next = orderPending(Date.now()).find(
+      (entry) => runningCount(entry.userId) < entry.maxConcurrentBuilds
+    );
+    if (!next) return;
+
+    pending.splice(pending.indexOf(next), 1);
+    const { run, resolve, reject, ...build } = next;
+    running.set(build.jobId, { ...build, startedAt: Date.now() });
+
+    run()
+      .then(resolve, reject)
+      .finally(() => {
+        running.delete(build.jobId);
+        pump();
+      });
+  }
+}
+
+async function resolvePlan(userId: string): Promise<UserPlan> {
+  const planData = await getUserPlan(userId);
+  return planData?.plan || 'free';
+}
+
+/**
+ * Queue a build; `run` is called once the build gets a slot
+ * Resolves when the build finishes (or is removed from the queue), rejects if it fails
+ */
+export async function scheduleBuild(
+  jobId: string,
+  userId: string,
+  run: () => Promise<void>
+): Promise<void> {
+  const plan = await resolvePlan(userId);
+  const { maxConcurrentBuilds, priority } = getBuildSchedulingForPlan(plan);
+
+  return new Promise((resolve, reject) => {
+    pending.push({
+      jobId,
+      userId,
+      plan,
+      priority,
+      maxConcurrentBuilds,
+      enqueuedAt: Date.now(),
+      run,
+      resolve,
+      reject,
+    });
+    pump();
+  });
+}
+
+/**
+ * Remove a build that hasn't started yet
+ * Returns false if the build isn't waiting in the queue
+ */
+export function unscheduleBuild(jobId: string): boolean {
+  const index = pending.findIndex((entry) => entry.jobId === jobId);
+  if (index === -1) return false;
+
+  const [entry] = pending.splice(index, 1);
+  entry.resolve();
+  return true;
+}
+
+/**
+ * Remove every waiting build (or one user's) from the queue
+ * Running builds are left alone. Returns the removed job IDs.
+ */
+export function drainQueue(userId?: string): string[] {
+  const drained = pending
+    .filter((entry) => !userId || entry.userId === userId)
+    .map((entry) => entry.jobId);
+
+  drained.forEach(unscheduleBuild);
+  return drained;
+}
+
+/**
+ * 1-based place in line for a waiting build, or null if it isn't waiting
+ */
+export function getQueuePosition(jobId: string): { position: number; total: number } | null {
+  const ordered = orderPending(Date.now());
+  const index = ordered.findIndex((entry) => entry.jobId === jobId);
+  return index === -1 ? null : { position: index + 1, total: ordered.length };
+}
+
+/**
+ * Current queue state (admin view)
+ */
+export function getQueueSnapshot(): QueueSnapshot {
+  const now = Date.now();
+
+  return {
+    maxConcurrentBuilds: MAX_CONCURRENT_BUILDS,
+    running: Array.from(running.values()),
+    pending: orderPending(now).map(({ run, resolve, reject, ...build }, index) => ({
+      ...build,
+      position: index + 1,
+      effectivePriority: effectivePriority(build, now),
+    })),
+  };
+}
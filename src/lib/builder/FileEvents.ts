@@ -0,0 +1,57 @@
+/**
+ * File Events - Change notifications for generated files
+ *
+ * Everything that writes to a job's generated/ directory (the file editor API,
+ * refine, repair, rollback) reports what it changed here; the
+ * /api/generated/events SSE stream forwards it to the preview panel, which
+ * hot-reloads the preview.
+ *
+ * In-process only, like the job logs' live stream.
+ */
+
+import type { FileChange } from './Revisions';
+
+export type FileChangeSource = 'editor' | 'refine' | 'repair' | 'rollback';
+
+export interface FileChangeEvent {
+  jobId: string;
+  changes: FileChange[]; // A rename is reported as deleted + added
+  source: FileChangeSource;
+  timestamp: number;
+}
+
+type FileChangeListener = (event: FileChangeEvent) => void;
+
+const listeners = new Map<string, Set<FileChangeListener>>();
+
+/**
+ * Listen for file changes in a job
+ * Returns a function that removes the listener.
+ */
+export function onFileChanges(jobId: string, listener: FileChangeListener): () => void {
+  const jobListeners = listeners.get(jobId) || new Set<FileChangeListener>();
+  jobListeners.add(listener);
+  listeners.set(jobId, jobListeners);
+
+  return () => {
+    jobListeners.delete(listener);
+    if (jobListeners.size === 0) listeners.delete(jobId);
+  };
+}
+
+/**
+ * Report file changes in a job to its listeners
+ */
+export function emitFileChanges(jobId: string, changes: FileChange[], source: FileChangeSource): void {
+  if (changes.length === 0) return;
+
+  const event: FileChangeEvent = { jobId, changes, source, timestamp: Date.now() };
+
+  for (const listener of Array.from(listeners.get(jobId) || [])) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[FileEvents] Error in file change listener:', error);
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Job Store - Persistence for BuildOrchestrator jobs
+ *
+ * Keeps build jobs outside of process memory so that a deploy or
+ * crash doesn't orphan builds that still exist on disk.
+ * Build logs are written separately through LogSink.ts.
+ *
+ * Backends:
+ * - file (default): .cache/vibecode/<jobId>/job.json
+ * - firestore: build_jobs/<jobId> documents
+ *
+ * Select with BUILD_JOB_STORE=file|firestore
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { db } from '@/lib/firebaseAdmin';
+import type { BuildJob } from './BuildOrchestrator';
+
+const CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode');
+const JOBS_COLLECTION = 'build_jobs';
+
+export interface JobStore {
+  name: 'file' | 'firestore';
+  saveJob(job: BuildJob): Promise<void>;
+  loadJob(jobId: string): Promise<BuildJob | null>;
+  listJobs(sinceMs?: number): Promise<BuildJob[]>;
+  deleteJob(jobId: string): Promise<void>;
+}
+
+/**
+ * Filesystem-backed store (single instance deployments)
+ */
+export function createFileJobStore(baseDir: string = CACHE_DIR): JobStore {
+  const jobFile = (jobId: string) => path.join(baseDir, jobId, 'job.json');
+
+  return {
+    name: 'file',
+
+    async saveJob(job) {
+      const target = jobFile(job.jobId);
+      const tmp = `${target}.tmp`;
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Write then rename so a crash mid-write never leaves a truncated job.json
+      await fs.writeFile(tmp, JSON.stringify(job, null, 2), 'utf-8');
+      await fs.rename(tmp, target);
+    },
+
+    async loadJob(jobId) {
+      try {
+        const raw = await fs.readFile(jobFile(jobId), 'utf-8');
+        return JSON.parse(raw) as BuildJob;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async listJobs(sinceMs = 0) {
+      const jobs: BuildJob[] = [];
+      let entries: import('fs').Dirent[] = [];
+
+      try {
+        entries = await fs.readdir(baseDir, { withFileTypes: true });
+      } catch (error) {
+        return jobs;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        // Directories without job.json predate the job store and have no owner
+        const job = await this.loadJob(entry.name);
+        if (job && job.startedAt >= sinceMs) {
+          jobs.push(job);
+        }
+      }
+
+      return jobs;
+    },
+
+    async deleteJob(jobId) {
+      await fs.rm(jobFile(jobId), { force: true });
+    },
+  };
+}
+
+/**
+ * Firestore-backed store (multi-instance deployments)
+ * Generated files still live on the local disk under .cache/
+ */
+export function createFirestoreJobStore(): JobStore {
+  const jobRef = (jobId: string) => db.collection(JOBS_COLLECTION).doc(jobId);
+
+  return {
+    name: 'firestore',
+
+    async saveJob(job) {
+      // Firestore rejects undefined values, so strip them before writing
+      await jobRef(job.jobId).set(JSON.parse(JSON.stringify(job)));
+    },
+
+    async loadJob(jobId) {
+      const snap = await jobRef(jobId).get();
+      return snap.exists ? (snap.data() as BuildJob) : null;
+    },
+
+    async listJobs(sinceMs = 0) {
+      const snapshot = await db
+        .collection(JOBS_COLLECTION)
+        .where('startedAt', '>=', sinceMs)
+        .get();
+
+      return snapshot.docs.map((doc: any) => doc.data() as BuildJob);
+    },
+
+    async deleteJob(jobId) {
+      await jobRef(jobId).delete();
+    },
+  };
+}
+
+let jobStore: JobStore | null = null;
+
+/**
+ * Get the configured job store (singleton)
+ */
+export function getJobStore(): JobStore {
+  if (!jobStore) {
+    const backend = process.env.BUILD_JOB_STORE || 'file';
+    jobStore = backend === 'firestore' ? createFirestoreJobStore() : createFileJobStore();
+    console.log(`[JobStore] Using ${jobStore.name} job store`);
+  }
+  return jobStore;
+}
@@ -0,0 +1,140 @@
+/**
+ * Line Diff - Unified diffs between file versions
+ *
+ * LCS-based line diff with common prefix/suffix trimming.
+ * Generated files are small, so the quadratic table is fine; very large
+ * edits fall back to a whole-file replacement hunk.
+ */
+
+const DEFAULT_CONTEXT = 3;
+const MAX_LCS_CELLS = 4000000;
+
+interface DiffRow {
+  type: ' ' | '-' | '+';
+  line: string;
+  oldNo: number; // 1-based line in the old file (next line for '+')
+  newNo: number; // 1-based line in the new file (next line for '-')
+}
+
+function splitLines(text: string): string[] {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute a line-level edit script
+ */
+export function diffLines(a: string[], b: string[]): Array<{ type: ' ' | '-' | '+'; line: string }> {
+  // Trim common prefix/suffix - most edits touch a small part of a file
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const ops: Array<{ type: ' ' | '-' | '+'; line: string }> = a
+    .slice(0, prefix)
+    .map((line) => ({ type: ' ' as const, line }));
+
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    midA.forEach((line) => ops.push({ type: '-', line }));
+    midB.forEach((line) => ops.push({ type: '+', line }));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: ' ', line: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        ops.push({ type: '-', line: midA[i++] });
+      } else {
+        ops.push({ type: '+', line: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: '-', line: midA[i++] });
+    while (j < m) ops.push({ type: '+', line: midB[j++] });
+  }
+
+  a.slice(a.length - suffix).forEach((line) => ops.push({ type: ' ', line }));
+  return ops;
+}
+
+/**
+ * Create a unified diff for one file
+ * Pass null for oldText/newText when the file was added/deleted
+ */
+export function createUnifiedDiff(
+  filePath: string,
+  oldText: string | null,
+  newText: string | null,
+  context: number = DEFAULT_CONTEXT
+): string {
+  const ops = diffLines(splitLines(oldText ?? ''), splitLines(newText ?? ''));
+
+  let oldNo = 1;
+  let newNo = 1;
+  const rows: DiffRow[] = ops.map((op) => {
+    const row = { ...op, oldNo, newNo };
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+    return row;
+  });
+
+  const changed = rows.map((row, index) => (row.type === ' ' ? -1 : index)).filter((index) => index >= 0);
+  if (changed.length === 0) return '';
+
+  const header = [
+    `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`,
+  ];
+  const hunks: string[] = [];
+
+  let i = 0;
+  while (i < changed.length) {
+    const start = Math.max(0, changed[i] - context);
+    let end = Math.min(rows.length - 1, changed[i] + context);
+
+    // Merge changes whose context windows touch
+    let j = i;
+    while (j + 1 < changed.length && changed[j + 1] - context <= end + 1) {
+      j++;
+      end = Math.min(rows.length - 1, changed[j] + context);
+    }
+
+    const hunkRows = rows.slice(start, end + 1);
+    const oldCount = hunkRows.filter((row) => row.type !== '+').length;
+    const newCount = hunkRows.filter((row) => row.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunkRows[0].oldNo - 1 : hunkRows[0].oldNo;
+    const newStart = newCount === 0 ? hunkRows[0].newNo - 1 : hunkRows[0].newNo;
+
+    hunks.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunkRows.forEach((row) => hunks.push(`${row.type}${row.line}`));
+
+    i = j + 1;
+  }
+
+  return [...header, ...hunks].join('\n') + '\n';
+}
@@ -0,0 +1,228 @@
+/**
+ * Log Sinks - Where build logs and job status are written
+ *
+ * Every build goes through the same sinks, whichever API started it:
+ * - memory (always on): per-process buffer read by the /api/build/logs SSE stream
+ * - file: .cache/vibecode/<jobId>/logs/build.log (JSON lines)
+ * - firestore: buildLogs documents plus a mirror of the job in builds/<jobId>,
+ *   the shape read by /api/build/stream, /api/build/list and the client SDK
+ *
+ * Persistent sinks are selected with BUILD_LOG_SINKS=file,firestore
+ * (default: the same backend as BUILD_JOB_STORE). A job can add sinks of
+ * its own through BuildJob.logSinks.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import admin, { db } from '@/lib/firebaseAdmin';
+import type { BuildJob, BuildLog } from './BuildOrchestrator';
+
+const CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode');
+const LOGS_COLLECTION = 'buildLogs';
+const BUILDS_COLLECTION = 'builds';
+
+export type LogSinkName = 'memory' | 'file' | 'firestore';
+
+export interface LogSink {
+  name: LogSinkName;
+  append(job: BuildJob, log: BuildLog): Promise<void>;
+  load(jobId: string): Promise<BuildLog[]>;
+  syncJob?(job: BuildJob): Promise<void>; // Mirror status/metadata after every job save
+  deleteLogs(jobId: string): Promise<void>;
+}
+
+export interface MemoryLogSink extends LogSink {
+  name: 'memory';
+  read(jobId: string): BuildLog[];
+  replace(jobId: string, logs: BuildLog[]): void;
+}
+
+/**
+ * In-process log buffer (what SSE streams read synchronously)
+ */
+export function createMemoryLogSink(): MemoryLogSink {
+  const logs = new Map<string, BuildLog[]>();
+
+  return {
+    name: 'memory',
+
+    // Not async: the log must be visible to readers as soon as append() returns
+    append(job, log) {
+      const entries = logs.get(job.jobId) || [];
+      entries.push(log);
+      logs.set(job.jobId, entries);
+      return Promise.resolve();
+    },
+
+    async load(jobId) {
+      return logs.get(jobId) || [];
+    },
+
+    read(jobId) {
+      return logs.get(jobId) || [];
+    },
+
+    replace(jobId, entries) {
+      logs.set(jobId, entries);
+    },
+
+    async deleteLogs(jobId) {
+      logs.delete(jobId);
+    },
+  };
+}
+
+/**
+ * JSON-lines log file next to the generated project
+ */
+export function createFileLogSink(baseDir: string = CACHE_DIR): LogSink {
+  const logFile = (jobId: string) => path.join(baseDir, jobId, 'logs', 'build.log');
+
+  return {
+    name: 'file',
+
+    async append(job, log) {
+      const target = logFile(job.jobId);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.appendFile(target, JSON.stringify(log) + '\n');
+    },
+
+    async load(jobId) {
+      let raw = '';
+      try {
+        raw = await fs.readFile(logFile(jobId), 'utf-8');
+      } catch (error) {
+        return [];
+      }
+
+      const logs: BuildLog[] = [];
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          logs.push(JSON.parse(line));
+        } catch (error) {
+          // Skip partially written lines from a crash
+        }
+      }
+      return logs;
+    },
+
+    async deleteLogs(jobId) {
+      await fs.rm(logFile(jobId), { force: true });
+    },
+  };
+}
+
+/**
+ * Firestore buildLogs/builds documents (the format the original Firestore pipeline wrote)
+ */
+export function createFirestoreLogSink(): LogSink {
+  return {
+    name: 'firestore',
+
+    async append(job, log) {
+      await db.collection(LOGS_COLLECTION).add({
+        buildId: job.jobId,
+        userId: job.userId,
+        message: log.detail,
+        level: log.status,
+        step: log.step,
+        progress: log.progress ?? null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        timestamp: log.timestamp, // For client-side ordering before serverTimestamp resolves
+      });
+    },
+
+    async load(jobId) {
+      // Sorted here rather than with orderBy so no composite index is needed
+      const snapshot = await db.collection(LOGS_COLLECTION).where('buildId', '==', jobId).get();
+
+      return snapshot.docs
+        .map((doc: any) => doc.data())
+        .sort((a: any, b: any) => (a.timestamp || 0) - (b.timestamp || 0))
+        .map((data: any): BuildLog => ({
+          step: data.step || 'log',
+          timestamp: data.timestamp || Date.now(),
+          status: data.level || 'info',
+          detail: data.message,
+          ...(typeof data.progress === 'number' ? { progress: data.progress } : {}),
+        }));
+    },
+
+    async syncJob(job) {
+      const { Timestamp, FieldValue } = admin.firestore;
+
+      // Firestore rejects undefined values, so strip them before writing
+      const mirror = JSON.parse(JSON.stringify({
+        userId: job.userId,
+        prompt: job.prompt,
+        target: job.target,
+        status: job.status,
+        appName: job.blueprint?.appName,
+        blueprint: job.blueprint,
+        templateId: job.templateId,
+        previewUrl: job.previewUrl,
+        repoUrl: job.repoUrl,
+        deployStatus: job.deployStatus,
+        error: job.error,
+      }));
+
+      await db.collection(BUILDS_COLLECTION).doc(job.jobId).set({
+        ...mirror,
+        createdAt: Timestamp.fromMillis(job.startedAt),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(job.completedAt && job.status === 'complete' ? { completedAt: Timestamp.fromMillis(job.completedAt) } : {}),
+        ...(job.completedAt && job.status === 'failed' ? { failedAt: Timestamp.fromMillis(job.completedAt) } : {}),
+      }, { merge: true });
+    },
+
+    async deleteLogs(jobId) {
+      const snapshot = await db.collection(LOGS_COLLECTION).where('buildId', '==', jobId).get();
+
+      // Firestore batches are capped at 500 writes
+      for (let i = 0; i < snapshot.docs.length; i += 400) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 400).forEach((doc: any) => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    },
+  };
+}
+
+const persistentSinks = new Map<LogSinkName, LogSink>();
+let configuredSinks: LogSinkName[] | null = null;
+
+function getPersistentSink(name: LogSinkName): LogSink {
+  let sink = persistentSinks.get(name);
+  if (!sink) {
+    sink = name === 'firestore' ? createFirestoreLogSink() : createFileLogSink();
+    persistentSinks.set(name, sink);
+  }
+  return sink;
+}
+
+/**
+ * Persistent sinks enabled for every job (first one is used to reload logs)
+ */
+function getConfiguredSinkNames(): LogSinkName[] {
+  if (!configuredSinks) {
+    const fallback = process.env.BUILD_JOB_STORE === 'firestore' ? 'firestore' : 'file';
+    const requested = (process.env.BUILD_LOG_SINKS || fallback)
+      .split(',')
+      .map((name) => name.trim())
+      .filter((name): name is LogSinkName => name === 'file' || name === 'firestore');
+
+    configuredSinks = requested.length > 0 ? Array.from(new Set(requested)) : [fallback];
+    console.log(`[LogSink] Writing build logs to memory + ${configuredSinks.join(', ')}`);
+  }
+  return configuredSinks;
+}
+
+/**
+ * Get the persistent sinks for a job: configured sinks plus any the job asked for
+ */
+export function getLogSinks(extra: LogSinkName[] = []): LogSink[] {
+  const names = new Set([...getConfiguredSinkNames(), ...extra]);
+  names.delete('memory');
+  return Array.from(names).map(getPersistentSink);
+}
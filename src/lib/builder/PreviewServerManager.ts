@@ -3,30 +3,45 @@
  *
  * Manages temporary Next.js dev servers for live preview of generated apps.
  * Features:
- * - Spawn isolated Next.js dev servers on random ports
- * - Auto-kill on timeout (5 minutes)
+ * - Spawn isolated Next.js dev servers on free ports (probed, not guessed)
+ * - Pool limit (PREVIEW_MAX_SERVERS) with least-recently-used eviction
+ * - Idle shutdown: servers stop after PREVIEW_IDLE_TIMEOUT without traffic
+ *   (touchPreviewServer resets the clock)
+ * - Shared node_modules cache keyed by the dependency hash of package.json,
+ *   so most previews start without installing
  * - Process lifecycle management
  * - Port allocation and tracking
  * - Error handling and recovery
+ * - Preview bridge (console/error forwarding) served from the app's public/
+ * - Served through the main app at /preview-proxy/<jobId> (the dev server's
+ *   basePath), never by exposing its localhost port
  */
 
 import { spawn, ChildProcess } from 'child_process';
+import * as crypto from 'crypto';
+import * as net from 'net';
 import * as path from 'path';
 import * as fs from 'fs/promises';
 import { getJob } from './BuildOrchestrator';
+import { PREVIEW_BRIDGE_PATH, PREVIEW_BRIDGE_SCRIPT } from '../livepreview/previewBridge';
+import { getPreviewProxyPath } from '../livepreview/previewProxy';
 
 const MIN_PORT = 5000;
 const MAX_PORT = 5999;
-const PREVIEW_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const IDLE_TIMEOUT = parseInt(process.env.PREVIEW_IDLE_TIMEOUT || '', 10) || 5 * 60 * 1000; // 5 minutes without traffic
+const MAX_SERVERS = Math.max(1, parseInt(process.env.PREVIEW_MAX_SERVERS || '3', 10) || 3);
 const STARTUP_TIMEOUT = 120 * 1000; // 120 seconds to start (includes npm install time)
+const DEPS_CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode', 'preview-deps');
+const INSTALLED_MARKER = '.installed';
 
 interface PreviewServer {
   jobId: string;
   process: ChildProcess;
   port: number;
-  previewUrl: string;
+  previewUrl: string; // Proxy URL, e.g. /preview-proxy/<jobId>
   startedAt: number;
-  timeout: NodeJS.Timeout;
+  lastActivityAt: number; // Last preview traffic (drives idle shutdown and LRU eviction)
+  idleTimer: NodeJS.Timeout;
   status: 'starting' | 'ready' | 'failed' | 'stopped';
   error?: string;
 }
@@ -34,20 +49,43 @@ interface PreviewServer {
 // Active preview servers
 const activeServers = new Map<string, PreviewServer>();
 const usedPorts = new Set<number>();
+const serverDirs = new Map<string, string>(); // jobId -> app directory (bridge cleanup)
+const pendingInstalls = new Map<string, Promise<string>>(); // dependency hash -> install
+let nextPortCandidate = MIN_PORT;
 
 /**
- * Get a random available port
+ * Whether nothing is listening on a port
  */
-function getRandomPort(): number {
-  let attempts = 0;
-  while (attempts < 100) {
-    const port = Math.floor(Math.random() * (MAX_PORT - MIN_PORT + 1)) + MIN_PORT;
-    if (!usedPorts.has(port)) {
-      usedPorts.add(port);
+function isPortFree(port: number): Promise<boolean> {
+  return new Promise((resolve) => {
+    const probe = net.createServer();
+    probe.once('error', () => resolve(false));
+    probe.once('listening', () => probe.close(() => resolve(true)));
+    probe.listen(port, '127.0.0.1');
+  });
+}
+
+/**
+ * Reserve the next free port in the range
+ * Scans round-robin from the last allocation, so a just-released port
+ * isn't handed out again while its old process may still be exiting.
+ */
+async function allocatePort(): Promise<number> {
+  const rangeSize = MAX_PORT - MIN_PORT + 1;
+
+  for (let i = 0; i < rangeSize; i++) {
+    const port = MIN_PORT + ((nextPortCandidate - MIN_PORT + i) % rangeSize);
+    if (usedPorts.has(port)) continue;
+
+    // Reserve before probing so concurrent starts don't pick the same port
+    usedPorts.add(port);
+    if (await isPortFree(port)) {
+      nextPortCandidate = port + 1 > MAX_PORT ? MIN_PORT : port + 1;
       return port;
     }
-    attempts++;
+    usedPorts.delete(port);
   }
+
   throw new Error('No available ports in range');
 }
 
@@ -58,6 +96,190 @@ function releasePort(port: number): void {
   usedPorts.delete(port);
 }
 
+/**
+ * Hash of the dependencies in a package.json (scripts, name etc. don't matter)
+ */
+function getDependencyHash(packageJson: any): string {
+  const sortKeys = (deps: Record<string, string> = {}) =>
+    Object.keys(deps).sort().map((name) => `${name}@${deps[name]}`);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      dependencies: sortKeys(packageJson.dependencies),
+      devDependencies: sortKeys(packageJson.devDependencies),
+    }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Install a dependency set into the shared cache (once per hash)
+ * Returns the cached node_modules directory.
+ */
+async function installToCache(hash: string, packageJson: any): Promise<string> {
+  const cacheDir = path.join(DEPS_CACHE_DIR, hash);
+  const nodeModules = path.join(cacheDir, 'node_modules');
+
+  try {
+    await fs.access(path.join(cacheDir, INSTALLED_MARKER));
+    return nodeModules;
+  } catch {
+    // Not installed yet
+  }
+
+  let pending = pendingInstalls.get(hash);
+  if (!pending) {
+    pending = (async () => {
+      console.log(`[PreviewServer] Installing dependency set ${hash} into the shared cache...`);
+
+      await fs.rm(cacheDir, { recursive: true, force: true });
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(
+        path.join(cacheDir, 'package.json'),
+        JSON.stringify({
+          name: `vibely-preview-deps-${hash}`,
+          private: true,
+          dependencies: packageJson.dependencies || {},
+          devDependencies: packageJson.devDependencies || {},
+        }, null, 2),
+        'utf-8'
+      );
+
+      // Package install scripts come from the generated package.json: no server secrets either
+      const installProcess = spawn('npm', ['install', '--no-audit', '--no-fund'], {
+        cwd: cacheDir,
+        stdio: 'inherit',
+        env: {
+          PATH: process.env.PATH,
+          HOME: process.env.HOME, // npm's cache and config
+        },
+      });
+
+      try {
+        await new Promise<void>((resolve, reject) => {
+          installProcess.on('exit', (code) => {
+            if (code === 0) {
+              resolve();
+            } else {
+              reject(new Error(`npm install failed with code ${code}`));
+            }
+          });
+
+          installProcess.on('error', (error) => {
+            reject(error);
+          });
+        });
+      } catch (error) {
+        await fs.rm(cacheDir, { recursive: true, force: true });
+        throw error;
+      }
+
+      await fs.writeFile(path.join(cacheDir, INSTALLED_MARKER), new Date().toISOString(), 'utf-8');
+      console.log(`[PreviewServer] Dependency set ${hash} installed`);
+      return nodeModules;
+    })().finally(() => pendingInstalls.delete(hash));
+
+    pendingInstalls.set(hash, pending);
+  }
+
+  return pending;
+}
+
+/**
+ * Point the app's node_modules at the shared cache for its dependency set
+ * An app with its own (real) node_modules keeps it.
+ */
+export async function ensureDependencies(jobId: string, appDir: string): Promise<void> {
+  const packageJson = JSON.parse(await fs.readFile(path.join(appDir, 'package.json'), 'utf-8'));
+  const hash = getDependencyHash(packageJson);
+  const linkPath = path.join(appDir, 'node_modules');
+
+  try {
+    const stat = await fs.lstat(linkPath);
+    if (!stat.isSymbolicLink()) {
+      console.log(`[PreviewServer] Dependencies already installed for ${jobId}`);
+      return;
+    }
+  } catch {
+    // No node_modules yet
+  }
+
+  const cachedModules = await installToCache(hash, packageJson);
+
+  try {
+    if (await fs.readlink(linkPath) === cachedModules) {
+      console.log(`[PreviewServer] Using cached dependencies ${hash} for ${jobId}`);
+      return;
+    }
+  } catch {
+    // Missing or not a link
+  }
+
+  // Dependencies changed (or first preview): relink
+  await fs.rm(linkPath, { force: true });
+  await fs.symlink(cachedModules, linkPath, 'junction');
+  console.log(`[PreviewServer] Linked cached dependencies ${hash} for ${jobId}`);
+}
+
+/**
+ * Stop servers until there is room for one more
+ * The least recently active server goes first.
+ */
+function makeRoomForServer(): void {
+  while (activeServers.size >= MAX_SERVERS) {
+    let oldest: PreviewServer | null = null;
+    for (const server of activeServers.values()) {
+      if (!oldest || server.lastActivityAt < oldest.lastActivityAt) oldest = server;
+    }
+    if (!oldest) return;
+
+    console.log(`[PreviewServer] Pool full (${MAX_SERVERS}), evicting least recently used server for ${oldest.jobId}`);
+    stopPreviewServer(oldest.jobId);
+  }
+}
+
+function scheduleIdleShutdown(jobId: string): NodeJS.Timeout {
+  return setTimeout(() => {
+    console.log(`[PreviewServer] ${jobId} idle for ${Math.round(IDLE_TIMEOUT / 1000)}s, stopping server`);
+    stopPreviewServer(jobId);
+  }, IDLE_TIMEOUT);
+}
+
+/**
+ * Record preview traffic for a server, postponing its idle shutdown
+ */
+export function touchPreviewServer(jobId: string): void {
+  const server = activeServers.get(jobId);
+  if (!server) return;
+
+  server.lastActivityAt = Date.now();
+  clearTimeout(server.idleTimer);
+  server.idleTimer = scheduleIdleShutdown(jobId);
+}
+
+/**
+ * Write the preview bridge into the app's public/ directory
+ */
+async function writePreviewBridge(appDir: string): Promise<void> {
+  const bridgePath = path.join(appDir, 'public', PREVIEW_BRIDGE_PATH);
+  await fs.mkdir(path.dirname(bridgePath), { recursive: true });
+  await fs.writeFile(bridgePath, PREVIEW_BRIDGE_SCRIPT, 'utf-8');
+}
+
+/**
+ * Remove the preview bridge so it doesn't end up in downloads
+ */
+function removePreviewBridge(jobId: string): void {
+  const appDir = serverDirs.get(jobId);
+  if (!appDir) return;
+
+  serverDirs.delete(jobId);
+  fs.rm(path.join(appDir, 'public', path.dirname(PREVIEW_BRIDGE_PATH)), { recursive: true, force: true }).catch((error) => {
+    console.warn(`[PreviewServer] Could not remove preview bridge for ${jobId}:`, error.message);
+  });
+}
+
 /**
  * Start a preview server for a build
  */
@@ -66,6 +288,7 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
   const existing = activeServers.get(jobId);
   if (existing) {
     if (existing.status === 'ready') {
+      touchPreviewServer(jobId);
       return { previewUrl: existing.previewUrl, port: existing.port };
     } else if (existing.status === 'starting') {
       // Wait for startup
@@ -91,7 +314,7 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
   }
 
   // Verify build exists and is complete
-  const job = getJob(jobId);
+  const job = await getJob(jobId);
   if (!job) {
     throw new Error('Build not found');
   }
@@ -119,53 +342,36 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
     throw new Error('Missing package.json in generated app');
   }
 
-  // Check if node_modules exists, if not, install dependencies
-  const nodeModulesPath = path.join(job.outputPath, 'node_modules');
-  try {
-    await fs.access(nodeModulesPath);
-    console.log(`[PreviewServer] Dependencies already installed for ${jobId}`);
-  } catch (error) {
-    console.log(`[PreviewServer] Installing dependencies for ${jobId}...`);
-
-    // Run npm install
-    const installProcess = spawn('npm', ['install'], {
-      cwd: job.outputPath,
-      stdio: 'inherit',
-    });
-
-    await new Promise<void>((resolve, reject) => {
-      installProcess.on('exit', (code) => {
-        if (code === 0) {
-          console.log(`[PreviewServer] Dependencies installed successfully for ${jobId}`);
-          resolve();
-        } else {
-          reject(new Error(`npm install failed with code ${code}`));
-        }
-      });
+  // Link (installing once if needed) the shared node_modules for this dependency set
+  await ensureDependencies(jobId, job.outputPath);
 
-      installProcess.on('error', (error) => {
-        reject(error);
-      });
-    });
-  }
+  // Preview bridge, loaded by the generated root layout
+  await writePreviewBridge(job.outputPath);
 
   // Allocate port
-  const port = getRandomPort();
-  const previewUrl = `http://localhost:${port}`;
+  makeRoomForServer();
+  const port = await allocatePort();
+  const basePath = getPreviewProxyPath(jobId);
+  const previewUrl = basePath;
 
   console.log(`[PreviewServer] Starting preview server for build ${jobId} on port ${port}`);
   console.log(`[PreviewServer] App directory: ${job.outputPath}`);
 
   // Spawn Next.js dev server
-  // Use npx to run next dev with the specified port
-  const child = spawn('npx', ['next', 'dev', '-p', port.toString(), '-H', '0.0.0.0'], {
+  // Loopback only: browsers reach it through the ownership-checked preview proxy.
+  // Generated (and user-edited) code runs here - keep the server's secrets out of its environment
+  const child = spawn('npx', ['next', 'dev', '-p', port.toString(), '-H', '127.0.0.1'], {
     cwd: job.outputPath,
     stdio: ['ignore', 'pipe', 'pipe'],
     detached: false,
     env: {
-      ...process.env,
+      PATH: process.env.PATH,
+      HOME: process.env.HOME, // npx's cache
       NODE_ENV: 'development',
+      NEXT_TELEMETRY_DISABLED: '1',
       PORT: port.toString(),
+      VIBELY_PREVIEW_BASE_PATH: basePath,
+      NEXT_PUBLIC_VIBELY_PREVIEW_BRIDGE: `${basePath}${PREVIEW_BRIDGE_PATH}`,
     },
   });
 
@@ -176,14 +382,13 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
     port,
     previewUrl,
     startedAt: Date.now(),
+    lastActivityAt: Date.now(),
     status: 'starting',
-    timeout: setTimeout(() => {
-      console.log(`[PreviewServer] Timeout reached for ${jobId}, stopping server`);
-      stopPreviewServer(jobId);
-    }, PREVIEW_TIMEOUT),
+    idleTimer: scheduleIdleShutdown(jobId),
   };
 
   activeServers.set(jobId, server);
+  serverDirs.set(jobId, job.outputPath);
 
   // Handle process output
   let isReady = false;
@@ -196,7 +401,7 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
       console.log(`[PreviewServer ${jobId}] ${output}`);
 
       // Check for Next.js ready messages
-      if (output.includes('Ready') || output.includes('started server') || output.includes(`localhost:${port}`)) {
+      if (output.includes('Ready') || output.includes('started server') || output.includes(`localhost:${port}`) || output.includes(`127.0.0.1:${port}`)) {
         if (!isReady) {
           isReady = true;
           server.status = 'ready';
@@ -205,7 +410,7 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
             clearTimeout(startupTimeout);
           }
 
-          console.log(`[PreviewServer] Server ready for ${jobId} at ${previewUrl}`);
+          console.log(`[PreviewServer] Server ready for ${jobId} on port ${port}, proxied at ${previewUrl}`);
           resolve({ previewUrl, port });
         }
       }
@@ -235,9 +440,13 @@ export async function startPreviewServer(jobId: string): Promise<{ previewUrl: s
         reject(new Error(server.error));
       }
 
-      // Cleanup
-      activeServers.delete(jobId);
+      // Cleanup (unless a newer server already took this job's slot)
+      clearTimeout(server.idleTimer);
       releasePort(port);
+      if (activeServers.get(jobId) === server) {
+        activeServers.delete(jobId);
+        removePreviewBridge(jobId);
+      }
     });
 
     // Handle process errors
@@ -278,10 +487,8 @@ export function stopPreviewServer(jobId: string): boolean {
 
   console.log(`[PreviewServer] Stopping server for ${jobId}`);
 
-  // Clear timeout
-  if (server.timeout) {
-    clearTimeout(server.timeout);
-  }
+  // Clear idle timer
+  clearTimeout(server.idleTimer);
 
   // Kill process
   try {
@@ -304,6 +511,7 @@ export function stopPreviewServer(jobId: string): boolean {
   server.status = 'stopped';
   activeServers.delete(jobId);
   releasePort(server.port);
+  removePreviewBridge(jobId);
 
   return true;
 }
@@ -338,11 +546,10 @@ export function getAllActiveServers(): Map<string, PreviewServer> {
  */
 export function cleanupStaleServers(): void {
   const now = Date.now();
-  const staleThreshold = PREVIEW_TIMEOUT;
 
   for (const [jobId, server] of activeServers) {
-    if (now - server.startedAt > staleThreshold) {
-      console.log(`[PreviewServer] Cleaning up stale server for ${jobId}`);
+    if (now - server.lastActivityAt > IDLE_TIMEOUT) {
+      console.log(`[PreviewServer] Cleaning up idle server for ${jobId}`);
       stopPreviewServer(jobId);
     }
   }
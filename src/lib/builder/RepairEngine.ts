@@ -0,0 +1,278 @@
+/**
+ * Repair Engine - Fix Preview Errors with the CODE_GENERATION Provider
+ *
+ * Building blocks for BuildOrchestrator.repairBuild:
+ * - Collect the error, its stack and the generated files it implicates
+ * - Ask the model for a patch (whole-file replacements)
+ * - Compile the patched project in a scratch directory before it is applied
+ *
+ * Rounds are bounded by REPAIR_MAX_ROUNDS (default 3); a round whose patch
+ * doesn't compile feeds the compile errors into the next round.
+ */
+
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { transform, Loader } from 'esbuild';
+import { generateText, isOperationAvailable } from '../ai';
+import { compilePreview, findAppDir, PreviewBundleError } from '../livepreview/previewBundler';
+import type { AppBlueprint, ModelRoute } from '../llmProvider';
+
+export const REPAIR_MAX_ROUNDS = Math.max(1, parseInt(process.env.REPAIR_MAX_ROUNDS || '3', 10) || 1);
+
+const REPAIR_CONTEXT_LIMIT = 40000; // Max characters of file content sent per round
+const MAX_LOGGED_COMPILE_ERRORS = 5;
+const CODE_FILE = /\.(tsx|ts|jsx|js|css)$/;
+const ALWAYS_INCLUDE = ['src/app/layout.tsx'];
+const GENERIC_NAMES = new Set(['page', 'layout', 'route', 'index', 'globals']); // Too common to match by name
+const SOURCE_LOADERS: Record<string, Loader> = { '.tsx': 'tsx', '.ts': 'ts', '.jsx': 'jsx', '.js': 'jsx', '.css': 'css' };
+
+// Error reported by the preview (runtime) or by the bundler (compile)
+export interface ErrorReport {
+  kind: 'runtime' | 'compile';
+  message: string;
+  stack?: string;
+  file?: string; // Project-relative path, when known
+  line?: number;
+  column?: number;
+  route?: string; // In-app path the preview was showing, e.g. /tasks
+}
+
+export interface RepairPatch {
+  summary: string;
+  files: Record<string, string>; // path -> full new content
+}
+
+const REPAIR_SYSTEM_PROMPT = `You are an expert Next.js 14 developer fixing a bug in a generated app (App Router, TypeScript, Tailwind CSS).
+You get an error from the app's live preview and the source files involved.
+
+Rules:
+- Fix the cause of the error with the smallest change that works
+- Keep the app's design, content and behavior otherwise unchanged
+- Only import packages the app already uses
+- Return every file you change in full, in this exact format:
+
+SUMMARY: <one line describing the fix>
+=== FILE: <path> ===
+<complete file content>
+=== END FILE ===
+
+No explanations or markdown outside this format.`;
+
+/**
+ * Whether any provider in the CODE_GENERATION chain can be used for repairs
+ */
+export function isRepairAvailable(route?: ModelRoute): boolean {
+  return isOperationAvailable('CODE_GENERATION', route);
+}
+
+/**
+ * Project file of the page that renders an in-app path, if any
+ */
+export function findPageForRoute(files: Record<string, string>, route: string): string | null {
+  const parts = route.split(/[?#]/)[0].split('/').filter(Boolean);
+  let best: { filePath: string; dynamicSegments: number } | null = null;
+
+  for (const filePath of Object.keys(files)) {
+    const match = filePath.match(/^(?:src\/)?app\/(?:(.*)\/)?page\.(tsx|jsx|ts|js)$/);
+    if (!match) continue;
+
+    const segments = (match[1] || '').split('/').filter((segment) => segment && !/^\(.+\)$/.test(segment));
+    const catchAll = segments.length > 0 && segments[segments.length - 1].startsWith('[...');
+    if (catchAll ? parts.length < segments.length : parts.length !== segments.length) continue;
+
+    const matches = segments.every((segment, i) => segment.startsWith('[') || segment === parts[i]);
+    const dynamicSegments = segments.filter((segment) => segment.startsWith('[')).length;
+
+    // Static segments win over dynamic ones (/tasks/new over /tasks/[id])
+    if (matches && (!best || dynamicSegments < best.dynamicSegments)) {
+      best = { filePath, dynamicSegments };
+    }
+  }
+
+  return best ? best.filePath : null;
+}
+
+/**
+ * Pick the files an error implicates, within the context budget
+ * Order: the reported file, files named in the message/stack, the route's page
+ * and its @/ imports, then the root layout.
+ */
+export function collectRepairContext(
+  files: Record<string, string>,
+  report: ErrorReport
+): Record<string, string> {
+  const candidates: string[] = [];
+  const add = (filePath: string | null | undefined) => {
+    if (filePath && filePath in files && !candidates.includes(filePath)) candidates.push(filePath);
+  };
+
+  add(report.file);
+
+  const haystack = `${report.message}\n${report.stack || ''}`;
+  const codeFiles = Object.keys(files).filter((filePath) => CODE_FILE.test(filePath));
+  for (const filePath of codeFiles) {
+    const component = path.posix.basename(filePath).replace(CODE_FILE, '');
+    const named = haystack.includes(filePath) ||
+      (!GENERIC_NAMES.has(component) && new RegExp(`\\b${escapeRegExp(component)}\\b`).test(haystack));
+    if (named) add(filePath);
+  }
+
+  const page = report.route ? findPageForRoute(files, report.route) : null;
+  add(page);
+  if (page) {
+    for (const match of Array.from(files[page].matchAll(/from\s+['"]@\/([^'"]+)['"]/g))) {
+      for (const extension of ['.tsx', '.ts', '.jsx', '.js']) add(`src/${match[1]}${extension}`);
+    }
+  }
+
+  ALWAYS_INCLUDE.forEach(add);
+
+  const context: Record<string, string> = {};
+  let size = 0;
+  for (const filePath of candidates) {
+    const content = files[filePath];
+    if (size + content.length > REPAIR_CONTEXT_LIMIT) continue;
+    context[filePath] = content;
+    size += content.length;
+  }
+
+  return context;
+}
+
+/**
+ * Ask the model for a patch that fixes the error
+ *
+ * @param previousAttempts - Why earlier rounds' patches were rejected
+ */
+export async function requestRepairPatch({
+  report,
+  context,
+  blueprint,
+  previousAttempts,
+  signal,
+  route,
+}: {
+  report: ErrorReport;
+  context: Record<string, string>;
+  blueprint?: AppBlueprint;
+  previousAttempts: string[];
+  signal?: AbortSignal;
+  route?: ModelRoute;
+}): Promise<RepairPatch> {
+  const location = report.file ? `\nLocation: ${report.file}${report.line ? `:${report.line}:${report.column ?? 0}` : ''}` : '';
+  const prompt = `${report.kind === 'compile' ? 'Compile' : 'Runtime'} error in the preview${report.route ? ` on ${report.route}` : ''}:
+${report.message}${location}
+${report.stack ? `\nStack:\n${report.stack.slice(0, 3000)}` : ''}
+${blueprint ? `\nApp: "${blueprint.appName}" (${blueprint.pages.length} pages)` : ''}
+${previousAttempts.length > 0 ? `\nEarlier fixes that did not work:\n${previousAttempts.map((attempt) => `- ${attempt}`).join('\n')}\n` : ''}
+Files:
+${Object.entries(context).map(([filePath, content]) => `=== FILE: ${filePath} ===\n${content}\n=== END FILE ===`).join('\n')}`;
+
+  const response = await generateText({
+    prompt,
+    systemPrompt: REPAIR_SYSTEM_PROMPT,
+    operationType: 'CODE_GENERATION',
+    signal,
+    route,
+    onUsage: route?.onUsage,
+  });
+
+  return parseRepairPatch(response);
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the SUMMARY / FILE blocks of a repair response
+ */
+export function parseRepairPatch(response: string): RepairPatch {
+  const summary = response.match(/^\s*SUMMARY:\s*(.+)$/m)?.[1].trim() || 'Fixed preview error';
+  const files: Record<string, string> = {};
+
+  for (const match of Array.from(response.matchAll(/=== FILE: (.+?) ===\n([\s\S]*?)\n?=== END FILE ===/g))) {
+    const content = match[2].replace(/^```[\w-]*\n([\s\S]*?)\n?```\s*$/, '$1');
+    files[match[1].trim()] = content.endsWith('\n') ? content : `${content}\n`;
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error('Repair response contained no files');
+  }
+
+  return { summary, files };
+}
+
+/**
+ * Compile a patched file map in a scratch directory
+ * The patched source files are syntax-checked on their own first, so a broken
+ * file no page imports still fails; then the whole project is bundled.
+ * Returns the compile errors (empty if it bundles). Projects without an
+ * app directory only get the syntax check.
+ */
+export async function checkRepairedProject(
+  scratchDir: string,
+  files: Record<string, string>,
+  changedPaths: string[] = Object.keys(files)
+): Promise<PreviewBundleError[]> {
+  const syntaxErrors = await checkSourceSyntax(files, changedPaths);
+  if (syntaxErrors.length > 0) return syntaxErrors;
+
+  await fs.rm(scratchDir, { recursive: true, force: true });
+
+  try {
+    for (const [filePath, content] of Object.entries(files)) {
+      const fullPath = path.join(scratchDir, filePath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content, 'utf-8');
+    }
+
+    if (!(await findAppDir(scratchDir))) return [];
+    return await compilePreview(scratchDir);
+  } finally {
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  }
+}
+
+async function checkSourceSyntax(files: Record<string, string>, changedPaths: string[]): Promise<PreviewBundleError[]> {
+  const errors: PreviewBundleError[] = [];
+
+  for (const filePath of changedPaths) {
+    const loader = SOURCE_LOADERS[path.extname(filePath).toLowerCase()];
+    if (!loader || files[filePath] === undefined) continue;
+
+    try {
+      await transform(files[filePath], { loader, jsx: 'automatic', sourcefile: filePath, logLevel: 'silent' });
+    } catch (error: any) {
+      for (const message of error.errors || [{ text: error.message }]) {
+        errors.push({
+          message: message.text,
+          file: filePath,
+          line: message.location?.line,
+          column: message.location?.column,
+          lineText: message.location?.lineText,
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compile errors as the report for the next round
+ */
+export function compileErrorReport(errors: PreviewBundleError[], route?: string): ErrorReport {
+  const [first] = errors;
+  return {
+    kind: 'compile',
+    message: errors
+      .slice(0, MAX_LOGGED_COMPILE_ERRORS)
+      .map((error) => `${error.file ? `${error.file}${error.line ? `:${error.line}` : ''}: ` : ''}${error.message}`)
+      .join('\n'),
+    file: first?.file,
+    line: first?.line,
+    column: first?.column,
+    route,
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * Revisions - Immutable snapshot history for builds
+ *
+ * Every generation of a build (and every file editor save) is stored as a numbered revision:
+ * .cache/vibecode/<jobId>/revisions/<n>/revision.json  - prompt, blueprint, file hashes + changes
+ * .cache/vibecode/<jobId>/revisions/<n>/files/**       - full project snapshot
+ *
+ * Revision 0 is the original build output. Revisions are never rewritten;
+ * a rollback is recorded as a new revision that copies an older snapshot.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import type { AppBlueprint } from '../llmProvider';
+import { createUnifiedDiff } from './LineDiff';
+
+const CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode');
+// Installed dependencies, build output and lockfiles are not part of the source
+const IGNORED_ENTRIES = new Set(['node_modules', '.next', 'package-lock.json']);
+
+export interface FileChange {
+  path: string;
+  type: 'added' | 'modified' | 'deleted';
+}
+
+export interface Revision {
+  revision: number;
+  jobId: string;
+  kind: 'build' | 'refine' | 'rollback' | 'repair' | 'edit';
+  prompt: string; // Build prompt, follow-up instruction, rollback note, repaired error, or file editor action
+  summary: string;
+  createdAt: number;
+  parent: number | null; // Revision this one was derived from
+  rolledBackTo?: number;
+  changes: FileChange[]; // Relative to the parent revision
+  hashes: Record<string, string>; // path -> sha256 of content
+  blueprint?: AppBlueprint;
+}
+
+function revisionsDir(jobId: string): string {
+  return path.join(CACHE_DIR, jobId, 'revisions');
+}
+
+/**
+ * Read every file under a directory as a map of relative path -> content
+ */
+export async function readProjectFiles(dir: string): Promise<Record<string, string>> {
+  const files: Record<string, string> = {};
+
+  async function walkDir(current: string) {
+    const entries = await fs.readdir(current, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (IGNORED_ENTRIES.has(entry.name)) continue;
+      const fullPath = path.join(current, entry.name);
+
+      if (entry.isDirectory()) {
+        await walkDir(fullPath);
+      } else {
+        const relativePath = path.relative(dir, fullPath).split(path.sep).join('/');
+        files[relativePath] = await fs.readFile(fullPath, 'utf-8');
+      }
+    }
+  }
+
+  try {
+    await walkDir(dir);
+  } catch (error: any) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  return files;
+}
+
+/**
+ * Compare two file maps
+ */
+export function diffFileMaps(
+  before: Record<string, string>,
+  after: Record<string, string>
+): FileChange[] {
+  const changes: FileChange[] = [];
+
+  for (const [filePath, content] of Object.entries(after)) {
+    if (!(filePath in before)) {
+      changes.push({ path: filePath, type: 'added' });
+    } else if (before[filePath] !== content) {
+      changes.push({ path: filePath, type: 'modified' });
+    }
+  }
+
+  for (const filePath of Object.keys(before)) {
+    if (!(filePath in after)) {
+      changes.push({ path: filePath, type: 'deleted' });
+    }
+  }
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Hash every file in a file map
+ */
+export function hashFiles(files: Record<string, string>): Record<string, string> {
+  const hashes: Record<string, string> = {};
+  for (const filePath of Object.keys(files).sort()) {
+    hashes[filePath] = crypto.createHash('sha256').update(files[filePath]).digest('hex');
+  }
+  return hashes;
+}
+
+/**
+ * Write a revision snapshot to disk
+ * Fails if the revision already exists - revisions are immutable
+ */
+export async function saveRevision(
+  revision: Omit<Revision, 'hashes'>,
+  files: Record<string, string>
+): Promise<Revision> {
+  const dir = path.join(revisionsDir(revision.jobId), String(revision.revision));
+  const tmpDir = `${dir}.tmp-${Date.now()}`;
+  const saved: Revision = { ...revision, hashes: hashFiles(files) };
+
+  const exists = await fs.access(dir).then(() => true, () => false);
+  if (exists) {
+    throw new Error(`Revision ${revision.revision} of ${revision.jobId} already exists`);
+  }
+
+  // Build the snapshot off to the side, then move it into place in one step
+  try {
+    for (const [filePath, content] of Object.entries(files)) {
+      const fullPath = path.join(tmpDir, 'files', filePath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content, 'utf-8');
+    }
+
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.writeFile(path.join(tmpDir, 'revision.json'), JSON.stringify(saved, null, 2), 'utf-8');
+    await fs.rename(tmpDir, dir);
+  } catch (error) {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return saved;
+}
+
+/**
+ * Load a single revision's metadata
+ */
+export async function getRevision(jobId: string, revision: number): Promise<Revision | null> {
+  try {
+    const raw = await fs.readFile(
+      path.join(revisionsDir(jobId), String(revision), 'revision.json'),
+      'utf-8'
+    );
+    return JSON.parse(raw) as Revision;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List all revisions of a build, oldest first
+ */
+export async function listRevisions(jobId: string): Promise<Revision[]> {
+  let entries: string[] = [];
+  try {
+    entries = await fs.readdir(revisionsDir(jobId));
+  } catch (error) {
+    return [];
+  }
+
+  const revisions: Revision[] = [];
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    const revision = await getRevision(jobId, Number(entry));
+    if (revision) revisions.push(revision);
+  }
+
+  return revisions.sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * Get the number the next revision of a build should use
+ */
+export async function getNextRevisionNumber(jobId: string): Promise<number> {
+  const revisions = await listRevisions(jobId);
+  return revisions.length === 0 ? 0 : revisions[revisions.length - 1].revision + 1;
+}
+
+/**
+ * Load the full file snapshot of a revision
+ */
+export async function loadRevisionFiles(
+  jobId: string,
+  revision: number
+): Promise<Record<string, string>> {
+  return readProjectFiles(path.join(revisionsDir(jobId), String(revision), 'files'));
+}
+
+/**
+ * Unified diff between two revisions
+ */
+export async function diffRevisions(
+  jobId: string,
+  from: number,
+  to: number
+): Promise<{ changes: FileChange[]; diff: string }> {
+  const [before, after] = await Promise.all([
+    loadRevisionFiles(jobId, from),
+    loadRevisionFiles(jobId, to),
+  ]);
+
+  const changes = diffFileMaps(before, after);
+  const diff = changes
+    .map((change) => createUnifiedDiff(
+      change.path,
+      change.type === 'added' ? null : before[change.path],
+      change.type === 'deleted' ? null : after[change.path]
+    ))
+    .join('');
+
+  return { changes, diff };
+}
@@ -0,0 +1,346 @@
+/**
+ * Static Exporter - Generated App -> Static Site ZIP
+ *
+ * Runs the generated app's production build (`next build` with
+ * output: 'export') in a sandbox copy of the project and zips the result:
+ * plain HTML/CSS/JS + assets for any static host.
+ *
+ * - Sandbox: .cache/vibecode/<jobId>/export/site (the generated/ directory is never touched)
+ * - Dependencies: the preview servers' shared node_modules cache
+ * - Server-only parts (API route handlers, dynamic routes without
+ *   generateStaticParams) can't be exported and are skipped with a warning
+ * - Page, stylesheet and asset URLs are rewritten to relative paths, so pages
+ *   also render when index.html is opened from disk
+ *
+ * Build output is passed line by line to the caller (the job logs).
+ */
+
+import { spawn } from 'child_process';
+import { createWriteStream } from 'fs';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import archiver from 'archiver';
+import { ensureDependencies } from './PreviewServerManager';
+import { PREVIEW_BRIDGE_PATH } from '../livepreview/previewBridge';
+
+const CACHE_DIR = path.join(process.cwd(), '.cache', 'vibecode');
+const EXPORT_TIMEOUT = parseInt(process.env.STATIC_EXPORT_TIMEOUT || '', 10) || 5 * 60 * 1000; // 5 minutes
+const MAX_LOGGED_BUILD_LINES = 200;
+const MAX_ERROR_LINES = 10;
+const SKIPPED_ENTRIES = new Set(['node_modules', '.next', 'out']);
+// Written into public/ while a preview server runs for the build - never shipped
+const PREVIEW_BRIDGE_DIR = path.join('public', path.dirname(PREVIEW_BRIDGE_PATH));
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs'];
+
+export interface StaticExportResult {
+  zipPath: string;
+  fileCount: number;
+  size: number; // Bytes (zip)
+  skipped: string[]; // Project paths left out of the export
+}
+
+type ExportLogger = (detail: string, status?: 'info' | 'warn' | 'error') => void;
+
+/**
+ * Where a job's latest static export ZIP is kept
+ */
+export function getStaticExportPath(jobId: string): string {
+  return path.join(CACHE_DIR, jobId, 'export', 'static-site.zip');
+}
+
+/**
+ * Build and zip a static export of a generated app
+ */
+export async function exportStaticSite(
+  jobId: string,
+  sourceDir: string,
+  folderName: string,
+  log: ExportLogger
+): Promise<StaticExportResult> {
+  const exportDir = path.dirname(getStaticExportPath(jobId));
+  const siteDir = path.join(exportDir, 'site');
+
+  await fs.rm(exportDir, { recursive: true, force: true });
+  await fs.mkdir(exportDir, { recursive: true });
+
+  try {
+    // Sandbox copy of the source
+    await fs.cp(sourceDir, siteDir, {
+      recursive: true,
+      filter: (source) =>
+        source === sourceDir ||
+        (!SKIPPED_ENTRIES.has(path.basename(source)) && path.relative(sourceDir, source) !== PREVIEW_BRIDGE_DIR),
+    });
+
+    const skipped = await removeUnexportableRoutes(siteDir);
+    for (const skippedPath of skipped) {
+      log(`⚠️  Not exportable, skipped: ${skippedPath}`, 'warn');
+    }
+
+    await writeExportConfig(siteDir);
+
+    log('📦 Preparing dependencies...');
+    await ensureDependencies(jobId, siteDir);
+
+    log('🏗️  Running production build...');
+    await runNextBuild(siteDir, log);
+
+    const outDir = path.join(siteDir, 'out');
+    const fileCount = await makePathsRelative(outDir);
+    await fs.writeFile(path.join(outDir, 'README.txt'), EXPORT_README, 'utf-8');
+
+    log('🗜️  Zipping static site...');
+    const zipPath = getStaticExportPath(jobId);
+    await zipDirectory(outDir, folderName, zipPath);
+    const { size } = await fs.stat(zipPath);
+
+    return { zipPath, fileCount: fileCount + 1, size, skipped };
+  } finally {
+    await fs.rm(siteDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Remove what `output: 'export'` can't build: route handlers (src/app/api)
+ * and dynamic route segments without generateStaticParams
+ * Returns the removed project paths.
+ */
+async function removeUnexportableRoutes(siteDir: string): Promise<string[]> {
+  const skipped: string[] = [];
+
+  for (const appDir of ['src/app', 'app']) {
+    const root = path.join(siteDir, appDir);
+
+    async function walkDir(dir: string): Promise<void> {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(siteDir, fullPath).split(path.sep).join('/');
+
+        if (dir === root && entry.name === 'api') {
+          await fs.rm(fullPath, { recursive: true, force: true });
+          skipped.push(`${relativePath}/ (API routes need a server)`);
+          continue;
+        }
+
+        if (/^\[.+\]$/.test(entry.name) && !(await hasStaticParams(fullPath))) {
+          await fs.rm(fullPath, { recursive: true, force: true });
+          skipped.push(`${relativePath}/ (dynamic route without generateStaticParams)`);
+          continue;
+        }
+
+        await walkDir(fullPath);
+      }
+    }
+
+    await walkDir(root);
+  }
+
+  return skipped;
+}
+
+async function hasStaticParams(dir: string): Promise<boolean> {
+  for (const name of ['page.tsx', 'page.jsx', 'page.ts', 'page.js', 'layout.tsx', 'layout.jsx']) {
+    try {
+      if ((await fs.readFile(path.join(dir, name), 'utf-8')).includes('generateStaticParams')) return true;
+    } catch {
+      // No such file
+    }
+  }
+  return false;
+}
+
+/**
+ * Wrap the app's next.config with the static export settings
+ * headers/rewrites/redirects need a server and are dropped; type and lint
+ * errors don't block the export (the preview already runs this code).
+ */
+async function writeExportConfig(siteDir: string): Promise<void> {
+  let baseConfig: string | null = null;
+  for (const name of NEXT_CONFIG_FILES) {
+    try {
+      await fs.access(path.join(siteDir, name));
+      baseConfig = name;
+      break;
+    } catch {
+      // Not this one
+    }
+  }
+
+  const loadBase = baseConfig
+    ? `const loaded = await import('./${baseConfig.replace('next.config', 'next.config.base')}');
+const base = typeof loaded.default === 'function' ? await loaded.default('phase-production-build', {}) : loaded.default || {};`
+    : 'const base = {};';
+
+  if (baseConfig) {
+    await fs.rename(
+      path.join(siteDir, baseConfig),
+      path.join(siteDir, baseConfig.replace('next.config', 'next.config.base'))
+    );
+  }
+
+  await fs.writeFile(
+    path.join(siteDir, 'next.config.mjs'),
+    `// Static export settings (VibelyBuild.AI export)
+${loadBase}
+const { headers, rewrites, redirects, ...config } = base;
+
+export default {
+  ...config,
+  output: 'export',
+  trailingSlash: true,
+  images: { ...(config.images || {}), unoptimized: true },
+  typescript: { ...(config.typescript || {}), ignoreBuildErrors: true },
+  eslint: { ...(config.eslint || {}), ignoreDuringBuilds: true },
+};
+`,
+    'utf-8'
+  );
+}
+
+/**
+ * Run `next build`, passing its output to the logger
+ */
+function runNextBuild(siteDir: string, log: ExportLogger): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', ['next', 'build'], {
+      cwd: siteDir,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Generated code runs here - keep the server's secrets out of its environment
+      env: {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME, // npx's cache
+        NODE_ENV: 'production',
+        NEXT_TELEMETRY_DISABLED: '1',
+      },
+    });
+
+    let loggedLines = 0;
+    const errorLines: string[] = [];
+
+    const handleOutput = (status: 'info' | 'warn') => (data: Buffer) => {
+      for (const line of data.toString().split('\n')) {
+        const text = line.replace(/\x1b\[[0-9;]*m/g, '').trimEnd();
+        if (!text.trim()) continue;
+
+        if (status === 'warn') {
+          errorLines.push(text);
+          if (errorLines.length > MAX_ERROR_LINES) errorLines.shift();
+        }
+
+        loggedLines += 1;
+        if (loggedLines <= MAX_LOGGED_BUILD_LINES) {
+          log(`   ${text}`, status);
+        } else if (loggedLines === MAX_LOGGED_BUILD_LINES + 1) {
+          log('   … (further build output omitted)', 'info');
+        }
+      }
+    };
+
+    child.stdout?.on('data', handleOutput('info'));
+    child.stderr?.on('data', handleOutput('warn'));
+
+    const timeout = setTimeout(() => {
+      child.kill('SIGTERM');
+      reject(new Error(`Production build timed out after ${Math.round(EXPORT_TIMEOUT / 1000)}s`));
+    }, EXPORT_TIMEOUT);
+
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+
+    child.on('exit', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) {
+        resolve();
+      } else {
+        const detail = errorLines.length > 0 ? `: ${errorLines.join(' | ')}` : '';
+        reject(new Error(`Production build failed with code ${code}${detail}`));
+      }
+    });
+  });
+}
+
+/**
+ * Rewrite root-relative URLs in exported HTML and CSS to relative ones
+ * ("/_next/..." -> "../_next/...", "/about/" -> "../about/index.html"),
+ * so the site works from a sub-folder or straight from disk.
+ * Returns the number of files in the export.
+ */
+async function makePathsRelative(outDir: string): Promise<number> {
+  let fileCount = 0;
+
+  async function walkDir(dir: string): Promise<void> {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        await walkDir(fullPath);
+        continue;
+      }
+
+      fileCount += 1;
+      if (!/\.(html|css)$/.test(entry.name)) continue;
+
+      const depth = path.relative(outDir, fullPath).split(path.sep).length - 1;
+      const prefix = depth === 0 ? './' : '../'.repeat(depth);
+      const content = await fs.readFile(fullPath, 'utf-8');
+
+      const rewritten = entry.name.endsWith('.css')
+        ? content.replace(/url\(\s*(['"]?)\/(?!\/)/g, `url($1${prefix}`)
+        : content
+            .replace(/\b(href|src|action)="\/(?!\/)([^"]*)"/g, (_match, attribute, target) => {
+              const [, pathPart, suffix] = target.match(/^([^?#]*)([\s\S]*)$/);
+              const isPage = attribute === 'href' && (pathPart === '' || pathPart.endsWith('/'));
+              return `${attribute}="${prefix}${pathPart}${isPage ? 'index.html' : ''}${suffix}"`;
+            })
+            .replace(/\bsrcSet="([^"]*)"/gi, (_match, value) => `srcSet="${value.replace(/(^|,\s*)\/(?!\/)/g, `$1${prefix}`)}"`);
+
+      if (rewritten !== content) {
+        await fs.writeFile(fullPath, rewritten, 'utf-8');
+      }
+    }
+  }
+
+  await walkDir(outDir);
+  return fileCount;
+}
+
+function zipDirectory(sourceDir: string, folderName: string, zipPath: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const output = createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve());
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    archive.directory(sourceDir, folderName);
+    archive.finalize();
+  });
+}
+
+const EXPORT_README = `Static export generated by VibelyBuild.AI
+
+Upload this folder to any static host (Netlify, Vercel, GitHub Pages,
+S3, nginx...) or preview it locally with:
+
+  npx serve .
+
+Opening index.html straight from disk shows every page with its styles.
+Interactive parts need the site to be served over http(s), because
+browsers block loading the app's scripts from file:// URLs.
+
+Not included: API routes and pages that need a server.
+`;
@@ -4,13 +4,18 @@
  * Manages pre-built app templates that can be merged with AI-generated code.
  * Templates provide starting points for common app types.
  *
- * Future: Implement template selection UI and merge logic
+ * Template layout (see templates/README.md):
+ * - templates/<id>/template.json - metadata + merge rules
+ * - templates/<id>/files/**      - files laid out like the generated project
  */
 
 import * as fs from 'fs/promises';
 import * as path from 'path';
+import type { AppBlueprint } from '../llmProvider';
 
 const TEMPLATES_DIR = path.join(process.cwd(), 'templates');
+const DEFAULT_OWNED = ['src/components/**'];
+const TAILWIND_CONFIG = 'tailwind.config.js';
 
 export interface AppTemplate {
   name: string;
@@ -21,6 +26,10 @@ export interface AppTemplate {
   components: string[];
   features: string[];
   techStack: string[];
+  owned?: string[]; // Paths the template keeps even if the AI generated them
+  tailwind?: {
+    extend?: Record<string, any>;
+  };
 }
 
 /**
@@ -61,36 +70,151 @@ export async function getTemplate(templateId: string): Promise<AppTemplate | nul
 }
 
 /**
- * Load template files (Future implementation)
+ * Load template files as a map of project path -> content
  */
 export async function loadTemplateFiles(
   templateId: string
 ): Promise<Record<string, string>> {
-  // TODO: Implement template file loading
-  // This will read all files from the template directory
-  // and return them as a key-value map (filepath -> content)
+  const template = await getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Template "${templateId}" not found`);
+  }
 
   console.log(`[TemplateLoader] Loading template: ${templateId}`);
 
-  return {};
+  const filesDir = path.join(TEMPLATES_DIR, template.id, 'files');
+  const files: Record<string, string> = {};
+
+  async function walkDir(dir: string) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        await walkDir(fullPath);
+      } else {
+        // Always use forward slashes so keys match codegen output
+        const relativePath = path.relative(filesDir, fullPath).split(path.sep).join('/');
+        files[relativePath] = await fs.readFile(fullPath, 'utf-8');
+      }
+    }
+  }
+
+  try {
+    await walkDir(filesDir);
+  } catch (error: any) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`[TemplateLoader] Template ${templateId} has no files/ directory`);
+  }
+
+  return files;
 }
 
 /**
- * Merge template with AI-generated code (Future implementation)
+ * Merge template with AI-generated code
+ *
+ * Strategy:
+ * - Template-owned paths (template.json "owned", default src/components/**) replace AI output
+ * - AI pages are layered on top; template pages only fill routes the AI didn't generate
+ * - Other template files are added when the AI didn't generate them
+ * - CSS files present in both are concatenated (generated first)
+ * - tailwind.config.js gets the template's theme.extend merged in
+ * - src/lib/siteConfig.ts exposes app name and nav links to template components
  */
 export async function mergeTemplateWithGenerated(
   templateId: string,
-  generatedFiles: Record<string, string>
+  generatedFiles: Record<string, string>,
+  blueprint?: AppBlueprint
 ): Promise<Record<string, string>> {
-  // TODO: Implement merge logic
-  // This will intelligently merge template files with AI-generated code
-  // - Keep template components if AI didn't generate them
-  // - Merge page layouts
-  // - Combine styles
-  // - Preserve template utilities
-
   console.log(`[TemplateLoader] Merging template ${templateId} with generated code`);
 
-  // For now, just return generated files
-  return generatedFiles;
+  const template = await getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Template "${templateId}" not found`);
+  }
+
+  const templateFiles = await loadTemplateFiles(templateId);
+  const owned = template.owned || DEFAULT_OWNED;
+  const merged: Record<string, string> = { ...generatedFiles };
+
+  for (const [filePath, content] of Object.entries(templateFiles)) {
+    const existing = merged[filePath];
+
+    if (existing === undefined || owned.some((pattern) => matchesPattern(filePath, pattern))) {
+      merged[filePath] = content;
+    } else if (filePath.endsWith('.css')) {
+      merged[filePath] = combineStylesheets(existing, content);
+    }
+    // Otherwise the AI-generated file wins (pages, config, etc.)
+  }
+
+  if (template.tailwind?.extend && merged[TAILWIND_CONFIG]) {
+    merged[TAILWIND_CONFIG] = combineTailwindConfig(merged[TAILWIND_CONFIG], template.tailwind.extend);
+  }
+
+  if (blueprint) {
+    merged['src/lib/siteConfig.ts'] = generateSiteConfig(blueprint);
+  }
+
+  return merged;
+}
+
+/**
+ * Match a project path against a simple glob (supports * and **)
+ */
+function matchesPattern(filePath: string, pattern: string): boolean {
+  const regex = pattern
+    .split('**')
+    .map((part) => part.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('.*');
+
+  return new RegExp(`^${regex}$`).test(filePath);
+}
+
+/**
+ * Concatenate two stylesheets, keeping a single set of @tailwind directives
+ */
+function combineStylesheets(generated: string, template: string): string {
+  const templateBody = template
+    .split('\n')
+    .filter((line) => !line.trim().startsWith('@tailwind'))
+    .join('\n')
+    .trim();
+
+  return `${generated.trimEnd()}\n\n/* ---- Template styles ---- */\n${templateBody}\n`;
+}
+
+/**
+ * Inject the template's theme.extend into the generated tailwind config
+ */
+function combineTailwindConfig(config: string, extend: Record<string, any>): string {
+  const emptyExtend = /extend:\s*\{\s*\}/;
+
+  if (!emptyExtend.test(config)) {
+    console.warn('[TemplateLoader] tailwind.config.js already extends the theme, keeping generated config');
+    return config;
+  }
+
+  const extendJson = JSON.stringify(extend, null, 2).replace(/\n/g, '\n    ');
+  return config.replace(emptyExtend, `extend: ${extendJson}`);
+}
+
+/**
+ * Generate the site config module that template components read from
+ */
+function generateSiteConfig(blueprint: AppBlueprint): string {
+  const navLinks = blueprint.pages.slice(0, 5).map((page) => ({
+    title: page.title,
+    href: page.route,
+  }));
+
+  return `// This file was auto-generated by VibelyBuild.AI
+export const siteConfig = {
+  appName: ${JSON.stringify(blueprint.appName)},
+  description: ${JSON.stringify(blueprint.notes || `${blueprint.appName} - Built with VibelyBuild.AI`)},
+  authRequired: ${blueprint.authRequired ? 'true' : 'false'},
+  navLinks: ${JSON.stringify(navLinks, null, 2).replace(/\n/g, '\n  ')},
+};
+`;
 }
@@ -19,6 +19,7 @@
  */
 
 import type { AppBlueprint, BlueprintPage } from "./llmProvider";
+import { generateDataLayer, getEntities } from "./dataCodegen";
 
 export interface GeneratedProject {
   files: {
@@ -56,13 +57,11 @@ export function generateProjectFromBlueprint(
 
   // Home page (first page in blueprint or default)
   const homePage = blueprint.pages[0] || createDefaultPage();
-  files["src/app/page.tsx"] = generatePageComponent(homePage, blueprint, true);
+  files[getPageFilePath(homePage, true)] = generatePageComponent(homePage, blueprint, true);
 
   // Generate additional pages
   blueprint.pages.slice(1).forEach((page) => {
-    const slug = page.route === "/" ? "home" : page.route.replace(/^\//, "");
-    const pagePath = `src/app/${slug}/page.tsx`;
-    files[pagePath] = generatePageComponent(page, blueprint, false);
+    files[getPageFilePath(page, false)] = generatePageComponent(page, blueprint, false);
   });
 
   // Shared components
@@ -70,9 +69,24 @@ export function generateProjectFromBlueprint(
   files["src/components/Footer.tsx"] = generateFooter(blueprint);
   files["src/components/GlassCard.tsx"] = generateGlassCard();
 
+  // CRUD data layer from the data model (types, API routes, storage, pages)
+  // Its list pages replace a template page on the same route
+  Object.assign(files, generateDataLayer(blueprint));
+
   return { files };
 }
 
+/**
+ * Project path of a blueprint page's component
+ * The first page is the home page; the others live under their route
+ */
+export function getPageFilePath(page: BlueprintPage, isHome: boolean): string {
+  if (isHome) return "src/app/page.tsx";
+
+  const slug = page.route === "/" ? "home" : page.route.replace(/^\//, "");
+  return `src/app/${slug}/page.tsx`;
+}
+
 /**
  * Generate package.json
  */
@@ -91,7 +105,8 @@ function generatePackageJson(blueprint: AppBlueprint): string {
   "dependencies": {
     "next": "^14.2.0",
     "react": "^18.3.0",
-    "react-dom": "^18.3.0"
+    "react-dom": "^18.3.0"${getEntities(blueprint).length > 0 ? `,
+    "firebase-admin": "^12.0.0"` : ""}
   },
   "devDependencies": {
     "@types/node": "^20",
@@ -108,11 +123,14 @@ function generatePackageJson(blueprint: AppBlueprint): string {
 
 /**
  * Generate next.config.js with iframe-friendly headers
+ * VIBELY_PREVIEW_BASE_PATH is set by the live preview, which serves the app
+ * under /preview-proxy/<jobId>.
  */
 function generateNextConfig(): string {
   return `/** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  basePath: process.env.VIBELY_PREVIEW_BASE_PATH || '',
   async headers() {
     return [
       {
@@ -233,6 +251,9 @@ yarn-error.log*
 # Local env files
 .env*.local
 
+# Local data (JSON file storage)
+/.data/
+
 # Vercel
 .vercel
 
@@ -256,6 +277,7 @@ ${blueprint.pages.map((page) => `- **${page.title}** - ${page.layout} layout`).j
 
 ${blueprint.authRequired ? "\n- 🔐 **Authentication Required**" : ""}
 ${blueprint.dataModel.length > 0 ? `\n## Data Model\n\n${blueprint.dataModel.map((e) => `- ${e.name} (${e.fields.length} fields)`).join("\n")}` : ""}
+${getEntities(blueprint).length > 0 ? `\n## Data API\n\n${getEntities(blueprint).map((e) => `- \`/api/${e.collection}\` - list (GET), create (POST)\n- \`/api/${e.collection}/[id]\` - get (GET), update (PUT), delete (DELETE)`).join("\n")}\n\nData is stored in \`.data/\` as JSON by default. Set \`DATA_STORAGE=firestore\` to use Firestore (see \`.env.example\` and \`firestore.rules\`).` : ""}
 
 ## Getting Started
 
@@ -370,6 +392,12 @@ export default function RootLayout({
 }) {
   return (
     <html lang="en">
+      <head>
+        {/* Set by the VibelyBuild.AI live preview only */}
+        {process.env.NEXT_PUBLIC_VIBELY_PREVIEW_BRIDGE && (
+          <script src={process.env.NEXT_PUBLIC_VIBELY_PREVIEW_BRIDGE} />
+        )}
+      </head>
       <body>
         <Navbar />
         <main className="min-h-screen">
@@ -517,6 +545,14 @@ function generateNavbar(blueprint: AppBlueprint): string {
     href: page.route,
   }));
 
+  // Data model list pages that no blueprint page links to yet
+  for (const entity of getEntities(blueprint)) {
+    const href = `/${entity.collection}`;
+    if (!links.some((link) => link.href === href)) {
+      links.push({ title: `${entity.name}s`, href });
+    }
+  }
+
   return `// This file was auto-generated by VibelyBuild.AI
 import Link from "next/link";
 
@@ -0,0 +1,969 @@
+/**
+ * Data Layer Code Generation - VibelyBuild.AI
+ *
+ * Turns the blueprint's dataModel into a working CRUD layer for the generated app:
+ * - src/lib/types.ts            - one TypeScript interface per DataEntity
+ * - src/lib/schema.ts           - field metadata + request validation
+ * - src/lib/storage/*           - pluggable storage (JSON file by default, Firestore with DATA_STORAGE=firestore)
+ * - src/app/api/<collection>/** - list/get/create/update/delete route handlers
+ * - src/app/<collection>/**     - list, detail and form pages wired to those routes
+ * - firestore.rules             - rules for the same collections
+ *
+ * Collection names are the lowercased entity name plus "s" ("Task" -> "tasks").
+ */
+
+import type { AppBlueprint, DataEntity } from "./llmProvider";
+
+// Added by the generated storage layer, so a blueprint field can't use them
+const RESERVED_FIELDS = new Set(["id", "createdAt", "updatedAt"]);
+
+type FieldKind = "string" | "number" | "boolean" | "date" | "list";
+
+interface FieldInfo {
+  name: string;
+  label: string;
+  kind: FieldKind;
+  input: string; // <input type> (or "textarea" / "checkbox")
+  required: boolean;
+}
+
+export interface EntityInfo {
+  name: string;
+  typeName: string; // TypeScript interface name
+  collection: string; // API + page path segment
+  fields: FieldInfo[];
+}
+
+/**
+ * Normalized entities of a blueprint (duplicates and unusable names dropped)
+ */
+export function getEntities(blueprint: AppBlueprint): EntityInfo[] {
+  const seen = new Set<string>();
+  const entities: EntityInfo[] = [];
+
+  for (const entity of blueprint.dataModel || []) {
+    const collection = getCollectionName(entity);
+    if (!collection || seen.has(collection)) continue;
+    seen.add(collection);
+
+    entities.push({
+      name: entity.name,
+      typeName: toTypeName(entity.name),
+      collection,
+      fields: (entity.fields || [])
+        .filter((field) => field.name && !RESERVED_FIELDS.has(field.name))
+        .map(toFieldInfo),
+    });
+  }
+
+  return entities;
+}
+
+/**
+ * Collection (and route segment) for an entity
+ */
+export function getCollectionName(entity: DataEntity): string {
+  const slug = entity.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug ? `${slug}s` : "";
+}
+
+/**
+ * All data layer files for a blueprint (none if it has no data model)
+ */
+export function generateDataLayer(blueprint: AppBlueprint): { [path: string]: string } {
+  const entities = getEntities(blueprint);
+  const files: { [path: string]: string } = {};
+
+  if (entities.length === 0) {
+    return files;
+  }
+
+  files["src/lib/types.ts"] = generateTypes(entities);
+  files["src/lib/schema.ts"] = generateSchema(entities);
+  files["src/lib/crud.ts"] = generateCrudHandlers();
+  files["src/lib/storage/index.ts"] = generateStorageIndex();
+  files["src/lib/storage/jsonFile.ts"] = generateJsonFileStorage();
+  files["src/lib/storage/firestore.ts"] = generateFirestoreStorage();
+  files["src/components/RecordForm.tsx"] = generateRecordForm();
+  files["firestore.rules"] = generateFirestoreRules(entities);
+  files[".env.example"] = generateEnvExample();
+
+  for (const entity of entities) {
+    files[`src/app/api/${entity.collection}/route.ts`] = generateCollectionRoute(entity);
+    files[`src/app/api/${entity.collection}/[id]/route.ts`] = generateItemRoute(entity);
+    files[`src/app/${entity.collection}/page.tsx`] = generateListPage(entity);
+    files[`src/app/${entity.collection}/new/page.tsx`] = generateNewPage(entity);
+    files[`src/app/${entity.collection}/[id]/page.tsx`] = generateDetailPage(entity);
+  }
+
+  return files;
+}
+
+function toTypeName(name: string): string {
+  const pascal = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(pascal) ? pascal : `Entity${pascal}`;
+}
+
+function toFieldInfo(field: DataEntity["fields"][number]): FieldInfo {
+  const type = (field.type || "string").toLowerCase();
+  const label = field.name
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .replace(/^./, (c) => c.toUpperCase());
+
+  let kind: FieldKind = "string";
+  let input = "text";
+
+  if (/^(number|int|integer|float|double|decimal|currency|price)$/.test(type)) {
+    kind = "number";
+    input = "number";
+  } else if (/^(boolean|bool)$/.test(type)) {
+    kind = "boolean";
+    input = "checkbox";
+  } else if (/^(date|datetime|timestamp)$/.test(type)) {
+    kind = "date";
+    input = "date";
+  } else if (/(\[\]|^array|^list)/.test(type)) {
+    kind = "list";
+  } else if (/^(email|url|tel)$/.test(type)) {
+    input = type;
+  } else if (/^(text|longtext|richtext|markdown)$/.test(type)) {
+    input = "textarea";
+  }
+
+  return { name: field.name, label, kind, input, required: !!field.required };
+}
+
+const TS_TYPES: Record<FieldKind, string> = {
+  string: "string",
+  number: "number",
+  boolean: "boolean",
+  date: "string", // ISO 8601
+  list: "string[]",
+};
+
+/**
+ * Property key for an interface (quoted when not a valid identifier)
+ */
+function propertyKey(name: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Generate src/lib/types.ts
+ */
+function generateTypes(entities: EntityInfo[]): string {
+  return `// This file was auto-generated by VibelyBuild.AI from the blueprint data model
+
+${entities.map((entity) => `export interface ${entity.typeName} {
+  id: string;
+${entity.fields.map((field) => `  ${propertyKey(field.name)}${field.required ? "" : "?"}: ${TS_TYPES[field.kind]};`).join("\n")}
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type ${entity.typeName}Input = Omit<${entity.typeName}, "id" | "createdAt" | "updatedAt">;`).join("\n\n")}
+`;
+}
+
+/**
+ * Generate src/lib/schema.ts
+ */
+function generateSchema(entities: EntityInfo[]): string {
+  const schemas = Object.fromEntries(
+    entities.map((entity) => [
+      entity.collection,
+      { name: entity.name, collection: entity.collection, fields: entity.fields },
+    ])
+  );
+
+  return `// This file was auto-generated by VibelyBuild.AI from the blueprint data model
+
+export type FieldKind = "string" | "number" | "boolean" | "date" | "list";
+
+export interface FieldSchema {
+  name: string;
+  label: string;
+  kind: FieldKind;
+  input: string;
+  required: boolean;
+}
+
+export interface EntitySchema {
+  name: string;
+  collection: string;
+  fields: FieldSchema[];
+}
+
+export const ENTITIES: Record<string, EntitySchema> = ${JSON.stringify(schemas, null, 2)};
+
+/**
+ * Check and convert request data against an entity's fields
+ * Unknown fields are dropped. With partial, missing required fields are allowed (updates).
+ */
+export function validateRecord(
+  entity: EntitySchema,
+  input: unknown,
+  partial = false
+): { data: Record<string, unknown>; errors: string[] } {
+  const data: Record<string, unknown> = {};
+  const errors: string[] = [];
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { data, errors: ["Body must be a JSON object"] };
+  }
+
+  const body = input as Record<string, unknown>;
+
+  for (const field of entity.fields) {
+    const value = body[field.name];
+
+    if (value === undefined || value === null || value === "") {
+      if (field.required && !partial) errors.push(\`\${field.label} is required\`);
+      continue;
+    }
+
+    const converted = convertValue(field.kind, value);
+    if (converted === undefined) {
+      errors.push(\`\${field.label} must be a valid \${field.kind}\`);
+      continue;
+    }
+
+    data[field.name] = converted;
+  }
+
+  return { data, errors };
+}
+
+function convertValue(kind: FieldKind, value: unknown): unknown {
+  switch (kind) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "on") return true;
+      if (value === "false") return false;
+      return undefined;
+    case "date": {
+      const date = new Date(String(value));
+      return isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+    case "list":
+      return (Array.isArray(value) ? value : String(value).split(","))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Display text for a stored value
+ */
+export function formatValue(value: unknown): string {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+`;
+}
+
+/**
+ * Generate src/lib/crud.ts (shared route handlers)
+ */
+function generateCrudHandlers(): string {
+  return `// This file was auto-generated by VibelyBuild.AI
+import { NextResponse } from "next/server";
+import { ENTITIES, validateRecord } from "@/lib/schema";
+import { getStorage } from "@/lib/storage";
+
+type ItemContext = { params: { id: string } };
+
+async function readJson(request: Request): Promise<unknown> {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET (list) and POST (create) for /api/<collection>
+ */
+export function collectionHandlers(collection: string) {
+  const entity = ENTITIES[collection];
+
+  return {
+    async GET() {
+      const storage = await getStorage();
+      return NextResponse.json(await storage.list(collection));
+    },
+
+    async POST(request: Request) {
+      const { data, errors } = validateRecord(entity, await readJson(request));
+      if (errors.length > 0) {
+        return NextResponse.json({ error: "Validation failed", errors }, { status: 400 });
+      }
+
+      const storage = await getStorage();
+      return NextResponse.json(await storage.create(collection, data), { status: 201 });
+    },
+  };
+}
+
+/**
+ * GET, PUT (partial update) and DELETE for /api/<collection>/<id>
+ */
+export function itemHandlers(collection: string) {
+  const entity = ENTITIES[collection];
+  const notFound = () => NextResponse.json({ error: \`\${entity.name} not found\` }, { status: 404 });
+
+  return {
+    async GET(_request: Request, { params }: ItemContext) {
+      const storage = await getStorage();
+      const record = await storage.get(collection, params.id);
+      return record ? NextResponse.json(record) : notFound();
+    },
+
+    async PUT(request: Request, { params }: ItemContext) {
+      const { data, errors } = validateRecord(entity, await readJson(request), true);
+      if (errors.length > 0) {
+        return NextResponse.json({ error: "Validation failed", errors }, { status: 400 });
+      }
+
+      const storage = await getStorage();
+      const record = await storage.update(collection, params.id, data);
+      return record ? NextResponse.json(record) : notFound();
+    },
+
+    async DELETE(_request: Request, { params }: ItemContext) {
+      const storage = await getStorage();
+      const removed = await storage.remove(collection, params.id);
+      return removed ? NextResponse.json({ success: true }) : notFound();
+    },
+  };
+}
+`;
+}
+
+/**
+ * Generate src/lib/storage/index.ts
+ */
+function generateStorageIndex(): string {
+  return `// This file was auto-generated by VibelyBuild.AI
+// Storage backend is chosen with DATA_STORAGE: "json" (default) or "firestore"
+
+export interface StoredRecord {
+  id: string;
+  createdAt: string;
+  updatedAt: string;
+  [field: string]: unknown;
+}
+
+export interface StorageAdapter {
+  list(collection: string): Promise<StoredRecord[]>;
+  get(collection: string, id: string): Promise<StoredRecord | null>;
+  create(collection: string, data: Record<string, unknown>): Promise<StoredRecord>;
+  update(collection: string, id: string, data: Record<string, unknown>): Promise<StoredRecord | null>;
+  remove(collection: string, id: string): Promise<boolean>;
+}
+
+export async function getStorage(): Promise<StorageAdapter> {
+  if (process.env.DATA_STORAGE === "firestore") {
+    const { firestoreStorage } = await import("./firestore");
+    return firestoreStorage;
+  }
+
+  const { jsonFileStorage } = await import("./jsonFile");
+  return jsonFileStorage;
+}
+`;
+}
+
+/**
+ * Generate src/lib/storage/jsonFile.ts
+ */
+function generateJsonFileStorage(): string {
+  return `// This file was auto-generated by VibelyBuild.AI
+// Stores each collection as a JSON array in DATA_DIR (default: .data/<collection>.json)
+import { randomUUID } from "crypto";
+import * as fs from "fs/promises";
+import * as path from "path";
+import type { StorageAdapter, StoredRecord } from "./index";
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), ".data");
+
+// Writes to the same collection run one after another
+const locks = new Map<string, Promise<unknown>>();
+
+function filePath(collection: string): string {
+  return path.join(DATA_DIR, \`\${collection}.json\`);
+}
+
+async function readAll(collection: string): Promise<StoredRecord[]> {
+  try {
+    return JSON.parse(await fs.readFile(filePath(collection), "utf-8"));
+  } catch (error: any) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function writeAll(collection: string, records: StoredRecord[]): Promise<void> {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = \`\${filePath(collection)}.tmp\`;
+  await fs.writeFile(tmp, JSON.stringify(records, null, 2), "utf-8");
+  await fs.rename(tmp, filePath(collection));
+}
+
+function withLock<T>(collection: string, task: () => Promise<T>): Promise<T> {
+  const previous = locks.get(collection) || Promise.resolve();
+  const next = previous.catch(() => undefined).then(task);
+  locks.set(collection, next);
+  return next;
+}
+
+export const jsonFileStorage: StorageAdapter = {
+  list: (collection) => readAll(collection),
+
+  async get(collection, id) {
+    const records = await readAll(collection);
+    return records.find((record) => record.id === id) || null;
+  },
+
+  create: (collection, data) =>
+    withLock(collection, async () => {
+      const records = await readAll(collection);
+      const now = new Date().toISOString();
+      const record: StoredRecord = { ...data, id: randomUUID(), createdAt: now, updatedAt: now };
+      records.push(record);
+      await writeAll(collection, records);
+      return record;
+    }),
+
+  update: (collection, id, data) =>
+    withLock(collection, async () => {
+      const records = await readAll(collection);
+      const index = records.findIndex((record) => record.id === id);
+      if (index === -1) return null;
+
+      records[index] = { ...records[index], ...data, id, updatedAt: new Date().toISOString() };
+      await writeAll(collection, records);
+      return records[index];
+    }),
+
+  remove: (collection, id) =>
+    withLock(collection, async () => {
+      const records = await readAll(collection);
+      const remaining = records.filter((record) => record.id !== id);
+      if (remaining.length === records.length) return false;
+
+      await writeAll(collection, remaining);
+      return true;
+    }),
+};
+`;
+}
+
+/**
+ * Generate src/lib/storage/firestore.ts
+ */
+function generateFirestoreStorage(): string {
+  return `// This file was auto-generated by VibelyBuild.AI
+// Firestore storage (DATA_STORAGE=firestore). Uses FIREBASE_SERVICE_ACCOUNT (JSON)
+// or the default Google credentials of the environment.
+import { applicationDefault, cert, getApps, initializeApp } from "firebase-admin/app";
+import { getFirestore, DocumentData } from "firebase-admin/firestore";
+import type { StorageAdapter, StoredRecord } from "./index";
+
+function db() {
+  if (getApps().length === 0) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    initializeApp({
+      credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault(),
+    });
+  }
+  return getFirestore();
+}
+
+function toRecord(id: string, data: DocumentData | undefined): StoredRecord {
+  return { ...data, id } as StoredRecord;
+}
+
+export const firestoreStorage: StorageAdapter = {
+  async list(collection) {
+    const snapshot = await db().collection(collection).orderBy("createdAt").get();
+    return snapshot.docs.map((doc) => toRecord(doc.id, doc.data()));
+  },
+
+  async get(collection, id) {
+    const doc = await db().collection(collection).doc(id).get();
+    return doc.exists ? toRecord(doc.id, doc.data()) : null;
+  },
+
+  async create(collection, data) {
+    const now = new Date().toISOString();
+    const ref = await db().collection(collection).add({ ...data, createdAt: now, updatedAt: now });
+    return toRecord(ref.id, { ...data, createdAt: now, updatedAt: now });
+  },
+
+  async update(collection, id, data) {
+    const ref = db().collection(collection).doc(id);
+    if (!(await ref.get()).exists) return null;
+
+    await ref.update({ ...data, updatedAt: new Date().toISOString() });
+    const doc = await ref.get();
+    return toRecord(doc.id, doc.data());
+  },
+
+  async remove(collection, id) {
+    const ref = db().collection(collection).doc(id);
+    if (!(await ref.get()).exists) return false;
+
+    await ref.delete();
+    return true;
+  },
+};
+`;
+}
+
+/**
+ * Generate src/components/RecordForm.tsx (form for any entity, driven by its schema)
+ */
+function generateRecordForm(): string {
+  return `// This file was auto-generated by VibelyBuild.AI
+"use client";
+
+import { FormEvent, useState } from "react";
+import type { EntitySchema, FieldSchema } from "@/lib/schema";
+
+interface RecordFormProps {
+  entity: EntitySchema;
+  initial?: object; // Stored record when editing
+  submitLabel: string;
+  onSubmit: (data: Record<string, unknown>) => Promise<void>;
+}
+
+function initialValue(field: FieldSchema, value: unknown): unknown {
+  if (field.kind === "boolean") return value === true;
+  if (field.kind === "date" && typeof value === "string") return value.slice(0, 10);
+  if (Array.isArray(value)) return value.join(", ");
+  return value ?? "";
+}
+
+export default function RecordForm({ entity, initial = {}, submitLabel, onSubmit }: RecordFormProps) {
+  const [values, setValues] = useState<Record<string, unknown>>(() =>
+    Object.fromEntries(
+      entity.fields.map((field) => [field.name, initialValue(field, (initial as Record<string, unknown>)[field.name])])
+    )
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const setValue = (name: string, value: unknown) => setValues((prev) => ({ ...prev, [name]: value }));
+
+  async function handleSubmit(event: FormEvent) {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSubmit(values);
+    } catch (err: any) {
+      setError(err.message || "Failed to save");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputClass = "w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {entity.fields.map((field) => (
+        <div key={field.name}>
+          {field.input === "checkbox" ? (
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={values[field.name] === true}
+                onChange={(e) => setValue(field.name, e.target.checked)}
+                className="w-5 h-5 accent-purple-500"
+              />
+              <span className="text-sm font-medium">{field.label}</span>
+            </label>
+          ) : (
+            <>
+              <label className="block text-sm font-medium mb-2">
+                {field.label}
+                {field.required && <span className="text-pink-400"> *</span>}
+              </label>
+              {field.input === "textarea" ? (
+                <textarea
+                  value={String(values[field.name] ?? "")}
+                  onChange={(e) => setValue(field.name, e.target.value)}
+                  required={field.required}
+                  rows={4}
+                  className={inputClass}
+                />
+              ) : (
+                <input
+                  type={field.input}
+                  value={String(values[field.name] ?? "")}
+                  onChange={(e) => setValue(field.name, e.target.value)}
+                  required={field.required}
+                  placeholder={field.kind === "list" ? "Comma-separated values" : undefined}
+                  className={inputClass}
+                />
+              )}
+            </>
+          )}
+        </div>
+      ))}
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="w-full px-6 py-3 bg-gradient-to-r from-purple-500 to-pink-500 rounded-lg font-semibold hover:scale-105 transition-transform disabled:opacity-50"
+      >
+        {saving ? "Saving..." : submitLabel}
+      </button>
+    </form>
+  );
+}
+`;
+}
+
+/**
+ * Generate src/app/api/<collection>/route.ts
+ */
+function generateCollectionRoute(entity: EntityInfo): string {
+  return `// This file was auto-generated by VibelyBuild.AI for the "${entity.name}" entity
+// GET /api/${entity.collection} - list, POST /api/${entity.collection} - create
+import { collectionHandlers } from "@/lib/crud";
+
+export const dynamic = "force-dynamic";
+
+const handlers = collectionHandlers("${entity.collection}");
+
+export const GET = handlers.GET;
+export const POST = handlers.POST;
+`;
+}
+
+/**
+ * Generate src/app/api/<collection>/[id]/route.ts
+ */
+function generateItemRoute(entity: EntityInfo): string {
+  return `// This file was auto-generated by VibelyBuild.AI for the "${entity.name}" entity
+// GET, PUT and DELETE /api/${entity.collection}/<id>
+import { itemHandlers } from "@/lib/crud";
+
+export const dynamic = "force-dynamic";
+
+const handlers = itemHandlers("${entity.collection}");
+
+export const GET = handlers.GET;
+export const PUT = handlers.PUT;
+export const DELETE = handlers.DELETE;
+`;
+}
+
+/**
+ * Field shown as the title of a record in lists
+ */
+function titleField(entity: EntityInfo): FieldInfo | undefined {
+  return entity.fields.find((field) => /^(name|title|label)$/i.test(field.name))
+    || entity.fields.find((field) => field.kind === "string");
+}
+
+/**
+ * Generate src/app/<collection>/page.tsx (list)
+ */
+function generateListPage(entity: EntityInfo): string {
+  const title = titleField(entity);
+  const details = entity.fields.filter((field) => field !== title).slice(0, 3);
+
+  return `// This file was auto-generated by VibelyBuild.AI for the "${entity.name}" entity
+"use client";
+
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import GlassCard from "@/components/GlassCard";
+import { formatValue } from "@/lib/schema";
+import type { ${entity.typeName} } from "@/lib/types";
+
+export default function ${entity.typeName}ListPage() {
+  const [items, setItems] = useState<${entity.typeName}[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch("/api/${entity.collection}")
+      .then((res) => {
+        if (!res.ok) throw new Error(\`Failed to load (\${res.status})\`);
+        return res.json();
+      })
+      .then(setItems)
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
+            ${entity.name}s
+          </h1>
+          <Link
+            href="/${entity.collection}/new"
+            className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full font-semibold hover:scale-105 transition-transform"
+          >
+            New ${entity.name}
+          </Link>
+        </div>
+
+        {loading ? (
+          <p className="text-white/60">Loading...</p>
+        ) : error ? (
+          <p className="text-red-400">{error}</p>
+        ) : items.length === 0 ? (
+          <GlassCard>
+            <p className="text-white/70">No ${entity.name.toLowerCase()}s yet. Create the first one.</p>
+          </GlassCard>
+        ) : (
+          <div className="space-y-3">
+            {items.map((item) => (
+              <Link
+                key={item.id}
+                href={\`/${entity.collection}/\${item.id}\`}
+                className="block glass-card p-4 hover:bg-white/10 transition-colors"
+              >
+                <div className="font-medium">{${title ? `formatValue(item[${JSON.stringify(title.name)}])` : "item.id"}}</div>
+${details.length > 0 ? `                <div className="text-sm text-white/60">
+                  ${details.map((field) => `${field.label}: {formatValue(item[${JSON.stringify(field.name)}])}`).join(" · ")}
+                </div>
+` : ""}              </Link>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+`;
+}
+
+/**
+ * Generate src/app/<collection>/new/page.tsx (create form)
+ */
+function generateNewPage(entity: EntityInfo): string {
+  return `// This file was auto-generated by VibelyBuild.AI for the "${entity.name}" entity
+"use client";
+
+import { useRouter } from "next/navigation";
+import GlassCard from "@/components/GlassCard";
+import RecordForm from "@/components/RecordForm";
+import { ENTITIES } from "@/lib/schema";
+
+const entity = ENTITIES["${entity.collection}"];
+
+export default function New${entity.typeName}Page() {
+  const router = useRouter();
+
+  async function create(data: Record<string, unknown>) {
+    const res = await fetch("/api/${entity.collection}", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(data),
+    });
+    const body = await res.json();
+
+    if (!res.ok) {
+      throw new Error(body.errors?.join(", ") || body.error || "Failed to save");
+    }
+
+    router.push(\`/${entity.collection}/\${body.id}\`);
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-4xl font-bold mb-8 bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
+          New ${entity.name}
+        </h1>
+
+        <GlassCard>
+          <RecordForm entity={entity} submitLabel="Create ${entity.name}" onSubmit={create} />
+        </GlassCard>
+      </div>
+    </div>
+  );
+}
+`;
+}
+
+/**
+ * Generate src/app/<collection>/[id]/page.tsx (detail + edit + delete)
+ */
+function generateDetailPage(entity: EntityInfo): string {
+  return `// This file was auto-generated by VibelyBuild.AI for the "${entity.name}" entity
+"use client";
+
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useEffect, useState } from "react";
+import GlassCard from "@/components/GlassCard";
+import RecordForm from "@/components/RecordForm";
+import { ENTITIES, formatValue } from "@/lib/schema";
+import type { ${entity.typeName} } from "@/lib/types";
+
+const entity = ENTITIES["${entity.collection}"];
+
+export default function ${entity.typeName}DetailPage({ params }: { params: { id: string } }) {
+  const router = useRouter();
+  const [item, setItem] = useState<${entity.typeName} | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch(\`/api/${entity.collection}/\${params.id}\`)
+      .then((res) => {
+        if (!res.ok) throw new Error(res.status === 404 ? "${entity.name} not found" : \`Failed to load (\${res.status})\`);
+        return res.json();
+      })
+      .then(setItem)
+      .catch((err) => setError(err.message));
+  }, [params.id]);
+
+  async function save(data: Record<string, unknown>) {
+    const res = await fetch(\`/api/${entity.collection}/\${params.id}\`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(data),
+    });
+    const body = await res.json();
+
+    if (!res.ok) {
+      throw new Error(body.errors?.join(", ") || body.error || "Failed to save");
+    }
+
+    setItem(body);
+    setEditing(false);
+  }
+
+  async function remove() {
+    if (!confirm("Delete this ${entity.name.toLowerCase()}?")) return;
+
+    const res = await fetch(\`/api/${entity.collection}/\${params.id}\`, { method: "DELETE" });
+    if (!res.ok) {
+      setError("Failed to delete");
+      return;
+    }
+
+    router.push("/${entity.collection}");
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <div className="max-w-2xl mx-auto">
+        <Link href="/${entity.collection}" className="text-white/60 hover:text-white transition-colors">
+          ← All ${entity.name.toLowerCase()}s
+        </Link>
+
+        <h1 className="text-4xl font-bold mt-4 mb-8 bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
+          ${entity.name}
+        </h1>
+
+        {error ? (
+          <p className="text-red-400">{error}</p>
+        ) : !item ? (
+          <p className="text-white/60">Loading...</p>
+        ) : editing ? (
+          <GlassCard>
+            <RecordForm entity={entity} initial={item} submitLabel="Save Changes" onSubmit={save} />
+          </GlassCard>
+        ) : (
+          <GlassCard>
+            <dl className="space-y-4">
+              {entity.fields.map((field) => (
+                <div key={field.name}>
+                  <dt className="text-sm text-white/60">{field.label}</dt>
+                  <dd className="text-lg">{formatValue(item[field.name as keyof ${entity.typeName}])}</dd>
+                </div>
+              ))}
+            </dl>
+
+            <div className="flex gap-3 mt-8">
+              <button
+                onClick={() => setEditing(true)}
+                className="px-6 py-2 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full font-semibold hover:scale-105 transition-transform"
+              >
+                Edit
+              </button>
+              <button
+                onClick={remove}
+                className="px-6 py-2 bg-red-500/20 border border-red-500/40 text-red-300 rounded-full font-semibold hover:bg-red-500/30 transition-colors"
+              >
+                Delete
+              </button>
+            </div>
+          </GlassCard>
+        )}
+      </div>
+    </div>
+  );
+}
+`;
+}
+
+/**
+ * Generate firestore.rules for the data model collections
+ */
+function generateFirestoreRules(entities: EntityInfo[]): string {
+  return `rules_version = '2';
+service cloud.firestore {
+  match /databases/{database}/documents {
+    // User authentication required
+    function isAuthenticated() {
+      return request.auth != null;
+    }
+
+    // User owns the document
+    function isOwner(userId) {
+      return isAuthenticated() && request.auth.uid == userId;
+    }
+${entities.map((entity) => `
+    // ${entity.name} collection
+    match /${entity.collection}/{docId} {
+      allow read: if isAuthenticated();
+      allow create: if isAuthenticated();
+      allow update, delete: if isOwner(resource.data.userId);
+    }`).join("\n")}
+  }
+}
+`;
+}
+
+/**
+ * Generate .env.example for the storage settings
+ */
+function generateEnvExample(): string {
+  return `# Where app data is stored: json (local files in DATA_DIR) or firestore
+DATA_STORAGE=json
+# DATA_DIR=.data
+
+# Firestore only: service account JSON (defaults to the environment's Google credentials)
+# FIREBASE_SERVICE_ACCOUNT=
+`;
+}
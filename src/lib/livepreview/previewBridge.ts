@@ -0,0 +1,134 @@
+/**
+ * Preview Bridge - Console and error forwarding for preview iframes
+ *
+ * A dependency-free script that runs first in every preview document and
+ * posts to the builder (see previewMessages.ts):
+ * - console.log/info/warn/error/debug calls
+ * - Uncaught exceptions and unhandled promise rejections
+ * - Failed fetch/XHR requests and resources that fail to load
+ *
+ * Served inline by /api/preview/[jobId] and as a file for dev server previews
+ * (PreviewServerManager), which the generated root layout loads when
+ * NEXT_PUBLIC_VIBELY_PREVIEW_BRIDGE is set.
+ */
+
+import { PREVIEW_SOURCE } from './previewMessages';
+
+// Where dev server previews serve the bridge from (inside the app's public/)
+export const PREVIEW_BRIDGE_PATH = '/__vibely/preview-bridge.js';
+
+const MAX_ARG_LENGTH = 2000;
+
+export const PREVIEW_BRIDGE_SCRIPT = `(function () {
+  if (window.parent === window || window.__vibelyPreviewBridge) return;
+  window.__vibelyPreviewBridge = true;
+
+  function serialize(value) {
+    var text;
+    try {
+      if (value instanceof Error) text = value.stack || String(value);
+      else if (typeof value === 'string') text = value;
+      else if (typeof Element !== 'undefined' && value instanceof Element) text = '<' + value.tagName.toLowerCase() + '>';
+      else if (typeof value === 'function') text = 'ƒ ' + (value.name || 'anonymous') + '()';
+      else text = JSON.stringify(value);
+      if (text === undefined) text = String(value);
+    } catch (e) {
+      text = String(value);
+    }
+    return text.length > ${MAX_ARG_LENGTH} ? text.slice(0, ${MAX_ARG_LENGTH}) + '…' : text;
+  }
+
+  // Auth tokens in preview URLs stay out of the console
+  function redact(url) {
+    return String(url).replace(/([?&]token=)[^&#]*/, '$1…');
+  }
+
+  function post(message) {
+    message.source = '${PREVIEW_SOURCE}';
+    message.timestamp = Date.now();
+    try {
+      window.parent.postMessage(message, '*');
+    } catch (e) {
+      // Unserializable message: drop it
+    }
+  }
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      post({ type: 'console', level: level, args: Array.prototype.map.call(arguments, serialize) });
+      return original.apply(console, arguments);
+    };
+  });
+
+  window.addEventListener('error', function (event) {
+    var target = event.target;
+    if (target && target !== window && target.tagName) {
+      post({ type: 'network', method: 'GET', url: redact(target.src || target.href || ''), status: 0, error: 'Failed to load <' + target.tagName.toLowerCase() + '>' });
+      return;
+    }
+    post({
+      type: 'error',
+      message: event.message || 'Script error',
+      stack: event.error && event.error.stack,
+      file: event.filename ? redact(event.filename) : undefined,
+      line: event.lineno,
+      column: event.colno
+    });
+  }, true);
+
+  window.addEventListener('unhandledrejection', function (event) {
+    var reason = event.reason;
+    post({
+      type: 'error',
+      message: 'Unhandled promise rejection: ' + (reason && reason.message ? reason.message : serialize(reason)),
+      stack: reason && reason.stack
+    });
+  });
+
+  var originalFetch = window.fetch;
+  if (originalFetch) {
+    window.fetch = function (input, init) {
+      var method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      var url = redact(typeof input === 'string' ? input : (input && input.url) || String(input));
+      return originalFetch.apply(this, arguments).then(function (response) {
+        if (!response.ok) post({ type: 'network', method: method, url: url, status: response.status, statusText: response.statusText });
+        return response;
+      }, function (error) {
+        post({ type: 'network', method: method, url: url, status: 0, error: error && error.message });
+        throw error;
+      });
+    };
+  }
+
+  var open = XMLHttpRequest.prototype.open;
+  var send = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__vibelyRequest = { method: String(method).toUpperCase(), url: redact(url) };
+    return open.apply(this, arguments);
+  };
+  XMLHttpRequest.prototype.send = function () {
+    var xhr = this;
+    xhr.addEventListener('loadend', function () {
+      var request = xhr.__vibelyRequest;
+      if (request && (xhr.status === 0 || xhr.status >= 400)) {
+        post({ type: 'network', method: request.method, url: request.url, status: xhr.status, statusText: xhr.statusText });
+      }
+    });
+    return send.apply(this, arguments);
+  };
+})();`;
+
+/**
+ * Insert the bridge as the first script of an HTML document
+ */
+export function injectPreviewBridge(html: string): string {
+  const tag = `<script>${PREVIEW_BRIDGE_SCRIPT}</script>`;
+  const head = html.match(/<head[^>]*>/i);
+
+  if (head) {
+    // Replacer function: the script contains "$" patterns
+    return html.replace(head[0], () => `${head[0]}\n  ${tag}`);
+  }
+  return `${tag}\n${html}`;
+}
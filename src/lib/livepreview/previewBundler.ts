@@ -0,0 +1,458 @@
+/**
+ * Preview Bundler - Serverless Edition
+ *
+ * Compiles a generated Next.js app into a single client-side React bundle
+ * for /api/preview/[jobId]:
+ * - Every page under app/ (or src/app/) becomes a route, wrapped in its layouts
+ * - next/link, next/navigation, next/image and next/head are swapped for the
+ *   small browser shims in ./runtime (hash-based router, plain <img>)
+ * - CSS is bundled and handed to the Tailwind CDN, so @tailwind/@apply work
+ * - Files in public/ are served by /api/preview/[jobId]/assets/[...path]
+ *
+ * Bundles are cached by a hash of the project files, so unchanged builds
+ * are served without recompiling.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { build, Plugin } from 'esbuild';
+import { readProjectFiles, hashFiles } from '../builder/Revisions';
+import { PREVIEW_SOURCE } from './previewMessages';
+
+const RUNTIME_DIR = path.join(process.cwd(), 'src', 'lib', 'livepreview', 'runtime');
+const MAX_CACHED_BUNDLES = 20;
+const PAGE_FILE = /^page\.(tsx|jsx|ts|js)$/;
+const LAYOUT_FILE = /^layout\.(tsx|jsx|ts|js)$/;
+const NOT_FOUND_FILE = /^not-found\.(tsx|jsx|ts|js)$/;
+
+// Module specifiers replaced by a runtime shim
+const SHIMS: Record<string, string> = {
+  'next/link': 'link.ts',
+  'next/image': 'image.ts',
+  'next/navigation': 'navigation.ts',
+  'next/router': 'navigation.ts',
+  'next/head': 'head.ts',
+  next: 'next.ts',
+  'vibely-preview/router': 'router.ts',
+};
+
+export interface PreviewBundle {
+  hash: string; // Hash of the project files the bundle was built from
+  js: string;
+  css: string;
+  routes: string[]; // Next.js style route paths, e.g. /tasks/[id]
+  tailwindConfig: string | null; // Source of tailwind.config.js, if any
+  builtAt: number;
+}
+
+export interface PreviewBundleError {
+  message: string;
+  file?: string;
+  line?: number;
+  column?: number;
+  lineText?: string;
+}
+
+export class PreviewBundleFailure extends Error {
+  constructor(public errors: PreviewBundleError[]) {
+    super(`Preview bundle failed with ${errors.length} error(s)`);
+    this.name = 'PreviewBundleFailure';
+  }
+}
+
+interface DiscoveredRoute {
+  path: string;
+  page: string; // Project-relative file
+  layouts: string[]; // Outermost first
+}
+
+// LRU: oldest entries first
+const bundleCache = new Map<string, PreviewBundle>();
+const pendingBundles = new Map<string, Promise<PreviewBundle>>();
+
+/**
+ * App Router directory of a generated project (src/app or app), if any
+ */
+export async function findAppDir(projectDir: string): Promise<string | null> {
+  for (const candidate of ['src/app', 'app']) {
+    try {
+      const stat = await fs.stat(path.join(projectDir, candidate));
+      if (stat.isDirectory()) return candidate;
+    } catch {
+      // Not this one
+    }
+  }
+  return null;
+}
+
+/**
+ * Bundle a generated project, reusing the cached bundle if no file changed
+ * Throws PreviewBundleFailure with esbuild's errors if the code doesn't compile.
+ */
+export async function getPreviewBundle(jobId: string, projectDir: string): Promise<PreviewBundle> {
+  const files = await readProjectFiles(projectDir);
+  const hash = hashProject(files);
+  const cacheKey = `${jobId}:${hash}`;
+
+  const cached = bundleCache.get(cacheKey);
+  if (cached) {
+    // Move to the back of the LRU
+    bundleCache.delete(cacheKey);
+    bundleCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  let pending = pendingBundles.get(cacheKey);
+  if (!pending) {
+    pending = bundleProject(projectDir, files, hash).finally(() => pendingBundles.delete(cacheKey));
+    pendingBundles.set(cacheKey, pending);
+  }
+
+  const bundle = await pending;
+  bundleCache.set(cacheKey, bundle);
+  while (bundleCache.size > MAX_CACHED_BUNDLES) {
+    bundleCache.delete(bundleCache.keys().next().value);
+  }
+
+  return bundle;
+}
+
+/**
+ * Compile a project without caching the result
+ * Returns esbuild's errors, or an empty list if the project bundles.
+ */
+export async function compilePreview(projectDir: string): Promise<PreviewBundleError[]> {
+  try {
+    const files = await readProjectFiles(projectDir);
+    await bundleProject(projectDir, files, hashProject(files));
+    return [];
+  } catch (error) {
+    if (error instanceof PreviewBundleFailure) return error.errors;
+    throw error;
+  }
+}
+
+/**
+ * Drop every cached bundle of a job
+ */
+export function clearPreviewBundles(jobId: string): void {
+  for (const key of Array.from(bundleCache.keys())) {
+    if (key.startsWith(`${jobId}:`)) bundleCache.delete(key);
+  }
+}
+
+function hashProject(files: Record<string, string>): string {
+  const hashes = hashFiles(files);
+  return crypto
+    .createHash('sha256')
+    .update(Object.keys(hashes).map((filePath) => `${filePath}:${hashes[filePath]}`).join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+async function bundleProject(
+  projectDir: string,
+  files: Record<string, string>,
+  hash: string
+): Promise<PreviewBundle> {
+  const appDir = await findAppDir(projectDir);
+  if (!appDir) {
+    throw new PreviewBundleFailure([{ message: 'No app/ or src/app/ directory found in the generated project' }]);
+  }
+
+  const { routes, notFound } = discoverRoutes(Object.keys(files), appDir);
+  if (routes.length === 0) {
+    throw new PreviewBundleFailure([{ message: `No page files found under ${appDir}/` }]);
+  }
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await build({
+      stdin: {
+        contents: createEntrySource(routes, notFound, appDir),
+        resolveDir: projectDir,
+        sourcefile: 'vibely-preview-entry.tsx',
+        loader: 'tsx',
+      },
+      outfile: path.join(projectDir, 'vibely-preview.js'),
+      bundle: true,
+      write: false,
+      format: 'iife',
+      platform: 'browser',
+      target: ['es2018'],
+      jsx: 'automatic',
+      minify: true,
+      define: {
+        'process.env.NODE_ENV': '"production"',
+        'process.env': '{}',
+      },
+      loader: {
+        '.png': 'dataurl',
+        '.jpg': 'dataurl',
+        '.jpeg': 'dataurl',
+        '.gif': 'dataurl',
+        '.webp': 'dataurl',
+        '.svg': 'dataurl',
+        '.woff': 'dataurl',
+        '.woff2': 'dataurl',
+      },
+      nodePaths: [path.join(process.cwd(), 'node_modules')],
+      plugins: [previewShimPlugin(projectDir)],
+      metafile: true,
+      logLevel: 'silent',
+    });
+  } catch (error: any) {
+    throw new PreviewBundleFailure(
+      (error.errors || [{ text: error.message }]).map((message: any) => ({
+        message: message.text,
+        file: message.location?.file && toProjectPath(projectDir, message.location.file),
+        line: message.location?.line,
+        column: message.location?.column,
+        lineText: message.location?.lineText,
+      }))
+    );
+  }
+
+  // A page left out of the bundle would only fail in the browser
+  const bundledInputs = new Set(Object.keys(result.metafile.inputs).map((input) => path.resolve(input)));
+  const missingPages = routes.filter((route) => !bundledInputs.has(path.resolve(projectDir, route.page)));
+  if (missingPages.length > 0) {
+    throw new PreviewBundleFailure(
+      missingPages.map((route) => ({ message: `Page for ${route.path} was not included in the bundle`, file: route.page }))
+    );
+  }
+
+  const js = result.outputFiles.find((file) => file.path.endsWith('.js'))?.text || '';
+  const css = result.outputFiles.find((file) => file.path.endsWith('.css'))?.text || '';
+
+  console.log(`[PreviewBundler] 📦 Bundled ${routes.length} route(s) in ${Date.now() - startedAt}ms (${Math.round(js.length / 1024)} KB)`);
+
+  return {
+    hash,
+    js,
+    css,
+    routes: routes.map((route) => route.path),
+    tailwindConfig: files['tailwind.config.js'] ?? null,
+    builtAt: Date.now(),
+  };
+}
+
+/**
+ * esbuild reports paths relative to the working directory; show them relative to the project
+ */
+function toProjectPath(projectDir: string, file: string): string {
+  const relative = path.relative(projectDir, path.resolve(file));
+  return relative.startsWith('..') ? file : relative.split(path.sep).join('/');
+}
+
+/**
+ * Find every page (and its layouts) under the app directory
+ * Route groups "(name)" don't add a segment; private "_folders", parallel
+ * "@slots" and api/ are not pages.
+ */
+function discoverRoutes(
+  filePaths: string[],
+  appDir: string
+): { routes: DiscoveredRoute[]; notFound: string | null } {
+  const layoutsByDir = new Map<string, string>();
+  const pages: Array<{ dir: string; file: string }> = [];
+  let notFound: string | null = null;
+
+  for (const filePath of filePaths) {
+    if (!filePath.startsWith(`${appDir}/`)) continue;
+
+    const relative = filePath.slice(appDir.length + 1);
+    const dir = path.posix.dirname(relative) === '.' ? '' : path.posix.dirname(relative);
+    const name = path.posix.basename(relative);
+    const segments = dir ? dir.split('/') : [];
+
+    if (segments[0] === 'api' || segments.some((segment) => segment.startsWith('_') || segment.startsWith('@'))) {
+      continue;
+    }
+
+    if (PAGE_FILE.test(name)) pages.push({ dir, file: filePath });
+    else if (LAYOUT_FILE.test(name)) layoutsByDir.set(dir, filePath);
+    else if (NOT_FOUND_FILE.test(name) && dir === '') notFound = filePath;
+  }
+
+  const routes = pages.map(({ dir, file }) => {
+    const segments = dir ? dir.split('/') : [];
+    const layouts: string[] = [];
+
+    for (let depth = 0; depth <= segments.length; depth++) {
+      const layout = layoutsByDir.get(segments.slice(0, depth).join('/'));
+      if (layout) layouts.push(layout);
+    }
+
+    const urlSegments = segments.filter((segment) => !/^\(.+\)$/.test(segment));
+    return { path: `/${urlSegments.join('/')}`, page: file, layouts };
+  });
+
+  return { routes, notFound };
+}
+
+/**
+ * Entry module: import every page/layout and mount the router
+ */
+function createEntrySource(routes: DiscoveredRoute[], notFound: string | null, appDir: string): string {
+  const modules = new Map<string, string>();
+  const moduleName = (file: string) => {
+    if (!modules.has(file)) modules.set(file, `M${modules.size}`);
+    return modules.get(file)!;
+  };
+
+  const routeEntries = routes.map((route) =>
+    `{ path: ${JSON.stringify(route.path)}, Page: ${moduleName(route.page)}, layouts: [${route.layouts.map(moduleName).join(', ')}] }`
+  );
+  const rootLayout = routes.flatMap((route) => route.layouts).find((layout) => path.posix.dirname(layout) === appDir);
+  const notFoundName = notFound ? moduleName(notFound) : 'undefined';
+
+  return [
+    `import { mountPreview } from 'vibely-preview/router';`,
+    ...Array.from(modules.entries()).map(([file, name]) => `import ${name} from ${JSON.stringify(`./${file}`)};`),
+    '',
+    `mountPreview([\n  ${routeEntries.join(',\n  ')}\n], { notFound: ${notFoundName}, rootLayouts: [${rootLayout ? moduleName(rootLayout) : ''}] });`,
+  ].join('\n');
+}
+
+/**
+ * Resolve next/* to the runtime shims, "@/..." to the project's src/,
+ * React's JSX runtime (for generated code only) to the wrapped one,
+ * and leave root-relative CSS url()s to the asset route
+ */
+function previewShimPlugin(projectDir: string): Plugin {
+  return {
+    name: 'vibely-preview-shims',
+    setup(build) {
+      build.onResolve({ filter: /^(next(\/[a-z-]+)?|vibely-preview\/router)$/ }, (args) => {
+        const shim = SHIMS[args.path];
+        return shim ? { path: path.join(RUNTIME_DIR, shim) } : undefined;
+      });
+
+      build.onResolve({ filter: /^react\/jsx-(dev-)?runtime$/ }, (args) => {
+        if (args.importer.startsWith(RUNTIME_DIR)) return undefined;
+        return { path: path.join(RUNTIME_DIR, 'jsxRuntime.ts') };
+      });
+
+      // Root-relative CSS url(/bg.png) are public/ assets, rewritten in renderPreviewDocument
+      build.onResolve({ filter: /^\/[^/]/ }, (args) =>
+        args.kind === 'url-token' ? { path: args.path, external: true } : undefined
+      );
+
+      build.onResolve({ filter: /^@\// }, async (args) => {
+        const rest = args.path.slice(2);
+        for (const base of ['./src/', './']) {
+          const result = await build.resolve(`${base}${rest}`, { resolveDir: projectDir, kind: args.kind });
+          if (result.errors.length === 0) return { path: result.path };
+        }
+        return { errors: [{ text: `Could not resolve "${args.path}" in src/ or the project root` }] };
+      });
+    },
+  };
+}
+
+/**
+ * HTML document that runs a bundle
+ *
+ * @param assetBase - URL prefix for public/ files, e.g. /api/preview/<jobId>/assets
+ * @param assetQuery - Appended to asset URLs (carries ?token= for the iframe)
+ */
+export function renderPreviewDocument(
+  bundle: PreviewBundle,
+  { title, assetBase, assetQuery }: { title: string; assetBase: string; assetQuery: string }
+): string {
+  const css = bundle.css.replace(/url\((['"]?)\/(?!\/)/g, `url($1${assetBase}/`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  ${bundle.tailwindConfig ? `<script>
+    try {
+      var module = { exports: {} };
+      ${escapeScript(bundle.tailwindConfig)}
+      tailwind.config = module.exports;
+    } catch (error) {
+      console.warn('[Preview] tailwind.config.js could not be applied:', error);
+    }
+  </script>` : ''}
+  <style type="text/tailwindcss">
+${css.replace(/<\/style/gi, '<\\/style')}
+  </style>
+  <script>
+    window.__VIBELY_PREVIEW__ = ${escapeScript(JSON.stringify({ assetBase, assetQuery, hash: bundle.hash, routes: bundle.routes }))};
+  </script>
+</head>
+<body>
+  <div id="root"></div>
+  <script>${escapeScript(bundle.js)}</script>
+</body>
+</html>`;
+}
+
+/**
+ * HTML document listing bundle errors
+ * Also reports the first error to the builder, which offers to repair it.
+ */
+export function renderBundleErrorDocument(errors: PreviewBundleError[]): string {
+  const [first] = errors;
+  const report = {
+    source: PREVIEW_SOURCE,
+    type: 'error',
+    kind: 'compile',
+    message: errors.map((error) => `${error.file ? `${error.file}${error.line ? `:${error.line}` : ''}: ` : ''}${error.message}`).join('\n'),
+    file: first?.file,
+    line: first?.line,
+    column: first?.column,
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Preview failed to compile</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="p-8 bg-slate-900 text-white">
+  <div class="bg-red-500/10 border border-red-500/40 rounded-lg p-6">
+    <h2 class="text-xl font-bold text-red-300 mb-4">❌ Preview failed to compile</h2>
+    <ul class="space-y-4 text-sm">
+      ${errors.map((error) => `<li>
+        ${error.file ? `<div class="font-mono text-red-200">${escapeHtml(error.file)}${error.line ? `:${error.line}:${error.column ?? 0}` : ''}</div>` : ''}
+        <div>${escapeHtml(error.message)}</div>
+        ${error.lineText ? `<pre class="mt-1 p-2 bg-black/40 rounded overflow-auto"><code>${escapeHtml(error.lineText)}</code></pre>` : ''}
+      </li>`).join('\n      ')}
+    </ul>
+  </div>
+  <script>
+    if (window.parent !== window) {
+      window.parent.postMessage(Object.assign(${escapeScript(JSON.stringify(report))}, { timestamp: Date.now() }), '*');
+    }
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Keep inline script content from closing its <script> tag
+ */
+function escapeScript(source: string): string {
+  return source.replace(/<\/script/gi, '<\\/script').replace(/<!--/g, '<\\!--');
+}
+
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;',
+  };
+  return text.replace(/[&<>"']/g, (m) => map[m]);
+}
@@ -0,0 +1,66 @@
+/**
+ * Preview Messages - postMessage protocol between the preview iframe and the builder
+ *
+ * The preview runtime (runtime/router.ts) reports its current in-app path and
+ * the bridge script (previewBridge.ts) forwards console output, uncaught errors
+ * and failed requests; the builder's IframePreview sends navigation commands back.
+ * Both sides ignore messages without the matching `source`.
+ */
+
+export const PREVIEW_SOURCE = 'vibely-preview';
+export const HOST_SOURCE = 'vibely-preview-host';
+
+export type ConsoleLevel = 'log' | 'info' | 'warn' | 'error' | 'debug';
+
+export interface PreviewConsoleMessage {
+  source: typeof PREVIEW_SOURCE;
+  type: 'console';
+  level: ConsoleLevel;
+  args: string[]; // Serialized arguments
+  timestamp: number;
+}
+
+export interface PreviewErrorMessage {
+  source: typeof PREVIEW_SOURCE;
+  type: 'error';
+  kind?: 'runtime' | 'compile'; // Default: runtime
+  message: string;
+  stack?: string;
+  file?: string;
+  line?: number;
+  column?: number;
+  timestamp: number;
+}
+
+export interface PreviewNetworkMessage {
+  source: typeof PREVIEW_SOURCE;
+  type: 'network';
+  method: string;
+  url: string;
+  status: number; // 0 when the request didn't complete
+  statusText?: string;
+  error?: string;
+  timestamp: number;
+}
+
+// Console tab entries
+export type PreviewLogMessage = PreviewConsoleMessage | PreviewErrorMessage | PreviewNetworkMessage;
+
+// Preview → builder
+export type PreviewMessage =
+  | { source: typeof PREVIEW_SOURCE; type: 'route'; path: string }
+  | PreviewLogMessage;
+
+// Builder → preview
+export type HostMessage =
+  | { source: typeof HOST_SOURCE; type: 'navigate'; path: string }
+  | { source: typeof HOST_SOURCE; type: 'back' }
+  | { source: typeof HOST_SOURCE; type: 'forward' };
+
+export function isPreviewMessage(data: any): data is PreviewMessage {
+  return !!data && data.source === PREVIEW_SOURCE && typeof data.type === 'string';
+}
+
+export function isHostMessage(data: any): data is HostMessage {
+  return !!data && data.source === HOST_SOURCE && typeof data.type === 'string';
+}
@@ -0,0 +1,48 @@
+/**
+ * Preview Proxy - Serve Preview Dev Servers Through the Main App
+ *
+ * Preview dev servers listen on localhost ports that browsers elsewhere can't
+ * reach. Each one runs with basePath /preview-proxy/<jobId>, so the main app
+ * forwards /preview-proxy/<jobId>/... to it with the path unchanged:
+ * - HTTP: src/app/preview-proxy/[jobId]/[[...path]]/route.ts
+ * - HMR websocket: the upgrade handler in server.js, which looks up the live
+ *   port (and reports websocket traffic) through /api/preview/[jobId]/server
+ *
+ * The first request carries the user's ID token (?token=); it is exchanged
+ * for a signed session cookie scoped to the job's proxy path, which the
+ * iframe's subresource and websocket requests then send automatically.
+ * Sessions are signed and verified by previewSession.js, shared with server.js.
+ */
+
+import {
+  createPreviewSession,
+  verifyPreviewSession,
+  verifyPreviewProxySecret,
+  PREVIEW_SESSION_COOKIE,
+  PREVIEW_SESSION_TTL,
+  PREVIEW_PROXY_SECRET_HEADER,
+} from './previewSession';
+
+export {
+  createPreviewSession,
+  verifyPreviewSession,
+  verifyPreviewProxySecret,
+  PREVIEW_SESSION_COOKIE,
+  PREVIEW_SESSION_TTL,
+  PREVIEW_PROXY_SECRET_HEADER,
+};
+
+export const PREVIEW_PROXY_PREFIX = '/preview-proxy';
+
+export interface PreviewSession {
+  jobId: string;
+  uid: string;
+  exp: number; // Unix seconds
+}
+
+/**
+ * Proxy base path of a build's preview (also the dev server's basePath)
+ */
+export function getPreviewProxyPath(jobId: string): string {
+  return `${PREVIEW_PROXY_PREFIX}/${jobId}`;
+}
@@ -0,0 +1,99 @@
+/**
+ * Preview Session - Signed Cookie for the Preview Proxy
+ *
+ * CommonJS so that server.js (websocket upgrades) and the app (HTTP proxy,
+ * through previewProxy.ts) verify sessions with the same code.
+ *
+ * Cookie value: base64url(JSON { jobId, uid, exp }).signature
+ * The dev server's port is not part of the session: it changes whenever the
+ * server restarts, so both proxies look up the live one instead.
+ */
+
+const crypto = require('crypto');
+
+const PREVIEW_SESSION_COOKIE = 'vibely_preview_session';
+const PREVIEW_SESSION_TTL = 60 * 60; // Seconds, same as a Firebase ID token
+
+// Header carrying the secret on server.js's loopback requests to the app
+const PREVIEW_PROXY_SECRET_HEADER = 'x-vibely-preview-proxy-secret';
+
+/**
+ * Secret that signs preview sessions
+ * Without PREVIEW_PROXY_SECRET a random one is generated per process (server.js
+ * does this before Next starts, so both sides see the same value).
+ *
+ * @returns {string}
+ */
+function getPreviewProxySecret() {
+  if (!process.env.PREVIEW_PROXY_SECRET) {
+    process.env.PREVIEW_PROXY_SECRET = crypto.randomBytes(32).toString('hex');
+  }
+  return process.env.PREVIEW_PROXY_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getPreviewProxySecret()).update(payload).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const expected = Buffer.from(a);
+  const actual = Buffer.from(b);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Signed session cookie value
+ *
+ * @param {{ jobId: string, uid: string }} session
+ * @returns {string}
+ */
+function createPreviewSession(session) {
+  const payload = Buffer.from(JSON.stringify({
+    jobId: session.jobId,
+    uid: session.uid,
+    exp: Math.floor(Date.now() / 1000) + PREVIEW_SESSION_TTL,
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Session from a cookie value, if it is authentic, unexpired and for this job
+ *
+ * @param {string | undefined} value
+ * @param {string} jobId
+ * @returns {{ jobId: string, uid: string, exp: number } | null}
+ */
+function verifyPreviewSession(value, jobId) {
+  if (!value) return null;
+
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (session.jobId !== jobId || session.exp < Date.now() / 1000) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a loopback request from server.js carries the proxy secret
+ *
+ * @param {string | null | undefined} value - The PREVIEW_PROXY_SECRET_HEADER value
+ * @returns {boolean}
+ */
+function verifyPreviewProxySecret(value) {
+  return !!value && safeEqual(getPreviewProxySecret(), value);
+}
+
+module.exports = {
+  PREVIEW_SESSION_COOKIE,
+  PREVIEW_SESSION_TTL,
+  PREVIEW_PROXY_SECRET_HEADER,
+  createPreviewSession,
+  verifyPreviewSession,
+  verifyPreviewProxySecret,
+};
@@ -0,0 +1,23 @@
+/**
+ * Preview Runtime - Static asset URLs
+ *
+ * Root-relative asset paths ("/logo.png") point at the generated app's public/
+ * directory, served by /api/preview/[jobId]/assets/[...path].
+ * The preview document sets window.__VIBELY_PREVIEW__ before the bundle runs.
+ */
+
+interface PreviewConfig {
+  assetBase: string; // e.g. /api/preview/<jobId>/assets
+  assetQuery: string; // e.g. ?token=... (iframes can't send an Authorization header)
+}
+
+function config(): PreviewConfig {
+  return (window as any).__VIBELY_PREVIEW__ || { assetBase: '', assetQuery: '' };
+}
+
+export function assetUrl(src: string): string {
+  if (!src.startsWith('/') || src.startsWith('//')) return src;
+
+  const { assetBase, assetQuery } = config();
+  return `${assetBase}${src}${assetQuery}`;
+}
@@ -0,0 +1,7 @@
+/**
+ * Preview Runtime - next/head (document head isn't managed in previews)
+ */
+
+export default function Head(): null {
+  return null;
+}
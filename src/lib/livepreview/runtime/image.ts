@@ -0,0 +1,40 @@
+/**
+ * Preview Runtime - next/image (a plain <img>, no optimization)
+ */
+
+import { createElement, CSSProperties, forwardRef, ImgHTMLAttributes } from 'react';
+import { assetUrl } from './assets';
+
+type ImageProps = Omit<ImgHTMLAttributes<HTMLImageElement>, 'src'> & {
+  src: string | { src: string };
+  fill?: boolean;
+  priority?: boolean;
+  quality?: number;
+  placeholder?: string;
+  blurDataURL?: string;
+  unoptimized?: boolean;
+  loader?: unknown;
+};
+
+const FILL_STYLE: CSSProperties = {
+  position: 'absolute',
+  inset: 0,
+  width: '100%',
+  height: '100%',
+  objectFit: 'cover',
+};
+
+const Image = forwardRef<HTMLImageElement, ImageProps>(function Image(
+  { src, fill, priority, quality, placeholder, blurDataURL, unoptimized, loader, style, ...rest },
+  ref
+) {
+  return createElement('img', {
+    loading: priority ? 'eager' : 'lazy',
+    ...rest,
+    ref,
+    src: assetUrl(typeof src === 'string' ? src : src.src),
+    style: fill ? { ...FILL_STYLE, ...style } : style,
+  });
+});
+
+export default Image;
@@ -0,0 +1,38 @@
+/**
+ * Preview Runtime - react/jsx-runtime for generated code
+ *
+ * Wraps React's runtime so a Next.js root layout can render inside #root:
+ * <html> and <head> become fragments, <body> becomes a <div>.
+ * Root-relative src/poster attributes are pointed at the preview asset route.
+ */
+
+import * as runtime from 'react/jsx-runtime';
+import { assetUrl } from './assets';
+
+export const Fragment = runtime.Fragment;
+
+function adapt(type: any, props: any): [any, any] {
+  if (typeof type !== 'string') return [type, props];
+
+  if (type === 'html') return [runtime.Fragment, { children: props.children }];
+  if (type === 'head') return [runtime.Fragment, {}];
+  if (type === 'body') return ['div', { ...props, 'data-preview-body': '' }];
+
+  if (typeof props.src === 'string' || typeof props.poster === 'string') {
+    props = { ...props };
+    if (typeof props.src === 'string') props.src = assetUrl(props.src);
+    if (typeof props.poster === 'string') props.poster = assetUrl(props.poster);
+  }
+
+  return [type, props];
+}
+
+export function jsx(type: any, props: any, key?: any) {
+  const [adaptedType, adaptedProps] = adapt(type, props);
+  return runtime.jsx(adaptedType, adaptedProps, key);
+}
+
+export function jsxs(type: any, props: any, key?: any) {
+  const [adaptedType, adaptedProps] = adapt(type, props);
+  return runtime.jsxs(adaptedType, adaptedProps, key);
+}
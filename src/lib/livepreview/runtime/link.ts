@@ -0,0 +1,42 @@
+/**
+ * Preview Runtime - next/link
+ */
+
+import { AnchorHTMLAttributes, createElement, forwardRef, MouseEvent } from 'react';
+import { navigate, toHashHref, isExternalHref } from './router';
+
+type Url = string | { pathname?: string; query?: Record<string, string>; hash?: string };
+
+type LinkProps = Omit<AnchorHTMLAttributes<HTMLAnchorElement>, 'href'> & {
+  href: Url;
+  replace?: boolean;
+  prefetch?: boolean;
+  scroll?: boolean;
+  shallow?: boolean;
+};
+
+function formatUrl(href: Url): string {
+  if (typeof href === 'string') return href;
+
+  const query = href.query ? `?${new URLSearchParams(href.query)}` : '';
+  return `${href.pathname || ''}${query}${href.hash ? `#${href.hash}` : ''}`;
+}
+
+const Link = forwardRef<HTMLAnchorElement, LinkProps>(function Link(
+  { href, replace, prefetch, scroll, shallow, onClick, ...rest },
+  ref
+) {
+  const target = formatUrl(href);
+
+  const handleClick = (event: MouseEvent<HTMLAnchorElement>) => {
+    onClick?.(event);
+    if (!replace || event.defaultPrevented || isExternalHref(target)) return;
+
+    event.preventDefault();
+    navigate(target, true);
+  };
+
+  return createElement('a', { ...rest, ref, href: toHashHref(target), onClick: handleClick });
+});
+
+export default Link;
@@ -0,0 +1,36 @@
+/**
+ * Preview Runtime - next/navigation
+ */
+
+import { navigate, useLocation } from './router';
+
+export function useRouter() {
+  return {
+    push: (href: string) => navigate(href),
+    replace: (href: string) => navigate(href, true),
+    back: () => history.back(),
+    forward: () => history.forward(),
+    refresh: () => window.dispatchEvent(new HashChangeEvent('hashchange')),
+    prefetch: () => undefined,
+  };
+}
+
+export function usePathname(): string {
+  return useLocation().pathname;
+}
+
+export function useSearchParams(): URLSearchParams {
+  return new URLSearchParams(useLocation().search);
+}
+
+export function useParams(): Record<string, string | string[]> {
+  return useLocation().params;
+}
+
+export function redirect(href: string): void {
+  navigate(href, true);
+}
+
+export function notFound(): never {
+  throw new Error('This page called notFound()');
+}
@@ -0,0 +1,5 @@
+/**
+ * Preview Runtime - "next" (only types like Metadata are imported from it)
+ */
+
+export {};
@@ -0,0 +1,238 @@
+/**
+ * Preview Runtime - Client-side router
+ *
+ * Bundled into every serverless preview by previewBundler.ts; the builder app
+ * never imports it. Routes come from the generated app's app directory.
+ * The in-app path lives in the URL hash (#/dashboard) so back/forward and
+ * reloads inside the iframe keep the current page.
+ * Route changes are posted to the builder, which can send navigation back
+ * (see ../previewMessages.ts).
+ */
+
+import { ComponentType, createContext, createElement, ReactNode, useContext, useEffect, useState } from 'react';
+import { createRoot } from 'react-dom/client';
+import { HostMessage, isHostMessage, PREVIEW_SOURCE, PreviewMessage } from '../previewMessages';
+
+export interface PreviewRoute {
+  path: string; // Next.js style: /tasks/[id], /docs/[...slug]
+  Page: ComponentType<any>;
+  layouts: ComponentType<any>[]; // Outermost first
+}
+
+export interface PreviewLocation {
+  pathname: string;
+  search: string;
+  params: Record<string, string | string[]>;
+}
+
+const LocationContext = createContext<PreviewLocation>({ pathname: '/', search: '', params: {} });
+
+/**
+ * Current in-app location from the hash (#/path?query)
+ */
+function readLocation(): Omit<PreviewLocation, 'params'> {
+  const hash = window.location.hash.startsWith('#/') ? window.location.hash.slice(1) : '/';
+  const [pathname, search = ''] = hash.split('?');
+  return { pathname: pathname || '/', search: search ? `?${search}` : '' };
+}
+
+export function isExternalHref(href: string): boolean {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+/**
+ * Resolve an in-app href against the current path
+ */
+export function resolveHref(href: string): string {
+  if (href.startsWith('/')) return href;
+  if (href.startsWith('?')) return readLocation().pathname + href;
+
+  const base = readLocation().pathname.replace(/[^/]*$/, '');
+  return new URL(href, `http://preview${base}`).pathname;
+}
+
+/**
+ * The href an <a> should carry for an in-app path
+ */
+export function toHashHref(href: string): string {
+  if (isExternalHref(href) || href.startsWith('#')) return href;
+  return `#${resolveHref(href)}`;
+}
+
+/**
+ * Go to an in-app path (or open an external URL in a new tab)
+ */
+export function navigate(href: string, replace = false): void {
+  if (isExternalHref(href)) {
+    window.open(href, '_blank', 'noopener');
+    return;
+  }
+
+  const target = `#${resolveHref(href)}`;
+  if (replace) {
+    history.replaceState(null, '', target);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = target;
+  }
+}
+
+export function useLocation(): PreviewLocation {
+  return useContext(LocationContext);
+}
+
+function segmentRank(segment: string): number {
+  if (segment.startsWith('[[...')) return 3;
+  if (segment.startsWith('[...')) return 2;
+  if (segment.startsWith('[')) return 1;
+  return 0;
+}
+
+/**
+ * Static routes win over dynamic ones, dynamic over catch-all
+ */
+export function sortRoutes(routes: PreviewRoute[]): PreviewRoute[] {
+  return routes.slice().sort((a, b) => {
+    const aSegments = a.path.split('/').filter(Boolean);
+    const bSegments = b.path.split('/').filter(Boolean);
+    for (let i = 0; i < Math.max(aSegments.length, bSegments.length); i++) {
+      const diff = segmentRank(aSegments[i] ?? '') - segmentRank(bSegments[i] ?? '');
+      if (diff !== 0) return diff;
+    }
+    return bSegments.length - aSegments.length;
+  });
+}
+
+function matchPath(routePath: string, parts: string[]): Record<string, string | string[]> | null {
+  const segments = routePath.split('/').filter(Boolean);
+  const params: Record<string, string | string[]> = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    // [...slug] needs at least one part, [[...slug]] also matches none
+    const catchAll = segment.match(/^\[(\[)?\.\.\.(.+?)\]\]?$/);
+    if (catchAll) {
+      const rest = parts.slice(i);
+      if (rest.length === 0 && !catchAll[1]) return null;
+      params[catchAll[2]] = rest;
+      return params;
+    }
+
+    if (i >= parts.length) return null;
+
+    const dynamic = segment.match(/^\[(.+)\]$/);
+    if (dynamic) params[dynamic[1]] = parts[i];
+    else if (segment !== parts[i]) return null;
+  }
+
+  return parts.length === segments.length ? params : null;
+}
+
+export function matchRoute(
+  routes: PreviewRoute[],
+  pathname: string
+): { route: PreviewRoute; params: Record<string, string | string[]> } | null {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  for (const route of routes) {
+    const params = matchPath(route.path, parts);
+    if (params) return { route, params };
+  }
+
+  return null;
+}
+
+function DefaultNotFound() {
+  return createElement(
+    'div',
+    { style: { padding: '4rem 1rem', textAlign: 'center' } },
+    createElement('h1', { style: { fontSize: '2rem', fontWeight: 700 } }, '404'),
+    createElement('p', { style: { opacity: 0.7 } }, `No page at ${readLocation().pathname}`)
+  );
+}
+
+function PreviewApp({ routes, notFound }: { routes: PreviewRoute[]; notFound: PreviewRoute }) {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    let lastHash = window.location.hash;
+
+    const onHashChange = () => {
+      // "#section" is an in-page anchor, not a route: scroll to it and keep the route
+      if (window.location.hash && !window.location.hash.startsWith('#/')) {
+        document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+        history.replaceState(null, '', lastHash || '#/');
+        return;
+      }
+
+      lastHash = window.location.hash;
+      setLocation(readLocation());
+      window.scrollTo(0, 0);
+    };
+
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // Tell the builder which page is showing
+  useEffect(() => {
+    postToHost({ source: PREVIEW_SOURCE, type: 'route', path: location.pathname + location.search });
+  }, [location.pathname, location.search]);
+
+  const match = matchRoute(routes, location.pathname);
+  const { Page, layouts } = match ? match.route : notFound;
+  const params = match ? match.params : {};
+  const searchParams = Object.fromEntries(new URLSearchParams(location.search));
+
+  let content: ReactNode = createElement(Page, { params, searchParams });
+  for (const Layout of layouts.slice().reverse()) {
+    content = createElement(Layout, { params }, content);
+  }
+
+  return createElement(LocationContext.Provider, { value: { ...location, params } }, content);
+}
+
+function postToHost(message: PreviewMessage): void {
+  if (window.parent !== window) window.parent.postMessage(message, '*');
+}
+
+function handleHostMessage(message: HostMessage): void {
+  if (message.type === 'navigate') navigate(message.path);
+  else if (message.type === 'back') history.back();
+  else if (message.type === 'forward') history.forward();
+}
+
+/**
+ * Render the app into #root and route plain <a href="/..."> clicks in-app
+ */
+export function mountPreview(
+  routes: PreviewRoute[],
+  { notFound, rootLayouts }: { notFound?: ComponentType<any>; rootLayouts: ComponentType<any>[] }
+): void {
+  document.addEventListener('click', (event) => {
+    const anchor = (event.target as Element | null)?.closest?.('a');
+    const href = anchor?.getAttribute('href');
+    if (
+      !anchor || !href || event.defaultPrevented || event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey ||
+      anchor.target === '_blank' || href.startsWith('#')
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    navigate(href);
+  });
+
+  window.addEventListener('message', (event) => {
+    if (event.source === window.parent && isHostMessage(event.data)) handleHostMessage(event.data);
+  });
+
+  createRoot(document.getElementById('root')!).render(
+    createElement(PreviewApp, {
+      routes: sortRoutes(routes),
+      notFound: { path: '', Page: notFound || DefaultNotFound, layouts: rootLayouts },
+    })
+  );
+}
@@ -0,0 +1,205 @@
+/**
+ * LLM Page Code Generation - VibelyBuild.AI
+ *
+ * Codegen mode where the configured CODE_GENERATION provider (src/lib/ai)
+ * writes each page component from its BlueprintPage and the app's data model,
+ * instead of the fixed section templates in codegen.ts.
+ *
+ * Every page is checked before it replaces its template:
+ * - Parses as TSX (esbuild)
+ * - Has a default export
+ * - Only imports packages the generated project has
+ * A page that fails any check keeps its template version.
+ *
+ * Enable with CODEGEN_MODE=llm (default: template)
+ */
+
+import { transform } from "esbuild";
+import { generateCode, getProviderChain, isOperationAvailable, loadRoutingSettings } from "./ai";
+import { generateProjectFromBlueprint, getPageFilePath, GeneratedProject } from "./codegen";
+import { getEntities } from "./dataCodegen";
+import type { AppBlueprint, BlueprintPage, ModelRoute } from "./llmProvider";
+
+export type CodegenMode = "template" | "llm";
+
+export interface PageCodegenResult {
+  pageId: string;
+  path: string;
+  source: "llm" | "template";
+  error?: string; // Why the template was kept
+}
+
+// Modules a generated page may import (see generatePackageJson / shared components in codegen.ts)
+const BASE_IMPORTS = [
+  "react",
+  "next/link",
+  "next/image",
+  "next/navigation",
+  "@/components/GlassCard",
+  "@/components/Navbar",
+  "@/components/Footer",
+];
+
+// Added when the blueprint has a data model (see dataCodegen.ts)
+const DATA_IMPORTS = ["@/lib/types", "@/lib/schema"];
+
+const PAGE_SYSTEM_PROMPT = `You are an expert Next.js 14 developer writing one page of a generated app.
+Write a single page component for the App Router in TypeScript with Tailwind CSS.
+
+Rules:
+- Default-export the page component
+- Only import from the modules listed in the request
+- Add "use client" as the first line if you use hooks or event handlers
+- Use the app's dark glass style: "glass-card" / "glass-panel" classes, white text, purple-pink gradients
+- Use realistic content for this app, never placeholders like "Feature 1" or "Lorem ipsum"
+- When the page shows data of an entity that has a data API, load and save it through that API; otherwise use sample records that match the data model fields
+- Return only the code of the file, no explanations or markdown`;
+
+/**
+ * Codegen mode from CODEGEN_MODE
+ */
+export function getCodegenMode(): CodegenMode {
+  return process.env.CODEGEN_MODE === "llm" ? "llm" : "template";
+}
+
+/**
+ * Generate a project whose page components are written by the LLM
+ *
+ * Starts from the template project, then replaces each page that the model
+ * writes successfully. Pages are generated one at a time.
+ *
+ * @param buildId - Unique build identifier
+ * @param blueprint - App blueprint with pages, data model, etc.
+ * @param onPage - Called after every page with where its code came from
+ * @param signal - Aborts the in-flight request; an aborted call rejects
+ * @param route - Plan / per-build model selection
+ * @returns GeneratedProject with all file paths and contents
+ */
+export async function generateProjectWithLLM(
+  buildId: string,
+  blueprint: AppBlueprint,
+  {
+    onPage,
+    signal,
+    route,
+  }: {
+    onPage?: (result: PageCodegenResult) => void;
+    signal?: AbortSignal;
+    route?: ModelRoute;
+  } = {}
+): Promise<GeneratedProject> {
+  const project = generateProjectFromBlueprint(buildId, blueprint);
+
+  await loadRoutingSettings();
+  if (!isOperationAvailable("CODE_GENERATION", route)) {
+    const providers = getProviderChain("CODE_GENERATION", route).map(({ provider }) => provider);
+    console.warn(`⚠️  No CODE_GENERATION provider is configured (${providers.join(", ")}). Using page templates.`);
+    return project;
+  }
+
+  const entities = getEntities(blueprint);
+  const allowedImports = new Set(entities.length > 0 ? [...BASE_IMPORTS, ...DATA_IMPORTS] : BASE_IMPORTS);
+
+  for (const [index, page] of blueprint.pages.entries()) {
+    const pagePath = getPageFilePath(page, index === 0);
+
+    try {
+      const code = await generatePageWithLLM(page, blueprint, allowedImports, signal, route);
+      project.files[pagePath] = code;
+      onPage?.({ pageId: page.id, path: pagePath, source: "llm" });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      console.warn(`[llmCodegen] Page "${page.id}" kept its template: ${error.message}`);
+      onPage?.({ pageId: page.id, path: pagePath, source: "template", error: error.message });
+    }
+  }
+
+  return project;
+}
+
+/**
+ * Ask the model for one page component and validate it
+ */
+async function generatePageWithLLM(
+  page: BlueprintPage,
+  blueprint: AppBlueprint,
+  allowedImports: Set<string>,
+  signal?: AbortSignal,
+  route?: ModelRoute
+): Promise<string> {
+  const dataApis = getEntities(blueprint)
+    .map((entity) => `- ${entity.name} (type ${entity.typeName} in @/lib/types): GET/POST /api/${entity.collection}, GET/PUT/DELETE /api/${entity.collection}/<id>`)
+    .join("\n");
+
+  const otherPages = blueprint.pages
+    .filter((other) => other.id !== page.id)
+    .map((other) => `- ${other.title}: ${other.route}`)
+    .join("\n");
+
+  const prompt = `A "${page.layout}" page for the app "${blueprint.appName}".
+
+Page (from the app blueprint):
+${JSON.stringify(page, null, 2)}
+
+Data model:
+${blueprint.dataModel.length > 0 ? JSON.stringify(blueprint.dataModel, null, 2) : "(none)"}
+
+Data APIs (JSON, records have id, createdAt and updatedAt):
+${dataApis || "(none)"}
+
+Other pages you can link to:
+${otherPages || "(none)"}
+
+Modules you can import:
+${Array.from(allowedImports).join(", ")}
+${blueprint.notes ? `\nApp notes: ${blueprint.notes}` : ""}`;
+
+  const response = await generateCode({
+    prompt,
+    language: "TypeScript React (TSX)",
+    systemPrompt: PAGE_SYSTEM_PROMPT,
+    operationType: "CODE_GENERATION",
+    signal,
+    route,
+    onUsage: route?.onUsage,
+  });
+
+  const code = stripCodeFences(response);
+  await validatePageCode(code, allowedImports);
+
+  return `// This file was auto-generated by VibelyBuild.AI from blueprint page "${page.title}"\n${code}`;
+}
+
+/**
+ * Remove a markdown code block around the code, if the model added one
+ */
+function stripCodeFences(content: string): string {
+  const fenced = content.match(/```[\w-]*\n([\s\S]*?)```/);
+  return (fenced ? fenced[1] : content).trim() + "\n";
+}
+
+/**
+ * Throw if the code isn't a usable page component
+ */
+async function validatePageCode(code: string, allowedImports: Set<string>): Promise<void> {
+  let result;
+  try {
+    result = await transform(code, { loader: "tsx", jsx: "preserve", format: "esm" });
+  } catch (error) {
+    const first = error.errors?.[0];
+    const location = first?.location ? ` (line ${first.location.line})` : "";
+    throw new Error(`Invalid TSX${location}: ${first?.text || error.message}`);
+  }
+
+  if (!/\bexport\s+default\b/.test(result.code)) {
+    throw new Error("Page has no default export");
+  }
+
+  // Checked on the source: esbuild drops unused imports, Next.js would still resolve them
+  const imports = Array.from(code.matchAll(/(?:^|\n)\s*import\s[^'"]*?['"]([^'"]+)['"]/g), (match) => match[1]);
+  const unknown = imports.filter((specifier) => !allowedImports.has(specifier));
+  if (unknown.length > 0) {
+    throw new Error(`Page imports unavailable modules: ${unknown.join(", ")}`);
+  }
+}
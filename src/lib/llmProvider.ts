@@ -2,17 +2,60 @@
  * LLM Provider for VibeCode Build Pipeline
  *
  * This module handles app blueprint generation using AI.
- * Currently uses OpenAI, but designed to be swapped to Claude Sonnet or other providers.
+ * Calls go through the AI router (src/lib/ai): blueprints use the TEXT_GENERATION
+ * provider chain, refinements the CODE_GENERATION chain. Blueprints are streamed,
+ * so their outline (name, pages, entities) can be shown while they generate.
  *
  * Blueprint Structure:
  * - App metadata (name, target platform, auth requirements)
  * - Pages with layouts and sections
  * - Data model (entities and fields)
  * - Navigation structure
- *
- * Future: Swap to Claude Sonnet for better code generation quality
  */
 
+import {
+  APP_BLUEPRINT_SCHEMA,
+  validateBlueprint,
+  formatValidationErrors,
+  BlueprintValidationError,
+  BlueprintValidationReport,
+} from "./blueprintSchema";
+import { parsePartialJson } from "./partialJson";
+import { generateText, generateStreamingText, isOperationAvailable, loadRoutingSettings } from "./ai";
+
+const BLUEPRINT_OPERATION = "TEXT_GENERATION";
+const REFINE_OPERATION = "CODE_GENERATION";
+
+// One AI call's token counts and cost, as reported by the AI router
+export interface AICallUsage {
+  operationType: string;
+  provider: string;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  estimated: boolean; // Counted from the text because the provider didn't report them
+  costUsd: number;
+}
+
+// Plan and per-build model selection, passed through to the AI router
+// onUsage receives the token usage of every call made for the build
+export interface ModelRoute {
+  plan?: string;
+  overrides?: Record<string, { provider: string; model?: string }>;
+  onUsage?: (usage: AICallUsage) => void;
+}
+
+// What's known of a blueprint so far: pages appear once they have an id and title,
+// entities once they have a name
+export interface BlueprintOutline {
+  appName?: string;
+  pages: Array<{ id: string; title: string; route?: string; layout?: string; sectionCount: number }>;
+  entities: Array<{ name: string; fields: string[] }>;
+}
+
+// How many times invalid blueprint JSON is sent back to the model for repair
+const REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.BLUEPRINT_REPAIR_ATTEMPTS || "2", 10) || 0);
+
 export interface BlueprintPage {
   id: string;
   title: string;
@@ -47,31 +90,53 @@ export interface AppBlueprint {
 /**
  * Generate an app blueprint from a user prompt
  *
+ * The model's JSON is validated against APP_BLUEPRINT_SCHEMA. Invalid output is
+ * sent back with the validation errors for repair, up to BLUEPRINT_REPAIR_ATTEMPTS
+ * times, before falling back to the mock blueprint.
+ *
+ * The response is streamed and parsed as it arrives; onOutline gets the outline
+ * each time it grows. A repair attempt streams a new outline from scratch. A
+ * stream that breaks off part-way starts over on the next provider, after
+ * onOutlineReset tells the caller to drop the outline so far.
+ *
  * @param prompt - User's app idea description
  * @param target - Target platform(s)
+ * @param onValidation - Called with the validation report of every attempt
+ * @param onOutline - Called with the partial outline while the blueprint streams in
+ * @param onOutlineReset - Called when the outline so far is discarded (provider failover)
+ * @param signal - Aborts the in-flight request; an aborted call rejects instead of falling back
+ * @param route - Plan / per-build model selection
  * @returns Structured app blueprint
- *
- * TODO: Replace OpenAI with Claude Sonnet for better code understanding
- * TODO: Add support for real-time streaming of blueprint generation
  */
 export async function generateAppBlueprint({
   prompt,
   target,
+  onValidation,
+  onOutline,
+  onOutlineReset,
+  signal,
+  route,
 }: {
   prompt: string;
   target: "web" | "ios" | "android" | "multi";
+  onValidation?: (report: BlueprintValidationReport) => void;
+  onOutline?: (outline: BlueprintOutline) => void;
+  onOutlineReset?: () => void;
+  signal?: AbortSignal;
+  route?: ModelRoute;
 }): Promise<AppBlueprint> {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.OPENAI_MODEL || "gpt-4-turbo-preview";
-
-  // If no API key, return mock blueprint for development
-  if (!apiKey) {
+  // If no provider is configured, return mock blueprint for development
+  await loadRoutingSettings();
+  if (!isOperationAvailable(BLUEPRINT_OPERATION, route)) {
     console.warn(
-      "⚠️  OPENAI_API_KEY not set. Using mock blueprint for development."
+      `⚠️  No ${BLUEPRINT_OPERATION} provider configured. Using mock blueprint for development.`
     );
     return generateMockBlueprint(prompt, target);
   }
 
+  const maxAttempts = REPAIR_ATTEMPTS + 1;
+  let lastErrors: BlueprintValidationError[] = [];
+
   try {
     const systemPrompt = `You are an expert app architect. Generate a detailed app blueprint in JSON format.
 
@@ -83,7 +148,10 @@ The blueprint must include:
 5. authRequired: Boolean indicating if authentication is needed
 6. notes: Any additional implementation notes
 
-Return ONLY valid JSON. No markdown, no code blocks, just the JSON object.`;
+The JSON must validate against this JSON Schema:
+${JSON.stringify(APP_BLUEPRINT_SCHEMA)}
+
+Page ids and routes must be unique. Return ONLY valid JSON. No markdown, no code blocks, just the JSON object.`;
 
     const userPrompt = `Create an app blueprint for: ${prompt}
 
@@ -94,53 +162,82 @@ Requirements:
 - Specify UI sections for each page
 - Keep it production-ready and scalable`;
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ],
+    let attemptPrompt = userPrompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let content = "";
+      let lastOutline = "";
+
+      for await (const chunk of generateStreamingText({
+        prompt: attemptPrompt,
+        systemPrompt,
+        operationType: BLUEPRINT_OPERATION,
         temperature: 0.7,
-        max_tokens: 3000,
-      }),
-    });
+        maxTokens: 3000,
+        signal,
+        route,
+        onUsage: route?.onUsage,
+        onRestart: () => {
+          content = "";
+          lastOutline = "";
+          onOutlineReset?.();
+        },
+      })) {
+        content += chunk;
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
-    }
+        // Values only finish at a separator or closing bracket
+        if (!onOutline || !/[,}\]]/.test(chunk)) continue;
 
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
+        const outline = outlineBlueprint(parsePartialJson(content));
+        const key = JSON.stringify(outline);
+        if (key !== lastOutline) {
+          lastOutline = key;
+          onOutline(outline);
+        }
+      }
 
-    if (!content) {
-      throw new Error("No content in OpenAI response");
-    }
+      let candidate: any;
+      try {
+        candidate = parseJsonContent(content);
+        // Target comes from the request, not the model
+        if (candidate && typeof candidate === "object") candidate.target = target;
+        lastErrors = validateBlueprint(candidate).errors;
+      } catch (error) {
+        lastErrors = [{ path: "", message: `Invalid JSON: ${error.message}` }];
+      }
 
-    // Parse JSON from response (handle markdown code blocks if present)
-    let jsonStr = content.trim();
-    if (jsonStr.startsWith("```")) {
-      jsonStr = jsonStr.replace(/```json?\n?/g, "").replace(/```$/g, "").trim();
-    }
+      const valid = lastErrors.length === 0;
+      onValidation?.({
+        attempt,
+        maxAttempts,
+        valid,
+        errors: lastErrors,
+        outcome: valid ? "accepted" : attempt < maxAttempts ? "repairing" : "fallback",
+      });
 
-    const blueprint: AppBlueprint = JSON.parse(jsonStr);
+      if (valid) {
+        return candidate as AppBlueprint;
+      }
 
-    // Validate blueprint structure
-    if (!blueprint.appName || !blueprint.pages || !Array.isArray(blueprint.pages)) {
-      throw new Error("Invalid blueprint structure from AI");
-    }
+      console.warn(`[llmProvider] Blueprint attempt ${attempt}/${maxAttempts} failed validation:\n${formatValidationErrors(lastErrors)}`);
+
+      // Send the output and its errors back so the model can repair it
+      attemptPrompt = `${userPrompt}
+
+Your previous blueprint:
+${content}
 
-    // Ensure target is set correctly
-    blueprint.target = target;
+That blueprint is invalid:
+${formatValidationErrors(lastErrors)}
 
-    return blueprint;
+Return the complete corrected blueprint as JSON only.`;
+    }
+
+    throw new Error(`Blueprint failed schema validation after ${maxAttempts} attempts (${lastErrors.length} error(s))`);
   } catch (error) {
+    // A cancelled build must stop here, not continue with a fallback
+    if (signal?.aborted) throw error;
+
     console.error("Error generating blueprint with AI:", error);
     console.warn("Falling back to mock blueprint");
 
@@ -151,6 +248,51 @@ Requirements:
   }
 }
 
+/**
+ * Outline of a blueprint, complete or partially parsed
+ * Pages without an id and title and entities without a name are left out.
+ */
+export function outlineBlueprint(blueprint: any): BlueprintOutline {
+  const outline: BlueprintOutline = { pages: [], entities: [] };
+  if (!blueprint || typeof blueprint !== "object") return outline;
+
+  if (typeof blueprint.appName === "string") outline.appName = blueprint.appName;
+
+  for (const page of Array.isArray(blueprint.pages) ? blueprint.pages : []) {
+    if (typeof page?.id !== "string" || typeof page.title !== "string") continue;
+    outline.pages.push({
+      id: page.id,
+      title: page.title,
+      route: typeof page.route === "string" ? page.route : undefined,
+      layout: typeof page.layout === "string" ? page.layout : undefined,
+      sectionCount: Array.isArray(page.sections) ? page.sections.length : 0,
+    });
+  }
+
+  for (const entity of Array.isArray(blueprint.dataModel) ? blueprint.dataModel : []) {
+    if (typeof entity?.name !== "string") continue;
+    outline.entities.push({
+      name: entity.name,
+      fields: (Array.isArray(entity.fields) ? entity.fields : [])
+        .map((field: any) => field?.name)
+        .filter((name: unknown): name is string => typeof name === "string"),
+    });
+  }
+
+  return outline;
+}
+
+/**
+ * Parse JSON from a model response (handle markdown code blocks if present)
+ */
+function parseJsonContent(content: string): any {
+  let jsonStr = content.trim();
+  if (jsonStr.startsWith("```")) {
+    jsonStr = jsonStr.replace(/```json?\n?/g, "").replace(/```$/g, "").trim();
+  }
+  return JSON.parse(jsonStr);
+}
+
 /**
  * Generate a mock blueprint for development/fallback
  * Parses the prompt for keywords to create a relevant structure
@@ -253,3 +395,150 @@ function generateMockBlueprint(prompt: string, target: "web" | "ios" | "android"
     notes: "This is a mock blueprint generated for development. Replace with real AI in production.",
   };
 }
+
+export interface AppRefinement {
+  blueprint: AppBlueprint;
+  files: Record<string, string>; // Added or modified files (full content)
+  deletedFiles: string[];
+  summary: string;
+}
+
+/**
+ * Refine an existing app blueprint with a follow-up instruction
+ *
+ * @param blueprint - Current app blueprint
+ * @param instruction - Follow-up change request ("add a pricing page")
+ * @param files - Current contents of the files most likely affected
+ * @param route - Plan / per-build model selection
+ * @returns Updated blueprint plus the files to write or delete
+ */
+export async function refineAppBlueprint({
+  blueprint,
+  instruction,
+  files,
+  route,
+}: {
+  blueprint: AppBlueprint;
+  instruction: string;
+  files: Record<string, string>;
+  route?: ModelRoute;
+}): Promise<AppRefinement> {
+  await loadRoutingSettings();
+  if (!isOperationAvailable(REFINE_OPERATION, route)) {
+    console.warn(
+      `⚠️  No ${REFINE_OPERATION} provider configured. Using mock refinement for development.`
+    );
+    return generateMockRefinement(blueprint, instruction);
+  }
+
+  try {
+    const systemPrompt = `You are an expert Next.js developer editing an existing app.
+You receive the app blueprint (JSON), the current contents of the relevant files, and a change request.
+
+Apply the change with the smallest reasonable edit and respond with a JSON object:
+{
+  "blueprint": <the full updated blueprint, same shape as the input>,
+  "files": { "<path>": "<full new file content>" },  // only files you add or change
+  "deletedFiles": ["<path>"],
+  "summary": "<one sentence describing what changed>"
+}
+
+Paths are relative to the project root (e.g. "src/app/pricing/page.tsx").
+Use Next.js App Router, TypeScript and Tailwind CSS, matching the existing code style.
+Return ONLY valid JSON. No markdown, no code blocks, just the JSON object.`;
+
+    const fileDump = Object.entries(files)
+      .map(([filePath, content]) => `--- ${filePath} ---\n${content}`)
+      .join("\n\n");
+
+    const userPrompt = `Change request: ${instruction}
+
+Current blueprint:
+${JSON.stringify(blueprint, null, 2)}
+
+Current files:
+${fileDump}`;
+
+    const content = await generateText({
+      prompt: userPrompt,
+      systemPrompt,
+      operationType: REFINE_OPERATION,
+      temperature: 0.4,
+      maxTokens: 4000,
+      route,
+      onUsage: route?.onUsage,
+    });
+
+    const refinement = parseJsonContent(content);
+
+    if (!refinement.blueprint || typeof refinement.blueprint !== "object") {
+      throw new Error("Invalid refinement structure from AI");
+    }
+
+    // Target can't change through a refinement
+    refinement.blueprint.target = blueprint.target;
+
+    const { errors } = validateBlueprint(refinement.blueprint);
+    if (errors.length > 0) {
+      throw new Error(`Refined blueprint is invalid:\n${formatValidationErrors(errors)}`);
+    }
+
+    return {
+      blueprint: refinement.blueprint,
+      files: refinement.files || {},
+      deletedFiles: Array.isArray(refinement.deletedFiles) ? refinement.deletedFiles : [],
+      summary: refinement.summary || instruction,
+    };
+  } catch (error) {
+    console.error("Error refining blueprint with AI:", error);
+    throw new Error(`AI refinement failed: ${error.message}`);
+  }
+}
+
+/**
+ * Generate a mock refinement for development
+ * Understands "add a <name> page"; anything else leaves the app unchanged
+ */
+function generateMockRefinement(blueprint: AppBlueprint, instruction: string): AppRefinement {
+  const match = instruction.match(/add (?:a |an |the )?([\w-]+(?: [\w-]+)?) page/i);
+
+  if (!match) {
+    return {
+      blueprint,
+      files: {},
+      deletedFiles: [],
+      summary: `Mock refinement: no changes applied for "${instruction}"`,
+    };
+  }
+
+  const title = match[1].replace(/\b\w/g, (c) => c.toUpperCase());
+  const id = match[1].toLowerCase().replace(/\s+/g, "-");
+
+  if (blueprint.pages.some((page) => page.id === id)) {
+    return {
+      blueprint,
+      files: {},
+      deletedFiles: [],
+      summary: `Mock refinement: "${title}" page already exists`,
+    };
+  }
+
+  return {
+    blueprint: {
+      ...blueprint,
+      pages: [
+        ...blueprint.pages,
+        {
+          id,
+          title,
+          route: `/${id}`,
+          layout: "landing",
+          sections: [{ type: "hero", title, description: `Welcome to the ${title} page` }],
+        },
+      ],
+    },
+    files: {},
+    deletedFiles: [],
+    summary: `Mock refinement: added "${title}" page`,
+  };
+}
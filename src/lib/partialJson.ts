@@ -0,0 +1,69 @@
+/**
+ * Partial JSON parsing for streamed model output
+ *
+ * Parses the complete part of a JSON document that is still arriving: the text
+ * is cut back to the last point where every value so far was finished, and the
+ * open objects/arrays are closed. Unfinished strings, numbers and keys are left
+ * out rather than guessed, so every value returned is final.
+ *
+ *   parsePartialJson('{"appName":"Tasks","pages":[{"id":"home"},{"id":"ab')
+ *   // => { appName: "Tasks", pages: [{ id: "home" }, {}] }
+ *
+ * An object or array that has only started is returned empty.
+ */
+
+const CLOSERS: Record<string, string> = { "{": "}", "[": "]" };
+
+/**
+ * Parse the finished part of a partial JSON object or array
+ * Leading text and a markdown code fence before the JSON are skipped.
+ *
+ * @returns The parsed value, or undefined if no JSON has started yet
+ */
+export function parsePartialJson(text: string): any {
+  const start = text.search(/[{[]/);
+  if (start === -1) return undefined;
+
+  const json = text.slice(start);
+  const stack: string[] = [];
+  let inString = false;
+  let escaped = false;
+  // Last safe cut: text up to `end` is valid once `closers` is appended
+  let cut: { end: number; closers: string } | null = null;
+
+  const closersFor = () => stack.map((open) => CLOSERS[open]).reverse().join("");
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      stack.push(char);
+      cut = { end: i + 1, closers: closersFor() };
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+      cut = { end: i + 1, closers: closersFor() };
+      if (stack.length === 0) break; // Document complete
+    } else if (char === ",") {
+      // Everything before a separator is a finished member
+      cut = { end: i, closers: closersFor() };
+    }
+  }
+
+  if (!cut) return undefined;
+
+  try {
+    return JSON.parse(json.slice(0, cut.end) + cut.closers);
+  } catch {
+    // Not JSON after all (e.g. prose with braces)
+    return undefined;
+  }
+}
@@ -43,6 +43,9 @@ export interface DeploymentResult {
  * 4. Commits and pushes to the default branch
  * 5. Updates Firestore with repo URL and status
  *
+ * If `signal` aborts, the remaining GitHub requests are cancelled and a
+ * repository that was already created is deleted again.
+ *
  * @param build - Build object with id, appName, blueprint, and optional files
  * @returns Deployment result with repo URL
  */
@@ -52,8 +55,9 @@ export async function publishToGitHub(build: {
   blueprint: AppBlueprint;
   userId: string;
   generatedFiles?: { path: string; content: string }[];
+  signal?: AbortSignal;
 }): Promise<DeploymentResult> {
-  const { id: buildId, appName, blueprint, userId, generatedFiles } = build;
+  const { id: buildId, appName, blueprint, userId, generatedFiles, signal } = build;
 
   // Validate environment variables
   const githubToken = process.env.GITHUB_TOKEN;
@@ -76,18 +80,22 @@ export async function publishToGitHub(build: {
     };
   }
 
+  // Initialize Octokit
+  const octokit = new Octokit({ auth: githubToken });
+  const request = { signal };
+  let repoCreated = false;
+
   try {
+    signal?.throwIfAborted();
+
     console.log("📦 [Publisher] Starting GitHub publish");
     console.log(`   Build ID: ${buildId}`);
     console.log(`   App Name: ${appName}`);
     console.log(`   Target: ${blueprint.target}`);
     console.log(`   Owner: ${githubOwner}`);
 
-    // Initialize Octokit
-    const octokit = new Octokit({ auth: githubToken });
-
     // Generate repository name
-    const repoName = `vibelybuild-${buildId}`;
+    const repoName = getRepoName(buildId);
     console.log(`   Repo Name: ${repoName}`);
 
     // Step 1: Create repository
@@ -97,7 +105,9 @@ export async function publishToGitHub(build: {
       description: `${appName} - Built with VibelyBuild.AI`,
       private: true,
       auto_init: false, // We'll create initial commit manually
+      request,
     });
+    repoCreated = true;
 
     console.log(`✅ Repository created: ${repo.html_url}`);
     const repoUrl = repo.html_url;
@@ -117,6 +127,7 @@ export async function publishToGitHub(build: {
           repo: repoName,
           content: Buffer.from(file.content).toString("base64"),
           encoding: "base64",
+          request,
         });
         return { path: file.path, sha: blob.sha };
       })
@@ -132,6 +143,7 @@ export async function publishToGitHub(build: {
         type: "blob" as const,
         sha: blob.sha,
       })),
+      request,
     });
 
     // Step 5: Create commit
@@ -141,6 +153,7 @@ export async function publishToGitHub(build: {
       message: `Initial commit: ${appName}\n\nGenerated by VibelyBuild.AI`,
       tree: tree.sha,
       parents: [], // Initial commit has no parents
+      request,
     });
 
     // Step 6: Update branch reference
@@ -149,6 +162,7 @@ export async function publishToGitHub(build: {
       repo: repoName,
       ref: `refs/heads/${defaultBranch}`,
       sha: commit.sha,
+      request,
     });
 
     console.log(`✅ Code pushed to ${defaultBranch} branch`);
@@ -162,6 +176,15 @@ export async function publishToGitHub(build: {
       repoUrl,
     };
   } catch (error: any) {
+    if (signal?.aborted) {
+      console.log(`🛑 [Publisher] GitHub publish of ${buildId} aborted`);
+      if (repoCreated) await deleteGitHubRepo(buildId);
+      return {
+        success: false,
+        error: "GitHub publish aborted",
+      };
+    }
+
     console.error("❌ [Publisher] GitHub publish failed:", error);
 
     // Update Firestore with error status
@@ -174,6 +197,30 @@ export async function publishToGitHub(build: {
   }
 }
 
+/**
+ * Delete the repository published for a build (e.g. when the build is cancelled)
+ * Returns false if GitHub isn't configured or the repository couldn't be deleted.
+ */
+export async function deleteGitHubRepo(buildId: string): Promise<boolean> {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const githubOwner = process.env.GITHUB_OWNER;
+  if (!githubToken || !githubOwner) return false;
+
+  try {
+    const octokit = new Octokit({ auth: githubToken });
+    await octokit.repos.delete({ owner: githubOwner, repo: getRepoName(buildId) });
+    console.log(`🗑️  [Publisher] Deleted repository ${getRepoName(buildId)}`);
+    return true;
+  } catch (error) {
+    console.error(`⚠️  [Publisher] Failed to delete repository ${getRepoName(buildId)}:`, error);
+    return false;
+  }
+}
+
+function getRepoName(buildId: string): string {
+  return `vibelybuild-${buildId}`;
+}
+
 /**
  * Update Firestore after successful GitHub publish
  */
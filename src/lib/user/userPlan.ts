@@ -4,11 +4,29 @@
  * Firebase functions to manage user subscription plans and access control.
  */
 
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, setDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import type { AICallUsage } from '@/lib/llmProvider';
 
 export type UserPlan = 'free' | 'starter' | 'pro' | 'enterprise';
 
+export interface ModelUsage {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  costUsd: number;
+}
+
+// AI token usage and cost, totalled per build (BuildJob.usage) and per user per month
+export interface UsageTotals extends ModelUsage {
+  estimatedCalls: number; // Calls whose token counts were estimated from the text
+  byModel: Record<string, ModelUsage>; // Keyed "provider:model"
+}
+
+export interface MonthlyUsage extends UsageTotals {
+  month: string; // YYYY-MM
+}
+
 export interface UserPlanData {
   plan: UserPlan;
   planActivatedAt?: any;
@@ -19,6 +37,7 @@ export interface UserPlanData {
   buildsToday?: number;
   dailyBuildLimit?: number;
   lastBuildDate?: string; // YYYY-MM-DD format
+  usageThisMonth?: MonthlyUsage; // AI usage of this calendar month's builds
   createdAt?: any;
   updatedAt?: any;
 }
@@ -48,6 +67,9 @@ export async function getUserPlan(userId: string): Promise<UserPlanData | null>
       buildsToday: data.buildsToday || 0,
       dailyBuildLimit: data.dailyBuildLimit || getDailyBuildLimitForPlan(plan),
       lastBuildDate: data.lastBuildDate,
+      usageThisMonth: data.usageThisMonth?.month === getCurrentMonth()
+        ? data.usageThisMonth
+        : emptyMonthlyUsage(),
       createdAt: data.createdAt,
       updatedAt: data.updatedAt
     };
@@ -257,6 +279,105 @@ export async function incrementBuildCount(userId: string): Promise<void> {
   }
 }
 
+/**
+ * Add a build's AI usage to the user's monthly totals
+ * The totals start over when the stored month isn't the current one.
+ * Runs in a transaction, so builds finishing at the same time don't
+ * overwrite each other's usage.
+ */
+export async function recordUsage(userId: string, usage: UsageTotals): Promise<void> {
+  try {
+    const userRef = doc(db, 'users', userId);
+
+    await runTransaction(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const month = getCurrentMonth();
+      const stored = userDoc.data().usageThisMonth;
+      const current = stored?.month === month ? stored : emptyUsage();
+
+      transaction.set(userRef, {
+        usageThisMonth: { ...mergeUsage(current, usage), month },
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+    });
+
+    console.log(`[UserPlan] Recorded AI usage for user ${userId}: ${usage.promptTokens + usage.completionTokens} tokens, $${usage.costUsd.toFixed(4)}`);
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Empty usage totals
+ */
+export function emptyUsage(): UsageTotals {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, estimatedCalls: 0, byModel: {} };
+}
+
+/**
+ * Add one AI call to usage totals (in place)
+ */
+export function addCallUsage(totals: UsageTotals, call: AICallUsage): UsageTotals {
+  return mergeUsage(totals, {
+    calls: 1,
+    promptTokens: call.promptTokens,
+    completionTokens: call.completionTokens,
+    costUsd: call.costUsd,
+    estimatedCalls: call.estimated ? 1 : 0,
+    byModel: {
+      [`${call.provider}:${call.model}`]: {
+        calls: 1,
+        promptTokens: call.promptTokens,
+        completionTokens: call.completionTokens,
+        costUsd: call.costUsd,
+      },
+    },
+  });
+}
+
+/**
+ * Add usage totals to others (in place)
+ */
+export function mergeUsage(totals: UsageTotals, usage: UsageTotals): UsageTotals {
+  addModelUsage(totals, usage);
+  totals.estimatedCalls += usage.estimatedCalls;
+
+  for (const [key, modelUsage] of Object.entries(usage.byModel)) {
+    totals.byModel[key] = addModelUsage(
+      totals.byModel[key] || { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 },
+      modelUsage
+    );
+  }
+
+  return totals;
+}
+
+function addModelUsage<T extends ModelUsage>(totals: T, usage: ModelUsage): T {
+  totals.calls += usage.calls;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  // Round away floating point noise (costs are fractions of a cent)
+  totals.costUsd = Math.round((totals.costUsd + usage.costUsd) * 1_000_000) / 1_000_000;
+  return totals;
+}
+
+/**
+ * Usage totals of a month with no AI calls yet
+ */
+export function emptyMonthlyUsage(): MonthlyUsage {
+  return { ...emptyUsage(), month: getCurrentMonth() };
+}
+
+function getCurrentMonth(): string {
+  return new Date().toISOString().slice(0, 7); // YYYY-MM
+}
+
 /**
  * Reset monthly build count (run this monthly via cron)
  */
@@ -312,6 +433,29 @@ function getDailyBuildLimitForPlan(plan: UserPlan): number {
   }
 }
 
+/**
+ * Get build queue settings for a plan
+ * maxConcurrentBuilds: builds one user can have running at once
+ * priority: queue lane (higher lanes start first)
+ */
+export function getBuildSchedulingForPlan(plan: UserPlan): {
+  maxConcurrentBuilds: number;
+  priority: number;
+} {
+  switch (plan) {
+    case 'free':
+      return { maxConcurrentBuilds: 1, priority: 0 };
+    case 'starter':
+      return { maxConcurrentBuilds: 2, priority: 1 };
+    case 'pro':
+      return { maxConcurrentBuilds: 3, priority: 2 };
+    case 'enterprise':
+      return { maxConcurrentBuilds: 5, priority: 3 };
+    default:
+      return { maxConcurrentBuilds: 1, priority: 0 };
+  }
+}
+
 /**
  * Initialize user plan (called on signup)
  */
@@ -24,7 +24,7 @@ function extractBearerToken(request) {
 /**
  * Verify user authentication
  * @param {Request} request - Request object
- * @returns {Promise<{uid: string, email?: string, name?: string}>} User info
+ * @returns {Promise<{uid: string, email?: string, name?: string, admin: boolean}>} User info
  * @throws {Error} If authentication fails
  */
 export async function verifyUser(request) {
@@ -43,7 +43,8 @@ export async function verifyUser(request) {
       uid: decodedToken.uid,
       email: decodedToken.email,
       name: decodedToken.name,
-      picture: decodedToken.picture
+      picture: decodedToken.picture,
+      admin: decodedToken.admin === true
     };
   } catch (error) {
     console.error('[VerifyUser] Token verification failed:', error);
@@ -54,6 +55,26 @@ export async function verifyUser(request) {
   }
 }
 
+/**
+ * Verify the user is an administrator
+ * Admins have the `admin` custom claim or are listed in ADMIN_UIDS (comma-separated)
+ * @param {Request} request - Request object
+ * @returns {Promise<{uid: string, email?: string, name?: string}>} User info
+ * @throws {Error} If authentication fails or the user is not an admin
+ */
+export async function verifyAdmin(request) {
+  const user = await verifyUser(request);
+  const adminUids = (process.env.ADMIN_UIDS || '').split(',').map((uid) => uid.trim()).filter(Boolean);
+
+  if (!user.admin && !adminUids.includes(user.uid)) {
+    const error = new Error('Admin access required');
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+
+  return user;
+}
+
 /**
  * Middleware wrapper for API routes
  * @param {Function} handler - Route handler function
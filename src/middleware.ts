@@ -40,17 +40,18 @@ export function middleware(request: NextRequest) {
     // Remove restrictive X-Frame-Options if present
     response.headers.delete('X-Frame-Options');
 
-    // Set permissive Content Security Policy
-    // Allow iframes from localhost (preview servers on ports 4110-4990)
+    // Content Security Policy for iframe embedding
+    // Previews are same-origin: serverless bundles under /api/preview and
+    // preview dev servers proxied under /preview-proxy
     const csp = [
       "default-src 'self'",
       "script-src 'self' 'unsafe-eval' 'unsafe-inline'",
       "style-src 'self' 'unsafe-inline'",
       "img-src 'self' data: https: http:",
       "font-src 'self' data:",
-      "connect-src 'self' http://localhost:* https://*",
-      "frame-src 'self' http://localhost:* https://*",
-      "frame-ancestors 'self' http://localhost:* https://*",
+      "connect-src 'self' https://*",
+      "frame-src 'self'",
+      "frame-ancestors 'self'",
       "worker-src 'self' blob:",
     ].join('; ');
 
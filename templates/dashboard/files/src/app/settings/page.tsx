@@ -0,0 +1,25 @@
+// Template: dashboard
+export default function SettingsPage() {
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-2xl">
+      <h1 className="text-4xl font-bold mb-8">Settings</h1>
+      <form className="glass-card p-6 space-y-6">
+        <label className="block">
+          <span className="text-white/70 text-sm">Display name</span>
+          <input className="mt-2 w-full px-4 py-2 rounded-lg bg-white/5 border border-white/10" />
+        </label>
+        <label className="block">
+          <span className="text-white/70 text-sm">Email</span>
+          <input type="email" className="mt-2 w-full px-4 py-2 rounded-lg bg-white/5 border border-white/10" />
+        </label>
+        <label className="flex items-center gap-3">
+          <input type="checkbox" className="w-4 h-4" />
+          <span className="text-white/70">Email me weekly reports</span>
+        </label>
+        <button type="button" className="px-6 py-2 bg-gradient-to-r from-brand-500 to-cyan-500 rounded-full font-semibold">
+          Save changes
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// Template: dashboard
+export interface Column<T> {
+  key: keyof T;
+  label: string;
+}
+
+export default function DataTable<T extends Record<string, any>>({
+  columns,
+  rows,
+}: {
+  columns: Column<T>[];
+  rows: T[];
+}) {
+  return (
+    <div className="glass-card overflow-x-auto">
+      <table className="w-full text-left">
+        <thead className="border-b border-white/10 text-white/60 text-sm">
+          <tr>
+            {columns.map((column) => (
+              <th key={String(column.key)} className="px-6 py-3 font-medium">{column.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr>
+              <td colSpan={columns.length} className="px-6 py-8 text-center text-white/50">No data yet</td>
+            </tr>
+          ) : (
+            rows.map((row, i) => (
+              <tr key={i} className="border-b border-white/5 hover:bg-white/5">
+                {columns.map((column) => (
+                  <td key={String(column.key)} className="px-6 py-3">{String(row[column.key] ?? "")}</td>
+                ))}
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
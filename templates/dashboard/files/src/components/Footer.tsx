@@ -0,0 +1,10 @@
+// Template: dashboard
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Footer() {
+  return (
+    <footer className="mx-4 my-4 p-4 text-center text-sm text-white/40">
+      © {new Date().getFullYear()} {siteConfig.appName}
+    </footer>
+  );
+}
@@ -0,0 +1,18 @@
+// Template: dashboard
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Navbar() {
+  return (
+    <header className="sticky top-0 z-40 glass-card mx-4 mt-4 mb-8 px-6 py-4 flex items-center justify-between">
+      <span className="md:hidden text-xl font-bold">{siteConfig.appName}</span>
+      <input
+        type="search"
+        placeholder="Search..."
+        className="hidden md:block w-72 px-4 py-2 rounded-lg bg-white/5 border border-white/10 focus:outline-none focus:border-brand-500"
+      />
+      {siteConfig.authRequired && (
+        <div className="w-9 h-9 rounded-full bg-gradient-to-r from-brand-500 to-cyan-500" />
+      )}
+    </header>
+  );
+}
@@ -0,0 +1,31 @@
+// Template: dashboard
+import Link from "next/link";
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Sidebar() {
+  return (
+    <aside className="hidden md:flex fixed inset-y-0 left-0 w-sidebar flex-col glass-card m-4 p-6">
+      <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-brand-400 to-cyan-300 bg-clip-text text-transparent mb-10">
+        {siteConfig.appName}
+      </Link>
+
+      <nav className="flex flex-col gap-2">
+        {siteConfig.navLinks.map((link) => (
+          <Link
+            key={link.href}
+            href={link.href}
+            className="px-4 py-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10 transition-colors"
+          >
+            {link.title}
+          </Link>
+        ))}
+        <Link
+          href="/settings"
+          className="px-4 py-2 rounded-lg text-white/70 hover:text-white hover:bg-white/10 transition-colors"
+        >
+          Settings
+        </Link>
+      </nav>
+    </aside>
+  );
+}
@@ -0,0 +1,22 @@
+// Template: dashboard
+export default function StatCard({
+  label,
+  value,
+  change,
+}: {
+  label: string;
+  value: string;
+  change?: number;
+}) {
+  return (
+    <div className="glass-card p-6">
+      <p className="text-white/60 text-sm mb-2">{label}</p>
+      <p className="text-3xl font-bold">{value}</p>
+      {change !== undefined && (
+        <p className={`text-sm mt-2 ${change >= 0 ? "text-emerald-400" : "text-red-400"}`}>
+          {change >= 0 ? "▲" : "▼"} {Math.abs(change)}%
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// Template: ecommerce
+"use client";
+
+import { useCart } from "@/hooks/useCart";
+
+export default function CartPage() {
+  const { items, removeItem, clear, total } = useCart();
+
+  return (
+    <div className="container mx-auto px-4 py-12 max-w-3xl">
+      <h1 className="text-4xl font-bold mb-8">Your Cart</h1>
+
+      {items.length === 0 ? (
+        <div className="glass-card p-8 text-center text-white/60">Your cart is empty.</div>
+      ) : (
+        <div className="glass-card p-6 space-y-4">
+          {items.map((item) => (
+            <div key={item.id} className="flex items-center justify-between border-b border-white/10 pb-4">
+              <div>
+                <p className="font-semibold">{item.name}</p>
+                <p className="text-white/60 text-sm">
+                  {item.quantity} × ${item.price.toFixed(2)}
+                </p>
+              </div>
+              <button onClick={() => removeItem(item.id)} className="text-red-400 hover:text-red-300 text-sm">
+                Remove
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between pt-2">
+            <span className="text-xl font-bold">Total: ${total.toFixed(2)}</span>
+            <div className="flex gap-3">
+              <button onClick={clear} className="px-4 py-2 glass-card hover:bg-white/10">Clear</button>
+              <button className="px-6 py-2 bg-gradient-to-r from-brand-500 to-teal-500 rounded-full font-semibold">
+                Checkout
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
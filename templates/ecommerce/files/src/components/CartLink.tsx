@@ -0,0 +1,21 @@
+// Template: ecommerce
+"use client";
+
+import Link from "next/link";
+import { useCart } from "@/hooks/useCart";
+
+export default function CartLink() {
+  const { items } = useCart();
+  const count = items.reduce((sum, i) => sum + i.quantity, 0);
+
+  return (
+    <Link href="/cart" className="relative px-4 py-2 glass-card hover:bg-white/10 transition-colors">
+      🛒 Cart
+      {count > 0 && (
+        <span className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-brand-500 text-xs flex items-center justify-center">
+          {count}
+        </span>
+      )}
+    </Link>
+  );
+}
@@ -0,0 +1,41 @@
+// Template: ecommerce
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { CartContext, type CartItem } from "@/hooks/useCart";
+
+const STORAGE_KEY = "cart";
+
+export default function CartProvider({ children }: { children: React.ReactNode }) {
+  const [items, setItems] = useState<CartItem[]>([]);
+
+  useEffect(() => {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) setItems(JSON.parse(saved));
+    } catch {
+      // Ignore corrupt storage
+    }
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  }, [items]);
+
+  const value = useMemo(() => ({
+    items,
+    addItem: (item: Omit<CartItem, "quantity">) =>
+      setItems((prev) => {
+        const existing = prev.find((i) => i.id === item.id);
+        if (existing) {
+          return prev.map((i) => (i.id === item.id ? { ...i, quantity: i.quantity + 1 } : i));
+        }
+        return [...prev, { ...item, quantity: 1 }];
+      }),
+    removeItem: (id: string) => setItems((prev) => prev.filter((i) => i.id !== id)),
+    clear: () => setItems([]),
+    total: items.reduce((sum, i) => sum + i.price * i.quantity, 0),
+  }), [items]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+}
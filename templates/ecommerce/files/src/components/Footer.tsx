@@ -0,0 +1,20 @@
+// Template: ecommerce
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Footer() {
+  return (
+    <footer className="glass-card mx-4 my-4 p-8">
+      <div className="container mx-auto grid gap-6 md:grid-cols-3 text-white/60">
+        <div>
+          <p className="font-semibold text-white mb-2">{siteConfig.appName}</p>
+          <p className="text-sm">{siteConfig.description}</p>
+        </div>
+        <div className="text-sm space-y-1">
+          <p>Free shipping over $50</p>
+          <p>30-day returns</p>
+        </div>
+        <p className="text-sm md:text-right">© {new Date().getFullYear()} {siteConfig.appName}</p>
+      </div>
+    </footer>
+  );
+}
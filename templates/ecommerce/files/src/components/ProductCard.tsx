@@ -0,0 +1,37 @@
+// Template: ecommerce
+"use client";
+
+import { useCart } from "@/hooks/useCart";
+
+export interface Product {
+  id: string;
+  name: string;
+  price: number;
+  description?: string;
+  image?: string;
+}
+
+export default function ProductCard({ product }: { product: Product }) {
+  const { addItem } = useCart();
+
+  return (
+    <div className="glass-card p-4 flex flex-col">
+      <div className="aspect-square rounded-xl bg-white/5 mb-4 overflow-hidden">
+        {product.image && (
+          <img src={product.image} alt={product.name} className="w-full h-full object-cover" />
+        )}
+      </div>
+      <h3 className="text-lg font-semibold">{product.name}</h3>
+      {product.description && <p className="text-white/60 text-sm mb-4">{product.description}</p>}
+      <div className="mt-auto flex items-center justify-between">
+        <span className="text-xl font-bold">${product.price.toFixed(2)}</span>
+        <button
+          onClick={() => addItem({ id: product.id, name: product.name, price: product.price })}
+          className="px-4 py-2 bg-gradient-to-r from-brand-500 to-teal-500 rounded-full text-sm font-semibold hover:scale-105 transition-transform"
+        >
+          Add to cart
+        </button>
+      </div>
+    </div>
+  );
+}
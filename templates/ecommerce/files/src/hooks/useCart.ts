@@ -0,0 +1,29 @@
+// Template: ecommerce
+"use client";
+
+import { createContext, useContext } from "react";
+
+export interface CartItem {
+  id: string;
+  name: string;
+  price: number;
+  quantity: number;
+}
+
+export interface CartContextValue {
+  items: CartItem[];
+  addItem: (item: Omit<CartItem, "quantity">) => void;
+  removeItem: (id: string) => void;
+  clear: () => void;
+  total: number;
+}
+
+export const CartContext = createContext<CartContextValue | null>(null);
+
+export function useCart(): CartContextValue {
+  const cart = useContext(CartContext);
+  if (!cart) {
+    throw new Error("useCart must be used inside <CartProvider>");
+  }
+  return cart;
+}
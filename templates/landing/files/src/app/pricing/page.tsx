@@ -0,0 +1,12 @@
+// Template: landing
+import PricingCards from "@/components/PricingCards";
+
+export default function PricingPage() {
+  return (
+    <div className="container mx-auto px-4 py-12">
+      <h1 className="text-5xl font-bold text-center mb-4">Pricing</h1>
+      <p className="text-xl text-white/70 text-center mb-8">Simple plans that grow with you.</p>
+      <PricingCards />
+    </div>
+  );
+}
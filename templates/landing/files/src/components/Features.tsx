@@ -0,0 +1,22 @@
+// Template: landing
+export interface Feature {
+  title: string;
+  description: string;
+  icon?: string;
+}
+
+export default function Features({ features }: { features: Feature[] }) {
+  return (
+    <section className="py-16">
+      <div className="grid gap-6 md:grid-cols-3">
+        {features.map((feature) => (
+          <div key={feature.title} className="glass-card p-6 hover:-translate-y-1 transition-transform">
+            <div className="text-3xl mb-4">{feature.icon || "✨"}</div>
+            <h3 className="text-xl font-semibold mb-2">{feature.title}</h3>
+            <p className="text-white/70">{feature.description}</p>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,22 @@
+// Template: landing
+import Link from "next/link";
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Footer() {
+  return (
+    <footer className="glass-card mx-4 my-4 p-8">
+      <div className="container mx-auto flex flex-col md:flex-row items-center justify-between gap-4">
+        <p className="text-white/60">
+          © {new Date().getFullYear()} {siteConfig.appName}
+        </p>
+        <div className="flex gap-6">
+          {siteConfig.navLinks.map((link) => (
+            <Link key={link.href} href={link.href} className="text-white/60 hover:text-white transition-colors">
+              {link.title}
+            </Link>
+          ))}
+        </div>
+      </div>
+    </footer>
+  );
+}
@@ -0,0 +1,31 @@
+// Template: landing
+import Link from "next/link";
+
+export default function Hero({
+  title,
+  subtitle,
+  ctaLabel = "Get Started",
+  ctaHref = "/pricing",
+}: {
+  title: string;
+  subtitle?: string;
+  ctaLabel?: string;
+  ctaHref?: string;
+}) {
+  return (
+    <section className="py-24 text-center animate-fade-up">
+      <h1 className="text-5xl md:text-7xl font-bold mb-6 bg-gradient-to-r from-brand-400 via-pink-400 to-orange-300 bg-clip-text text-transparent">
+        {title}
+      </h1>
+      {subtitle && (
+        <p className="text-xl text-white/70 max-w-2xl mx-auto mb-10">{subtitle}</p>
+      )}
+      <Link
+        href={ctaHref}
+        className="inline-block px-8 py-4 bg-gradient-to-r from-brand-500 to-pink-500 rounded-full font-semibold hover:scale-105 transition-transform"
+      >
+        {ctaLabel}
+      </Link>
+    </section>
+  );
+}
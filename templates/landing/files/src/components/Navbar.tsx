@@ -0,0 +1,35 @@
+// Template: landing
+import Link from "next/link";
+import { siteConfig } from "@/lib/siteConfig";
+
+export default function Navbar() {
+  return (
+    <nav className="sticky top-0 z-50 glass-card mx-4 mt-4 mb-8">
+      <div className="container mx-auto px-6 py-4">
+        <div className="flex items-center justify-between">
+          <Link href="/" className="text-2xl font-bold bg-gradient-to-r from-brand-400 to-pink-400 bg-clip-text text-transparent">
+            {siteConfig.appName}
+          </Link>
+
+          <div className="hidden md:flex items-center gap-6">
+            {siteConfig.navLinks.map((link) => (
+              <Link
+                key={link.href}
+                href={link.href}
+                className="text-white/70 hover:text-white transition-colors"
+              >
+                {link.title}
+              </Link>
+            ))}
+            <Link
+              href="/pricing"
+              className="px-6 py-2 bg-gradient-to-r from-brand-500 to-pink-500 rounded-full font-semibold hover:scale-105 transition-transform"
+            >
+              Get Started
+            </Link>
+          </div>
+        </div>
+      </div>
+    </nav>
+  );
+}
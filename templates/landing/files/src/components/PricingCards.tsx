@@ -0,0 +1,42 @@
+// Template: landing
+export interface PricingPlan {
+  name: string;
+  price: string;
+  features: string[];
+  highlighted?: boolean;
+}
+
+const DEFAULT_PLANS: PricingPlan[] = [
+  { name: "Starter", price: "$0", features: ["1 project", "Community support"] },
+  { name: "Pro", price: "$19", features: ["Unlimited projects", "Priority support", "Custom domain"], highlighted: true },
+  { name: "Team", price: "$49", features: ["Everything in Pro", "5 seats", "Analytics"] },
+];
+
+export default function PricingCards({ plans = DEFAULT_PLANS }: { plans?: PricingPlan[] }) {
+  return (
+    <section className="py-16">
+      <div className="grid gap-6 md:grid-cols-3">
+        {plans.map((plan) => (
+          <div
+            key={plan.name}
+            className={`glass-card p-8 ${plan.highlighted ? "ring-2 ring-brand-500 scale-105" : ""}`}
+          >
+            <h3 className="text-xl font-semibold mb-2">{plan.name}</h3>
+            <p className="text-4xl font-bold mb-6">
+              {plan.price}
+              <span className="text-base font-normal text-white/60">/mo</span>
+            </p>
+            <ul className="space-y-2 mb-8 text-white/80">
+              {plan.features.map((feature) => (
+                <li key={feature}>✓ {feature}</li>
+              ))}
+            </ul>
+            <button className="w-full py-3 bg-gradient-to-r from-brand-500 to-pink-500 rounded-full font-semibold hover:scale-105 transition-transform">
+              Choose {plan.name}
+            </button>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
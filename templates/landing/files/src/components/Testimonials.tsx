@@ -0,0 +1,25 @@
+// Template: landing
+export interface Testimonial {
+  quote: string;
+  name: string;
+  role?: string;
+}
+
+export default function Testimonials({ items }: { items: Testimonial[] }) {
+  return (
+    <section className="py-16">
+      <h2 className="text-3xl font-bold text-center mb-10">What people say</h2>
+      <div className="grid gap-6 md:grid-cols-2">
+        {items.map((item) => (
+          <figure key={item.name} className="glass-card p-6">
+            <blockquote className="text-lg text-white/80 mb-4">&ldquo;{item.quote}&rdquo;</blockquote>
+            <figcaption className="text-white/60">
+              <span className="font-semibold text-white">{item.name}</span>
+              {item.role && <span> · {item.role}</span>}
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </section>
+  );
+}